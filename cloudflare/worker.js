@@ -117,29 +117,32 @@ export default {
  */
 async function handlePublicEpisodes(env, request) {
   try {
-    const [slotsRaw, assignmentsRaw, ideasRaw] = await Promise.all([
+    const [slotsRaw, assignmentsRaw, ideasRaw, configRaw] = await Promise.all([
       env.SATT_DATA.get('showSlots'),
       env.SATT_DATA.get('assignments'),
-      env.SATT_DATA.get('ideas')
+      env.SATT_DATA.get('ideas'),
+      env.SATT_DATA.get('config')
     ]);
 
     const slots = slotsRaw ? JSON.parse(slotsRaw) : [];
     const assignments = assignmentsRaw ? JSON.parse(assignmentsRaw) : {};
     const ideas = ideasRaw ? JSON.parse(ideasRaw) : [];
+    const config = configRaw ? JSON.parse(configRaw) : {};
 
-    // Get current date in PST (UTC-8 or UTC-7 depending on DST)
-    // For simplicity, we'll use a fixed UTC-8 offset
-    const nowUTC = new Date();
-    const nowPST = new Date(nowUTC.getTime() - (8 * 60 * 60 * 1000));
-    const todayPST = nowPST.toISOString().split('T')[0];
+    // Newest release date whose episodes are live at the configured
+    // release time in the show timezone
+    const releasedThrough = latestReleasedDate(config, new Date());
     
     const ideasMap = {};
     ideas.forEach(function(idea) { ideasMap[idea.id] = idea; });
 
     const allEpisodes = [];
     for (const slot of slots) {
-      // Only include released episodes (release date <= today in PST)
-      if (slot.releaseDate > todayPST) continue;
+      const releaseDate = slot.releaseDateOverride || slot.releaseDate;
+      if (releaseDate > releasedThrough) continue;
+
+      const episodeType = EPISODE_TYPE_LABELS[slot.episodeType] ? slot.episodeType : 'regular';
+      if (!PUBLIC_EPISODE_TYPES.includes(episodeType)) continue;
 
       const ideaId = assignments[slot.id];
       if (!ideaId) continue;
@@ -152,9 +155,11 @@ async function handlePublicEpisodes(env, request) {
 
       allEpisodes.push({
         episodeNumber: slot.episodeNumber,
+        episodeType: episodeType,
+        typeLabel: EPISODE_TYPE_LABELS[episodeType],
         title: title,
         summary: idea.summary || '',
-        releaseDate: slot.releaseDate
+        releaseDate: releaseDate
       });
     }
 
@@ -229,6 +234,44 @@ async function handlePublicHomepage(env, request) {
   }
 }
 
+// ---- Episode types (mirrors satt.episode_types) ----
+
+const EPISODE_TYPE_LABELS = {
+  regular: 'Episode',
+  bonus: 'Bonus Episode',
+  guest: 'Guest Special',
+  live: 'Live Recording',
+  patron: 'Patron-Only Episode'
+};
+// Patron-only episodes never reach the public list.
+const PUBLIC_EPISODE_TYPES = ['regular', 'bonus', 'guest', 'live'];
+
+// ---- Show clock (mirrors satt.show_time) ----
+
+function showClockParts(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(instant).forEach(function(part) { parts[part.type] = part.value; });
+  return parts;
+}
+
+function latestReleasedDate(config, now) {
+  let timeZone = config.showTimezone || 'America/Los_Angeles';
+  try {
+    showClockParts(now, timeZone);
+  } catch (e) {
+    timeZone = 'America/Los_Angeles';
+  }
+  const releaseTime = /^([01]\d|2[0-3]):[0-5]\d$/.test(config.releaseTime || '') ? config.releaseTime : '00:00';
+  const parts = showClockParts(now, timeZone);
+  const today = parts.year + '-' + parts.month + '-' + parts.day;
+  if (parts.hour + ':' + parts.minute >= releaseTime) return today;
+  const yesterday = new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day - 1));
+  return yesterday.toISOString().split('T')[0];
+}
+
 function json(data, status, request) {
   return new Response(JSON.stringify(data), {
     status: status,
@@ -1,32 +1,113 @@
 /* ============================================
-   Auth Module (v4 — JWT, redirects to login.html)
+   Auth Module (v6 — JWT with refresh, roles)
+
+   The access token is renewed shortly before it
+   expires. The refresh token's expiry is the hard
+   end of the session: a countdown banner warns
+   before it, and a re-login dialog then replaces
+   the page's session without a redirect, so
+   Storage's pending writes survive and replay.
+
+   The session lists the actions the user's role
+   allows. Pages a role cannot open redirect to
+   one it can, and controls marked
+   data-requires="action" get .role-hidden (or,
+   for form fields, disabled) when it is missing.
+   The API enforces the same list.
    ============================================ */
 
 const Auth = {
   _storageKey: 'satt_jwt',
+  _apiUrl: '/api',
+  _refreshLeadMs: 5 * 60 * 1000,
+  _warningMs: 10 * 60 * 1000,
+  _retryMs: 30 * 1000,
+  _sessionTimer: null,
+  _countdownTimer: null,
+  _refreshing: null,
+  _reloginRequired: false,
+  // The action each protected page needs before it will open.
+  _pageActions: {
+    'show_management.html': 'planning.view',
+    'jokes.html': 'planning.view',
+    'songs.html': 'planning.view',
+    'guests.html': 'planning.view',
+    'top3.html': 'top3.use',
+    'trash.html': 'history.revert',
+    'postproduction.html': 'postproduction.view'
+  },
+  _homePages: ['show_management.html', 'postproduction.html', 'config.html'],
 
   init() {
-    var data = this._getSession();
+    var data = this._readSession();
     if (!data) {
-      var next = encodeURIComponent(location.pathname + location.search);
-      location.href = 'login.html?next=' + next;
+      this._redirectToLogin();
       return;
     }
+    if (this._getSession()) {
+      this._start();
+      return;
+    }
+    // The access token lapsed while no page was open; renew it first.
+    this.refresh().then((renewed) => {
+      if (renewed) this._start();
+      else this._redirectToLogin();
+    });
+  },
+
+  _start() {
+    var page = location.pathname.split('/').pop();
+    if (!this.canOpen(page)) {
+      location.href = this.homePage();
+      return;
+    }
+    this.applyPermissions();
+    // Pages render most controls after load; mark those as they appear.
+    new MutationObserver(() => this.applyPermissions()).observe(document.body, { childList: true, subtree: true });
     document.getElementById('protectedContent').style.display = 'block';
+    if (typeof SearchPalette !== 'undefined') SearchPalette.install();
+    document.addEventListener('visibilitychange', () => {
+      // Timers do not run while a laptop sleeps.
+      if (!document.hidden) this._checkSession();
+    });
+    this._checkSession();
     this._initStorage();
   },
 
-  _getSession() {
+  _redirectToLogin() {
+    var next = encodeURIComponent(location.pathname + location.search);
+    location.href = 'login.html?next=' + next;
+  },
+
+  _decode(token) {
+    try {
+      // Decode JWT exp from base64url payload
+      var parts = String(token).split('.');
+      if (parts.length !== 3) return null;
+      return JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch(e) { return null; }
+  },
+
+  _expiresAt(token) {
+    var payload = this._decode(token);
+    return payload && payload.exp ? payload.exp * 1000 : null;
+  },
+
+  _isLive(token) {
+    if (!token || !this._decode(token)) return false;
+    var expires = this._expiresAt(token);
+    return expires === null || expires > Date.now();
+  },
+
+  // The stored session even when its access token has expired, as long as
+  // the refresh token can still renew it.
+  _readSession() {
     try {
       var raw = localStorage.getItem(this._storageKey);
       if (!raw) return null;
       var data = JSON.parse(raw);
-      if (!data.token) return null;
-      // Decode JWT exp from base64url payload
-      var parts = data.token.split('.');
-      if (parts.length !== 3) return null;
-      var payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
-      if (payload.exp && payload.exp * 1000 < Date.now()) {
+      if (!data.token || !this._decode(data.token)) return null;
+      if (!this._isLive(data.token) && !this._isLive(data.refreshToken)) {
         localStorage.removeItem(this._storageKey);
         return null;
       }
@@ -34,12 +115,327 @@ const Auth = {
     } catch(e) { return null; }
   },
 
+  _getSession() {
+    var data = this._readSession();
+    return data && this._isLive(data.token) ? data : null;
+  },
+
+  _saveSession(data) {
+    localStorage.setItem(this._storageKey, JSON.stringify(data));
+  },
+
+  setRefreshToken(refreshToken) {
+    var data = this._readSession();
+    if (data) this._saveSession(Object.assign({}, data, { refreshToken: refreshToken }));
+  },
+
   getToken() {
     var data = this._getSession();
     return data ? data.token : null;
   },
 
-  logout() {
+  getUserId() {
+    var data = this._readSession();
+    var payload = data && this._decode(data.token);
+    return payload && payload.user_id !== undefined ? payload.user_id : null;
+  },
+
+  getUsername() {
+    var data = this._readSession();
+    return data ? data.username : null;
+  },
+
+  // When the session ends for good: the refresh token's expiry, or the
+  // access token's for sessions saved before refresh tokens existed.
+  sessionEndsAt() {
+    var data = this._readSession();
+    if (!data) return null;
+    return this._expiresAt(data.refreshToken) || this._expiresAt(data.token);
+  },
+
+  isReloginRequired() {
+    return this._reloginRequired;
+  },
+
+  getRole() {
+    var data = this._readSession();
+    return data ? data.role || (data.isAdmin ? 'admin' : 'host') : null;
+  },
+
+  // Sessions saved before roles existed carry no permission list; they keep
+  // the full access they had until their next renewal brings one.
+  can(action) {
+    var data = this._readSession();
+    if (!data) return false;
+    if (!Array.isArray(data.permissions)) return true;
+    return data.permissions.indexOf(action) !== -1;
+  },
+
+  canOpen(page) {
+    var action = this._pageActions[page];
+    return !action || this.can(action);
+  },
+
+  homePage() {
+    return this._homePages.filter((page) => this.canOpen(page))[0];
+  },
+
+  applyPermissions(root) {
+    (root || document).querySelectorAll('[data-requires]').forEach((element) => {
+      var allowed = this.can(element.getAttribute('data-requires'));
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(element.tagName)) {
+        if (!allowed) element.disabled = true;
+      } else {
+        element.classList.toggle('role-hidden', !allowed);
+      }
+    });
+    (root || document).querySelectorAll('.site-nav a[href]').forEach((link) => {
+      link.classList.toggle('role-hidden', !this.canOpen(link.getAttribute('href')));
+    });
+  },
+
+  // Resolves true once a new access token is stored. Concurrent callers share
+  // one request.
+  refresh() {
+    if (this._refreshing) return this._refreshing;
+    var data = this._readSession();
+    if (!data || !this._isLive(data.refreshToken)) return Promise.resolve(false);
+    this._refreshing = fetch(this._apiUrl + '/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: data.refreshToken })
+    }).then(async (resp) => {
+      if (resp.status === 401) {
+        // Password changed, account disabled, or the session ran out.
+        this.requireLogin();
+        return false;
+      }
+      if (!resp.ok) return false;
+      var body = await resp.json();
+      this._saveSession(Object.assign({}, data, {
+        token: body.token,
+        refreshToken: body.refreshToken || data.refreshToken,
+        isAdmin: body.isAdmin || false,
+        role: body.role,
+        permissions: body.permissions
+      }));
+      return true;
+    }).catch(function() {
+      return false;
+    }).finally(() => {
+      this._refreshing = null;
+    });
+    return this._refreshing;
+  },
+
+  // Renews ahead of expiry while the session allows it; otherwise counts
+  // down to the end of the session and then asks for the password again.
+  _checkSession() {
+    clearTimeout(this._sessionTimer);
+    if (this._reloginRequired) return;
+    var data = this._readSession();
+    if (!data) {
+      this.requireLogin();
+      return;
+    }
+    var now = Date.now();
+    var accessEnds = this._expiresAt(data.token);
+    var sessionEnds = this.sessionEndsAt();
+    if (accessEnds === null) return;
+    var renewable = this._isLive(data.refreshToken) && sessionEnds > accessEnds;
+    if (renewable) {
+      if (accessEnds - now > this._refreshLeadMs) {
+        this._wakeAt(accessEnds - this._refreshLeadMs);
+        return;
+      }
+      this.refresh().then((renewed) => {
+        if (renewed) this._checkSession();
+        else if (!this._reloginRequired) this._wakeAt(Date.now() + this._retryMs);
+      });
+      return;
+    }
+    if (sessionEnds <= now) {
+      this.requireLogin();
+      return;
+    }
+    if (sessionEnds - now <= this._warningMs) {
+      this._showCountdown(sessionEnds);
+      this._wakeAt(sessionEnds);
+    } else {
+      this._wakeAt(sessionEnds - this._warningMs);
+    }
+  },
+
+  _wakeAt(time) {
+    clearTimeout(this._sessionTimer);
+    this._sessionTimer = setTimeout(() => this._checkSession(), Math.max(0, time - Date.now()));
+  },
+
+  _formatRemaining(ms) {
+    var seconds = Math.max(0, Math.ceil(ms / 1000));
+    var minutes = Math.floor(seconds / 60);
+    seconds = seconds % 60;
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  },
+
+  _showCountdown(sessionEnds) {
+    var banner = document.getElementById('session-banner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'session-banner';
+      banner.className = 'session-banner';
+      banner.setAttribute('role', 'status');
+      banner.innerHTML = '<span>Your session ends in <strong data-session-remaining aria-live="off"></strong>. '
+        + 'Sign in again to keep working.</span>'
+        + '<button type="button" class="btn btn-secondary btn-sm" data-session-action="relogin">Sign in now</button>';
+      banner.querySelector('[data-session-action="relogin"]').addEventListener('click', () => this.requireLogin());
+      document.body.appendChild(banner);
+    }
+    banner.classList.remove('hidden');
+    var remaining = banner.querySelector('[data-session-remaining]');
+    var tick = () => {
+      remaining.textContent = this._formatRemaining(sessionEnds - Date.now());
+    };
+    tick();
+    clearInterval(this._countdownTimer);
+    this._countdownTimer = setInterval(tick, 1000);
+  },
+
+  _hideCountdown() {
+    clearInterval(this._countdownTimer);
+    this._countdownTimer = null;
+    var banner = document.getElementById('session-banner');
+    if (banner) banner.classList.add('hidden');
+  },
+
+  // Opens the re-login dialog over the current page. Writes made meanwhile
+  // wait in Storage's queue and replay once the password is accepted.
+  requireLogin() {
+    this._reloginRequired = true;
+    clearTimeout(this._sessionTimer);
+    this._hideCountdown();
+    var overlay = document.getElementById('relogin');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'relogin';
+      overlay.innerHTML = '<form class="modal" role="dialog" aria-modal="true" aria-labelledby="relogin-heading">'
+        + '<h2 id="relogin-heading">Sign in to keep working</h2>'
+        + '<p class="text-sm text-secondary mb-md">Your session has ended. Unsaved changes stay on this page and are saved once you sign in.</p>'
+        + '<div class="form-group"><label for="relogin-username">Username</label>'
+        + '<input id="relogin-username" name="username" type="text" autocomplete="username" readonly></div>'
+        + '<div class="form-group"><label for="relogin-password">Password</label>'
+        + '<input id="relogin-password" name="password" type="password" autocomplete="current-password" required></div>'
+        + '<p class="text-sm relogin-error hidden" data-relogin-error role="alert"></p>'
+        + (this._canUsePasskey()
+          ? '<button type="button" class="btn btn-secondary relogin-passkey" data-relogin-action="passkey">Use a passkey instead</button>'
+          : '')
+        + '<div class="modal-actions">'
+        + '<button type="button" class="btn btn-ghost" data-relogin-action="logout">Sign out</button>'
+        + '<button type="submit" class="btn btn-primary">Sign in</button>'
+        + '</div></form>';
+      overlay.querySelector('form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        this._submitRelogin(overlay);
+      });
+      overlay.querySelector('[data-relogin-action="logout"]').addEventListener('click', () => this.logout());
+      var passkey = overlay.querySelector('[data-relogin-action="passkey"]');
+      if (passkey) passkey.addEventListener('click', () => this._passkeyRelogin(overlay));
+      document.body.appendChild(overlay);
+    }
+    overlay.className = 'modal-overlay';
+    overlay.querySelector('#relogin-username').value = this.getUsername() || '';
+    overlay.querySelector('#relogin-password').focus();
+    if (typeof Storage !== 'undefined' && Storage._setIdleStatus) Storage._setIdleStatus();
+  },
+
+  async _submitRelogin(overlay) {
+    var error = overlay.querySelector('[data-relogin-error]');
+    var submit = overlay.querySelector('button[type="submit"]');
+    var password = overlay.querySelector('#relogin-password');
+    error.classList.add('hidden');
+    submit.disabled = true;
+    try {
+      var resp = await fetch(this._apiUrl + '/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: overlay.querySelector('#relogin-username').value, password: password.value })
+      });
+      if (!resp.ok) {
+        error.textContent = resp.status === 401 ? 'Incorrect password.' : 'Sign-in failed (' + resp.status + ').';
+        error.classList.remove('hidden');
+        return;
+      }
+      await this._resumeSession(overlay, await resp.json());
+    } catch(e) {
+      error.textContent = 'Connection error — check your network';
+      error.classList.remove('hidden');
+    } finally {
+      submit.disabled = false;
+    }
+  },
+
+  _canUsePasskey() {
+    return typeof Passkeys !== 'undefined' && Passkeys.isSupported();
+  },
+
+  // The passkey picks the account, so a passkey for someone else is refused
+  // rather than swapping users under the queued writes.
+  async _passkeyRelogin(overlay) {
+    var error = overlay.querySelector('[data-relogin-error]');
+    var button = overlay.querySelector('[data-relogin-action="passkey"]');
+    error.classList.add('hidden');
+    button.disabled = true;
+    try {
+      var body = await Passkeys.signIn();
+      if (body.username !== this.getUsername()) {
+        error.textContent = 'That passkey belongs to ' + body.username + '. Use one for ' + this.getUsername() + '.';
+        error.classList.remove('hidden');
+        return;
+      }
+      await this._resumeSession(overlay, body);
+    } catch(e) {
+      if (Passkeys.isCancelled(e)) return;
+      error.textContent = e.status ? e.message : 'Connection error — check your network';
+      error.classList.remove('hidden');
+    } finally {
+      button.disabled = false;
+    }
+  },
+
+  async _resumeSession(overlay, body) {
+    this._saveSession({
+      token: body.token,
+      refreshToken: body.refreshToken,
+      username: body.username,
+      isAdmin: body.isAdmin || false,
+      role: body.role,
+      permissions: body.permissions
+    });
+    overlay.querySelector('#relogin-password').value = '';
+    overlay.className = 'modal-overlay hidden';
+    this._reloginRequired = false;
+    this._checkSession();
+    if (typeof Storage !== 'undefined' && Storage.replayOffline) await Storage.replayOffline();
+  },
+
+  // The browser may be shared, so writes still queued offline go with the
+  // session rather than waiting to replay for whoever signs in next.
+  async logout() {
+    if (typeof Storage !== 'undefined' && Storage.discardOfflineWrites) {
+      var pending = Storage.getPendingOfflineWrites().length + Storage.getOfflineConflicts().length;
+      if (pending && !confirm(pending + ' unsaved offline change' + (pending === 1 ? '' : 's') + ' will be discarded. Sign out anyway?')) return;
+      await Storage.discardOfflineWrites();
+    }
+    // Revoke the refresh token too, so a copy of it cannot renew the session.
+    var data = this._readSession();
+    if (data && data.refreshToken) {
+      await fetch(this._apiUrl + '/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: data.refreshToken }),
+        keepalive: true
+      }).catch(function() {});
+    }
     localStorage.removeItem(this._storageKey);
     location.href = 'login.html';
   },
@@ -49,7 +445,9 @@ const Auth = {
     if (loading) loading.style.display = 'flex';
     try {
       await Storage.init();
-      if (typeof onStorageReady === 'function') onStorageReady();
+      var ready = typeof onStorageReady === 'function' ? onStorageReady() : null;
+      // A search result link names a record; show it once the page has drawn.
+      if (typeof SearchPalette !== 'undefined') Promise.resolve(ready).then(() => SearchPalette.revealFromHash());
     } catch(e) {
       console.error('Storage init failed:', e);
       if (typeof Toast !== 'undefined') Toast.error('Failed to load data: ' + e.message);
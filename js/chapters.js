@@ -0,0 +1,152 @@
+/* Podcast chapters from the run sheet, exported as Podlove, Podcasting 2.0 JSON, and YouTube timestamps. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Chapters = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  // A chapter boundary moves to the nearest utterance start within this many seconds.
+  var SNAP_WINDOW_SECONDS = 15;
+  // YouTube only turns timestamps into chapters with at least three, each this long.
+  var YOUTUBE_MIN_CHAPTERS = 3;
+  var YOUTUBE_MIN_SECONDS = 10;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function pad(value, width) {
+    return String(value).padStart(width, '0');
+  }
+
+  // 83.5 -> "00:01:23.500", as Podlove Simple Chapters writes it.
+  function normalPlayTime(seconds) {
+    var millis = Math.round(seconds * 1000);
+    return pad(Math.floor(millis / 3600000), 2) + ':' + pad(Math.floor(millis / 60000) % 60, 2) + ':'
+      + pad(Math.floor(millis / 1000) % 60, 2) + '.' + pad(millis % 1000, 3);
+  }
+
+  // 83.5 -> "1:23", 3725 -> "1:02:05", as YouTube reads it.
+  function timestamp(seconds) {
+    var whole = Math.floor(seconds);
+    var hours = Math.floor(whole / 3600);
+    var rest = pad(Math.floor(whole / 60) % 60, hours ? 2 : 1) + ':' + pad(whole % 60, 2);
+    return hours ? hours + ':' + rest : rest;
+  }
+
+  /**
+   * One chapter per section recorded on the run sheet, titled with the
+   * section name. The first chapter always starts at 0.
+   * @returns {{startSeconds: number, title: string}[]}
+   */
+  function fromRunSheet(runSheet) {
+    if (!runSheet || !Array.isArray(runSheet.segments)) return [];
+    return runSheet.segments.map(function(segment, index) {
+      return {
+        startSeconds: index === 0 ? 0 : segment.startSeconds,
+        title: String(segment.segmentName || segment.segmentId).replace(/\s+/g, ' ').trim()
+      };
+    });
+  }
+
+  /**
+   * Move each boundary to the nearest transcript utterance start, so chapters
+   * begin on a sentence rather than wherever the host clicked Next. A boundary
+   * with no utterance nearby, or one that would not stay after the chapter
+   * before it, keeps its run-sheet time.
+   */
+  function snapToUtterances(chapters, starts) {
+    if (!starts || !starts.length) return chapters;
+    var previous = 0;
+    return chapters.map(function(chapter, index) {
+      if (index === 0) return chapter;
+      var nearest = starts.reduce(function(best, start) {
+        return Math.abs(start - chapter.startSeconds) < Math.abs(best - chapter.startSeconds) ? start : best;
+      });
+      var snapped = Math.abs(nearest - chapter.startSeconds) <= SNAP_WINDOW_SECONDS && nearest > previous
+        ? nearest : chapter.startSeconds;
+      previous = snapped;
+      return { startSeconds: snapped, title: chapter.title };
+    });
+  }
+
+  function podloveXml(chapters) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">\n'
+      + chapters.map(function(chapter) {
+        return '  <psc:chapter start="' + normalPlayTime(chapter.startSeconds) + '" title="' + escapeHtml(chapter.title) + '"/>\n';
+      }).join('')
+      + '</psc:chapters>\n';
+  }
+
+  // The Podcasting 2.0 JSON chapters file a <podcast:chapters> tag points at.
+  function jsonChapters(chapters) {
+    return JSON.stringify({
+      version: '1.2.0',
+      chapters: chapters.map(function(chapter) {
+        return { startTime: Math.round(chapter.startSeconds * 1000) / 1000, title: chapter.title };
+      })
+    }, null, 2) + '\n';
+  }
+
+  function youtubeTimestamps(chapters) {
+    return chapters.map(function(chapter) {
+      return timestamp(chapter.startSeconds) + ' ' + chapter.title;
+    }).join('\n');
+  }
+
+  /** Why YouTube would ignore these timestamps, if it would. */
+  function youtubeProblems(chapters) {
+    var problems = [];
+    if (chapters.length < YOUTUBE_MIN_CHAPTERS) {
+      problems.push('YouTube needs at least ' + YOUTUBE_MIN_CHAPTERS + ' chapters.');
+    }
+    var short = chapters.filter(function(chapter, index) {
+      var next = chapters[index + 1];
+      return next && next.startSeconds - chapter.startSeconds < YOUTUBE_MIN_SECONDS;
+    });
+    if (short.length) {
+      problems.push('YouTube needs every chapter to run at least ' + YOUTUBE_MIN_SECONDS + ' seconds: '
+        + short.map(function(chapter) { return chapter.title; }).join(', ') + '.');
+    }
+    return problems;
+  }
+
+  // `aligned` says whether the boundaries were snapped to the transcript.
+  function render(chapters, aligned) {
+    if (!chapters.length) return '';
+    var problems = youtubeProblems(chapters);
+    return '<div class="show-display-section chapter-export">'
+      + '<div class="spotify-overview-heading"><h2>Chapters</h2><div class="chapter-export-actions">'
+      + '<button type="button" class="btn btn-secondary btn-sm" onclick="downloadChapters(\'podlove\')">Podlove XML</button>'
+      + '<button type="button" class="btn btn-secondary btn-sm" onclick="downloadChapters(\'json\')">Chapters JSON</button>'
+      + '</div></div>'
+      + '<pre tabindex="0">' + escapeHtml(youtubeTimestamps(chapters)) + '</pre>'
+      + '<p class="text-xs text-muted">From the run sheet'
+      + (aligned ? ', aligned to the transcript.' : '. Scan a transcript JSON in Post-Production to align them to the recording.')
+      + ' The timestamps are also at the end of the Spotify overview.</p>'
+      + problems.map(function(problem) { return '<p class="text-xs chapter-export-warning">' + escapeHtml(problem) + '</p>'; }).join('')
+      + '</div>';
+  }
+
+  return {
+    SNAP_WINDOW_SECONDS: SNAP_WINDOW_SECONDS,
+    escapeHtml: escapeHtml,
+    normalPlayTime: normalPlayTime,
+    timestamp: timestamp,
+    fromRunSheet: fromRunSheet,
+    snapToUtterances: snapToUtterances,
+    podloveXml: podloveXml,
+    jsonChapters: jsonChapters,
+    youtubeTimestamps: youtubeTimestamps,
+    youtubeProblems: youtubeProblems,
+    render: render
+  };
+});
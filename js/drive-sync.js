@@ -0,0 +1,78 @@
+/* Post-Production "last synced" indicator for the Drive changes sync, and when to reload the queue. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.DriveSync = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  // Polls missed before the indicator warns that the sync has fallen behind.
+  var BEHIND_AFTER_POLLS = 3;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // 20 -> "just now", 300 -> "5 min ago", 7500 -> "2 h ago".
+  function ago(seconds) {
+    if (seconds < 60) return 'just now';
+    var minutes = Math.floor(seconds / 60);
+    if (minutes < 120) return minutes + ' min ago';
+    return Math.floor(minutes / 60) + ' h ago';
+  }
+
+  function secondsSince(iso, now) {
+    var at = Date.parse(iso || '');
+    return Number.isFinite(at) ? Math.max(0, (now - at) / 1000) : null;
+  }
+
+  /**
+   * The indicator's text, tone ('ok', 'behind', 'error' or 'off') and hover detail.
+   * status: GET /api/postproduction/sync-status. now is epoch milliseconds.
+   */
+  function describe(status, now) {
+    if (!status || !status.enabled) {
+      return { tone: 'off', text: 'Drive sync off', title: 'Use Refresh Assets to scan Drive.' };
+    }
+    var synced = secondsSince(status.lastSyncedAt, now);
+    if (status.error) {
+      return {
+        tone: 'error',
+        text: 'Drive sync failed' + (synced == null ? '' : ' · last synced ' + ago(synced)),
+        title: status.error
+      };
+    }
+    if (synced == null) return { tone: 'behind', text: 'Waiting for the first Drive sync', title: '' };
+    var behind = synced > status.intervalSeconds * BEHIND_AFTER_POLLS;
+    return {
+      tone: behind ? 'behind' : 'ok',
+      text: 'Last synced ' + ago(synced),
+      title: behind ? 'The Drive sync has not run for a while. Refresh Assets scans now.' : ''
+    };
+  }
+
+  function indicatorHtml(status, now) {
+    var state = describe(status, now);
+    return '<span class="pp-sync pp-sync-' + state.tone + '" title="' + escapeHtml(state.title) + '">'
+      + escapeHtml(state.text) + '</span>';
+  }
+
+  // Whether a sync changed an inventory since the page last loaded the queue.
+  function shouldReload(previous, status) {
+    if (!previous || !status) return false;
+    return (status.lastChangeAt || null) !== (previous.lastChangeAt || null);
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    describe: describe,
+    indicatorHtml: indicatorHtml,
+    shouldReload: shouldReload
+  };
+});
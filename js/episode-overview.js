@@ -52,9 +52,54 @@
     return lines.join('\n');
   }
 
-  function compose(summary, song, top3) {
+  // 754 -> "12:34", 3725 -> "1:02:05".
+  function clock(seconds) {
+    var whole = Math.floor(seconds);
+    var hours = Math.floor(whole / 3600);
+    var rest = String(Math.floor(whole / 60) % 60).padStart(hours ? 2 : 1, '0') + ':' + String(whole % 60).padStart(2, '0');
+    return hours ? hours + ':' + rest : rest;
+  }
+
+  // The show notes hosts accepted in Post-Production (idea.showNotes).
+  function showNotesBlock(showNotes) {
+    if (!showNotes) return '';
+    var blocks = [];
+    var moments = Array.isArray(showNotes.keyMoments) ? showNotes.keyMoments : [];
+    if (moments.length) {
+      blocks.push('Key moments\n' + moments.map(function(moment) {
+        return clock(moment.seconds) + ' ' + compactLine(moment.title);
+      }).join('\n'));
+    }
+    var quotes = Array.isArray(showNotes.quotes) ? showNotes.quotes : [];
+    if (quotes.length) {
+      blocks.push('Quotes\n' + quotes.map(function(quote) {
+        return '“' + compactLine(quote.text) + '” — ' + compactLine(quote.speaker);
+      }).join('\n'));
+    }
+    var mentions = (Array.isArray(showNotes.mentions) ? showNotes.mentions : []).map(compactLine).filter(Boolean);
+    if (mentions.length) blocks.push('Mentioned on the show: ' + mentions.join(', '));
+    return blocks.join('\n\n');
+  }
+
+  function chaptersBlock(timestamps) {
+    var lines = String(timestamps == null ? '' : timestamps).trim();
+    return lines ? 'Chapters\n' + lines : '';
+  }
+
+  // typeLabel names a non-regular episode ("Bonus Episode") so listeners can
+  // tell it from the weekly show; regular episodes pass nothing. timestamps
+  // are Chapters.youtubeTimestamps lines, which Spotify and YouTube both link.
+  // showNotes is the idea's accepted post-record notes, if any.
+  function compose(summary, song, top3, typeLabel, timestamps, showNotes) {
     var publicSummary = summary == null ? '' : String(summary);
-    var blocks = [publicSummary, publicSongBlock(song), publicTop3Block(top3)].filter(function(block) { return block; });
+    var blocks = [
+      compactLine(typeLabel),
+      publicSummary,
+      showNotesBlock(showNotes),
+      publicSongBlock(song),
+      publicTop3Block(top3),
+      chaptersBlock(timestamps)
+    ].filter(function(block) { return block; });
     return blocks.join('\n\n');
   }
 
@@ -102,6 +147,8 @@
     escapeHtml: escapeHtml,
     publicSongBlock: publicSongBlock,
     publicTop3Block: publicTop3Block,
+    chaptersBlock: chaptersBlock,
+    showNotesBlock: showNotesBlock,
     compose: compose,
     render: render,
     copy: copy
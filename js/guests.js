@@ -8,7 +8,8 @@
       confirm: root.confirm.bind(root),
       Auth: Auth,
       Storage: Storage,
-      Toast: Toast
+      Toast: Toast,
+      RecordHistory: root.RecordHistory
     });
     root.GuestBankPage = api;
     root.onStorageReady = api.onStorageReady;
@@ -91,10 +92,11 @@
     actions += guest.status === 'archived'
       ? '<button type="button" class="btn btn-ghost btn-sm" data-action="restore" data-guest-id="' + id + '">Restore</button>'
       : '<button type="button" class="btn btn-ghost btn-sm" data-action="archive" data-guest-id="' + id + '">Archive</button>';
-    actions += '<button type="button" class="btn btn-danger btn-sm" data-action="delete" data-guest-id="' + id + '" aria-describedby="guest-delete-' + id + '">Delete</button>';
+    actions += '<button type="button" class="btn btn-ghost btn-sm" data-action="history" data-guest-id="' + id + '">History</button>';
+    actions += '<button type="button" class="btn btn-danger btn-sm" data-requires="planning.delete" data-action="delete" data-guest-id="' + id + '" aria-describedby="guest-delete-' + id + '">Delete</button>';
     var deletionGuidance = total
       ? '<span id="guest-delete-' + id + '" class="text-xs text-muted">Remove all show assignments before deleting this guest.</span>'
-      : '<span id="guest-delete-' + id + '" class="text-xs text-muted">Deletion is permanent.</span>';
+      : '<span id="guest-delete-' + id + '" class="text-xs text-muted">Deleted guests can be restored from the Trash.</span>';
     return '<article class="guest-item ' + escapeHtml(guest.status) + '" data-record-id="' + id + '">'
       + '<div class="guest-heading"><h3>' + escapeHtml(guest.displayName) + '</h3>'
       + '<span class="badge badge-' + (guest.status === 'active' ? 'processed' : 'draft') + '">' + escapeHtml(guest.status) + '</span></div>'
@@ -230,7 +232,7 @@
       root.Toast.error(guidance);
       return;
     }
-    var confirmed = action !== 'delete' || root.confirm('Delete “' + guest.displayName + '”? This cannot be undone.');
+    var confirmed = action !== 'delete' || root.confirm('Delete “' + guest.displayName + '”? It can be restored from the Trash.');
     if (!confirmed) return;
     announce(action === 'delete' ? 'Deleting guest…' : action === 'archive' ? 'Archiving guest…' : 'Restoring guest…');
     var success = action === 'delete'
@@ -247,6 +249,11 @@
     announce(action === 'delete' ? 'Guest deleted.' : action === 'archive' ? 'Guest archived with appearance history preserved.' : 'Guest restored and available for future assignment.');
   }
 
+  function openHistory(guestId) {
+    var guest = root.Storage.getGuests().find(function(candidate) { return candidate.id === guestId; });
+    root.RecordHistory.open('guests', guestId, guest ? guest.displayName : 'Guest');
+  }
+
   function bindEvents() {
     root.document.getElementById('guestForm').addEventListener('submit', submitGuest);
     root.document.getElementById('cancelGuestEditButton').addEventListener('click', resetForm);
@@ -273,6 +280,10 @@
         editGuest(button.dataset.guestId);
         return;
       }
+      if (button.dataset.action === 'history') {
+        openHistory(button.dataset.guestId);
+        return;
+      }
       button.disabled = true;
       try {
         await runLifecycleAction(button.dataset.action, button.dataset.guestId);
@@ -285,6 +296,9 @@
   function onStorageReady() {
     renderGuests();
     announce('Guest Bank loaded.');
+    ['guests', 'guestAssignments', 'ideas', 'showSlots', 'assignments'].forEach(function(key) {
+      root.Storage.subscribe(key, renderGuests);
+    });
   }
 
   function start() {
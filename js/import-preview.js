@@ -0,0 +1,75 @@
+/* Import preview: what a merge or a replace of an export file would change. */
+(function(root, factory) {
+  var api = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ImportPreview = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  var KEY_LABELS = {
+    config: 'Settings',
+    ideas: 'Ideas',
+    jokes: 'Jokes',
+    songs: 'Songs',
+    guests: 'Guests',
+    guestAssignments: 'Guest assignments',
+    showSlots: 'Show slots',
+    assignments: 'Schedule'
+  };
+  // Written by the export itself, so never worth a warning.
+  var EXPORT_METADATA = ['exportDate', 'revision'];
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function ignoredKeys(data) {
+    return Object.keys(data || {}).filter(function(key) {
+      return !KEY_LABELS[key] && EXPORT_METADATA.indexOf(key) === -1;
+    });
+  }
+
+  function countsMarkup(keys) {
+    var rows = Object.keys(keys).map(function(key) {
+      var counts = keys[key];
+      return '<tr><th scope="row">' + escapeHtml(KEY_LABELS[key] || key) + '</th>'
+        + ['incoming', 'new', 'overwritten', 'unchanged', 'removedOnReplace'].map(function(field) {
+          return '<td>' + escapeHtml(counts[field]) + '</td>';
+        }).join('')
+        + '</tr>';
+    }).join('');
+    return '<table class="import-preview-table"><thead><tr><th scope="col">Data</th><th scope="col">In file</th>'
+      + '<th scope="col">New</th><th scope="col">Overwritten</th><th scope="col">Unchanged</th>'
+      + '<th scope="col">Removed by replace</th></tr></thead><tbody>' + rows + '</tbody></table>';
+  }
+
+  function modeMarkup(label, mode) {
+    if (mode.ok) return '<p class="text-sm"><strong>' + label + ':</strong> ready.</p>';
+    return '<div class="text-sm"><strong>' + label + ':</strong> blocked until the file is fixed.'
+      + '<ul class="import-preview-problems">'
+      + mode.problems.map(function(problem) { return '<li>' + escapeHtml(problem) + '</li>'; }).join('')
+      + '</ul></div>';
+  }
+
+  function previewMarkup(preview, ignored) {
+    return countsMarkup(preview.keys || {})
+      + (ignored && ignored.length
+        ? '<p class="text-sm text-muted">Ignored, not part of an export: ' + escapeHtml(ignored.join(', ')) + '.</p>'
+        : '')
+      + modeMarkup('Merge', preview.modes.merge)
+      + modeMarkup('Replace', preview.modes.replace);
+  }
+
+  return {
+    KEY_LABELS: KEY_LABELS,
+    escapeHtml: escapeHtml,
+    ignoredKeys: ignoredKeys,
+    previewMarkup: previewMarkup
+  };
+});
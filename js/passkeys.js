@@ -0,0 +1,175 @@
+/* WebAuthn passkeys: add them from Config, sign in with them from login.html
+   and the re-login dialog. The API sends and expects base64url strings where
+   the browser wants ArrayBuffers, so this module converts both ways. */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root);
+  } else {
+    root.Passkeys = factory({
+      navigator: root.navigator,
+      PublicKeyCredential: root.PublicKeyCredential,
+      Auth: typeof Auth !== 'undefined' ? Auth : null,
+      fetch: root.fetch.bind(root),
+      atob: root.atob.bind(root),
+      btoa: root.btoa.bind(root)
+    });
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function toBuffer(value) {
+    var base64 = String(value).replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4) base64 += '=';
+    var binary = root.atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+  }
+
+  function toBase64url(buffer) {
+    if (!buffer) return undefined;
+    var bytes = new Uint8Array(buffer);
+    var binary = '';
+    for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return root.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function isSupported() {
+    return !!(root.PublicKeyCredential && root.navigator && root.navigator.credentials);
+  }
+
+  function creationOptions(options) {
+    return Object.assign({}, options, {
+      challenge: toBuffer(options.challenge),
+      user: Object.assign({}, options.user, { id: toBuffer(options.user.id) }),
+      excludeCredentials: (options.excludeCredentials || []).map(function(item) {
+        return Object.assign({}, item, { id: toBuffer(item.id) });
+      })
+    });
+  }
+
+  function requestOptions(options) {
+    return Object.assign({}, options, {
+      challenge: toBuffer(options.challenge),
+      allowCredentials: (options.allowCredentials || []).map(function(item) {
+        return Object.assign({}, item, { id: toBuffer(item.id) });
+      })
+    });
+  }
+
+  function credentialJSON(credential) {
+    var response = credential.response;
+    var json = {
+      clientDataJSON: toBase64url(response.clientDataJSON)
+    };
+    if (response.attestationObject) {
+      json.attestationObject = toBase64url(response.attestationObject);
+      json.transports = typeof response.getTransports === 'function' ? response.getTransports() : [];
+    } else {
+      json.authenticatorData = toBase64url(response.authenticatorData);
+      json.signature = toBase64url(response.signature);
+      json.userHandle = toBase64url(response.userHandle);
+    }
+    return {
+      id: credential.id,
+      rawId: toBase64url(credential.rawId),
+      type: credential.type,
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      clientExtensionResults: typeof credential.getClientExtensionResults === 'function'
+        ? credential.getClientExtensionResults()
+        : {},
+      response: json
+    };
+  }
+
+  function formatDate(value) {
+    var date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+  }
+
+  // Config page rows; each Remove button carries data-passkey-remove.
+  function listMarkup(passkeys) {
+    if (!passkeys.length) return '<span class="text-muted text-sm">No passkeys yet.</span>';
+    return passkeys.map(function(passkey) {
+      var used = passkey.lastUsedAt ? 'last used ' + formatDate(passkey.lastUsedAt) : 'never used';
+      return '<div class="passkey-row"><span class="passkey-name">' + escapeHtml(passkey.name) + '</span>'
+        + '<span class="text-muted text-sm">added ' + formatDate(passkey.createdAt) + ', ' + used + '</span>'
+        + '<button type="button" class="btn btn-ghost btn-sm" data-passkey-remove="' + escapeHtml(passkey.id) + '">Remove</button></div>';
+    }).join('');
+  }
+
+  // A cancelled or timed-out browser prompt is not worth an error toast.
+  function isCancelled(error) {
+    return !!error && (error.name === 'NotAllowedError' || error.name === 'AbortError');
+  }
+
+  async function apiRequest(path, options) {
+    options = options || {};
+    var headers = { 'Content-Type': 'application/json' };
+    if (options.signedIn) headers.Authorization = 'Bearer ' + root.Auth.getToken();
+    var response = await root.fetch('/api' + path, {
+      method: options.method || 'POST',
+      headers: headers,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    var body = await response.json().catch(function() { return {}; });
+    if (!response.ok) {
+      var error = new Error((body && body.detail) || 'Passkey request failed (' + response.status + ').');
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+
+  async function list() {
+    return apiRequest('/auth/passkeys', { method: 'GET', signedIn: true });
+  }
+
+  async function register(name) {
+    var started = await apiRequest('/auth/passkeys/register/options', { signedIn: true });
+    var credential = await root.navigator.credentials.create({ publicKey: creationOptions(started.options) });
+    return apiRequest('/auth/passkeys', {
+      signedIn: true,
+      body: { ticket: started.ticket, credential: credentialJSON(credential), name: name }
+    });
+  }
+
+  async function remove(passkeyId) {
+    return apiRequest('/auth/passkeys/' + encodeURIComponent(passkeyId), { method: 'DELETE', signedIn: true });
+  }
+
+  // Resolves to the same session body as POST /auth/login.
+  async function signIn() {
+    var started = await apiRequest('/auth/passkeys/login/options');
+    var credential = await root.navigator.credentials.get({ publicKey: requestOptions(started.options) });
+    return apiRequest('/auth/passkeys/login', {
+      body: { ticket: started.ticket, credential: credentialJSON(credential) }
+    });
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    listMarkup: listMarkup,
+    toBuffer: toBuffer,
+    toBase64url: toBase64url,
+    isSupported: isSupported,
+    isCancelled: isCancelled,
+    creationOptions: creationOptions,
+    requestOptions: requestOptions,
+    credentialJSON: credentialJSON,
+    list: list,
+    register: register,
+    remove: remove,
+    signIn: signIn
+  };
+});
@@ -1,8 +1,10 @@
 /* ============================================
    Post-Production Module
    Handles post-production queue display,
-   asset scanning, file key editing, and
-   AI art direction generation.
+   asset scanning, Drive sync status,
+   file key editing, transcription jobs,
+   AI art direction generation,
+   transcript corrections, and AI show notes.
    ============================================ */
 
 const PostProd = {
@@ -13,6 +15,16 @@ const PostProd = {
   _artDirectionLoading: {},
   _imageFileIds: {},
   _imageLoading: {},
+  _transcripts: {},
+  _transcriptLoading: {},
+  _showNotes: {},
+  _showNotesLoading: {},
+  _jobs: null,
+  _jobsOpen: false,
+  _jobsTimer: null,
+  _sync: null,
+  _syncTimer: null,
+  _syncReloadPending: false,
 
   _headers() {
     return {
@@ -33,6 +45,7 @@ const PostProd = {
         if (r.imageFileId) this._imageFileIds[r.slotId] = r.imageFileId;
       });
       this.renderTable();
+      this.loadJobs();
     } catch (err) {
       Toast.error('Failed to load queue: ' + err.message);
     }
@@ -64,6 +77,47 @@ const PostProd = {
     }
   },
 
+  // --- Drive sync ---
+
+  // The backend polls Drive's change feed; reload the queue whenever that changed an inventory.
+  watchSync() {
+    clearInterval(this._syncTimer);
+    this._syncTimer = setInterval(() => this.loadSyncStatus(), 30000);
+    this.loadSyncStatus();
+  },
+
+  async loadSyncStatus() {
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/sync-status', {
+        headers: this._headers()
+      });
+      if (!resp.ok) throw new Error('API error: ' + resp.status);
+      const status = await resp.json();
+      if (DriveSync.shouldReload(this._sync, status)) this._syncReloadPending = true;
+      this._sync = status;
+      // Re-rendering would drop the caret from a field being typed in, so wait for the next poll.
+      if (this._syncReloadPending && !this._typingInQueue()) {
+        this._syncReloadPending = false;
+        await this.loadQueue();
+      }
+    } catch (_) {
+      // The indicator keeps counting from the last status it had.
+    }
+    this.renderSyncStatus();
+  },
+
+  _typingInQueue() {
+    const el = document.activeElement;
+    return !!el && /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)
+      && document.getElementById('queueBody').contains(el);
+  },
+
+  renderSyncStatus() {
+    document.getElementById('syncStatus').innerHTML = this._sync
+      ? DriveSync.indicatorHtml(this._sync, Date.now())
+      : '';
+  },
+
   async _updateKey(slotId, newKey) {
     const keyResp = await fetch(this._apiBase + '/postproduction/' + slotId + '/key', {
       method: 'PUT',
@@ -148,7 +202,8 @@ const PostProd = {
 
     if (step === 'transcribe' || step === 'retranscribe') {
       if (job && job.status === 'pending') {
-        return '<span class="pp-job-pending">Queued\u2026</span>';
+        var queued = job.attempt > 1 ? 'Retrying (attempt ' + job.attempt + ')\u2026' : 'Queued\u2026';
+        return '<span class="pp-job-pending" title="' + escHtml(job.error || '') + '">' + escHtml(queued) + '</span>';
       }
       if (job && job.status === 'in_progress') {
         return '<span class="pp-job-inprogress">'
@@ -166,6 +221,8 @@ const PostProd = {
         extra = '<div class="pp-job-error" title="' + escHtml(job.error || '') + '">'
           + escHtml(job.error ? job.error.substring(0, 60) + (job.error.length > 60 ? '\u2026' : '') : 'Failed') + '</div>';
         label = 'Retry transcription';
+      } else if (job && job.status === 'cancelled') {
+        extra = '<div class="pp-job-pending">Cancelled</div>';
       }
       return '<button class="btn btn-link btn-sm pp-transcribe-btn" onclick="PostProd.requestTranscription(\'' + escHtml(row.slotId) + '\')">'
         + escHtml(label) + '</button>' + extra;
@@ -184,16 +241,71 @@ const PostProd = {
         const err = await resp.json().catch(() => ({}));
         throw new Error(err.detail || ('API error: ' + resp.status));
       }
-      const updated = await resp.json();
-      const idx = this._queue.findIndex(r => r.slotId === slotId);
-      if (idx !== -1) this._queue[idx] = updated;
-      this.renderTable();
+      this._replaceRow(await resp.json());
       Toast.success('Transcription queued \u2014 watcher will pick it up within 30s.');
     } catch (err) {
       Toast.error('Failed to queue transcription: ' + err.message);
     }
   },
 
+  async cancelTranscription(slotId) {
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/' + slotId + '/transcribe/cancel', {
+        method: 'POST',
+        headers: this._headers()
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.detail || ('API error: ' + resp.status));
+      }
+      this._replaceRow(await resp.json());
+      Toast.success('Transcription cancelled.');
+    } catch (err) {
+      Toast.error('Failed to cancel transcription: ' + err.message);
+    }
+  },
+
+  _replaceRow(updated) {
+    const idx = this._queue.findIndex(r => r.slotId === updated.slotId);
+    if (idx !== -1) this._queue[idx] = updated;
+    this.renderTable();
+    this.loadJobs();
+  },
+
+  // --- Transcription jobs ---
+
+  // Also run on every queue load, so the stale-watcher alert shows with the panel closed.
+  async loadJobs() {
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/transcription-queue', {
+        headers: this._headers()
+      });
+      if (!resp.ok) throw new Error('API error: ' + resp.status);
+      this._jobs = await resp.json();
+      this.renderJobs();
+    } catch (err) {
+      if (this._jobsOpen) Toast.error('Failed to load transcription jobs: ' + err.message);
+    }
+  },
+
+  toggleJobs() {
+    this._jobsOpen = !this._jobsOpen;
+    clearInterval(this._jobsTimer);
+    this._jobsTimer = this._jobsOpen ? setInterval(() => this.loadJobs(), 15000) : null;
+    document.getElementById('jobsBtn').textContent = this._jobsOpen ? 'Hide Jobs' : 'Transcription Jobs';
+    this.renderJobs();
+    if (this._jobsOpen) this.loadJobs();
+  },
+
+  renderJobs() {
+    document.getElementById('jobsAlert').innerHTML = TranscriptionJobs.alertHtml(this._jobs);
+    const panel = document.getElementById('jobsPanel');
+    panel.classList.toggle('hidden', !this._jobsOpen);
+    panel.innerHTML = this._jobsOpen && this._jobs
+      ? TranscriptionJobs.render(this._jobs, Auth.can('postproduction.edit'), Date.now())
+      : '';
+  },
+
   // --- Art direction ---
 
   async generateArtDirection(slotId) {
@@ -528,6 +640,210 @@ const PostProd = {
       + '</tr>';
   },
 
+  // --- Transcript ---
+
+  async openTranscript(slotId) {
+    this._transcriptLoading[slotId] = true;
+    this.renderTable();
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/' + slotId + '/transcript', {
+        headers: this._headers()
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.detail || ('API error: ' + resp.status));
+      }
+      this._transcripts[slotId] = await resp.json();
+    } catch (err) {
+      Toast.error('Failed to load transcript: ' + err.message);
+    } finally {
+      this._transcriptLoading[slotId] = false;
+      this.renderTable();
+    }
+  },
+
+  editTranscript(slotId, change) {
+    const transcript = this._transcripts[slotId];
+    if (!transcript) return;
+    TranscriptEditor.applyEdit(transcript, change);
+    if (change.paragraph != null) return;
+    // Keep the paragraph speaker pickers in step with the rename
+    const panel = document.getElementById('pp-transcript-' + slotId);
+    if (!panel) return;
+    panel.querySelectorAll('option').forEach(function(option) {
+      if (option.value === change.speaker) option.textContent = change.name;
+    });
+  },
+
+  async saveTranscript(slotId) {
+    const transcript = this._transcripts[slotId];
+    if (!transcript) return;
+    const problems = TranscriptEditor.problems(transcript);
+    if (problems.length) { Toast.error(problems[0]); return; }
+
+    const btn = document.getElementById('pp-transcript-save-' + slotId);
+    if (btn) { btn.disabled = true; btn.textContent = 'Saving...'; }
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/' + slotId + '/transcript', {
+        method: 'PUT',
+        headers: this._headers(),
+        body: JSON.stringify(TranscriptEditor.payload(transcript))
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(function() { return {}; });
+        throw new Error(err.detail || ('API error: ' + resp.status));
+      }
+      const saved = await resp.json();
+      this._transcripts[slotId] = saved;
+      const row = this._queue.find(r => r.slotId === slotId);
+      if (row) row.transcriptCorrectedAt = saved.savedAt;
+      this.renderTable();
+      Toast.success('Transcript corrections saved.');
+    } catch (err) {
+      Toast.error('Save failed: ' + err.message);
+      if (btn) { btn.disabled = false; btn.textContent = 'Save Corrections'; }
+    }
+  },
+
+  async discardTranscript(slotId) {
+    if (!confirm('Discard the saved corrections and go back to the WhisperX transcript?')) return;
+    try {
+      const resp = await fetch(this._apiBase + '/postproduction/' + slotId + '/transcript', {
+        method: 'DELETE',
+        headers: this._headers()
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.detail || ('API error: ' + resp.status));
+      }
+      const updated = await resp.json();
+      const idx = this._queue.findIndex(r => r.slotId === slotId);
+      if (idx !== -1) this._queue[idx] = updated;
+      delete this._transcripts[slotId];
+      Toast.success('Corrections discarded.');
+    } catch (err) {
+      Toast.error('Discard failed: ' + err.message);
+      return;
+    }
+    await this.openTranscript(slotId);
+  },
+
+  closeTranscript(slotId) {
+    const transcript = this._transcripts[slotId];
+    if (transcript && transcript.dirty && !confirm('Close the transcript without saving your corrections?')) return;
+    delete this._transcripts[slotId];
+    this.renderTable();
+  },
+
+  // --- Show notes ---
+
+  async generateShowNotes(slotId) {
+    this._showNotesLoading[slotId] = true;
+    this.renderTable();
+    try {
+      const resp = await fetch(this._apiBase + '/ai/show-notes', {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify({ slotId: slotId })
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.error || ('API error: ' + resp.status));
+      }
+      this._showNotes[slotId] = await resp.json();
+      Toast.success('Show notes drafted.');
+    } catch (err) {
+      Toast.error('Show notes failed: ' + err.message);
+    } finally {
+      this._showNotesLoading[slotId] = false;
+      this.renderTable();
+    }
+  },
+
+  _showNotesIdea(slotId) {
+    const proposal = this._showNotes[slotId];
+    return proposal ? Storage.getIdeas().find(idea => idea.id === proposal.ideaId) || null : null;
+  },
+
+  // part: 'summary', 'all', or keyMoments / quotes / mentions with the item's index.
+  async acceptShowNotes(slotId, part, index) {
+    const idea = this._showNotesIdea(slotId);
+    if (!idea) return;
+    const patch = ShowNotes.acceptPatch(idea, this._showNotes[slotId], part, index);
+    if (await Storage.updateIdea(idea.id, patch)) this.renderTable();
+  },
+
+  async removeShowNote(slotId, part, index) {
+    const idea = this._showNotesIdea(slotId);
+    if (!idea) return;
+    if (await Storage.updateIdea(idea.id, ShowNotes.removePatch(idea, part, index))) this.renderTable();
+  },
+
+  dismissShowNotes(slotId) {
+    delete this._showNotes[slotId];
+    this.renderTable();
+  },
+
+  _showNotesRowHtml(slotId) {
+    const proposal = this._showNotes[slotId];
+    if (!proposal) return '';
+    return '<tr class="pp-art-row">'
+      + '<td colspan="13" class="pp-art-cell">'
+      + ShowNotes.render(proposal, this._showNotesIdea(slotId), slotId, Auth.can('planning.edit'))
+      + '</td>'
+      + '</tr>';
+  },
+
+  _showNotesButtonHtml(row) {
+    const inv = row.assetInventory;
+    const hasJson = inv && inv.transcript_json && inv.transcript_json.present && inv.transcript_json.drive_file_id;
+    if (this._showNotes[row.slotId] || !row.ideaId || !(hasJson || row.transcriptCorrectedAt)) return '';
+    if (!Auth.can('postproduction.edit')) return '';
+    if (this._showNotesLoading[row.slotId]) {
+      return '<span class="pp-art-loading">Drafting show notes...</span>';
+    }
+    return '<button class="btn btn-ghost btn-sm pp-art-btn" onclick="PostProd.generateShowNotes(\'' + escHtml(row.slotId) + '\')">Draft Show Notes</button>';
+  },
+
+  // Search results link to "#transcript/<slot>/<seconds>": open that
+  // transcript and scroll to the paragraph being spoken then.
+  async openFromHash() {
+    const target = SearchPalette.parseHash(location.hash);
+    if (!target || target.kind !== 'transcript') return;
+    if (!this._queue.some(r => r.slotId === target.id)) return;
+    if (!this._transcripts[target.id]) await this.openTranscript(target.id);
+    const transcript = this._transcripts[target.id];
+    const panel = document.getElementById('pp-transcript-' + target.id);
+    if (!transcript || !panel) return;
+    const index = TranscriptEditor.paragraphAt(transcript, target.seconds);
+    const paragraph = panel.querySelectorAll('.pp-transcript-paragraph')[index];
+    if (!paragraph) return;
+    paragraph.scrollIntoView({ block: 'center' });
+    paragraph.classList.add('search-target');
+    setTimeout(() => paragraph.classList.remove('search-target'), 2000);
+  },
+
+  _transcriptRowHtml(slotId) {
+    const transcript = this._transcripts[slotId];
+    if (!transcript) return '';
+    return '<tr class="pp-art-row">'
+      + '<td colspan="13" class="pp-art-cell">'
+      + TranscriptEditor.render(transcript, slotId, Auth.can('postproduction.edit'))
+      + '</td>'
+      + '</tr>';
+  },
+
+  _transcriptButtonHtml(row) {
+    const inv = row.assetInventory;
+    const hasJson = inv && inv.transcript_json && inv.transcript_json.present && inv.transcript_json.drive_file_id;
+    if (this._transcripts[row.slotId] || !(hasJson || row.transcriptCorrectedAt)) return '';
+    if (this._transcriptLoading[row.slotId]) {
+      return '<span class="pp-art-loading">Loading transcript...</span>';
+    }
+    return '<button class="btn btn-ghost btn-sm pp-art-btn" onclick="PostProd.openTranscript(\'' + escHtml(row.slotId) + '\')">'
+      + (row.transcriptCorrectedAt ? 'Transcript (corrected)' : 'Open Transcript') + '</button>';
+  },
+
   // --- Table rendering ---
 
   renderTable() {
@@ -580,6 +896,8 @@ const PostProd = {
       } else if (canGenerateArt) {
         actionCell += '<button class="btn btn-ghost btn-sm pp-art-btn" onclick="PostProd.generateArtDirection(\'' + escHtml(row.slotId) + '\')">Generate Art Direction</button>';
       }
+      actionCell += this._transcriptButtonHtml(row);
+      actionCell += this._showNotesButtonHtml(row);
       actionCell += '</td>';
 
       const rowHtml = '<tr data-slot="' + escHtml(row.slotId) + '">'
@@ -601,7 +919,8 @@ const PostProd = {
         + actionCell
         + '</tr>';
 
-      return rowHtml + this._artDirectionRowHtml(row.slotId);
+      return rowHtml + this._artDirectionRowHtml(row.slotId) + this._transcriptRowHtml(row.slotId)
+        + this._showNotesRowHtml(row.slotId);
     }).join('');
 
     // Attach key input event listeners
@@ -0,0 +1,154 @@
+/* History drawer: browse a record's audit log and revert a single change. */
+(function(root, factory) {
+  var api = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.RecordHistory = api;
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  var KIND_LABELS = {
+    config: 'Settings',
+    ideas: 'Idea',
+    jokes: 'Joke',
+    songs: 'Song',
+    guests: 'Guest',
+    guestAssignments: 'Guest assignment',
+    showSlots: 'Show slot',
+    assignments: 'Schedule',
+    top3Concepts: 'Top 3 concept',
+    top3Assignments: 'Top 3 concept',
+    top3Submissions: 'Top 3 submission',
+    top3Reveals: 'Top 3 reveal'
+  };
+  var VALUE_LIMIT = 120;
+
+  var current = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    var text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > VALUE_LIMIT ? text.slice(0, VALUE_LIMIT - 1) + '…' : text;
+  }
+
+  function formatTime(value) {
+    var date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+  }
+
+  function changesMarkup(entry) {
+    if (entry.changes === null || entry.changes === undefined) {
+      return '<p class="text-sm text-muted">Details are private and were not recorded.</p>';
+    }
+    if (entry.before === null && entry.after !== null) {
+      return '<p class="text-sm text-muted">Created.</p>';
+    }
+    if (entry.after === null && entry.before !== null) {
+      return '<p class="text-sm text-muted">Removed.</p>';
+    }
+    var fields = Object.keys(entry.changes);
+    return '<ul class="history-changes">' + fields.map(function(field) {
+      var change = entry.changes[field];
+      return '<li><strong>' + escapeHtml(field) + '</strong>: <del>' + escapeHtml(formatValue(change.from))
+        + '</del> → <ins>' + escapeHtml(formatValue(change.to)) + '</ins></li>';
+    }).join('') + '</ul>';
+  }
+
+  function entryMarkup(entry, kind) {
+    var subject = entry.kind !== kind ? '<span class="badge badge-draft">' + escapeHtml(KIND_LABELS[entry.kind] || entry.kind) + '</span>' : '';
+    var revert = entry.revertible
+      ? '<button type="button" class="btn btn-ghost btn-sm" data-requires="history.revert" data-history-action="revert" data-entry-id="' + escapeHtml(entry.id)
+        + '">Revert to before this</button>'
+      : '';
+    return '<li class="history-entry">'
+      + '<div class="history-entry-heading"><strong>' + escapeHtml(entry.action) + '</strong>' + subject + '</div>'
+      + '<div class="text-xs text-muted">' + escapeHtml(entry.actor) + ' · ' + escapeHtml(formatTime(entry.occurredAt))
+      + ' · revision ' + escapeHtml(entry.revision) + '</div>'
+      + changesMarkup(entry) + revert + '</li>';
+  }
+
+  function entriesMarkup(entries, kind) {
+    if (!entries.length) return '<p class="text-sm text-muted">No recorded changes yet.</p>';
+    return '<ol class="history-entries">' + entries.map(function(entry) {
+      return entryMarkup(entry, kind);
+    }).join('') + '</ol>';
+  }
+
+  function drawer() {
+    var element = root.document.getElementById('record-history');
+    if (element) return element;
+    element = root.document.createElement('aside');
+    element.id = 'record-history';
+    element.className = 'history-drawer hidden';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-labelledby', 'record-history-title');
+    element.addEventListener('click', function(event) {
+      var button = event.target.closest('[data-history-action]');
+      if (!button) return;
+      if (button.dataset.historyAction === 'close') close();
+      else if (button.dataset.historyAction === 'revert') revert(Number(button.dataset.entryId), button);
+    });
+    root.document.body.appendChild(element);
+    return element;
+  }
+
+  function render(body) {
+    var element = drawer();
+    element.innerHTML = '<div class="history-drawer-heading"><h2 id="record-history-title">History: '
+      + escapeHtml(current.title) + '</h2>'
+      + '<button type="button" class="btn btn-ghost btn-sm" data-history-action="close" aria-label="Close history">Close</button></div>'
+      + '<div class="history-drawer-body" aria-live="polite">' + body + '</div>';
+  }
+
+  async function load() {
+    var opened = current;
+    render('<p class="text-sm text-muted">Loading history…</p>');
+    try {
+      var entries = await root.Storage.getHistory(opened.kind, opened.id);
+      if (current === opened) render(entriesMarkup(entries, opened.kind));
+    } catch (err) {
+      if (current === opened) render('<p class="text-sm text-muted">History could not be loaded: ' + escapeHtml(err.message) + '</p>');
+    }
+  }
+
+  async function revert(entryId, button) {
+    if (!root.confirm('Put this record back the way it was before this change? Later changes to the same fields are replaced.')) return;
+    button.disabled = true;
+    if (await root.Storage.revertChange(entryId)) {
+      if (typeof root.Toast !== 'undefined') root.Toast.success('Change reverted.');
+      await load();
+    } else {
+      button.disabled = false;
+    }
+  }
+
+  function open(kind, recordId, title) {
+    current = { kind: kind, id: recordId, title: title || KIND_LABELS[kind] || kind };
+    drawer().className = 'history-drawer';
+    load();
+  }
+
+  function close() {
+    current = null;
+    var element = root.document.getElementById('record-history');
+    if (element) element.className = 'history-drawer hidden';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatValue: formatValue,
+    entryMarkup: entryMarkup,
+    entriesMarkup: entriesMarkup,
+    open: open,
+    close: close
+  };
+});
@@ -0,0 +1,302 @@
+/* Recording-day run sheet: a running clock over the outline, saved back to the idea as runSheet. */
+(function(root, factory) {
+  var api = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.RunSheet = api;
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  // The run sheet on screen: { idea, state, timer }.
+  var current = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // 75 -> "1:15", 3725 -> "1:02:05".
+  function formatClock(seconds) {
+    seconds = Math.max(0, Math.floor(seconds));
+    var hours = Math.floor(seconds / 3600);
+    var minutes = Math.floor((seconds % 3600) / 60);
+    var rest = String(seconds % 60).padStart(2, '0');
+    return hours ? hours + ':' + String(minutes).padStart(2, '0') + ':' + rest : minutes + ':' + rest;
+  }
+
+  /**
+   * A fresh run sheet for an idea's outline. Targets come from the configured
+   * show sections' targetMinutes; a section without one just counts up.
+   */
+  function create(outline, configuredSegments) {
+    var targets = {};
+    (configuredSegments || []).forEach(function(segment) {
+      if (segment.targetMinutes) targets[segment.id] = segment.targetMinutes * 60;
+    });
+    return {
+      startedAt: null,
+      finishedAt: null,
+      segmentStartedAt: null,
+      active: -1,
+      segments: (outline || []).map(function(section) {
+        return {
+          segmentId: section.segmentId,
+          segmentName: section.segmentName || '',
+          talkingPoints: section.talkingPoints || [],
+          targetSeconds: targets[section.segmentId] || null,
+          startSeconds: null,
+          elapsedSeconds: 0,
+          coveredPoints: []
+        };
+      })
+    };
+  }
+
+  function seconds(from, to) {
+    return Math.round((to - from) / 1000);
+  }
+
+  function closeActive(state, now) {
+    var segment = state.segments[state.active];
+    if (segment) segment.elapsedSeconds = seconds(state.segmentStartedAt, now);
+  }
+
+  function startSegment(state, index, now) {
+    state.active = index;
+    state.segmentStartedAt = now;
+    state.segments[index].startSeconds = seconds(state.startedAt, now);
+  }
+
+  // Start the clock on the first section. Times are epoch milliseconds.
+  function start(state, now) {
+    if (state.startedAt != null || !state.segments.length) return state;
+    state.startedAt = now;
+    startSegment(state, 0, now);
+    return state;
+  }
+
+  // Close the running section and move to the next, or finish after the last.
+  function advance(state, now) {
+    if (state.startedAt == null || state.finishedAt != null) return state;
+    closeActive(state, now);
+    if (state.active + 1 < state.segments.length) startSegment(state, state.active + 1, now);
+    else finish(state, now);
+    return state;
+  }
+
+  function finish(state, now) {
+    if (state.startedAt == null || state.finishedAt != null) return state;
+    closeActive(state, now);
+    state.finishedAt = now;
+    state.active = -1;
+    return state;
+  }
+
+  function togglePoint(state, segmentIndex, pointIndex) {
+    var covered = state.segments[segmentIndex].coveredPoints;
+    var at = covered.indexOf(pointIndex);
+    if (at === -1) covered.push(pointIndex);
+    else covered.splice(at, 1);
+    covered.sort(function(a, b) { return a - b; });
+    return state;
+  }
+
+  /** Elapsed and overrun seconds of one section; the running one counts to now. */
+  function segmentClock(state, index, now) {
+    var segment = state.segments[index];
+    var elapsed = index === state.active ? seconds(state.segmentStartedAt, now) : segment.elapsedSeconds;
+    return {
+      elapsed: elapsed,
+      target: segment.targetSeconds,
+      over: segment.targetSeconds ? Math.max(0, elapsed - segment.targetSeconds) : 0
+    };
+  }
+
+  /** The runSheet saved on the idea: only the sections that were recorded. */
+  function result(state) {
+    return {
+      startedAt: new Date(state.startedAt).toISOString(),
+      finishedAt: new Date(state.finishedAt).toISOString(),
+      segments: state.segments.filter(function(segment) { return segment.startSeconds != null; }).map(function(segment) {
+        return {
+          segmentId: segment.segmentId,
+          segmentName: segment.segmentName,
+          targetSeconds: segment.targetSeconds,
+          startSeconds: segment.startSeconds,
+          elapsedSeconds: segment.elapsedSeconds,
+          coveredPoints: segment.coveredPoints.slice()
+        };
+      })
+    };
+  }
+
+  function clockMarkup(clock) {
+    var text = formatClock(clock.elapsed) + (clock.target ? ' / ' + formatClock(clock.target) : '');
+    if (clock.over) text += ' · +' + formatClock(clock.over) + ' over';
+    return text;
+  }
+
+  function render(state, now) {
+    var total = state.startedAt == null ? 0 : seconds(state.startedAt, state.finishedAt == null ? now : state.finishedAt);
+    var html = '<div class="run-sheet-header">'
+      + '<div class="run-sheet-total" data-run-sheet-total>' + formatClock(total) + '</div>'
+      + '<div class="run-sheet-actions">';
+    if (state.startedAt == null) {
+      html += '<button type="button" class="btn btn-primary" data-run-sheet="start">Start Recording</button>';
+    } else if (state.finishedAt == null) {
+      html += '<button type="button" class="btn btn-primary" data-run-sheet="next">'
+        + (state.active + 1 < state.segments.length ? 'Next Segment' : 'Finish') + '</button>'
+        + '<button type="button" class="btn btn-secondary" data-run-sheet="finish">End Recording</button>';
+    } else {
+      html += '<button type="button" class="btn btn-primary" data-run-sheet="save">Save Timings</button>';
+    }
+    html += '<button type="button" class="btn btn-ghost" data-run-sheet="close">Close</button></div></div>';
+
+    html += state.segments.map(function(segment, index) {
+      var clock = segmentClock(state, index, now);
+      var status = index === state.active ? ' active' : (segment.startSeconds != null ? ' done' : '');
+      return '<section class="run-sheet-segment' + status + (clock.over ? ' over' : '') + '" data-run-sheet-segment="' + index + '">'
+        + '<div class="run-sheet-segment-heading"><h3>' + escapeHtml(segment.segmentName) + '</h3>'
+        + '<span class="run-sheet-clock" data-run-sheet-clock="' + index + '">' + clockMarkup(clock) + '</span></div>'
+        + '<ul>' + segment.talkingPoints.map(function(point, pointIndex) {
+          var covered = segment.coveredPoints.indexOf(pointIndex) !== -1;
+          return '<li><label><input type="checkbox" data-run-sheet-point="' + index + ':' + pointIndex + '"'
+            + (covered ? ' checked' : '') + '> ' + escapeHtml(point) + '</label></li>';
+        }).join('') + '</ul></section>';
+    }).join('');
+    return html;
+  }
+
+  function overlay() {
+    var element = root.document.getElementById('run-sheet');
+    if (element) return element;
+    element = root.document.createElement('div');
+    element.id = 'run-sheet';
+    element.className = 'run-sheet-overlay hidden';
+    element.addEventListener('click', function(event) {
+      var button = event.target.closest('[data-run-sheet]');
+      if (button) act(button.dataset.runSheet, button);
+    });
+    element.addEventListener('change', function(event) {
+      var point = event.target.dataset.runSheetPoint;
+      if (!point || !current) return;
+      var parts = point.split(':').map(Number);
+      togglePoint(current.state, parts[0], parts[1]);
+    });
+    root.document.body.appendChild(element);
+    return element;
+  }
+
+  function draw() {
+    overlay().innerHTML = '<div class="run-sheet-container" role="dialog" aria-label="Run sheet">'
+      + '<h2>' + escapeHtml(current.title) + '</h2>' + render(current.state, Date.now()) + '</div>';
+  }
+
+  // Once a second, refresh the clocks without redrawing the checkboxes.
+  function tick() {
+    if (!current) return;
+    var now = Date.now();
+    var state = current.state;
+    var total = overlay().querySelector('[data-run-sheet-total]');
+    if (total && state.startedAt != null) total.textContent = formatClock(seconds(state.startedAt, now));
+    if (state.active === -1) return;
+    var clock = segmentClock(state, state.active, now);
+    var label = overlay().querySelector('[data-run-sheet-clock="' + state.active + '"]');
+    if (label) label.textContent = clockMarkup(clock);
+    var section = overlay().querySelector('[data-run-sheet-segment="' + state.active + '"]');
+    if (section) section.classList.toggle('over', clock.over > 0);
+  }
+
+  async function act(action, button) {
+    if (!current) return;
+    var state = current.state;
+    if (action === 'start') start(state, Date.now());
+    else if (action === 'next') advance(state, Date.now());
+    else if (action === 'finish') finish(state, Date.now());
+    else if (action === 'close') { close(); return; }
+    else if (action === 'save') { await save(button); return; }
+    if (state.finishedAt != null) stopTimer();
+    draw();
+  }
+
+  async function save(button) {
+    var opened = current;
+    button.disabled = true;
+    if (await root.Storage.updateIdea(opened.idea.id, { runSheet: result(opened.state) })) {
+      if (typeof root.Toast !== 'undefined') root.Toast.success('Segment timings saved.');
+      opened.saved = true;
+      close();
+      if (opened.onSaved) opened.onSaved();
+    } else {
+      button.disabled = false;
+    }
+  }
+
+  function stopTimer() {
+    if (current && current.timer) root.clearInterval(current.timer);
+    if (current) current.timer = null;
+  }
+
+  // options: title, configuredSegments, onSaved().
+  function open(idea, options) {
+    options = options || {};
+    if (!idea.outline || !idea.outline.length) {
+      if (typeof root.Toast !== 'undefined') root.Toast.error('This idea has no outline to run.');
+      return;
+    }
+    if (idea.runSheet && !root.confirm('This episode already has saved segment timings. Start a new run sheet and replace them when you save?')) return;
+    close(true);
+    current = {
+      idea: idea,
+      title: options.title || idea.selectedTitle || 'Run Sheet',
+      onSaved: options.onSaved,
+      saved: false,
+      state: create(idea.outline, options.configuredSegments),
+      timer: root.setInterval(tick, 1000)
+    };
+    draw();
+    overlay().className = 'run-sheet-overlay';
+  }
+
+  function close(force) {
+    if (!current) return;
+    var state = current.state;
+    if (!force && !current.saved && state.startedAt != null
+        && !root.confirm('Close the run sheet without saving these timings?')) return;
+    stopTimer();
+    current = null;
+    overlay().className = 'run-sheet-overlay hidden';
+  }
+
+  /** Recorded timings for the show display: each section's actual against its target. */
+  function summaryMarkup(runSheet) {
+    if (!runSheet || !runSheet.segments || !runSheet.segments.length) return '';
+    return '<div class="show-display-section run-sheet-summary"><h2>Recorded Segment Timings</h2><table><tbody>'
+      + runSheet.segments.map(function(segment) {
+        var over = segment.targetSeconds ? segment.elapsedSeconds - segment.targetSeconds : 0;
+        return '<tr><td>' + formatClock(segment.startSeconds) + '</td><td>' + escapeHtml(segment.segmentName) + '</td>'
+          + '<td>' + formatClock(segment.elapsedSeconds) + (segment.targetSeconds ? ' / ' + formatClock(segment.targetSeconds) : '') + '</td>'
+          + '<td>' + (over > 0 ? '<span class="run-sheet-over">+' + formatClock(over) + '</span>' : '') + '</td></tr>';
+      }).join('') + '</tbody></table></div>';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatClock: formatClock,
+    create: create,
+    start: start,
+    advance: advance,
+    finish: finish,
+    togglePoint: togglePoint,
+    segmentClock: segmentClock,
+    result: result,
+    render: render,
+    summaryMarkup: summaryMarkup,
+    open: open,
+    close: close
+  };
+});
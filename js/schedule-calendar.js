@@ -0,0 +1,92 @@
+/* Schedule board calendar: the markup for one day's recording and release slots. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ScheduleCalendar = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // Regular episodes keep the plain look; other types get a colored edge,
+  // and patron-only ones a lock, so the board shows what listeners will see.
+  function episodeTypeClass(slot, engine) {
+    var type = engine.getEpisodeType(slot);
+    return type === engine.DEFAULT_EPISODE_TYPE ? '' : ' episode-type-' + type;
+  }
+
+  function ideaTitle(ideas, ideaId) {
+    var idea = ideas.find(function(i) { return i.id === ideaId; });
+    return escapeHtml(idea ? (idea.selectedTitle || (idea.titles && idea.titles[0]) || 'Untitled') : 'Untitled');
+  }
+
+  // `day` is { dayNum, dateStr, isOtherMonth, isTuesday, today }; `schedule`
+  // is { slots, assignments, ideas, engine }, read once per calendar render.
+  function renderDay(day, schedule) {
+    var engine = schedule.engine;
+    var assignments = schedule.assignments;
+    var ideas = schedule.ideas;
+    var classes = 'calendar-day';
+    if (day.isOtherMonth) classes += ' other-month';
+    if (day.dateStr === day.today) classes += ' today';
+    var recordSlots = schedule.slots.filter(function(s) { return s.recordDate === day.dateStr; });
+    var publishSlots = schedule.slots.filter(function(s) { return engine.getEffectiveReleaseDate(s) === day.dateStr; });
+    // Specials placed with the slot tools can fall on any day.
+    if (!day.isTuesday && !recordSlots.length && !publishSlots.length) {
+      return '<div class="' + classes + '"><span class="day-number">' + day.dayNum + '</span></div>';
+    }
+    classes += ' tuesday';
+    var scheduleBreak = recordSlots.length ? null : engine.getScheduleBreak(day.dateStr);
+    var recordHtml = recordSlots.map(function(recordSlot) {
+      var typeClass = episodeTypeClass(recordSlot, engine);
+      var assignedIdeaId = assignments[recordSlot.id];
+      if (assignedIdeaId) {
+        return '<div class="tuesday-drop has-show' + typeClass + '" data-slot-id="' + recordSlot.id + '" ondragover="onDragOver(event)" ondragleave="onDragLeave(event)" ondrop="onDrop(event, \'' + recordSlot.id + '\')">'
+          + '<div class="show-info"><span class="ep-num">' + recordSlot.episodeNumber + '</span><span class="show-title">' + ideaTitle(ideas, assignedIdeaId) + '</span>'
+          + '<a href="#show/' + recordSlot.id + '" class="cal-display-link" onclick="event.stopPropagation(); openShowDisplay(\'' + recordSlot.id + '\'); return false;" title="View show">⛶</a>'
+          + '<button class="unassign-btn" data-requires="schedule.edit" onclick="event.stopPropagation(); unassignShow(\'' + recordSlot.id + '\')" title="Remove">✕</button></div></div>';
+      }
+      return '<div class="tuesday-drop' + typeClass + '" data-slot-id="' + recordSlot.id + '" ondragover="onDragOver(event)" ondragleave="onDragLeave(event)" ondrop="onDrop(event, \'' + recordSlot.id + '\')">'
+        + '<span class="empty-placeholder">' + recordSlot.episodeNumber + ' — drop idea</span></div>';
+    }).join('');
+    // A bonus week records extra regular episodes in one session.
+    var sessionEpisodes = recordSlots.filter(function(s) { return !episodeTypeClass(s, engine); });
+    if (sessionEpisodes.length > 1) recordHtml = '<span class="launch-badge">Bonus</span>' + recordHtml;
+    var publishHtml = '';
+    if (publishSlots.length > 0) {
+      var isRollout = publishSlots.some(function(s) { return s.isRollout; });
+      publishHtml = publishSlots.map(function(ps) {
+        var aid = assignments[ps.id];
+        if (aid) {
+          return '<div class="tuesday-drop has-show' + episodeTypeClass(ps, engine) + '" style="border-left: 2px solid var(--status-scheduled);">'
+            + '<div class="show-info"><span class="ep-num">' + ps.episodeNumber + '</span><span class="show-title">' + ideaTitle(ideas, aid) + '</span></div></div>';
+        }
+        return '<div class="tuesday-drop' + episodeTypeClass(ps, engine) + '" style="border-left: 2px solid var(--status-scheduled); opacity: 0.5;"><span class="empty-placeholder">' + ps.episodeNumber + '</span></div>';
+      }).join('');
+      if (isRollout && publishSlots.length > 1) {
+        publishHtml = '<span class="launch-badge">Rollout</span>' + publishHtml;
+      } else if (isRollout) {
+        publishHtml = '<span class="launch-badge" style="background: rgba(100,200,255,0.15); color: var(--ice);">Rollout</span>' + publishHtml;
+      }
+    }
+    return '<div class="' + classes + '"><span class="day-number">' + day.dayNum + '</span><div class="tuesday-sections">'
+      + (recordSlots.length > 0 ? '<div><div class="tuesday-section-label record">Record</div>' + recordHtml + '</div>' : '')
+      + (scheduleBreak ? '<div class="schedule-break ' + scheduleBreak.kind + '">' + escapeHtml(scheduleBreak.label) + '</div>' : '')
+      + (publishSlots.length > 0 ? '<div><div class="tuesday-section-label publish">Publish</div>' + publishHtml + '</div>' : '')
+      + '</div></div>';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    episodeTypeClass: episodeTypeClass,
+    renderDay: renderDay
+  };
+});
@@ -0,0 +1,243 @@
+/* Ctrl+K command palette: search the whole archive and jump to a record or transcript timestamp. */
+(function(root, factory) {
+  var api = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.SearchPalette = api;
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  var KIND_LABELS = {
+    idea: 'Idea',
+    outline: 'Outline',
+    transcript: 'Transcript',
+    joke: 'Joke',
+    song: 'Song',
+    guest: 'Guest',
+    top3: 'Top 3'
+  };
+  var MIN_QUERY_LENGTH = 2;
+  var DEBOUNCE_MS = 200;
+
+  var state = { results: [], active: 0, query: '', timer: null, sequence: 0 };
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /** Ctrl+K, or Cmd+K on a Mac. */
+  function isShortcut(event) {
+    return !!(event.ctrlKey || event.metaKey) && !event.altKey && String(event.key).toLowerCase() === 'k';
+  }
+
+  // Escaped text with each case-insensitive match of the query wrapped in <mark>.
+  function highlight(text, query) {
+    text = String(text == null ? '' : text);
+    var needle = String(query || '').toLowerCase();
+    if (!needle) return escapeHtml(text);
+    var lower = text.toLowerCase();
+    var html = '';
+    var from = 0;
+    var at = lower.indexOf(needle);
+    while (at !== -1) {
+      html += escapeHtml(text.slice(from, at)) + '<mark>' + escapeHtml(text.slice(at, at + needle.length)) + '</mark>';
+      from = at + needle.length;
+      at = lower.indexOf(needle, from);
+    }
+    return html + escapeHtml(text.slice(from));
+  }
+
+  function resultsMarkup(body, active) {
+    if (!body.results.length) return '<p class="search-palette-empty">Nothing matches “' + escapeHtml(body.query) + '”.</p>';
+    var html = '<ul class="search-palette-results" role="listbox">' + body.results.map(function(result, index) {
+      return '<li role="option" class="search-palette-result' + (index === active ? ' active' : '') + '"'
+        + ' aria-selected="' + (index === active ? 'true' : 'false') + '" data-search-index="' + index + '">'
+        + '<div class="search-palette-heading"><span class="badge badge-draft">' + escapeHtml(KIND_LABELS[result.kind] || result.kind) + '</span>'
+        + '<strong>' + highlight(result.title, body.query) + '</strong>'
+        + (result.detail ? '<span class="text-xs text-muted">' + escapeHtml(result.detail) + '</span>' : '') + '</div>'
+        + '<div class="search-palette-snippet">' + highlight(result.snippet, body.query) + '</div></li>';
+    }).join('') + '</ul>';
+    if (body.truncated && body.truncated.length) {
+      html += '<p class="search-palette-empty">More ' + body.truncated.map(function(kind) {
+        return escapeHtml((KIND_LABELS[kind] || kind).toLowerCase());
+      }).join(', ') + ' results match. Add words to narrow them down.</p>';
+    }
+    return html;
+  }
+
+  /**
+   * What a search result link points at on this page, from location.hash:
+   * "#record/<id>", "#idea/<id>", or "#transcript/<slot>/<seconds>". Null otherwise.
+   */
+  function parseHash(hash) {
+    var parts = String(hash || '').replace(/^#/, '').split('/').map(function(part) {
+      try { return decodeURIComponent(part); } catch (err) { return part; }
+    });
+    if ((parts[0] === 'record' || parts[0] === 'idea') && parts.length === 2 && parts[1]) {
+      return { kind: parts[0], id: parts[1] };
+    }
+    if (parts[0] === 'transcript' && parts.length === 3 && parts[1]) {
+      var seconds = Number(parts[2]);
+      return { kind: 'transcript', id: parts[1], seconds: Number.isFinite(seconds) && seconds >= 0 ? seconds : 0 };
+    }
+    return null;
+  }
+
+  function palette() {
+    var element = root.document.getElementById('search-palette');
+    if (element) return element;
+    element = root.document.createElement('div');
+    element.id = 'search-palette';
+    element.className = 'modal-overlay search-palette-overlay hidden';
+    element.innerHTML = '<div class="search-palette" role="dialog" aria-modal="true" aria-label="Search everything">'
+      + '<input type="search" class="search-palette-input" placeholder="Search ideas, outlines, transcripts, jokes, songs, guests, Top 3…"'
+      + ' aria-label="Search everything" autocomplete="off">'
+      + '<div class="search-palette-body" aria-live="polite"></div>'
+      + '<p class="search-palette-hint text-xs text-muted">↑ ↓ to choose · Enter to open · Esc to close</p></div>';
+    element.addEventListener('click', function(event) {
+      if (event.target === element) { close(); return; }
+      var item = event.target.closest('[data-search-index]');
+      if (item) go(Number(item.dataset.searchIndex));
+    });
+    var input = element.querySelector('.search-palette-input');
+    input.addEventListener('input', function() { schedule(input.value); });
+    input.addEventListener('keydown', onInputKey);
+    root.document.body.appendChild(element);
+    return element;
+  }
+
+  function body(html) {
+    palette().querySelector('.search-palette-body').innerHTML = html;
+  }
+
+  function schedule(value) {
+    clearTimeout(state.timer);
+    var query = value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      state.sequence++;
+      state.results = [];
+      body('');
+      return;
+    }
+    state.timer = setTimeout(function() { run(query); }, DEBOUNCE_MS);
+  }
+
+  async function run(query) {
+    var sequence = ++state.sequence;
+    try {
+      var found = await root.Storage.search(query);
+      // A slower, older search must not replace newer results.
+      if (sequence !== state.sequence) return;
+      state.results = found.results;
+      state.active = 0;
+      state.query = found.query;
+      body(resultsMarkup(found, state.active));
+    } catch (err) {
+      if (sequence === state.sequence) body('<p class="search-palette-empty">Search failed: ' + escapeHtml(err.message) + '</p>');
+    }
+  }
+
+  function move(step) {
+    if (!state.results.length) return;
+    state.active = (state.active + step + state.results.length) % state.results.length;
+    body(resultsMarkup({ query: state.query, results: state.results }, state.active));
+    var item = palette().querySelector('[data-search-index="' + state.active + '"]');
+    if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+  }
+
+  function onInputKey(event) {
+    if (event.key === 'ArrowDown') { event.preventDefault(); move(1); }
+    else if (event.key === 'ArrowUp') { event.preventDefault(); move(-1); }
+    else if (event.key === 'Enter') { event.preventDefault(); go(state.active); }
+  }
+
+  function go(index) {
+    var result = state.results[index];
+    if (!result) return;
+    close();
+    var page = result.url.split('#')[0];
+    // On the same page only the hash changes; the hashchange handlers reveal the record.
+    if (root.location.pathname.split('/').pop() !== page) {
+      root.location.href = result.url;
+      return;
+    }
+    var hash = result.url.slice(page.length);
+    // Choosing the record already linked does not change the hash; reveal it again anyway.
+    if (root.location.hash === hash) root.dispatchEvent(new HashChangeEvent('hashchange'));
+    else root.location.hash = hash;
+  }
+
+  function open() {
+    var element = palette();
+    element.classList.remove('hidden');
+    var input = element.querySelector('.search-palette-input');
+    input.focus();
+    input.select();
+  }
+
+  function close() {
+    var element = root.document.getElementById('search-palette');
+    if (element) element.classList.add('hidden');
+  }
+
+  function isOpen() {
+    var element = root.document.getElementById('search-palette');
+    return !!element && !element.classList.contains('hidden');
+  }
+
+  /**
+   * Scroll to and flash the "#record/<id>" element on bank pages. A record
+   * hidden by the status filter or search box is revealed by resetting them.
+   */
+  function revealFromHash() {
+    var target = parseHash(root.location.hash);
+    if (!target || target.kind !== 'record') return;
+    var selector = '[data-record-id="' + target.id.replace(/["\\]/g, '\\$&') + '"]';
+    var element = root.document.querySelector(selector);
+    if (!element) {
+      var all = root.document.querySelector('[data-filter="all"]');
+      if (all) all.click();
+      root.document.querySelectorAll('main input[type="search"]').forEach(function(input) {
+        if (!input.value) return;
+        input.value = '';
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+      element = root.document.querySelector(selector);
+    }
+    if (!element) return;
+    element.scrollIntoView({ block: 'center' });
+    element.classList.add('search-target');
+    setTimeout(function() { element.classList.remove('search-target'); }, 2000);
+  }
+
+  function install() {
+    root.document.addEventListener('keydown', function(event) {
+      if (isShortcut(event)) {
+        event.preventDefault();
+        if (isOpen()) close();
+        else open();
+      } else if (event.key === 'Escape' && isOpen()) {
+        close();
+      }
+    });
+    root.addEventListener('hashchange', revealFromHash);
+  }
+
+  return {
+    KIND_LABELS: KIND_LABELS,
+    escapeHtml: escapeHtml,
+    isShortcut: isShortcut,
+    highlight: highlight,
+    resultsMarkup: resultsMarkup,
+    parseHash: parseHash,
+    revealFromHash: revealFromHash,
+    install: install,
+    open: open,
+    close: close
+  };
+});
@@ -1,42 +1,62 @@
 /* ============================================
    Show Engine
    Generates and manages weekly show slots
+
+   Slot dates are calendar dates (YYYY-MM-DD) in the show timezone, never
+   browser-local Date objects, so every browser lays out the same schedule.
    ============================================ */
 
 const ShowEngine = {
   // First recording date
-  FIRST_RECORD_DATE: new Date('2026-01-20T00:00:00'),
+  FIRST_RECORD_DATE: '2026-01-20',
   // Launch day - first 4 episodes all release here
-  LAUNCH_DATE: new Date('2026-03-03T00:00:00'),
+  LAUNCH_DATE: '2026-03-03',
+  // Config defaults: episodes go live at releaseTime in showTimezone
+  DEFAULT_TIMEZONE: 'America/Los_Angeles',
+  DEFAULT_RELEASE_TIME: '00:00',
   // Banked episodes released per Tuesday during rollout (1-4)
   ROLLOUT_EPISODES_PER_WEEK: 2,
   // How far out to generate (in months)
   GENERATE_MONTHS_AHEAD: 3,
+  // Bonus weeks record at most this many extra episodes
+  MAX_BONUS_EPISODES: 3,
+  // Each episode type numbers in its own series; patron-only episodes stay
+  // off the public episode list. Keep in step with satt.episode_types.
+  DEFAULT_EPISODE_TYPE: 'regular',
+  EPISODE_TYPES: {
+    regular: { label: 'Episode', prefix: 'EP', digits: 3, public: true },
+    bonus: { label: 'Bonus Episode', prefix: 'BONUS', digits: 2, public: true },
+    guest: { label: 'Guest Special', prefix: 'GUEST', digits: 2, public: true },
+    live: { label: 'Live Recording', prefix: 'LIVE', digits: 2, public: true },
+    patron: { label: 'Patron-Only Episode', prefix: 'PATRON', digits: 2, public: false }
+  },
 
   /**
    * Initialize or refresh show slots.
-   * Ensures slots exist from start date through 3 months from today.
+   * Ensures slots exist from start date through 3 months from today,
+   * following the configured schedule rules.
    */
   ensureSlots() {
     let slots = Storage.getShowSlots();
+    const rules = this.getScheduleRules();
     const target = this._getTargetDate();
 
     // If no slots exist, generate from scratch
     if (slots.length === 0) {
-      slots = this._generateSlots(this.FIRST_RECORD_DATE, target);
+      slots = this._generateSlots(this.FIRST_RECORD_DATE, target, 1, rules);
       Storage.saveShowSlots(slots);
       return slots;
     }
 
-    // Check if we need to extend
-    const lastSlot = slots[slots.length - 1];
-    const lastRecordDate = new Date(lastSlot.recordDate);
+    // Check if we need to extend; only regular episodes follow the rules
+    const regular = this._regularSlots(slots);
+    const lastSlot = regular[regular.length - 1];
 
-    if (lastRecordDate < target) {
-      // Generate additional slots from the week after the last slot
-      const nextDate = new Date(lastRecordDate);
-      nextDate.setDate(nextDate.getDate() + 7);
-      const newSlots = this._generateSlots(nextDate, target, slots.length + 1);
+    if (lastSlot && lastSlot.recordDate < target) {
+      // Generate additional slots from the next session after the last slot
+      const nextDate = this._nextRecordDate(lastSlot.recordDate, rules);
+      const taken = new Set(slots.map(s => s.id));
+      const newSlots = this._generateSlots(nextDate, target, this._nextEpisodeNum(slots), rules, { taken });
       slots = slots.concat(newSlots);
       Storage.saveShowSlots(slots);
     }
@@ -48,50 +68,335 @@ const ShowEngine = {
    * Get target date (3 months from today)
    */
   _getTargetDate() {
-    const target = new Date();
-    target.setMonth(target.getMonth() + this.GENERATE_MONTHS_AHEAD);
-    return target;
+    const [year, month, day] = this.today().split('-').map(Number);
+    return this._dateString(new Date(Date.UTC(year, month - 1 + this.GENERATE_MONTHS_AHEAD, day)));
+  },
+
+  // ---- Show clock ----
+
+  _dateString(utcDate) {
+    return utcDate.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Add days to a YYYY-MM-DD date. Calendar arithmetic in UTC never meets a
+   * DST change, whatever the browser's timezone.
+   */
+  addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return this._dateString(new Date(Date.UTC(year, month - 1, day + days)));
+  },
+
+  getShowTimezone() {
+    const zone = Storage.getConfig().showTimezone || this.DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return zone;
+    } catch (e) {
+      return this.DEFAULT_TIMEZONE;
+    }
+  },
+
+  getReleaseTime() {
+    const value = Storage.getConfig().releaseTime;
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '') ? value : this.DEFAULT_RELEASE_TIME;
+  },
+
+  // Wall-clock fields of an instant in the show timezone.
+  _zonedParts(instant, zone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+    return parts;
+  },
+
+  /**
+   * Today's date in the show timezone.
+   */
+  today(now = new Date()) {
+    const parts = this._zonedParts(now, this.getShowTimezone());
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  },
+
+  /**
+   * The instant an episode releasing on dateStr goes live: releaseTime on
+   * that date in the show timezone. A release time skipped by a
+   * spring-forward change lands an hour later, as on the server.
+   */
+  releaseInstant(dateStr) {
+    const zone = this.getShowTimezone();
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = this.getReleaseTime().split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (instant) => {
+      const p = this._zonedParts(new Date(instant), zone);
+      return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - instant;
+    };
+    // Standard time first, then the offset in force at that instant.
+    const standard = Math.min(offsetAt(Date.UTC(year, 0, 1)), offsetAt(Date.UTC(year, 6, 1)));
+    const guess = wall - standard;
+    const shifted = wall - offsetAt(guess);
+    return new Date(offsetAt(shifted) === offsetAt(guess) ? shifted : guess);
+  },
+
+  /**
+   * Whether a slot's episode is live at `now`.
+   */
+  isReleased(slot, now = new Date()) {
+    return this.releaseInstant(this.getEffectiveReleaseDate(slot)) <= now;
+  },
+
+  /**
+   * Schedule rules from config, with defaults filled in.
+   * Dates are recording Tuesdays (YYYY-MM-DD); a skipped or hiatus week has no
+   * recording session, so nothing releases the week after either.
+   */
+  getScheduleRules() {
+    return this.normalizeScheduleRules(Storage.getConfig().scheduleRules);
+  },
+
+  normalizeScheduleRules(rules) {
+    rules = rules || {};
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const cadence = parseInt(rules.cadenceWeeks, 10);
+    return {
+      cadenceWeeks: cadence >= 1 && cadence <= 4 ? cadence : 1,
+      skipWeeks: (rules.skipWeeks || []).filter(isDate).sort(),
+      hiatuses: (rules.hiatuses || [])
+        .filter(h => h && isDate(h.start) && isDate(h.end) && h.start <= h.end)
+        .map(h => ({ start: h.start, end: h.end, label: String(h.label || '').trim() }))
+        .sort((a, b) => a.start.localeCompare(b.start)),
+      bonusWeeks: (rules.bonusWeeks || [])
+        .filter(b => b && isDate(b.recordDate))
+        .map(b => ({
+          recordDate: b.recordDate,
+          extraEpisodes: Math.min(Math.max(parseInt(b.extraEpisodes, 10) || 1, 1), this.MAX_BONUS_EPISODES),
+          label: String(b.label || '').trim()
+        }))
+        .sort((a, b) => a.recordDate.localeCompare(b.recordDate))
+    };
+  },
+
+  /**
+   * Why a recording date has no session, or null if it records.
+   */
+  getScheduleBreak(dateStr, rules = this.getScheduleRules()) {
+    if (rules.skipWeeks.includes(dateStr)) return { kind: 'skip', label: 'Skipped' };
+    const hiatus = rules.hiatuses.find(h => h.start <= dateStr && dateStr <= h.end);
+    return hiatus ? { kind: 'hiatus', label: hiatus.label || 'Hiatus' } : null;
+  },
+
+  _nextRecordDate(recordDate, rules) {
+    return this.addDays(recordDate, 7 * rules.cadenceWeeks);
   },
 
   /**
    * Generate show slots between two dates.
-   * @param {Date} startDate - First Tuesday to generate
-   * @param {Date} endDate - Generate through this date
+   * @param {string} startDate - First Tuesday to generate (YYYY-MM-DD)
+   * @param {string} endDate - Generate through this date (YYYY-MM-DD)
    * @param {number} startEpNum - Starting episode number (1-based)
+   * @param {object} rules - Normalized schedule rules
+   * @param {object} [options] - minCount: keep going past endDate until this
+   *   many slots exist; taken: slot ids already in use
    */
-  _generateSlots(startDate, endDate, startEpNum = 1) {
+  _generateSlots(startDate, endDate, startEpNum = 1, rules = this.normalizeScheduleRules(), options = {}) {
     const slots = [];
-    const current = new Date(startDate);
+    let current = startDate;
+    const taken = options.taken || new Set();
+    const minCount = options.minCount || 0;
+    // minCount can outrun endDate; a hiatus with no end in sight must not
+    // keep this looking forever.
+    const giveUp = this.addDays(endDate, 5 * 365);
     let epNum = startEpNum;
 
-    while (current <= endDate) {
-      const recordDate = new Date(current);
+    while ((current <= endDate || slots.length < minCount) && current <= giveUp) {
+      const recordDate = current;
+      current = this._nextRecordDate(current, rules);
+      if (this.getScheduleBreak(recordDate, rules)) continue;
+
+      const bonus = rules.bonusWeeks.find(b => b.recordDate === recordDate);
+      const sessionEpisodes = 1 + (bonus ? bonus.extraEpisodes : 0);
+      // Every episode recorded in one session releases together.
       const releaseDate = this._calculateReleaseDate(recordDate, epNum);
+      for (let i = 0; i < sessionEpisodes; i++) {
+        slots.push({
+          id: this._slotId(epNum, taken),
+          episodeNumber: this.formatEpisodeNumber(epNum),
+          episodeNum: epNum,
+          episodeType: this.DEFAULT_EPISODE_TYPE,
+          recordDate,
+          releaseDate,
+          isRollout: this._isRolloutEpisode(recordDate)
+        });
+        epNum++;
+      }
+    }
+
+    return slots;
+  },
+
+  // Inserted and removed slots mean the count of slots is not always the
+  // last episode number.
+  _nextEpisodeNum(slots) {
+    return this._regularSlots(slots).reduce((max, slot) => Math.max(max, slot.episodeNum || 0), 0) + 1;
+  },
+
+  // Regular episodes in recording order. Other types are placed by hand with
+  // the slot tools and keep their dates when the rules change.
+  _regularSlots(slots) {
+    return slots
+      .filter(slot => this.getEpisodeType(slot) === this.DEFAULT_EPISODE_TYPE)
+      .sort((a, b) => a.recordDate.localeCompare(b.recordDate) || a.episodeNum - b.episodeNum);
+  },
 
-      slots.push({
-        id: `slot_${epNum}`,
-        episodeNumber: this._formatEpNumber(epNum),
-        episodeNum: epNum,
-        recordDate: recordDate.toISOString().split('T')[0],
-        releaseDate: releaseDate.toISOString().split('T')[0],
-        isRollout: this._isRolloutEpisode(recordDate)
+  // Slot ids stay put when rules renumber episodes, so a new slot can find
+  // its natural id already in use.
+  _slotId(epNum, taken) {
+    let id = `slot_${epNum}`;
+    for (let n = 2; taken.has(id); n++) id = `slot_${epNum}_${n}`;
+    taken.add(id);
+    return id;
+  },
+
+  /**
+   * Regular slots the saved rules did not lay out: inserted with the slot
+   * tools on a day that is not a recording Tuesday, on a skipped or hiatus
+   * week, or beyond the episodes that session records. Cadence is not
+   * checked, since the weeks it lands on depend on earlier breaks.
+   * @returns {Set<string>} their slot ids
+   */
+  _placedByHand(regular, rules = this.getScheduleRules()) {
+    const byHand = new Set();
+    const seen = {};
+    regular.forEach(slot => {
+      const date = slot.recordDate;
+      const bonus = rules.bonusWeeks.find(b => b.recordDate === date);
+      seen[date] = (seen[date] || 0) + 1;
+      if (!this._isRecordingWeekday(date) || this.getScheduleBreak(date, rules)
+        || seen[date] > 1 + (bonus ? bonus.extraEpisodes : 0)) {
+        byHand.add(slot.id);
+      }
+    });
+    return byHand;
+  },
+
+  _isRecordingWeekday(dateStr) {
+    const days = (Date.parse(dateStr) - Date.parse(this.FIRST_RECORD_DATE)) / 86400000;
+    return days % 7 === 0;
+  },
+
+  /**
+   * Lay the upcoming schedule out again under new rules without saving.
+   * Slots recorded before today stay as they are. Upcoming slots keep their
+   * ids, and with them their assignments, in order: a hiatus pushes the
+   * queued episodes later rather than dropping any. Only regular episodes
+   * the saved rules laid out move; bonus, guest, live and patron-only slots,
+   * and regular slots inserted by hand, keep their dates. Regular episodes
+   * are numbered again in recording order.
+   * @returns {{slots: object[], changes: object[], warnings: string[]}}
+   *   changes lists each slot whose episode number or dates move, plus any
+   *   added slots; warnings names the hand-placed slots that stay put
+   */
+  planSchedule(rules, today = this.today()) {
+    rules = this.normalizeScheduleRules(rules);
+    const slots = Storage.getShowSlots();
+    const regular = this._regularSlots(slots);
+    const byHand = this._placedByHand(regular);
+    const kept = regular.filter(s => s.recordDate < today);
+    const upcoming = regular.filter(s => s.recordDate >= today);
+    const flowing = upcoming.filter(s => !byHand.has(s.id));
+    const pinned = upcoming.filter(s => byHand.has(s.id));
+    const special = slots.filter(s => this.getEpisodeType(s) !== this.DEFAULT_EPISODE_TYPE);
+    // A hand-placed slot is no guide to where the next session falls.
+    const laidOut = kept.filter(s => !byHand.has(s.id));
+    const start = laidOut.length
+      ? this._nextRecordDate(laidOut[laidOut.length - 1].recordDate, rules)
+      : this.FIRST_RECORD_DATE;
+    const taken = new Set(slots.map(s => s.id));
+    const firstNum = this._nextEpisodeNum(kept);
+    const fresh = this._generateSlots(start, this._getTargetDate(), firstNum, rules, {
+      minCount: flowing.length,
+      taken
+    });
+
+    const laid = fresh.map((slot, index) => {
+      const existing = flowing[index];
+      if (!existing) return slot;
+      return Object.assign({}, existing, {
+        recordDate: slot.recordDate,
+        releaseDate: slot.releaseDate,
+        isRollout: slot.isRollout
       });
+    });
+    // A stable sort puts a hand-placed slot after the session on its day.
+    const planned = laid.concat(pinned.map(s => Object.assign({}, s)))
+      .sort((a, b) => a.recordDate.localeCompare(b.recordDate))
+      .map((slot, index) => Object.assign(slot, {
+        episodeNum: firstNum + index,
+        episodeNumber: this.formatEpisodeNumber(firstNum + index)
+      }));
+
+    const before = {};
+    upcoming.forEach(s => { before[s.id] = s; });
+    const changes = [];
+    planned.forEach(slot => {
+      const existing = before[slot.id];
+      const to = this._slotSummary(slot);
+      if (!existing) {
+        changes.push({ slotId: slot.id, added: true, pinnedRelease: false, from: null, to });
+        return;
+      }
+      const from = this._slotSummary(existing);
+      if (from.episodeNumber !== to.episodeNumber || from.recordDate !== to.recordDate || from.releaseDate !== to.releaseDate) {
+        changes.push({ slotId: slot.id, added: false, pinnedRelease: !!existing.releaseDateOverride, from, to });
+      }
+    });
+    const warnings = pinned.map(s => {
+      const slot = planned.find(p => p.id === s.id);
+      return `${slot.episodeNumber} was inserted by hand for ${this.formatDateShort(s.recordDate)} and keeps its date; check it still fits these rules.`;
+    });
+
+    // The other types slot in by date and leave the regular episodes as laid out.
+    const ordered = kept.concat(planned, special).sort((a, b) => a.recordDate.localeCompare(b.recordDate));
+    return { slots: ordered, changes, warnings };
+  },
 
-      epNum++;
-      current.setDate(current.getDate() + 7);
+  /**
+   * Save new rules and the schedule they lay out. Returns the plan, or null
+   * if either save failed. The rules go first; if the slots then fail to
+   * save, the previous rules are put back so config never describes a
+   * schedule the board does not show.
+   */
+  async applyScheduleRules(rules, today) {
+    const plan = this.planSchedule(rules, today);
+    const previous = this.getScheduleRules();
+    const config = Object.assign({}, Storage.getConfig(), { scheduleRules: this.normalizeScheduleRules(rules) });
+    if (!await Storage.saveConfig(config)) return null;
+    if (!await Storage.saveShowSlots(plan.slots)) {
+      // A failed save reloads or restores server state, so read config again.
+      await Storage.saveConfig(Object.assign({}, Storage.getConfig(), { scheduleRules: previous }));
+      return null;
     }
+    return plan;
+  },
 
-    return slots;
+  _slotSummary(slot) {
+    return {
+      episodeNumber: slot.episodeNumber,
+      recordDate: slot.recordDate,
+      releaseDate: this.getEffectiveReleaseDate(slot)
+    };
   },
 
   /**
    * Calculate release date based on episode number.
-   * EP001-EP004: All release on launch day (2/17/26)
+   * Banked episodes roll out from launch day at ROLLOUT_EPISODES_PER_WEEK
    * EP005+: Release the Tuesday after recording
    */
   _calculateReleaseDate(recordDate, epNum) {
-    const normalRelease = new Date(recordDate);
-    normalRelease.setDate(normalRelease.getDate() + 7);
+    const normalRelease = this.addDays(recordDate, 7);
 
     // If normal release is after launch, this isn't a banked episode
     if (normalRelease > this.LAUNCH_DATE) {
@@ -100,22 +405,31 @@ const ShowEngine = {
 
     // Banked episode — spread across Tuesdays at the rollout rate
     const weekOffset = Math.floor((epNum - 1) / this.ROLLOUT_EPISODES_PER_WEEK);
-    const release = new Date(this.LAUNCH_DATE);
-    release.setDate(release.getDate() + (weekOffset * 7));
-    return release;
+    return this.addDays(this.LAUNCH_DATE, weekOffset * 7);
   },
 
   _isRolloutEpisode(recordDate) {
-    const normalRelease = new Date(recordDate);
-    normalRelease.setDate(normalRelease.getDate() + 7);
-    return normalRelease <= this.LAUNCH_DATE;
+    return this.addDays(recordDate, 7) <= this.LAUNCH_DATE;
   },
 
   /**
-   * Format episode number as EP001, EP002, etc.
+   * Format an episode number in its type's series: EP001, BONUS01, etc.
    */
-  _formatEpNumber(num) {
-    return 'EP' + String(num).padStart(3, '0');
+  formatEpisodeNumber(num, type = this.DEFAULT_EPISODE_TYPE) {
+    const series = this.EPISODE_TYPES[type] || this.EPISODE_TYPES[this.DEFAULT_EPISODE_TYPE];
+    return series.prefix + String(num).padStart(series.digits, '0');
+  },
+
+  /**
+   * The episode type of a slot or idea; anything saved before types is regular.
+   */
+  getEpisodeType(record) {
+    const type = record && record.episodeType;
+    return this.EPISODE_TYPES[type] ? type : this.DEFAULT_EPISODE_TYPE;
+  },
+
+  getEpisodeTypeLabel(type) {
+    return (this.EPISODE_TYPES[type] || this.EPISODE_TYPES[this.DEFAULT_EPISODE_TYPE]).label;
   },
 
   /**
@@ -146,13 +460,22 @@ const ShowEngine = {
    * Format date for display
    */
   formatDate(dateStr) {
-    const d = new Date(dateStr + 'T12:00:00');
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const d = new Date(dateStr + 'T12:00:00Z');
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
   },
 
   formatDateShort(dateStr) {
-    const d = new Date(dateStr + 'T12:00:00');
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const d = new Date(dateStr + 'T12:00:00Z');
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  },
+
+  /**
+   * When a release date goes live, in the viewer's own timezone.
+   */
+  formatReleaseInstant(dateStr) {
+    return this.releaseInstant(dateStr).toLocaleString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    });
   },
 
   /**
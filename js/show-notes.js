@@ -0,0 +1,162 @@
+/* Post-Production show notes: AI proposals from the transcript that hosts accept into the idea. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ShowNotes = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  var PARTS = ['keyMoments', 'quotes', 'mentions'];
+  var PART_LABELS = { keyMoments: 'Key moments', quotes: 'Quotes', mentions: 'Mentioned on the show' };
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // 754 -> "12:34", 3725 -> "1:02:05".
+  function formatTimestamp(seconds) {
+    var whole = Math.floor(seconds);
+    var hours = Math.floor(whole / 3600);
+    var rest = String(Math.floor(whole / 60) % 60).padStart(hours ? 2 : 1, '0') + ':' + String(whole % 60).padStart(2, '0');
+    return hours ? hours + ':' + rest : rest;
+  }
+
+  function sameItem(part, a, b) {
+    if (part === 'mentions') return String(a).toLowerCase() === String(b).toLowerCase();
+    if (part === 'quotes') return a.seconds === b.seconds && a.text === b.text;
+    return a.seconds === b.seconds && a.title === b.title;
+  }
+
+  function bySeconds(a, b) {
+    return a.seconds - b.seconds;
+  }
+
+  // A copy of the idea's accepted notes to change and send back.
+  function acceptedNotes(idea) {
+    var notes = (idea && idea.showNotes) || {};
+    return {
+      keyMoments: (notes.keyMoments || []).slice(),
+      quotes: (notes.quotes || []).slice(),
+      mentions: (notes.mentions || []).slice()
+    };
+  }
+
+  /**
+   * The Storage.updateIdea patch that accepts part of a proposal.
+   * part: 'summary', 'all', or one of keyMoments / quotes / mentions with
+   * the item's index in the proposal. Items already accepted are not repeated.
+   */
+  function acceptPatch(idea, proposal, part, index) {
+    if (part === 'summary') return { summary: proposal.summary };
+    var notes = acceptedNotes(idea);
+    function add(name, item) {
+      if (!notes[name].some(function(existing) { return sameItem(name, existing, item); })) notes[name].push(item);
+    }
+    if (part === 'all') {
+      PARTS.forEach(function(name) {
+        proposal[name].forEach(function(item) { add(name, item); });
+      });
+    } else {
+      add(part, proposal[part][index]);
+    }
+    notes.keyMoments.sort(bySeconds);
+    notes.quotes.sort(bySeconds);
+    return part === 'all' ? { summary: proposal.summary, showNotes: notes } : { showNotes: notes };
+  }
+
+  /** The patch that takes one accepted item back off the idea. */
+  function removePatch(idea, part, index) {
+    var notes = acceptedNotes(idea);
+    notes[part].splice(index, 1);
+    return { showNotes: notes };
+  }
+
+  // The proposed items for a part, then accepted ones the proposal no longer has.
+  function rowsFor(proposal, idea, part) {
+    var accepted = acceptedNotes(idea)[part];
+    var rows = proposal[part].map(function(item, index) {
+      return {
+        item: item,
+        proposed: index,
+        accepted: accepted.findIndex(function(existing) { return sameItem(part, existing, item); })
+      };
+    });
+    accepted.forEach(function(item, index) {
+      var proposed = proposal[part].some(function(candidate) { return sameItem(part, candidate, item); });
+      if (!proposed) rows.push({ item: item, proposed: -1, accepted: index });
+    });
+    return rows;
+  }
+
+  function itemHtml(part, item) {
+    if (part === 'mentions') return escapeHtml(item);
+    var time = '<span class="pp-transcript-time">' + formatTimestamp(item.seconds) + '</span> ';
+    if (part === 'quotes') return time + '“' + escapeHtml(item.text) + '” — ' + escapeHtml(item.speaker);
+    return time + escapeHtml(item.title);
+  }
+
+  function rowHtml(sid, part, row, canAccept) {
+    var action = '';
+    if (row.accepted !== -1) {
+      action = '<span class="pp-notes-accepted">Accepted</span>'
+        + (canAccept ? '<button class="btn btn-ghost btn-sm" onclick="PostProd.removeShowNote(\'' + sid + '\', \'' + part + '\', ' + row.accepted + ')">Remove</button>' : '');
+    } else if (canAccept) {
+      action = '<button class="btn btn-secondary btn-sm" onclick="PostProd.acceptShowNotes(\'' + sid + '\', \'' + part + '\', ' + row.proposed + ')">Accept</button>';
+    }
+    return '<li class="pp-notes-item"><span>' + itemHtml(part, row.item) + '</span><span class="pp-notes-action">' + action + '</span></li>';
+  }
+
+  // idea: the slot's idea from Storage, or null when it is not loaded.
+  // canAccept: whether to offer Accept and Remove (planning.edit).
+  function render(proposal, idea, slotId, canAccept) {
+    var sid = escapeHtml(slotId);
+    canAccept = canAccept && !!idea;
+    var source = proposal.source === 'corrected' ? 'From the corrected transcript.' : 'From the WhisperX transcript.';
+    var summaryAccepted = !!idea && idea.summary === proposal.summary;
+    var html = '<div class="pp-art-panel pp-notes-panel" id="pp-notes-' + sid + '">'
+      + '<div class="pp-transcript-header"><span class="pp-art-label">Show Notes</span>'
+      + '<span class="pp-transcript-source">' + escapeHtml(source) + ' Accepted items go on the idea and into the episode overview.</span></div>'
+      + '<div class="pp-notes-section"><span class="pp-art-label">Summary</span>'
+      + '<p class="pp-notes-summary">' + escapeHtml(proposal.summary) + '</p>';
+    if (idea && !summaryAccepted) {
+      html += '<p class="pp-notes-current">Current: ' + escapeHtml(idea.summary || '—') + '</p>';
+    }
+    html += '<div class="pp-notes-action">' + (summaryAccepted
+      ? '<span class="pp-notes-accepted">Accepted</span>'
+      : canAccept ? '<button class="btn btn-secondary btn-sm" onclick="PostProd.acceptShowNotes(\'' + sid + '\', \'summary\')">Use this summary</button>' : '')
+      + '</div></div>';
+
+    PARTS.forEach(function(part) {
+      var rows = rowsFor(proposal, idea, part);
+      html += '<div class="pp-notes-section"><span class="pp-art-label">' + PART_LABELS[part] + '</span>'
+        + (rows.length
+          ? '<ul class="pp-notes-list">' + rows.map(function(row) { return rowHtml(sid, part, row, canAccept); }).join('') + '</ul>'
+          : '<p class="pp-notes-current">None found.</p>')
+        + '</div>';
+    });
+
+    if (!idea) html += '<p class="pp-notes-current">This episode\'s idea was not found, so notes cannot be accepted.</p>';
+    html += '<div class="pp-art-actions">';
+    if (canAccept) {
+      html += '<button class="btn btn-primary btn-sm" onclick="PostProd.acceptShowNotes(\'' + sid + '\', \'all\')">Accept All</button>';
+    }
+    return html + '<button class="btn btn-ghost btn-sm" onclick="PostProd.generateShowNotes(\'' + sid + '\')">Re-run AI</button>'
+      + '<button class="btn btn-ghost btn-sm pp-art-dismiss" onclick="PostProd.dismissShowNotes(\'' + sid + '\')">&#x2715; Close</button>'
+      + '</div></div>';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatTimestamp: formatTimestamp,
+    acceptPatch: acceptPatch,
+    removePatch: removePatch,
+    rowsFor: rowsFor,
+    render: render
+  };
+});
@@ -0,0 +1,263 @@
+/* Slot tools: insert, remove, renumber, or retype schedule slots after a dry-run diff. */
+(function(root, factory) {
+  var api = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.SlotTools = api;
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  var ACTION_LABELS = {
+    insert: 'Insert an episode',
+    remove: 'Remove a slot',
+    renumber: 'Renumber episodes',
+    retype: 'Change episode type'
+  };
+  var CHANGE_LABELS = { insert: 'New', remove: 'Removed', renumber: 'Renumbered', retype: 'Retyped' };
+
+  // The preview the Apply button commits; cleared whenever the form changes.
+  var current = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  }
+
+  // Turns form values into the edit the API takes, or explains what is missing.
+  function editFromForm(values) {
+    if (values.action === 'insert') {
+      if (!isDate(values.recordDate)) return { error: 'Pick the recording date for the new episode.' };
+      if (values.releaseDate && !isDate(values.releaseDate)) return { error: 'The release date must be a date.' };
+      if (values.releaseDate && values.releaseDate < values.recordDate) {
+        return { error: 'The release date cannot be before the recording date.' };
+      }
+      var edit = { action: 'insert', recordDate: values.recordDate, episodeType: values.episodeType || 'regular' };
+      if (values.releaseDate) edit.releaseDate = values.releaseDate;
+      return { edit: edit };
+    }
+    if (values.action === 'remove') {
+      if (!values.slotId) return { error: 'Pick the slot to remove.' };
+      return { edit: { action: 'remove', slotId: values.slotId } };
+    }
+    if (values.action === 'retype') {
+      if (!values.slotId) return { error: 'Pick the slot to change.' };
+      return { edit: { action: 'retype', slotId: values.slotId, episodeType: values.episodeType || 'regular' } };
+    }
+    if (values.action === 'renumber') {
+      var startAt = Number(values.startAt || 1);
+      if (!Number.isInteger(startAt) || startAt < 1) return { error: 'Start numbering at 1 or higher.' };
+      return { edit: { action: 'renumber', startAt: startAt } };
+    }
+    return { error: 'Choose what to do.' };
+  }
+
+  function formatDate(value) {
+    return root.ShowEngine ? root.ShowEngine.formatDateShort(value) : value;
+  }
+
+  function slotMarkup(summary) {
+    if (!summary) return '—';
+    return '<strong>' + escapeHtml(summary.episodeNumber) + '</strong> · rec ' + escapeHtml(formatDate(summary.recordDate))
+      + ' · rel ' + escapeHtml(formatDate(summary.releaseDate));
+  }
+
+  // The dry-run diff from POST /api/schedule/slot-edits/preview.
+  function changesMarkup(preview) {
+    var html = '';
+    if (preview.warnings.length) {
+      html += '<ul class="slot-tools-warnings">' + preview.warnings.map(function(warning) {
+        return '<li>' + escapeHtml(warning) + '</li>';
+      }).join('') + '</ul>';
+    }
+    if (!preview.changes.length) {
+      return html + '<p class="text-sm text-muted">Nothing changes: every episode already has this number.</p>';
+    }
+    html += '<table class="slot-tools-diff"><thead><tr><th></th><th>Before</th><th>After</th><th>Idea</th></tr></thead><tbody>'
+      + preview.changes.map(function(change) {
+        return '<tr class="slot-change-' + escapeHtml(change.change) + '">'
+          + '<td><span class="badge">' + escapeHtml(CHANGE_LABELS[change.change] || change.change) + '</span></td>'
+          + '<td>' + slotMarkup(change.from) + '</td>'
+          + '<td>' + slotMarkup(change.to) + '</td>'
+          + '<td>' + (change.title ? escapeHtml(change.title) : '<span class="text-muted">—</span>') + '</td></tr>';
+      }).join('') + '</tbody></table>';
+    html += '<p class="text-xs text-muted mt-sm">Assigned ideas, post-production file keys, art, and Top 3 links stay with their episode.'
+      + (preview.artLogChanged ? ' Art log entries are renumbered to match.' : '') + '</p>';
+    return html;
+  }
+
+  function slotOptions(slots, assignments, ideas) {
+    var ideasById = {};
+    ideas.forEach(function(idea) { ideasById[idea.id] = idea; });
+    return slots.slice().sort(function(a, b) {
+      return a.recordDate.localeCompare(b.recordDate) || a.episodeNum - b.episodeNum;
+    }).map(function(slot) {
+      var idea = ideasById[assignments[slot.id]];
+      var title = idea ? (idea.selectedTitle || (idea.titles && idea.titles[0]) || '') : '';
+      return '<option value="' + escapeHtml(slot.id) + '">' + escapeHtml(slot.episodeNumber) + ' · '
+        + escapeHtml(formatDate(slot.recordDate)) + (title ? ' · ' + escapeHtml(title) : '') + '</option>';
+    }).join('');
+  }
+
+  function typeOptions() {
+    var engine = root.ShowEngine;
+    return Object.keys(engine.EPISODE_TYPES).map(function(type) {
+      return '<option value="' + type + '">' + escapeHtml(engine.getEpisodeTypeLabel(type)) + '</option>';
+    }).join('');
+  }
+
+  function dialog() {
+    var element = root.document.getElementById('slot-tools');
+    if (element) return element;
+    element = root.document.createElement('div');
+    element.id = 'slot-tools';
+    element.className = 'modal-overlay hidden';
+    element.addEventListener('click', function(event) {
+      if (event.target === element) { close(); return; }
+      var button = event.target.closest('[data-slot-tools]');
+      if (!button) return;
+      if (button.dataset.slotTools === 'close') close();
+      else if (button.dataset.slotTools === 'preview') preview();
+      else if (button.dataset.slotTools === 'apply') apply(button);
+    });
+    element.addEventListener('input', function(event) {
+      if (event.target.id === 'slotToolsAction') showFields();
+      invalidate();
+    });
+    root.document.body.appendChild(element);
+    return element;
+  }
+
+  function field(id) {
+    return root.document.getElementById(id);
+  }
+
+  function render(options) {
+    var Storage = root.Storage;
+    dialog().innerHTML = '<div class="modal" role="dialog" aria-labelledby="slotToolsTitle">'
+      + '<h2 id="slotToolsTitle">Slot Tools</h2>'
+      + '<div class="form-group"><label for="slotToolsAction">What to do</label><select id="slotToolsAction">'
+      + Object.keys(ACTION_LABELS).map(function(action) {
+        return '<option value="' + action + '"' + (action === options.action ? ' selected' : '') + '>' + ACTION_LABELS[action] + '</option>';
+      }).join('') + '</select></div>'
+      + '<div data-slot-fields="insert">'
+      + '<div class="form-group"><label for="slotToolsRecordDate">Recording date</label><input type="date" id="slotToolsRecordDate"></div>'
+      + '<div class="form-group"><label for="slotToolsReleaseDate">Release date <span class="label-hint">— optional, defaults to a week later</span></label>'
+      + '<input type="date" id="slotToolsReleaseDate"></div>'
+      + '<p class="text-xs text-muted">The new episode takes the next number in its type\'s series after the episodes recorded on or before that date; later episodes in that series move up one.</p></div>'
+      + '<div data-slot-fields="remove retype"><div class="form-group"><label for="slotToolsSlot">Slot</label><select id="slotToolsSlot">'
+      + slotOptions(Storage.getShowSlots(), Storage.getAssignments(), Storage.getIdeas()) + '</select></div></div>'
+      + '<div data-slot-fields="insert retype"><div class="form-group"><label for="slotToolsType">Episode type</label>'
+      + '<select id="slotToolsType">' + typeOptions() + '</select></div></div>'
+      + '<p class="text-xs text-muted" data-slot-fields="remove">Later episodes in its series move down one. An assigned idea goes back to the idea bank.</p>'
+      + '<p class="text-xs text-muted" data-slot-fields="retype">The episode leaves its series, closing the gap, and takes the next number in the new one. Patron-only episodes stay off the public episode list.</p>'
+      + '<div data-slot-fields="renumber"><div class="form-group"><label for="slotToolsStartAt">First episode number</label>'
+      + '<input type="number" id="slotToolsStartAt" min="1" value="1"></div>'
+      + '<p class="text-xs text-muted">Numbers every episode in recording order, closing any gaps. Other episode types number from 1 in their own series.</p></div>'
+      + '<div id="slotToolsPreview" class="slot-tools-preview" aria-live="polite"></div>'
+      + '<div class="modal-actions">'
+      + '<button type="button" class="btn btn-ghost" data-slot-tools="close">Cancel</button>'
+      + '<button type="button" class="btn btn-secondary" data-slot-tools="preview">Preview Changes</button>'
+      + '<button type="button" class="btn btn-primary" data-slot-tools="apply" id="slotToolsApply" disabled>Apply</button>'
+      + '</div></div>';
+    if (options.slotId) field('slotToolsSlot').value = options.slotId;
+    if (options.episodeType) field('slotToolsType').value = options.episodeType;
+    if (options.recordDate) field('slotToolsRecordDate').value = options.recordDate;
+    showFields();
+  }
+
+  function showFields() {
+    var action = field('slotToolsAction').value;
+    dialog().querySelectorAll('[data-slot-fields]').forEach(function(group) {
+      group.classList.toggle('hidden', group.dataset.slotFields.split(' ').indexOf(action) === -1);
+    });
+  }
+
+  function invalidate() {
+    if (!current) return;
+    current.preview = null;
+    current.edit = null;
+    field('slotToolsApply').disabled = true;
+    field('slotToolsPreview').innerHTML = '';
+  }
+
+  function formValues() {
+    return {
+      action: field('slotToolsAction').value,
+      recordDate: field('slotToolsRecordDate').value,
+      releaseDate: field('slotToolsReleaseDate').value,
+      slotId: field('slotToolsSlot').value,
+      episodeType: field('slotToolsType').value,
+      startAt: field('slotToolsStartAt').value
+    };
+  }
+
+  async function preview() {
+    var opened = current;
+    var parsed = editFromForm(formValues());
+    var target = field('slotToolsPreview');
+    if (parsed.error) {
+      target.innerHTML = '<p class="text-sm text-muted">' + escapeHtml(parsed.error) + '</p>';
+      return;
+    }
+    target.innerHTML = '<p class="text-sm text-muted">Checking the schedule…</p>';
+    try {
+      var result = await root.Storage.previewSlotEdit(parsed.edit);
+      if (current !== opened) return;
+      opened.edit = parsed.edit;
+      opened.preview = result;
+      target.innerHTML = changesMarkup(result);
+      field('slotToolsApply').disabled = !result.changes.length;
+    } catch (err) {
+      if (current === opened) target.innerHTML = '<p class="text-sm text-muted">' + escapeHtml(err.message) + '</p>';
+    }
+  }
+
+  async function apply(button) {
+    var opened = current;
+    if (!opened || !opened.edit) return;
+    button.disabled = true;
+    if (await root.Storage.applySlotEdit(opened.edit)) {
+      if (typeof root.Toast !== 'undefined') root.Toast.success(ACTION_LABELS[opened.edit.action] + ': done.');
+      close();
+      if (opened.onApplied) opened.onApplied(opened.preview);
+    } else {
+      button.disabled = false;
+    }
+  }
+
+  // options: action, slotId, recordDate, episodeType to start from; onApplied(preview).
+  function open(options) {
+    options = options || {};
+    current = { onApplied: options.onApplied, edit: null, preview: null };
+    render({
+      action: options.action || 'insert',
+      slotId: options.slotId,
+      recordDate: options.recordDate,
+      episodeType: options.episodeType
+    });
+    dialog().className = 'modal-overlay';
+  }
+
+  function close() {
+    current = null;
+    var element = root.document.getElementById('slot-tools');
+    if (element) element.className = 'modal-overlay hidden';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    editFromForm: editFromForm,
+    changesMarkup: changesMarkup,
+    slotOptions: slotOptions,
+    open: open,
+    close: close
+  };
+});
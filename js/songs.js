@@ -8,7 +8,8 @@
       confirm: root.confirm.bind(root),
       Auth: Auth,
       Storage: Storage,
-      Toast: Toast
+      Toast: Toast,
+      RecordHistory: root.RecordHistory
     });
     root.SongBankPage = api;
     root.onStorageReady = api.onStorageReady;
@@ -122,7 +123,8 @@
       }
       actions += '<button type="button" class="btn btn-ghost btn-sm" data-action="retire" data-song-id="' + id + '">Retire</button>';
     }
-    actions += '<button type="button" class="btn btn-danger btn-sm" data-action="delete" data-song-id="' + id + '">Delete</button>';
+    actions += '<button type="button" class="btn btn-ghost btn-sm" data-action="history" data-song-id="' + id + '">History</button>';
+    actions += '<button type="button" class="btn btn-danger btn-sm" data-requires="planning.delete" data-action="delete" data-song-id="' + id + '">Delete</button>';
     return '<article class="song-item ' + escapeHtml(song.status) + '" data-record-id="' + id + '">'
       + '<div class="song-heading"><div><h3><span class="song-artist">' + escapeHtml(song.artist) + '</span> — ' + escapeHtml(song.title) + '</h3>'
       + '<a class="text-sm" href="' + escapeHtml(song.youtubeUrl) + '" target="_blank" rel="noopener noreferrer">Open YouTube link</a></div>'
@@ -260,7 +262,7 @@
     }
     var confirmed = true;
     if (action === 'delete') {
-      confirmed = root.confirm('Delete “' + song.artist + ' — ' + song.title + '”? This cannot be undone.' + (song.assignedIdeaId ? ' Its episode assignment will also be removed.' : ''));
+      confirmed = root.confirm('Delete “' + song.artist + ' — ' + song.title + '”?' + (song.assignedIdeaId ? ' Its episode assignment will also be removed.' : ''));
     } else if (action === 'retire') {
       confirmed = root.confirm('Retire “' + song.artist + ' — ' + song.title + '”?' + (song.assignedIdeaId ? ' Its episode assignment will be removed.' : ''));
     } else if (action === 'free') {
@@ -279,7 +281,14 @@
       return;
     }
     if (editingSongId === songId && action === 'delete') resetForm();
-    announce(action === 'delete' ? 'Song deleted.' : action === 'retire' ? 'Song retired.' : action === 'restore' ? 'Song restored.' : 'Episode assignment removed.');
+    var message = action === 'delete' ? 'Song moved to the Trash.' : action === 'retire' ? 'Song retired.' : action === 'restore' ? 'Song restored.' : 'Episode assignment removed.';
+    announce(message);
+    if (action === 'delete' || action === 'free') root.Toast.info(message, root.Storage.undoAction());
+  }
+
+  function openHistory(songId) {
+    var song = root.Storage.getSongs().find(function(candidate) { return candidate.id === songId; });
+    root.RecordHistory.open('songs', songId, song ? song.artist + ' — ' + song.title : 'Song');
   }
 
   function bindEvents() {
@@ -305,6 +314,7 @@
       var button = event.target.closest('[data-action][data-song-id]');
       if (!button) return;
       if (button.dataset.action === 'edit') editSong(button.dataset.songId);
+      else if (button.dataset.action === 'history') openHistory(button.dataset.songId);
       else runLifecycleAction(button.dataset.action, button.dataset.songId);
     });
   }
@@ -312,6 +322,9 @@
   function onStorageReady() {
     renderSongs();
     announce('Song Bank loaded.');
+    ['songs', 'ideas', 'showSlots', 'assignments'].forEach(function(key) {
+      root.Storage.subscribe(key, renderSongs);
+    });
   }
 
   function start() {
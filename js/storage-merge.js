@@ -0,0 +1,232 @@
+/* Field-level three-way merge for full-array Storage writes. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.StorageMerge = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  var MERGEABLE_KEYS = ['ideas', 'jokes', 'showSlots', 'assignments'];
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function same(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function isMergeable(key) {
+    return MERGEABLE_KEYS.indexOf(key) !== -1;
+  }
+
+  // Picks the side that changed relative to base. Returns { value } when the
+  // sides can be reconciled and { conflict: true } when both changed it
+  // differently. `undefined` stands for "absent" throughout.
+  function pick(base, local, latest) {
+    if (same(local, base)) return { value: latest };
+    if (same(latest, base) || same(local, latest)) return { value: local };
+    return { conflict: true };
+  }
+
+  function recordLabel(key, id, record) {
+    record = record || {};
+    if (key === 'ideas') return 'Idea: ' + (record.selectedTitle || record.title || id);
+    if (key === 'jokes') return 'Joke: ' + (record.text ? String(record.text).slice(0, 60) : id);
+    if (key === 'showSlots') return 'Slot: ' + (record.episodeNumber || id);
+    return key + ': ' + id;
+  }
+
+  function mergeRecord(key, id, base, local, latest, conflicts) {
+    var whole = pick(base, local, latest);
+    if (!whole.conflict) return whole.value;
+    var label = recordLabel(key, id, latest || local || base);
+    // An edit on one side and a delete on the other cannot be split by field.
+    if (local === undefined || latest === undefined) {
+      conflicts.push({ key: key, id: id, label: label, field: null, base: base, local: local, latest: latest });
+      return latest;
+    }
+    var baseRecord = base || {};
+    var merged = {};
+    var fields = Object.keys(latest).concat(Object.keys(local).filter(function(field) {
+      return !Object.prototype.hasOwnProperty.call(latest, field);
+    }));
+    fields.forEach(function(field) {
+      var result = pick(baseRecord[field], local[field], latest[field]);
+      if (result.conflict) {
+        conflicts.push({
+          key: key, id: id, label: label, field: field,
+          base: baseRecord[field], local: local[field], latest: latest[field]
+        });
+        merged[field] = latest[field];
+      } else if (result.value !== undefined) {
+        merged[field] = result.value;
+      }
+    });
+    return merged;
+  }
+
+  function byId(records) {
+    var map = new Map();
+    (records || []).forEach(function(record) { map.set(record.id, record); });
+    return map;
+  }
+
+  function mergeArray(key, base, local, latest, conflicts) {
+    var baseMap = byId(base);
+    var localMap = byId(local);
+    var latestMap = byId(latest);
+    // Server order first, then records that only exist locally in the order
+    // they were added.
+    var ids = (latest || []).map(function(record) { return record.id; });
+    (local || []).forEach(function(record) {
+      if (!latestMap.has(record.id)) ids.push(record.id);
+    });
+    baseMap.forEach(function(record, id) {
+      if (ids.indexOf(id) === -1) ids.push(id);
+    });
+    var merged = [];
+    ids.forEach(function(id) {
+      var record = mergeRecord(key, id, baseMap.get(id), localMap.get(id), latestMap.get(id), conflicts);
+      if (record !== undefined) merged.push(record);
+    });
+    return merged;
+  }
+
+  function mergeAssignments(base, local, latest, conflicts) {
+    base = base || {};
+    local = local || {};
+    latest = latest || {};
+    var merged = {};
+    var slots = Object.keys(Object.assign({}, base, latest, local));
+    slots.forEach(function(slotId) {
+      var result = pick(base[slotId], local[slotId], latest[slotId]);
+      if (result.conflict) {
+        conflicts.push({
+          key: 'assignments', id: slotId, label: 'Schedule slot ' + slotId, field: null,
+          base: base[slotId], local: local[slotId], latest: latest[slotId]
+        });
+        if (latest[slotId] !== undefined) merged[slotId] = latest[slotId];
+      } else if (result.value !== undefined) {
+        merged[slotId] = result.value;
+      }
+    });
+    // Each idea may hold only one slot; two hosts scheduling the same idea in
+    // different weeks is a collision even though no single slot conflicts.
+    var slotByIdea = {};
+    Object.keys(merged).forEach(function(slotId) {
+      var ideaId = merged[slotId];
+      if (!Object.prototype.hasOwnProperty.call(slotByIdea, ideaId)) {
+        slotByIdea[ideaId] = slotId;
+        return;
+      }
+      var localSlot = local[slotId] === ideaId ? slotId : slotByIdea[ideaId];
+      var latestSlot = localSlot === slotId ? slotByIdea[ideaId] : slotId;
+      conflicts.push({
+        key: 'assignments', id: ideaId, label: 'Schedule for idea ' + ideaId, field: 'slot',
+        base: undefined, local: localSlot, latest: latestSlot
+      });
+      delete merged[localSlot];
+      slotByIdea[ideaId] = latestSlot;
+    });
+    return merged;
+  }
+
+  /**
+   * Three-way merge of one Storage key. `base` is the server copy the local
+   * edit started from, `local` the value being saved, `latest` the current
+   * server copy. Collisions default to the server value in `value` and are
+   * listed in `conflicts` for the resolver.
+   */
+  function merge(key, base, local, latest) {
+    var conflicts = [];
+    var value = key === 'assignments'
+      ? mergeAssignments(clone(base), clone(local), clone(latest), conflicts)
+      : mergeArray(key, clone(base), clone(local), clone(latest), conflicts);
+    return { value: value, conflicts: conflicts };
+  }
+
+  /** Applies resolver choices ('local' or 'latest', one per conflict) to a merged value. */
+  function applyResolutions(key, value, conflicts, choices) {
+    var resolved = clone(value);
+    conflicts.forEach(function(conflict, index) {
+      if (choices[index] !== 'local') return;
+      if (key === 'assignments') {
+        if (conflict.field === 'slot') {
+          delete resolved[conflict.latest];
+          resolved[conflict.local] = conflict.id;
+        } else if (conflict.local === undefined) {
+          delete resolved[conflict.id];
+        } else {
+          resolved[conflict.id] = conflict.local;
+        }
+        return;
+      }
+      var position = resolved.findIndex(function(record) { return record.id === conflict.id; });
+      if (conflict.field === null) {
+        if (conflict.local === undefined) {
+          if (position !== -1) resolved.splice(position, 1);
+        } else if (position === -1) {
+          resolved.push(clone(conflict.local));
+        } else {
+          resolved[position] = clone(conflict.local);
+        }
+        return;
+      }
+      if (position === -1) return;
+      if (conflict.local === undefined) delete resolved[position][conflict.field];
+      else resolved[position][conflict.field] = clone(conflict.local);
+    });
+    return resolved;
+  }
+
+  function showValue(value) {
+    if (value === undefined) return '(deleted)';
+    if (typeof value === 'string') return value || '(empty)';
+    return JSON.stringify(value, null, 2);
+  }
+
+  /** Side-by-side resolver markup; one radio group per conflict named merge-choice-N. */
+  function resolverMarkup(conflicts) {
+    var items = conflicts.map(function(conflict, index) {
+      var heading = escapeHtml(conflict.label)
+        + (conflict.field && conflict.field !== 'slot' ? ' — <code>' + escapeHtml(conflict.field) + '</code>' : '');
+      return '<div class="merge-conflict" data-conflict-index="' + index + '">'
+        + '<h3>' + heading + '</h3>'
+        + '<div class="merge-sides">'
+        + '<label class="merge-side"><input type="radio" name="merge-choice-' + index + '" value="local" checked> '
+        + '<strong>Your version</strong><pre>' + escapeHtml(showValue(conflict.local)) + '</pre></label>'
+        + '<label class="merge-side"><input type="radio" name="merge-choice-' + index + '" value="latest"> '
+        + '<strong>Server version</strong><pre>' + escapeHtml(showValue(conflict.latest)) + '</pre></label>'
+        + '</div></div>';
+    });
+    return '<div class="modal merge-resolver" role="dialog" aria-modal="true" aria-labelledby="merge-resolver-title">'
+      + '<h2 id="merge-resolver-title">Resolve conflicting edits</h2>'
+      + '<p class="text-sm text-secondary">Another session changed the same fields. Everything else was merged. '
+      + 'Choose which version to keep for each field below.</p>'
+      + items.join('')
+      + '<div class="modal-actions">'
+      + '<button type="button" class="btn btn-secondary" data-merge-action="discard">Keep server data</button>'
+      + '<button type="button" class="btn btn-primary" data-merge-action="save">Save resolved version</button>'
+      + '</div></div>';
+  }
+
+  return {
+    MERGEABLE_KEYS: MERGEABLE_KEYS,
+    escapeHtml: escapeHtml,
+    isMergeable: isMergeable,
+    merge: merge,
+    applyResolutions: applyResolutions,
+    resolverMarkup: resolverMarkup
+  };
+});
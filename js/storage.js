@@ -4,7 +4,9 @@
    In-memory cache + FastAPI backend.
    All reads are synchronous from cache.
    Writes update the cache optimistically, then
-   resolve only after the API acknowledges them.
+   resolve only after the API acknowledges them
+   or, when the network is down, once they are
+   parked in the IndexedDB offline queue.
    ============================================ */
 
 const Storage = {
@@ -18,6 +20,24 @@ const Storage = {
   _pendingWrites: 0,
   _statusTimer: null,
   _beforeUnloadRegistered: false,
+  _offlineDbName: 'satt-storage',
+  _offlineStoreName: 'pendingWrites',
+  _offlineDb: null,
+  _offlineSequence: 0,
+  _offlineQueue: [],
+  _offlineConflicts: [],
+  _mergeAttempts: 2,
+  _pendingMerge: null,
+  _syncKeys: ['config', 'ideas', 'jokes', 'songs', 'guests', 'guestAssignments', 'showSlots', 'assignments'],
+  _subscribers: {},
+  _eventSource: null,
+  _liveRetryTimer: null,
+  _liveRetryDelay: 5000,
+  _presence: [],
+  _presenceRecords: [],
+  _presenceTimer: null,
+  _presenceHeartbeat: 20000,
+  _clientId: null,
 
   // Full-array writes remain supported for ideas, jokes, slots, and
   // assignments, but every mutation is serialized globally and guarded by
@@ -31,6 +51,8 @@ const Storage = {
       await this._reloadLatest();
       this._ready = true;
       this._setStatus('saved', 'All changes saved');
+      await this._loadOfflineQueue();
+      this.startLiveSync();
     } catch (err) {
       this._setStatus('failed', 'Unable to load saved data', () => this.init());
       console.error('Storage.init failed:', err);
@@ -68,6 +90,35 @@ const Storage = {
     }
   },
 
+  // Record patches answer with just the saved record; every other route
+  // answers with the full canonical state.
+  _applyResult(body) {
+    if (body && body.key && body.data && !body.state) return this._applyRecord(body);
+    this._applyState(body.state || body);
+  },
+
+  // A patch response can be applied in place only when nothing else landed
+  // between this page's revision and the patch; otherwise the whole snapshot
+  // is stale and is reloaded.
+  async _applyRecord(body) {
+    if (!this._serverState || (body.revision !== this._revision && body.revision !== this._revision + 1)) {
+      await this._reloadLatest();
+      return;
+    }
+    var record = body.data;
+    var withRecord = (records) => {
+      var list = (records || []).slice();
+      var index = list.findIndex(function(candidate) { return candidate.id === record.id; });
+      if (index === -1) list.push(this._clone(record));
+      else list[index] = this._clone(record);
+      return list;
+    };
+    this._cache[body.key] = withRecord(this._cache[body.key]);
+    this._serverState[body.key] = withRecord(this._serverState[body.key]);
+    this._revision = body.revision;
+    this._serverState.revision = body.revision;
+  },
+
   _restoreServerState() {
     if (!this._serverState) return;
     var canonical = this._clone(this._serverState);
@@ -83,42 +134,235 @@ const Storage = {
   },
 
   async _reloadLatest() {
-    const token = this._getToken();
-    if (!token) throw new Error('Not authenticated');
-    const resp = await fetch(this._apiUrl + '/export', {
-      headers: { 'Authorization': 'Bearer ' + token }
-    });
-    if (resp.status === 401) throw new Error('Invalid credentials');
-    if (!resp.ok) throw new Error('API error: ' + resp.status);
-    const data = await resp.json();
+    const keys = this._viewableKeys();
+    const data = await this._request(keys === this._syncKeys ? '/export' : '/export?keys=' + encodeURIComponent(keys.join(',')));
     this._applyState(data);
     return data;
   },
 
+  // Keys this session's role may read. Without planning.view (an editor) the
+  // API serves config alone, so only config is loaded and kept in sync.
+  _viewableKeys() {
+    var planning = typeof Auth === 'undefined' || typeof Auth.can !== 'function' || Auth.can('planning.view');
+    return planning ? this._syncKeys : ['config'];
+  },
+
   get(key) {
     return this._cache[key] !== undefined ? this._cache[key] : null;
   },
 
-  async set(key, value) {
+  set(key, value) {
+    return this._save(key, value, this._mergeBase(key));
+  },
+
+  async _save(key, value, mergeBase) {
     this._cache[key] = value;
     try {
       await this._enqueueMutation(
-        () => this._request('/data/' + key, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(value)
-        }),
+        {
+          label: 'Save ' + key,
+          path: '/data/' + key,
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(value)
+          },
+          merge: mergeBase
+        },
         () => this.set(key, value)
       );
       return true;
     } catch (err) {
       console.error('API save failed for', key, err);
-      if (typeof Toast !== 'undefined') Toast.error('Failed to save ' + key + ': ' + err.message);
+      if (err.mergeConflicts) {
+        if (typeof Toast !== 'undefined') Toast.error('Another session edited the same ' + key + '; choose which version to keep.');
+      } else if (typeof Toast !== 'undefined') {
+        Toast.error('Failed to save ' + key + ': ' + err.message);
+      }
       return false;
     }
   },
 
-  _enqueueMutation(run, retry) {
+  // Saves only the given fields of one idea, joke, or show slot, checked
+  // against that record's version instead of the global revision, so edits
+  // to different records never collide.
+  async _patchRecord(key, path, recordId, changes, label) {
+    var records = this._clone(this.get(key) || []);
+    var index = records.findIndex(function(record) { return record.id === recordId; });
+    if (index === -1) return false;
+    var serverRecords = (this._serverState && this._serverState[key]) || [];
+    var base = serverRecords.find(function(record) { return record.id === recordId; });
+    Object.assign(records[index], changes);
+    // A record the server has not acknowledged yet has no version to check;
+    // it still goes out with the full array.
+    if (!base || !Number.isInteger(base.version)) return this.set(key, records);
+    this._cache[key] = records;
+    try {
+      await this._enqueueMutation(
+        {
+          label: label,
+          path: path,
+          options: {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ version: base.version, changes: changes })
+          },
+          patch: { key: key, id: recordId, base: this._clone(base) }
+        },
+        () => this._patchRecord(key, path, recordId, changes, label)
+      );
+      return true;
+    } catch (err) {
+      console.error('API patch failed for', key, recordId, err);
+      if (typeof Toast === 'undefined') return false;
+      if (err.mergeConflicts) Toast.error('Another session edited the same ' + key + '; choose which version to keep.');
+      else Toast.error('Failed to save ' + key + ': ' + err.message);
+      return false;
+    }
+  },
+
+  // ---- Three-way merge ----
+  // The server copy a full-array edit started from. Captured when the edit is
+  // made, not when it is sent, so anything that lands in between (another
+  // host's save, or this page's own earlier queued writes) can be merged in.
+  _mergeBase(key) {
+    if (typeof StorageMerge === 'undefined' || !StorageMerge.isMergeable(key) || !this._serverState) return null;
+    return { key: key, value: this._clone(this._serverState[key]), revision: this._serverState.revision };
+  },
+
+  // Rebases a full-array write onto the current server snapshot. Fields only
+  // one side changed merge silently; true collisions stop the write and park
+  // the merged value for the resolver.
+  _rebaseMutation(mutation) {
+    if (mutation.patch) return this._rebasePatch(mutation);
+    var base = mutation.merge;
+    if (!base || !this._serverState || this._serverState.revision === base.revision) return;
+    var latest = this._serverState[base.key];
+    var result = StorageMerge.merge(base.key, base.value, JSON.parse(mutation.options.body), latest);
+    if (result.conflicts.length) {
+      this._pendingMerge = {
+        key: base.key,
+        value: result.value,
+        conflicts: result.conflicts,
+        base: { key: base.key, value: this._clone(latest), revision: this._serverState.revision }
+      };
+      var error = new Error('Conflicting edits need review');
+      error.status = 409;
+      error.mergeConflicts = result.conflicts;
+      throw error;
+    }
+    mutation.options = Object.assign({}, mutation.options, { body: JSON.stringify(result.value) });
+    mutation.merge = { key: base.key, value: this._clone(latest), revision: this._serverState.revision };
+  },
+
+  // The same rebase for a record patch, one record at a time: the record the
+  // edit started from, that record with the edit applied, and the latest
+  // server copy. The patch is then resent as the fields that still differ.
+  _rebasePatch(mutation) {
+    var patch = mutation.patch;
+    var records = (this._serverState && this._serverState[patch.key]) || [];
+    var latest = records.find(function(record) { return record.id === patch.id; });
+    if (latest && latest.version === patch.base.version) return;
+    var others = records.filter(function(record) { return record.id !== patch.id; });
+    var local = Object.assign(this._clone(patch.base), JSON.parse(mutation.options.body).changes);
+    var result = StorageMerge.merge(patch.key, others.concat([patch.base]), others.concat([local]), records);
+    if (result.conflicts.length) {
+      // Resolving falls back to a full-array save of the chosen versions.
+      this._pendingMerge = {
+        key: patch.key,
+        value: result.value,
+        conflicts: result.conflicts,
+        base: { key: patch.key, value: this._clone(records), revision: this._serverState.revision }
+      };
+      var error = new Error('Conflicting edits need review');
+      error.status = 409;
+      error.mergeConflicts = result.conflicts;
+      throw error;
+    }
+    if (!latest) return;
+    var merged = result.value.find(function(record) { return record.id === patch.id; });
+    mutation.options = Object.assign({}, mutation.options, {
+      body: JSON.stringify({ version: latest.version, changes: this._recordChanges(latest, merged) })
+    });
+    mutation.patch = { key: patch.key, id: patch.id, base: this._clone(latest) };
+  },
+
+  // Fields of `to` that differ from `from`, ignoring server-managed ones.
+  // Removed fields are sent as null.
+  _recordChanges(from, to) {
+    var changes = {};
+    Object.keys(Object.assign({}, from, to)).forEach(function(field) {
+      if (['id', 'version', 'createdAt', 'updatedAt'].indexOf(field) !== -1) return;
+      var value = to[field] === undefined ? null : to[field];
+      var previous = from[field] === undefined ? null : from[field];
+      if (JSON.stringify(value) !== JSON.stringify(previous)) changes[field] = value;
+    });
+    return changes;
+  },
+
+  async _sendMutation(mutation) {
+    for (var attempt = 0; ; attempt++) {
+      this._rebaseMutation(mutation);
+      try {
+        return await this._request(mutation.path, mutation.options);
+      } catch (err) {
+        if (err.status !== 409 || !(mutation.merge || mutation.patch) || attempt >= this._mergeAttempts) throw err;
+        await this._reloadLatest();
+      }
+    }
+  },
+
+  getMergeConflicts() {
+    return this._pendingMerge ? this._clone(this._pendingMerge.conflicts) : [];
+  },
+
+  // `choices` holds 'local' or 'latest' per conflict, in getMergeConflicts() order.
+  resolveMergeConflicts(choices) {
+    var pending = this._pendingMerge;
+    if (!pending) return Promise.resolve(false);
+    this._pendingMerge = null;
+    this.closeMergeResolver();
+    var resolved = StorageMerge.applyResolutions(pending.key, pending.value, pending.conflicts, choices || []);
+    return this._save(pending.key, resolved, pending.base);
+  },
+
+  discardMergeConflicts() {
+    this._pendingMerge = null;
+    this.closeMergeResolver();
+    this._setIdleStatus();
+  },
+
+  openMergeResolver() {
+    if (!this._pendingMerge || typeof document === 'undefined' || !document.body) return;
+    var overlay = document.getElementById('merge-resolver');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'merge-resolver';
+      overlay.addEventListener('click', (event) => {
+        var action = event.target && event.target.dataset ? event.target.dataset.mergeAction : null;
+        if (action === 'discard') this.discardMergeConflicts();
+        if (action !== 'save' || !this._pendingMerge) return;
+        var choices = this._pendingMerge.conflicts.map(function(conflict, index) {
+          var checked = overlay.querySelector('input[name="merge-choice-' + index + '"]:checked');
+          return checked ? checked.value : 'local';
+        });
+        this.resolveMergeConflicts(choices);
+      });
+      document.body.appendChild(overlay);
+    }
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = StorageMerge.resolverMarkup(this._pendingMerge.conflicts);
+  },
+
+  closeMergeResolver() {
+    var overlay = typeof document !== 'undefined' ? document.getElementById('merge-resolver') : null;
+    if (overlay) overlay.className = 'modal-overlay hidden';
+  },
+
+  // Mutations are plain { label, path, options } descriptors rather than
+  // closures so a write that cannot reach the server can be persisted to
+  // IndexedDB verbatim and replayed after a reload.
+  _enqueueMutation(mutation, retry) {
     var generation = this._writeGeneration;
     this._pendingWrites += 1;
     this._setStatus('saving', 'Saving changes…');
@@ -130,13 +374,27 @@ const Storage = {
         cancelled.cancelled = true;
         throw cancelled;
       }
-      return run();
-    }).then((body) => {
-      this._applyState(body.state || body);
+      // Once anything is parked offline, later writes queue behind it so the
+      // replay order always matches the order the edits were made in. Writes
+      // refused for an ended session park the same way until Auth's re-login
+      // replays them.
+      if (this._offlineQueue.length || this._isOffline()) return this._queueOffline(mutation);
+      try {
+        return await this._sendMutation(mutation);
+      } catch (err) {
+        if (!err.offline && !err.unauthenticated) throw err;
+        return this._queueOffline(mutation);
+      }
+    }).then(async (body) => {
+      if (!body.offline) await this._applyResult(body);
       return body;
     }).catch(async (err) => {
       if (!err.cancelled) this._writeGeneration += 1;
-      if (err.status === 409 && !err.cancelled) {
+      if (err.mergeConflicts) {
+        this._restoreServerState();
+        this._setStatus('conflict', 'Conflicting edits need review', () => this.openMergeResolver(), 'Resolve');
+        this.openMergeResolver();
+      } else if (err.status === 409 && !err.cancelled) {
         try {
           await this._reloadLatest();
           this._setStatus('conflict', 'Newer server data loaded. Review your change and save again.');
@@ -152,26 +410,45 @@ const Storage = {
     }).finally(() => {
       this._pendingWrites = Math.max(0, this._pendingWrites - 1);
       if (this._pendingWrites === 0 && generation === this._writeGeneration) {
-        this._setStatus('saved', 'All changes saved');
+        this._setIdleStatus();
       }
     });
     this._syncing = operation;
     return operation;
   },
 
-  async _request(path, options) {
+  // `revision` overrides the cached revision for offline replay, where each
+  // queued write must be checked against the revision it was made on. An
+  // expired access token is renewed once; when the session itself has ended
+  // the error is marked `unauthenticated` and Auth asks for the password.
+  async _request(path, options, revision, renewed) {
     const token = this._getToken();
-    if (!token) throw new Error('Not authenticated');
+    if (!token) {
+      if (!renewed && await this._renewSession()) return this._request(path, options, revision, true);
+      throw this._signedOut('Not authenticated');
+    }
     var requestOptions = Object.assign({}, options || {});
     requestOptions.headers = Object.assign(
       { 'Authorization': 'Bearer ' + token },
       requestOptions.headers || {}
     );
     if (requestOptions.method && requestOptions.method !== 'GET') {
-      if (!Number.isInteger(this._revision)) throw new Error('Data revision is unavailable; reload before saving.');
-      requestOptions.headers['If-Match'] = String(this._revision);
+      var expected = revision === undefined ? this._revision : revision;
+      if (!Number.isInteger(expected)) throw new Error('Data revision is unavailable; reload before saving.');
+      requestOptions.headers['If-Match'] = String(expected);
+    }
+    var resp;
+    try {
+      resp = await fetch(this._apiUrl + path, requestOptions);
+    } catch (networkError) {
+      var offline = new Error('Network unavailable');
+      offline.offline = true;
+      offline.cause = networkError;
+      throw offline;
+    }
+    if (resp.status === 401 && !renewed && await this._renewSession()) {
+      return this._request(path, options, revision, true);
     }
-    var resp = await fetch(this._apiUrl + path, requestOptions);
     var body = await resp.json().catch(function() { return {}; });
     if (!resp.ok) {
       var detail = body.detail;
@@ -179,11 +456,813 @@ const Storage = {
       var error = new Error(message || body.error || ('API error: ' + resp.status));
       error.status = resp.status;
       error.detail = detail;
+      if (resp.status === 401) throw this._signedOut(error.message);
       throw error;
     }
     return body;
   },
 
+  _renewSession() {
+    return typeof Auth !== 'undefined' && typeof Auth.refresh === 'function'
+      ? Auth.refresh()
+      : Promise.resolve(false);
+  },
+
+  _signedOut(message) {
+    var error = new Error(message);
+    error.status = 401;
+    error.unauthenticated = true;
+    if (typeof Auth !== 'undefined' && typeof Auth.requireLogin === 'function') Auth.requireLogin();
+    return error;
+  },
+
+  // ---- Live Sync ----
+  // Handlers run only for changes made elsewhere, or by undo, redo, and
+  // history reverts; a page already rerenders after its own writes. Keys are the cache keys plus
+  // 'presence'.
+  subscribe(key, handler) {
+    if (!this._subscribers[key]) this._subscribers[key] = [];
+    this._subscribers[key].push(handler);
+    return () => {
+      this._subscribers[key] = (this._subscribers[key] || []).filter(function(candidate) { return candidate !== handler; });
+    };
+  },
+
+  // A handler subscribed to several keys runs once per event, with the value
+  // of the first changed key it listens to and the full key list in `detail`.
+  _notify(keys, detail) {
+    var called = [];
+    var info = Object.assign({ keys: keys.slice() }, detail || {});
+    keys.forEach((key) => {
+      (this._subscribers[key] || []).slice().forEach((handler) => {
+        if (called.indexOf(handler) !== -1) return;
+        called.push(handler);
+        try {
+          handler(key === 'presence' ? this.getPresence() : this.get(key), info);
+        } catch (err) {
+          console.error('Storage subscriber failed for', key, err);
+        }
+      });
+    });
+  },
+
+  // EventSource cannot send the bearer token, so each connection asks for a
+  // one-minute ticket first. Reconnects are manual for the same reason: the
+  // browser's automatic retry would reuse an expired ticket. The server also
+  // ends the stream after an access-token lifetime, which lands here too.
+  async startLiveSync() {
+    if (typeof EventSource === 'undefined' || this._eventSource) return false;
+    try {
+      var body = await this._request('/events/ticket', { method: 'POST' });
+      var source = new EventSource(this._apiUrl + '/events?ticket=' + encodeURIComponent(body.ticket));
+      this._eventSource = source;
+      source.addEventListener('hello', (event) => {
+        var data = JSON.parse(event.data);
+        this._setPresence(data.presence);
+        this._handleRemoteRevision({ revision: data.revision, since: null, keys: this._syncKeys });
+      });
+      source.addEventListener('revision', (event) => {
+        this._handleRemoteRevision(JSON.parse(event.data));
+      });
+      source.addEventListener('presence', (event) => {
+        this._setPresence(JSON.parse(event.data).presence);
+      });
+      source.onerror = () => {
+        source.close();
+        if (this._eventSource === source) this._eventSource = null;
+        this._scheduleLiveRetry();
+      };
+      return true;
+    } catch (err) {
+      console.error('Live sync unavailable:', err);
+      this._scheduleLiveRetry();
+      return false;
+    }
+  },
+
+  _scheduleLiveRetry() {
+    if (this._liveRetryTimer) return;
+    this._liveRetryTimer = setTimeout(() => {
+      this._liveRetryTimer = null;
+      this.startLiveSync();
+    }, this._liveRetryDelay);
+  },
+
+  // Fetches only the keys another session changed. The partial fetch is
+  // trusted only when this page was exactly at the event's `since` revision
+  // and the response is still at the event's revision; anything else means a
+  // change was missed, so everything is reloaded instead.
+  _handleRemoteRevision(event) {
+    if (!Number.isInteger(event.revision) || event.revision <= this._revision) return Promise.resolve(false);
+    // Local writes and offline replays answer with the full canonical state.
+    if (this._pendingWrites > 0 || this._offlineQueue.length) return Promise.resolve(false);
+    var prior = this._syncing || Promise.resolve();
+    var refresh = prior.catch(function() {}).then(async () => {
+      if (event.revision <= this._revision || this._pendingWrites > 0) return false;
+      var viewable = this._viewableKeys();
+      var keys = (event.keys || []).filter((key) => viewable.indexOf(key) !== -1);
+      var data = null;
+      if (event.since === this._revision && keys.length) {
+        data = await this._request('/export?keys=' + encodeURIComponent(keys.join(',')));
+        if (data.revision !== event.revision) data = null;
+      }
+      if (!data) {
+        keys = viewable.slice();
+        data = await this._reloadLatest();
+      } else {
+        this._applyState(data);
+      }
+      this._notify(keys, { revision: this._revision, source: 'remote' });
+      return true;
+    }).catch(function(err) {
+      console.error('Live refresh failed:', err);
+      return false;
+    });
+    this._syncing = refresh;
+    return refresh;
+  },
+
+  _setPresence(people) {
+    this._presence = Array.isArray(people) ? people : [];
+    this._notify(['presence'], { source: 'remote' });
+  },
+
+  getPresence() {
+    return this._clone(this._presence);
+  },
+
+  // Other people editing a record; this user's own tabs are left out.
+  getEditors(kind, recordId) {
+    var me = typeof Auth !== 'undefined' && Auth.getUsername ? Auth.getUsername() : null;
+    var names = [];
+    this._presence.forEach(function(entry) {
+      if (entry.kind === kind && entry.recordId === recordId && entry.username !== me && names.indexOf(entry.username) === -1) {
+        names.push(entry.username);
+      }
+    });
+    return names;
+  },
+
+  setEditing(kind, recordId, editing) {
+    this._presenceRecords = this._presenceRecords.filter(function(record) {
+      return !(record.kind === kind && record.id === recordId);
+    });
+    if (editing) this._presenceRecords.push({ kind: kind, id: recordId });
+    if (this._presenceTimer) {
+      clearInterval(this._presenceTimer);
+      this._presenceTimer = null;
+    }
+    if (this._presenceRecords.length) {
+      this._presenceTimer = setInterval(() => this._sendPresence(), this._presenceHeartbeat);
+    }
+    return this._sendPresence();
+  },
+
+  async _sendPresence(keepalive) {
+    if (!this._clientId) this._clientId = this.generateId();
+    try {
+      var body = await this._request('/presence', {
+        method: 'PUT',
+        keepalive: !!keepalive,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: this._clientId, records: this._presenceRecords })
+      });
+      this._setPresence(body.presence);
+      return true;
+    } catch (err) {
+      console.error('Presence update failed:', err);
+      return false;
+    }
+  },
+
+  // ---- Undo / Redo ----
+  // Each undoable method has a plan that reads the cache before the call and
+  // returns the Storage calls that reverse it, as [method, args] steps. Undo
+  // and redo replay those steps through the public methods, so they take the
+  // same revision-checked write path as the original edit. The history lasts
+  // for the page session only.
+  _undoPlans: {
+    addIdea: { label: 'Add idea', inverse(idea) { return [['deleteIdea', [idea.id]]]; } },
+    updateIdea: {
+      label: 'Update idea',
+      inverse(ideaId, updates) {
+        var idea = this.getIdeas().find(function(i) { return i.id === ideaId; });
+        return idea ? [['updateIdea', [ideaId, this._previousFields(idea, updates)]]] : null;
+      }
+    },
+    // Deleting an idea also frees its joke and song and drops its guest and
+    // schedule assignments, so undo puts those back too.
+    deleteIdea: {
+      label: 'Delete idea',
+      inverse(ideaId) {
+        var idea = this.getIdeas().find(function(i) { return i.id === ideaId; });
+        if (!idea) return null;
+        var steps = [['addIdea', [this._clone(idea)]]];
+        var joke = this.getJokeForIdea(ideaId);
+        var song = this.getSongForIdea(ideaId);
+        var slotId = this.getSlotForIdea(ideaId);
+        if (joke) steps.push(['assignJokeToIdea', [joke.id, ideaId]]);
+        if (song) steps.push(['assignSongToIdea', [song.id, ideaId]]);
+        this.getGuestAssignments().forEach(function(assignment) {
+          if (assignment.ideaId === ideaId) steps.push(['assignGuestToIdea', [assignment.guestId, ideaId]]);
+        });
+        if (slotId) steps.push(['assignIdeaToSlot', [ideaId, slotId]]);
+        return steps;
+      }
+    },
+    addJoke: { label: 'Add joke', inverse(joke) { return [['deleteJoke', [joke.id]]]; } },
+    updateJoke: {
+      label: 'Update joke',
+      inverse(jokeId, updates) {
+        var joke = this.getJokes().find(function(j) { return j.id === jokeId; });
+        if (!joke) return null;
+        var previous = this._previousFields(joke, updates);
+        // Patches cannot mark a joke used; the assignment route restores it.
+        if (!Object.prototype.hasOwnProperty.call(previous, 'status') || joke.status !== 'used') {
+          return [['updateJoke', [jokeId, previous]]];
+        }
+        delete previous.status;
+        delete previous.usedByIdeaId;
+        var steps = Object.keys(previous).length ? [['updateJoke', [jokeId, previous]]] : [];
+        return steps.concat(this._restoreJokeSteps(joke));
+      }
+    },
+    deleteJoke: {
+      label: 'Delete joke',
+      inverse(jokeId) {
+        var joke = this.getJokes().find(function(j) { return j.id === jokeId; });
+        if (!joke) return null;
+        if (joke.status !== 'used') return [['addJoke', [this._clone(joke)]]];
+        var unused = Object.assign(this._clone(joke), { status: 'unused', usedByIdeaId: null });
+        return [['addJoke', [unused]]].concat(this._restoreJokeSteps(joke));
+      }
+    },
+    assignJokeToIdea: {
+      label: 'Assign joke',
+      inverse(jokeId, ideaId) {
+        var joke = this.getJokes().find(function(j) { return j.id === jokeId; });
+        var previous = this.getJokeForIdea(ideaId);
+        if (!joke || (previous && previous.id === jokeId)) return null;
+        var steps = this._restoreJokeSteps(joke);
+        if (previous) steps.push(['assignJokeToIdea', [previous.id, ideaId]]);
+        return steps;
+      }
+    },
+    freeJoke: {
+      label: 'Free joke',
+      inverse(jokeId) {
+        var joke = this.getJokes().find(function(j) { return j.id === jokeId; });
+        return joke && joke.status !== 'unused' ? this._restoreJokeSteps(joke) : null;
+      }
+    },
+    addSong: { label: 'Add song', inverse(song) { return [['deleteSong', [song.id]]]; } },
+    updateSong: {
+      label: 'Update song',
+      inverse(songId, updates) {
+        var song = this.getSongs().find(function(s) { return s.id === songId; });
+        return song ? [['updateSong', [songId, this._previousFields(song, updates)]]] : null;
+      }
+    },
+    assignSongToIdea: {
+      label: 'Assign song',
+      inverse(songId, ideaId) {
+        var song = this.getSongs().find(function(s) { return s.id === songId; });
+        var previous = this.getSongForIdea(ideaId);
+        if (!song || (previous && previous.id === songId)) return null;
+        var steps = this._restoreSongSteps(song);
+        if (previous) steps.push(['assignSongToIdea', [previous.id, ideaId]]);
+        return steps;
+      }
+    },
+    freeSong: {
+      label: 'Free song',
+      inverse(songId) {
+        var song = this.getSongs().find(function(s) { return s.id === songId; });
+        return song && song.assignedIdeaId ? this._restoreSongSteps(song) : null;
+      }
+    },
+    setSongStatus: {
+      label: 'Update song status',
+      inverse(songId) {
+        var song = this.getSongs().find(function(s) { return s.id === songId; });
+        return song ? this._restoreSongSteps(song) : null;
+      }
+    },
+    deleteSong: {
+      label: 'Delete song',
+      inverse(songId) {
+        var song = this.getSongs().find(function(s) { return s.id === songId; });
+        if (!song) return null;
+        if (!song.assignedIdeaId) return [['addSong', [this._clone(song)]]];
+        var unused = Object.assign(this._clone(song), { status: 'unused', assignedIdeaId: null });
+        return [['addSong', [unused]]].concat(this._restoreSongSteps(song));
+      }
+    },
+    assignGuestToIdea: {
+      label: 'Assign guest',
+      inverse(guestId, ideaId) {
+        return this._hasGuestAssignment(guestId, ideaId) ? null : [['unassignGuestFromIdea', [guestId, ideaId]]];
+      }
+    },
+    unassignGuestFromIdea: {
+      label: 'Unassign guest',
+      inverse(guestId, ideaId) {
+        return this._hasGuestAssignment(guestId, ideaId) ? [['assignGuestToIdea', [guestId, ideaId]]] : null;
+      }
+    },
+    // Scheduling moves the idea out of its old slot and displaces whatever
+    // was in the new one; undo moves both back.
+    assignIdeaToSlot: {
+      label: 'Schedule idea',
+      inverse(ideaId, slotId) {
+        var previousSlot = this.getSlotForIdea(ideaId);
+        var displaced = this.getIdeaForSlot(slotId);
+        if (previousSlot === slotId) return null;
+        var steps = [previousSlot ? ['assignIdeaToSlot', [ideaId, previousSlot]] : ['unassignSlot', [slotId]]];
+        if (displaced) steps.push(['assignIdeaToSlot', [displaced, slotId]]);
+        return steps;
+      }
+    },
+    unassignSlot: {
+      label: 'Unschedule idea',
+      inverse(slotId) {
+        var ideaId = this.getIdeaForSlot(slotId);
+        return ideaId ? [['assignIdeaToSlot', [ideaId, slotId]]] : null;
+      }
+    }
+  },
+  _undoStack: [],
+  _redoStack: [],
+  _historyLimit: 50,
+  _historyReplaying: false,
+  _lastHistoryEntry: null,
+
+  // Wraps each method named in _undoPlans. Called once when this file loads.
+  _trackHistory() {
+    Object.keys(this._undoPlans).forEach((name) => {
+      var run = this[name];
+      var plan = this._undoPlans[name];
+      this[name] = async function() {
+        var args = this._clone(Array.prototype.slice.call(arguments));
+        // Steps replayed by undo or redo are not recorded again.
+        if (this._historyReplaying) return run.apply(this, arguments);
+        var undo = plan.inverse.apply(this, args);
+        var saved = await run.apply(this, arguments);
+        this._lastHistoryEntry = null;
+        if (saved && undo && undo.length) {
+          this._lastHistoryEntry = { label: plan.label, undo: undo, redo: [[name, args]] };
+          this._undoStack.push(this._lastHistoryEntry);
+          if (this._undoStack.length > this._historyLimit) this._undoStack.shift();
+          this._redoStack = [];
+        }
+        return saved;
+      };
+    });
+  },
+
+  _previousFields(record, updates) {
+    var previous = {};
+    Object.keys(updates || {}).forEach(function(field) {
+      previous[field] = record[field] === undefined ? null : JSON.parse(JSON.stringify(record[field]));
+    });
+    return previous;
+  },
+
+  _restoreJokeSteps(joke) {
+    if (joke.status === 'used' && joke.usedByIdeaId) return [['assignJokeToIdea', [joke.id, joke.usedByIdeaId]]];
+    if (joke.status === 'retired') return [['freeJoke', [joke.id]], ['updateJoke', [joke.id, { status: 'retired' }]]];
+    return [['freeJoke', [joke.id]]];
+  },
+
+  _restoreSongSteps(song) {
+    if (song.assignedIdeaId) return [['assignSongToIdea', [song.id, song.assignedIdeaId]]];
+    return [['setSongStatus', [song.id, song.status === 'retired' ? 'retired' : 'unused']]];
+  },
+
+  _hasGuestAssignment(guestId, ideaId) {
+    return this.getGuestAssignments().some(function(assignment) {
+      return assignment.guestId === guestId && assignment.ideaId === ideaId;
+    });
+  },
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  },
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  },
+
+  undo() {
+    return this._replayHistory(this._undoStack, this._redoStack, 'undo');
+  },
+
+  redo() {
+    return this._replayHistory(this._redoStack, this._undoStack, 'redo');
+  },
+
+  // Steps run in order and stop at the first failure. The failing method has
+  // already reported its error and reloaded on conflict, so a partly applied
+  // entry is dropped rather than offered again against different data.
+  async _replayHistory(from, to, direction) {
+    if (this._historyReplaying || !from.length) return false;
+    var entry = from.pop();
+    var applied = true;
+    this._historyReplaying = true;
+    try {
+      for (var i = 0; i < entry[direction].length; i++) {
+        var step = entry[direction][i];
+        if (!await this[step[0]].apply(this, this._clone(step[1]))) {
+          applied = false;
+          break;
+        }
+      }
+    } finally {
+      this._historyReplaying = false;
+    }
+    if (applied) to.push(entry);
+    this._notify(this._syncKeys, { history: direction });
+    if (typeof Toast !== 'undefined' && applied) {
+      Toast.info((direction === 'undo' ? 'Undid: ' : 'Redid: ') + entry.label);
+    }
+    return applied;
+  },
+
+  // A toast action that undoes the change just made, for pages to pass to
+  // Toast.success/info. Null when that change was not recorded. Clicking it
+  // after a newer change has been made does nothing.
+  undoAction() {
+    var entry = this._lastHistoryEntry;
+    if (!entry || this._undoStack[this._undoStack.length - 1] !== entry) return null;
+    return {
+      label: 'Undo',
+      onClick: () => {
+        if (this._undoStack[this._undoStack.length - 1] === entry) this.undo();
+      }
+    };
+  },
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep the browser's own
+  // undo for typing.
+  _handleHistoryKey(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || String(event.key).toLowerCase() !== 'z') return;
+    var target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || ''))) return;
+    event.preventDefault();
+    if (event.shiftKey) this.redo();
+    else this.undo();
+  },
+
+  // ---- Change History ----
+  // The server-side audit log, as opposed to the page-session undo history
+  // above. An idea's history includes its slot, joke, song, and guests.
+  async getHistory(kind, recordId) {
+    var body = await this._request('/history/' + encodeURIComponent(kind) + '/' + encodeURIComponent(recordId));
+    return body.entries || [];
+  },
+
+  async revertChange(entryId) {
+    try {
+      await this._enqueueMutation(
+        { label: 'Revert change', path: '/history/' + encodeURIComponent(entryId) + '/revert', options: { method: 'POST' } },
+        () => this.revertChange(entryId)
+      );
+      this._notify(this._syncKeys, { history: 'revert' });
+      return true;
+    } catch (err) {
+      console.error('Revert failed:', err);
+      if (typeof Toast !== 'undefined') Toast.error('Failed to revert change: ' + err.message);
+      return false;
+    }
+  },
+
+  // ---- Chapters ----
+  // Utterance start times from the slot's WhisperX transcript in Drive, or
+  // paragraph starts once it has been corrected, for aligning run-sheet
+  // chapters. Rejects when the slot has no transcript JSON.
+  async getTranscriptBoundaries(slotId) {
+    var body = await this._request('/postproduction/' + encodeURIComponent(slotId) + '/transcript-boundaries');
+    return body.boundaries || [];
+  },
+
+  // ---- Search ----
+  // Ideas, outlines, transcripts, jokes, songs, guests, and Top 3 concepts
+  // matching the query, limited to the kinds this role may open. Each result
+  // carries the page URL that shows it.
+  async search(query) {
+    return this._request('/search?q=' + encodeURIComponent(query));
+  },
+
+  // ---- Trash ----
+  // Deleted ideas, jokes, songs, and guests stay restorable for
+  // `retentionDays`. The trash is not part of the cached state.
+  async getTrash() {
+    return this._request('/trash');
+  },
+
+  // Resolves to `{ restored, skipped }` link labels, `{ offline: true }` when
+  // the restore was parked offline, or null when it failed.
+  async restoreFromTrash(entryId) {
+    try {
+      var body = await this._enqueueMutation(
+        { label: 'Restore from trash', path: '/trash/' + encodeURIComponent(entryId) + '/restore', options: { method: 'POST' } },
+        () => this.restoreFromTrash(entryId)
+      );
+      return body.offline ? { offline: true, restored: [], skipped: [] } : body.restored;
+    } catch (err) {
+      console.error('Restore failed:', err);
+      if (typeof Toast !== 'undefined') Toast.error('Failed to restore: ' + err.message);
+      return null;
+    }
+  },
+
+  // ---- Offline Queue ----
+  _isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  },
+
+  _openOfflineDb() {
+    if (this._offlineDb) return this._offlineDb;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    var dbName = this._offlineDbName;
+    var storeName = this._offlineStoreName;
+    this._offlineDb = new Promise(function(resolve) {
+      var request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = function() { resolve(request.result); };
+      request.onerror = function() { resolve(null); };
+    });
+    return this._offlineDb;
+  },
+
+  // Without IndexedDB (private windows, tests) the queue still works for the
+  // life of the page; it just cannot survive a reload.
+  async _offlineStore(action, value) {
+    var db = await this._openOfflineDb();
+    if (!db) {
+      if (action === 'put' && value.id === undefined) this._offlineSequence += 1;
+      return action === 'put' ? (value.id === undefined ? this._offlineSequence : value.id) : action === 'getAll' ? [] : undefined;
+    }
+    var storeName = this._offlineStoreName;
+    return new Promise(function(resolve, reject) {
+      var transaction = db.transaction(storeName, action === 'getAll' ? 'readonly' : 'readwrite');
+      var store = transaction.objectStore(storeName);
+      var request = action === 'getAll' ? store.getAll() : action === 'put' ? store.put(value) : store.delete(value);
+      request.onsuccess = function() { resolve(request.result); };
+      request.onerror = function() { reject(request.error); };
+    });
+  },
+
+  // The queue lives in the browser, not the session, and streaming PCs are
+  // shared: each write carries the id of the user who made it, and only that
+  // user's writes load. Anyone else's wait untouched for them to sign in.
+  _offlineOwner() {
+    var userId = typeof Auth !== 'undefined' && typeof Auth.getUserId === 'function' ? Auth.getUserId() : null;
+    return userId === undefined ? null : userId;
+  },
+
+  _ownsOfflineEntry(entry) {
+    return (entry.userId === undefined ? null : entry.userId) === this._offlineOwner();
+  },
+
+  async _loadOfflineQueue() {
+    var entries = ((await this._offlineStore('getAll')) || []).filter((entry) => this._ownsOfflineEntry(entry));
+    entries.sort(function(a, b) { return a.id - b.id; });
+    this._offlineQueue = entries.filter(function(entry) { return !entry.conflict; });
+    this._offlineConflicts = entries.filter(function(entry) { return entry.conflict; });
+    this._setIdleStatus();
+    if (this._offlineQueue.length) await this.replayOffline();
+  },
+
+  async _queueOffline(mutation) {
+    var entry = {
+      label: mutation.label || 'Save changes',
+      path: mutation.path,
+      options: mutation.options,
+      baseRevision: this._offlineQueue.length ? this._offlineQueue[0].baseRevision : this._revision,
+      queuedAt: new Date().toISOString(),
+      userId: this._offlineOwner(),
+      conflict: false
+    };
+    entry.id = await this._offlineStore('put', entry);
+    this._offlineQueue.push(entry);
+    return { offline: true, entry: entry };
+  },
+
+  // Signing out drops this user's unsent and conflicting writes, so nothing
+  // they left behind is replayed in a later session on the same browser.
+  async discardOfflineWrites() {
+    var entries = this._offlineQueue.splice(0).concat(this._offlineConflicts.splice(0));
+    for (var i = 0; i < entries.length; i++) {
+      await this._offlineStore('delete', entries[i].id);
+    }
+    this._setIdleStatus();
+    return entries.length;
+  },
+
+  getPendingOfflineWrites() {
+    return this._clone(this._offlineQueue);
+  },
+
+  getOfflineConflicts() {
+    return this._clone(this._offlineConflicts);
+  },
+
+  // Replays parked writes oldest first. The first write is checked against
+  // the revision it was made on and each later one against the revision the
+  // previous replay produced, so anything another host saved in the meantime
+  // surfaces as a 409 instead of being overwritten.
+  replayOffline() {
+    if (!this._offlineQueue.length) return Promise.resolve(true);
+    if (this._isOffline()) return Promise.resolve(false);
+    this._pendingWrites += 1;
+    this._setStatus('saving', 'Replaying offline changes…');
+    var prior = this._syncing || Promise.resolve();
+    var replay = prior.catch(function() {}).then(async () => {
+      var revision = this._offlineQueue[0].baseRevision;
+      while (this._offlineQueue.length) {
+        var entry = this._offlineQueue[0];
+        // Never send one user's writes under another user's token.
+        if (!this._ownsOfflineEntry(entry)) return false;
+        var body;
+        try {
+          body = await this._request(entry.path, entry.options, revision);
+        } catch (err) {
+          if (err.offline || err.unauthenticated) return false;
+          if (err.status === 409) {
+            await this._parkOfflineConflicts();
+            return false;
+          }
+          this._setStatus('failed', 'Offline changes could not be saved', () => this.replayOffline());
+          return false;
+        }
+        await this._offlineStore('delete', entry.id);
+        this._offlineQueue.shift();
+        var next = Number.isInteger(body.revision) ? body.revision : (body.state || body).revision;
+        // A record patch is checked by version, so it cannot vouch for what
+        // other sessions saved in between; later entries keep the older
+        // revision and surface that as a conflict.
+        if (body.key && !body.state && next > revision + 1) next = revision;
+        revision = next;
+        await this._applyResult(body);
+      }
+      return true;
+    }).finally(() => {
+      this._pendingWrites = Math.max(0, this._pendingWrites - 1);
+      if (this._pendingWrites === 0 && !this._statusNeedsAttention()) this._setIdleStatus();
+    });
+    this._syncing = replay;
+    return replay;
+  },
+
+  // Everything still queued after a replay conflict was built on top of the
+  // conflicting write, so the whole tail moves to review together.
+  async _parkOfflineConflicts() {
+    var parked = this._offlineQueue.splice(0);
+    for (var i = 0; i < parked.length; i++) {
+      parked[i].conflict = true;
+      await this._offlineStore('put', parked[i]);
+      this._offlineConflicts.push(parked[i]);
+    }
+    try {
+      await this._reloadLatest();
+    } catch (err) {
+      console.error('Reload after offline conflict failed:', err);
+    }
+    this._setIdleStatus();
+  },
+
+  async resolveOfflineConflict(entryId, action) {
+    var index = this._offlineConflicts.findIndex(function(entry) { return entry.id === entryId; });
+    if (index === -1) return false;
+    var entry = this._offlineConflicts[index];
+    if (action === 'apply') {
+      try {
+        await this._enqueueMutation(
+          { label: entry.label, path: entry.path, options: entry.options },
+          null
+        );
+      } catch (err) {
+        console.error('Applying offline change failed:', err);
+        if (typeof Toast !== 'undefined') Toast.error('Failed to apply offline change: ' + err.message);
+        return false;
+      }
+    }
+    await this._offlineStore('delete', entry.id);
+    this._offlineConflicts.splice(index, 1);
+    this._renderOfflineReview();
+    this._setIdleStatus();
+    return true;
+  },
+
+  openOfflineReview() {
+    if (typeof document === 'undefined' || !document.body) return;
+    var overlay = document.getElementById('offline-review');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'offline-review';
+      overlay.className = 'modal-overlay';
+      document.body.appendChild(overlay);
+    } else {
+      overlay.className = 'modal-overlay';
+    }
+    this._renderOfflineReview();
+  },
+
+  closeOfflineReview() {
+    var overlay = typeof document !== 'undefined' ? document.getElementById('offline-review') : null;
+    if (overlay) overlay.className = 'modal-overlay hidden';
+  },
+
+  _renderOfflineReview() {
+    var overlay = typeof document !== 'undefined' ? document.getElementById('offline-review') : null;
+    if (!overlay) return;
+    if (!this._offlineConflicts.length) {
+      this.closeOfflineReview();
+      return;
+    }
+    overlay.innerHTML = '';
+    var modal = document.createElement('div');
+    modal.className = 'modal offline-review';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    var heading = document.createElement('h2');
+    heading.textContent = 'Review offline changes';
+    modal.appendChild(heading);
+    var intro = document.createElement('p');
+    intro.className = 'text-sm text-secondary';
+    intro.textContent = 'These edits were made offline, but the server changed before they could be saved. '
+      + 'The latest server data is now shown. Applying an edit saves your offline version over it; discarding drops it.';
+    modal.appendChild(intro);
+    this._offlineConflicts.forEach((entry) => {
+      var row = document.createElement('div');
+      row.className = 'offline-review-item';
+      var label = document.createElement('span');
+      label.textContent = entry.label + ' (' + new Date(entry.queuedAt).toLocaleString() + ')';
+      row.appendChild(label);
+      [['apply', 'Apply to latest'], ['discard', 'Discard']].forEach((choice) => {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = choice[0] === 'apply' ? 'btn btn-primary btn-sm' : 'btn btn-secondary btn-sm';
+        button.textContent = choice[1];
+        button.addEventListener('click', () => {
+          button.disabled = true;
+          this.resolveOfflineConflict(entry.id, choice[0]);
+        });
+        row.appendChild(button);
+      });
+      modal.appendChild(row);
+    });
+    var actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn btn-secondary';
+    close.textContent = 'Close';
+    close.addEventListener('click', () => this.closeOfflineReview());
+    actions.appendChild(close);
+    modal.appendChild(actions);
+    overlay.appendChild(modal);
+  },
+
+  _statusNeedsAttention() {
+    var element = typeof document !== 'undefined' && document.body ? document.getElementById('save-status') : null;
+    return !!element && /\bfailed\b/.test(element.className);
+  },
+
+  // The resting status reflects whatever is still outstanding locally:
+  // conflicts awaiting review win over parked writes, which win over "saved".
+  _awaitingLogin() {
+    return typeof Auth !== 'undefined' && typeof Auth.isReloginRequired === 'function' && Auth.isReloginRequired();
+  },
+
+  _setIdleStatus() {
+    if (this._offlineConflicts.length) {
+      var conflicts = this._offlineConflicts.length;
+      this._setStatus(
+        'conflict',
+        conflicts + (conflicts === 1 ? ' offline change needs' : ' offline changes need') + ' review',
+        () => this.openOfflineReview(),
+        'Review'
+      );
+    } else if (this._offlineQueue.length && this._awaitingLogin()) {
+      var waiting = this._offlineQueue.length;
+      this._setStatus(
+        'offline',
+        waiting + (waiting === 1 ? ' change waits' : ' changes wait') + ' for you to sign in',
+        () => Auth.requireLogin(),
+        'Sign in'
+      );
+    } else if (this._offlineQueue.length) {
+      var pending = this._offlineQueue.length;
+      this._setStatus('offline', pending + (pending === 1 ? ' change' : ' changes') + ' pending offline');
+    } else {
+      this._setStatus('saved', 'All changes saved');
+    }
+  },
+
   _ensureStatusElement() {
     if (typeof document === 'undefined' || !document.body) return null;
     var element = document.getElementById('save-status');
@@ -197,7 +1276,7 @@ const Storage = {
     return element;
   },
 
-  _setStatus(kind, message, retry) {
+  _setStatus(kind, message, retry, actionLabel) {
     var element = this._ensureStatusElement();
     if (!element) return;
     if (this._statusTimer) {
@@ -209,7 +1288,7 @@ const Storage = {
     if (retry) {
       var button = document.createElement('button');
       button.type = 'button';
-      button.textContent = 'Retry';
+      button.textContent = actionLabel || 'Retry';
       button.addEventListener('click', () => {
         button.disabled = true;
         retry();
@@ -230,6 +1309,13 @@ const Storage = {
       event.preventDefault();
       event.returnValue = '';
     });
+    window.addEventListener('online', () => this.replayOffline());
+    window.addEventListener('keydown', (event) => this._handleHistoryKey(event));
+    window.addEventListener('pagehide', () => {
+      if (!this._presenceRecords.length) return;
+      this._presenceRecords = [];
+      this._sendPresence(true);
+    });
     this._beforeUnloadRegistered = true;
   },
 
@@ -301,17 +1387,9 @@ const Storage = {
     return this.saveJokes(jokes);
   },
 
+  // The server clears usedByIdeaId when a joke leaves the used state.
   updateJoke(jokeId, updates) {
-    var jokes = this._clone(this.getJokes());
-    var idx = jokes.findIndex(function(j) { return j.id === jokeId; });
-    if (idx !== -1) {
-      Object.assign(jokes[idx], updates);
-      if (updates.status && updates.status !== 'used') {
-        jokes[idx].usedByIdeaId = null;
-      }
-      return this.saveJokes(jokes);
-    }
-    return false;
+    return this._patchRecord('jokes', '/jokes/' + encodeURIComponent(jokeId), jokeId, updates, 'Update joke');
   },
 
   deleteJoke(jokeId) {
@@ -330,11 +1408,15 @@ const Storage = {
   async assignJokeToIdea(jokeId, ideaId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/jokes/' + encodeURIComponent(jokeId) + '/assignment', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ ideaId: ideaId })
-        }),
+        {
+          label: 'Assign joke',
+          path: '/jokes/' + encodeURIComponent(jokeId) + '/assignment',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ideaId: ideaId })
+          }
+        },
         () => this.assignJokeToIdea(jokeId, ideaId)
       );
       return true;
@@ -348,7 +1430,7 @@ const Storage = {
   async freeJoke(jokeId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/jokes/' + encodeURIComponent(jokeId) + '/assignment', { method: 'DELETE' }),
+        { label: 'Free joke', path: '/jokes/' + encodeURIComponent(jokeId) + '/assignment', options: { method: 'DELETE' } },
         () => this.freeJoke(jokeId)
       );
       return true;
@@ -389,11 +1471,15 @@ const Storage = {
   async assignSongToIdea(songId, ideaId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/songs/' + encodeURIComponent(songId) + '/assignment', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ ideaId: ideaId })
-        }),
+        {
+          label: 'Assign song',
+          path: '/songs/' + encodeURIComponent(songId) + '/assignment',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ideaId: ideaId })
+          }
+        },
         () => this.assignSongToIdea(songId, ideaId)
       );
       return true;
@@ -407,7 +1493,7 @@ const Storage = {
   async freeSong(songId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/songs/' + encodeURIComponent(songId) + '/assignment', { method: 'DELETE' }),
+        { label: 'Free song', path: '/songs/' + encodeURIComponent(songId) + '/assignment', options: { method: 'DELETE' } },
         () => this.freeSong(songId)
       );
       return true;
@@ -421,11 +1507,15 @@ const Storage = {
   async setSongStatus(songId, status) {
     try {
       await this._enqueueMutation(
-        () => this._request('/songs/' + encodeURIComponent(songId) + '/status', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ status: status })
-        }),
+        {
+          label: 'Update song status',
+          path: '/songs/' + encodeURIComponent(songId) + '/status',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: status })
+          }
+        },
         () => this.setSongStatus(songId, status)
       );
       return true;
@@ -439,7 +1529,7 @@ const Storage = {
   async deleteSong(songId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/songs/' + encodeURIComponent(songId), { method: 'DELETE' }),
+        { label: 'Delete song', path: '/songs/' + encodeURIComponent(songId), options: { method: 'DELETE' } },
         () => this.deleteSong(songId)
       );
       return true;
@@ -487,7 +1577,7 @@ const Storage = {
   async assignGuestToIdea(guestId, ideaId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/guests/' + encodeURIComponent(guestId) + '/assignments/' + encodeURIComponent(ideaId), { method: 'PUT' }),
+        { label: 'Assign guest', path: '/guests/' + encodeURIComponent(guestId) + '/assignments/' + encodeURIComponent(ideaId), options: { method: 'PUT' } },
         () => this.assignGuestToIdea(guestId, ideaId)
       );
       return true;
@@ -501,7 +1591,7 @@ const Storage = {
   async unassignGuestFromIdea(guestId, ideaId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/guests/' + encodeURIComponent(guestId) + '/assignments/' + encodeURIComponent(ideaId), { method: 'DELETE' }),
+        { label: 'Unassign guest', path: '/guests/' + encodeURIComponent(guestId) + '/assignments/' + encodeURIComponent(ideaId), options: { method: 'DELETE' } },
         () => this.unassignGuestFromIdea(guestId, ideaId)
       );
       return true;
@@ -515,11 +1605,15 @@ const Storage = {
   async setGuestStatus(guestId, status) {
     try {
       await this._enqueueMutation(
-        () => this._request('/guests/' + encodeURIComponent(guestId) + '/status', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ status: status })
-        }),
+        {
+          label: 'Update guest status',
+          path: '/guests/' + encodeURIComponent(guestId) + '/status',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: status })
+          }
+        },
         () => this.setGuestStatus(guestId, status)
       );
       return true;
@@ -533,7 +1627,7 @@ const Storage = {
   async deleteGuest(guestId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/guests/' + encodeURIComponent(guestId), { method: 'DELETE' }),
+        { label: 'Delete guest', path: '/guests/' + encodeURIComponent(guestId), options: { method: 'DELETE' } },
         () => this.deleteGuest(guestId)
       );
       return true;
@@ -560,19 +1654,13 @@ const Storage = {
   },
 
   updateIdea(ideaId, updates) {
-    var ideas = this._clone(this.getIdeas());
-    var idx = ideas.findIndex(function(i) { return i.id === ideaId; });
-    if (idx !== -1) {
-      Object.assign(ideas[idx], updates);
-      return this.saveIdeas(ideas);
-    }
-    return false;
+    return this._patchRecord('ideas', '/ideas/' + encodeURIComponent(ideaId), ideaId, updates, 'Update idea');
   },
 
   async deleteIdea(ideaId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/ideas/' + encodeURIComponent(ideaId), { method: 'DELETE' }),
+        { label: 'Delete idea', path: '/ideas/' + encodeURIComponent(ideaId), options: { method: 'DELETE' } },
         () => this.deleteIdea(ideaId)
       );
       return true;
@@ -588,8 +1676,23 @@ const Storage = {
     return this.get('showSlots') || [];
   },
 
-  saveShowSlots(slots) {
-    return this.set('showSlots', slots);
+  // Generating or extending the schedule adds slots and still replaces the
+  // array. Edits to existing slots, such as release date overrides, are sent
+  // as one patch per changed slot.
+  async saveShowSlots(slots) {
+    var server = (this._serverState && this._serverState.showSlots) || [];
+    var serverById = {};
+    server.forEach(function(slot) { serverById[slot.id] = slot; });
+    var sameSlots = slots.length === server.length && slots.every(function(slot) {
+      return serverById[slot.id] && Number.isInteger(serverById[slot.id].version);
+    });
+    if (!sameSlots) return this.set('showSlots', slots);
+    var edited = slots.map((slot) => ({ id: slot.id, changes: this._recordChanges(serverById[slot.id], slot) }))
+      .filter(function(edit) { return Object.keys(edit.changes).length; });
+    var results = await Promise.all(edited.map((edit) => this._patchRecord(
+      'showSlots', '/show-slots/' + encodeURIComponent(edit.id), edit.id, edit.changes, 'Update show slot'
+    )));
+    return results.every(Boolean);
   },
 
   // ---- Assignments ----
@@ -604,11 +1707,15 @@ const Storage = {
   async assignIdeaToSlot(ideaId, slotId) {
     try {
       await this._enqueueMutation(
-        () => this._request('/schedule/' + encodeURIComponent(slotId) + '/assignment', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ ideaId: ideaId })
-        }),
+        {
+          label: 'Schedule idea',
+          path: '/schedule/' + encodeURIComponent(slotId) + '/assignment',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ideaId: ideaId })
+          }
+        },
         () => this.assignIdeaToSlot(ideaId, slotId)
       );
       return true;
@@ -623,7 +1730,7 @@ const Storage = {
     if (!this.getAssignments()[slotId]) return true;
     try {
       await this._enqueueMutation(
-        () => this._request('/schedule/' + encodeURIComponent(slotId) + '/assignment', { method: 'DELETE' }),
+        { label: 'Unschedule idea', path: '/schedule/' + encodeURIComponent(slotId) + '/assignment', options: { method: 'DELETE' } },
         () => this.unassignSlot(slotId)
       );
       return true;
@@ -634,6 +1741,42 @@ const Storage = {
     }
   },
 
+  // ---- Slot edits ----
+  // `edit` is { action: 'insert', recordDate, releaseDate?, episodeType? },
+  // { action: 'remove', slotId }, { action: 'renumber', startAt? } or
+  // { action: 'retype', slotId, episodeType }.
+
+  // Resolves to the dry-run diff: changes per slot and warnings. Nothing is written.
+  async previewSlotEdit(edit) {
+    return this._request('/schedule/slot-edits/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(edit)
+    });
+  },
+
+  async applySlotEdit(edit) {
+    try {
+      await this._enqueueMutation(
+        {
+          label: 'Edit show slots',
+          path: '/schedule/slot-edits',
+          options: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(edit)
+          }
+        },
+        () => this.applySlotEdit(edit)
+      );
+      return true;
+    } catch (err) {
+      console.error('Slot edit failed:', err);
+      if (typeof Toast !== 'undefined') Toast.error('Failed to edit the schedule: ' + err.message);
+      return false;
+    }
+  },
+
   getIdeaForSlot(slotId) {
     return this.getAssignments()[slotId] || null;
   },
@@ -665,19 +1808,44 @@ const Storage = {
     };
   },
 
-  async importAll(data) {
+  _importKeys: ['config', 'ideas', 'jokes', 'songs', 'guests', 'guestAssignments', 'showSlots', 'assignments'],
+
+  _importPayload(data) {
     var payload = {};
-    ['config', 'ideas', 'jokes', 'songs', 'guests', 'guestAssignments', 'showSlots', 'assignments'].forEach(function(key) {
+    this._importKeys.forEach(function(key) {
       if (Object.prototype.hasOwnProperty.call(data, key)) payload[key] = data[key];
     });
+    return payload;
+  },
+
+  // Resolves to the server's contract check: per-key counts of new,
+  // overwritten, and replace-removed records, and the problems that would
+  // block a merge or a replace. Nothing is written.
+  async previewImport(data) {
+    return this._request('/import/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this._importPayload(data))
+    });
+  },
+
+  // `mode` 'merge' keeps records the file lacks; 'replace' (the default)
+  // makes every key in the file the whole new list.
+  async importAll(data, mode) {
+    var payload = this._importPayload(data);
+    var merge = mode === 'merge';
     try {
       await this._enqueueMutation(
-        () => this._request('/import', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        }),
-        () => this.importAll(payload)
+        {
+          label: merge ? 'Merge import' : 'Import data',
+          path: merge ? '/import?mode=merge' : '/import',
+          options: {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+          }
+        },
+        () => this.importAll(payload, mode)
       );
       return true;
     } catch (err) {
@@ -687,3 +1855,5 @@ const Storage = {
     }
   }
 };
+
+Storage._trackHistory();
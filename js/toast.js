@@ -14,11 +14,25 @@ const Toast = {
     return this._container;
   },
 
-  show(message, type = 'info', duration = 3500) {
+  // `action` is an optional { label, onClick } button, such as the Undo
+  // action from Storage.undoAction(). Toasts with an action stay up longer.
+  show(message, type = 'info', duration = 3500, action = null) {
     const container = this._ensureContainer();
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+      duration = Math.max(duration, 7000);
+    }
     container.appendChild(toast);
 
     setTimeout(() => {
@@ -29,7 +43,7 @@ const Toast = {
     }, duration);
   },
 
-  success(msg) { this.show(msg, 'success'); },
+  success(msg, action) { this.show(msg, 'success', 3500, action); },
   error(msg) { this.show(msg, 'error', 5000); },
-  info(msg) { this.show(msg, 'info'); }
+  info(msg, action) { this.show(msg, 'info', 3500, action); }
 };
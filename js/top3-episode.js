@@ -21,6 +21,7 @@
   var loading = new Set();
   var errors = new Map();
   var editingExternal = new Map();
+  var guestLinks = new Map();
   var onChange = function() {};
   var onDetailChange = function() {};
   var bound = false;
@@ -160,6 +161,7 @@
     var editing = external.find(function(item) { return item.submissionId === editingId; }) || null;
     var picks = editing && Array.isArray(editing.picks) ? editing.picks : ['', '', ''];
     var cards = external.length ? '<div class="top3-external-list">' + external.map(function(item) {
+      if (item.guestSubmitted) return guestResultMarkup(item);
       return '<article class="top3-external-result"><div class="top3-contributor-heading"><strong>' + escapeHtml(item.displayName) + '</strong>'
         + '<span class="badge badge-scheduled">' + escapeHtml(item.externalType) + ' — shared</span></div><ol>'
         + (item.picks || []).map(function(pick) { return '<li>' + escapeHtml(pick) + '</li>'; }).join('') + '</ol>'
@@ -177,7 +179,40 @@
       + '<div class="top3-picks">' + pickFields + '</div><label>Shared discussion notes<textarea class="edit-field" data-top3-external-notes rows="2" maxlength="8000">' + escapeHtml(editing ? editing.privateDiscussionNotes : '') + '</textarea></label>'
       + '<div class="top3-control-row"><button type="submit" class="btn btn-secondary btn-sm">' + (editing ? 'Save shared changes' : 'Add shared result') + '</button>'
       + (editing ? '<button type="button" class="btn btn-ghost btn-sm" data-top3-action="cancel-external">Cancel edit</button>' : '') + '</div>'
-      + '<p class="text-xs text-muted">External results have no account owner. Any authenticated host may edit or remove these shared recording results.</p></form></section>';
+      + '<p class="text-xs text-muted">External results have no account owner. Any authenticated host may edit or remove these shared recording results.</p></form>'
+      + guestLinkMarkup(ideaId) + '</section>';
+  }
+
+  function guestResultMarkup(item) {
+    var picks = item.revealed && Array.isArray(item.picks)
+      ? '<ol>' + item.picks.map(function(pick) { return '<li>' + escapeHtml(pick) + '</li>'; }).join('') + '</ol>'
+        + (item.privateDiscussionNotes ? '<p>' + escapeHtml(item.privateDiscussionNotes) + '</p>' : '')
+      : '';
+    return '<article class="top3-external-result"><div class="top3-contributor-heading"><strong>' + escapeHtml(item.displayName) + '</strong>'
+      + '<span class="badge ' + (item.revealed ? 'badge-scheduled' : 'badge-draft') + '">guest link — ' + (item.revealed ? 'revealed to you' : 'hidden') + '</span></div>'
+      + picks + '<div class="top3-control-row">' + revealButtonMarkup(item)
+      + '<button type="button" class="btn btn-ghost btn-sm" data-top3-action="delete-external" data-submission-id="' + escapeHtml(item.submissionId) + '" data-display-name="' + escapeHtml(item.displayName) + '">Remove</button></div></article>';
+  }
+
+  function guestLinkMarkup(ideaId) {
+    var link = guestLinks.get(ideaId);
+    var issued = link
+      ? '<label>Link for ' + escapeHtml(link.displayName) + '<input class="edit-field edit-field-sm" data-top3-guest-link readonly value="' + escapeHtml(link.url) + '" onfocus="this.select()"></label>'
+        + '<p class="text-xs text-muted">Copy it and send it to the guest now; the link is not saved anywhere. It works until ' + escapeHtml(link.expiresAt) + '.</p>'
+      : '';
+    return '<div class="top3-guest-link"><h6>Invite a guest to submit their own picks</h6><div class="top3-control-row">'
+      + '<input class="edit-field edit-field-sm" data-top3-guest-name maxlength="200" placeholder="Guest name" aria-label="Guest name">'
+      + '<button type="button" class="btn btn-secondary btn-sm" data-top3-action="create-guest-link">Create guest link</button></div>' + issued
+      + '<p class="text-xs text-muted">The link opens only this episode\'s concept, lasts three days, and stops working if the concept is replaced. The guest\'s picks stay hidden until you reveal them.</p></div>';
+  }
+
+  async function createGuestLink(ideaId, displayName) {
+    var link = await apiRequest('/top3/episodes/' + encodeURIComponent(ideaId) + '/guest-links', {
+      method: 'POST',
+      body: { displayName: displayName }
+    });
+    guestLinks.set(ideaId, link);
+    return link;
   }
 
   function ownSubmission(contributors) {
@@ -185,7 +220,8 @@
   }
 
   function revealButtonMarkup(item) {
-    if (!item || !item.complete || item.contributorType !== 'account' || item.isCurrentUser || item.revealed) return '';
+    if (!item || !item.complete || item.isCurrentUser || item.revealed) return '';
+    if (item.contributorType !== 'account' && !item.guestSubmitted) return '';
     return '<button type="button" class="btn btn-ghost btn-sm" data-top3-action="reveal" data-submission-id="' + escapeHtml(item.submissionId) + '" data-display-name="' + escapeHtml(item.displayName) + '">Reveal picks</button>';
   }
 
@@ -227,7 +263,7 @@
         + concept.aiExample.map(function(example) { return '<li>' + escapeHtml(example) + '</li>'; }).join('') + '</ol></div>'
       : '';
     var participantRows = (assignment.contributors || []).map(function(item) {
-      var visible = item.contributorType === 'external' || item.isCurrentUser || item.revealed;
+      var visible = (item.contributorType === 'external' && !item.guestSubmitted) || item.isCurrentUser || item.revealed;
       var state = item.complete ? (visible ? 'Submitted' : 'Ready — hidden') : 'Waiting';
       var result = visible && Array.isArray(item.picks)
         ? '<ol>' + item.picks.map(function(pick) { return '<li>' + escapeHtml(pick) + '</li>'; }).join('') + '</ol>'
@@ -339,6 +375,25 @@
       onChange(ideaId);
       return;
     }
+    if (action === 'create-guest-link') {
+      var nameInput = section.querySelector('[data-top3-guest-name]');
+      var guestName = String((nameInput && nameInput.value) || '').trim();
+      if (!guestName) {
+        errors.set(ideaId, 'Enter the guest\'s name first.');
+        onChange(ideaId);
+        return;
+      }
+      try {
+        await createGuestLink(ideaId, guestName);
+        errors.delete(ideaId);
+        if (root.Toast) root.Toast.success('Guest link created for ' + guestName + '.');
+      } catch (error) {
+        errors.set(ideaId, error.message);
+        if (root.Toast) root.Toast.error(error.message);
+      }
+      onChange(ideaId);
+      return;
+    }
     if (action === 'cancel-external') {
       editingExternal.delete(ideaId);
       errors.delete(ideaId);
@@ -444,6 +499,7 @@
     validatePicks: validatePicks,
     contributorsMarkup: contributorsMarkup,
     externalResultsMarkup: externalResultsMarkup,
+    createGuestLink: createGuestLink,
     assignmentMarkup: assignmentMarkup,
     revealButtonMarkup: revealButtonMarkup,
     summaryMarkup: summaryMarkup,
@@ -0,0 +1,153 @@
+/* Magic-link page where an outside guest submits their Top 3 picks. */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root);
+  } else {
+    var api = factory({
+      document: root.document,
+      location: root.location,
+      fetch: root.fetch.bind(root)
+    });
+    root.Top3GuestPortal = api;
+    api.start();
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  var token = '';
+  var view = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // The token travels in the fragment so it never reaches server logs.
+  function tokenFromLocation(location) {
+    return String((location && location.hash) || '').replace(/^#/, '').trim();
+  }
+
+  async function apiRequest(path, options) {
+    options = options || {};
+    var response = await root.fetch('/api' + path, {
+      method: options.method || 'GET',
+      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    var body = await response.json().catch(function() { return {}; });
+    if (!response.ok) {
+      var error = new Error((body && body.detail) || 'Request failed (' + response.status + ').');
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+
+  function formatExpiry(value) {
+    var date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function portalMarkup(guestView) {
+    var concept = guestView.concept;
+    var own = guestView.submission;
+    var picks = own ? own.picks : ['', '', ''];
+    var examples = Array.isArray(concept.aiExample) && concept.aiExample.length === 3
+      ? '<div class="guest-example"><strong>Example only — not anyone\'s picks</strong><ol>'
+        + concept.aiExample.map(function(example) { return '<li>' + escapeHtml(example) + '</li>'; }).join('') + '</ol></div>'
+      : '';
+    var pickFields = picks.map(function(pick, index) {
+      return '<div class="form-group"><label for="guestPick' + index + '">Rank ' + (index + 1) + '</label>'
+        + '<input type="text" id="guestPick' + index + '" data-guest-pick="' + index + '" maxlength="200" value="' + escapeHtml(pick) + '" autocomplete="off" required></div>';
+    }).join('');
+    return '<p class="login-subtitle">Top 3 for ' + escapeHtml(guestView.displayName) + '</p>'
+      + '<div class="guest-concept"><h2>' + escapeHtml(concept.name) + '</h2><p>' + escapeHtml(concept.description) + '</p>'
+      + (concept.rules ? '<p><strong>Rules:</strong> ' + escapeHtml(concept.rules) + '</p>' : '') + examples + '</div>'
+      + '<form class="login-form" data-guest-form>' + pickFields
+      + '<div class="form-group"><label for="guestNotes">Notes for the discussion (optional)</label>'
+      + '<textarea id="guestNotes" data-guest-notes rows="3" maxlength="8000">' + escapeHtml(own ? own.privateDiscussionNotes : '') + '</textarea></div>'
+      + '<div class="login-error" data-guest-error role="alert"></div>'
+      + '<div class="login-success" data-guest-saved role="status"></div>'
+      + '<button type="submit" class="btn btn-primary btn-lg" style="width: 100%;">' + (own ? 'Save changes' : 'Submit my three picks') + '</button></form>'
+      + '<p class="login-footer">Your picks stay hidden from each host until that host chooses to reveal them. '
+      + 'You can change them until this link expires' + (guestView.expiresAt ? ' on ' + escapeHtml(formatExpiry(guestView.expiresAt)) : '') + '.</p>';
+  }
+
+  function unavailableMarkup(message) {
+    return '<p class="login-subtitle">Top 3 guest link</p><div class="login-error" style="display: block;" role="alert">'
+      + escapeHtml(message) + '</div><p class="login-footer">Ask the hosts to send you a new link.</p>';
+  }
+
+  function container() {
+    return root.document.getElementById('guestPortal');
+  }
+
+  function render() {
+    container().innerHTML = portalMarkup(view);
+    container().querySelector('[data-guest-form]').addEventListener('submit', handleSubmit);
+  }
+
+  function showMessage(selector, message) {
+    var element = container().querySelector(selector);
+    if (!element) return;
+    element.textContent = message;
+    element.style.display = message ? 'block' : 'none';
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    var form = event.target;
+    var button = form.querySelector('button[type="submit"]');
+    var inputs = Array.from(form.querySelectorAll('[data-guest-pick]'));
+    inputs.sort(function(a, b) { return Number(a.dataset.guestPick) - Number(b.dataset.guestPick); });
+    showMessage('[data-guest-error]', '');
+    showMessage('[data-guest-saved]', '');
+    button.disabled = true;
+    try {
+      view = await apiRequest('/top3/guest/submission', {
+        method: 'PUT',
+        body: {
+          picks: inputs.map(function(input) { return input.value.trim(); }),
+          privateDiscussionNotes: form.querySelector('[data-guest-notes]').value.trim()
+        }
+      });
+      render();
+      showMessage('[data-guest-saved]', 'Saved. Thanks — the hosts will see your picks when they reveal them.');
+    } catch (error) {
+      if (error.status === 401 || error.status === 404) {
+        container().innerHTML = unavailableMarkup(error.message);
+        return;
+      }
+      showMessage('[data-guest-error]', error.message);
+      button.disabled = false;
+    }
+  }
+
+  async function start() {
+    token = tokenFromLocation(root.location);
+    if (!token) {
+      container().innerHTML = unavailableMarkup('This page needs the full link the hosts sent you.');
+      return;
+    }
+    try {
+      view = await apiRequest('/top3/guest');
+      render();
+    } catch (error) {
+      container().innerHTML = unavailableMarkup(error.message);
+    }
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    tokenFromLocation: tokenFromLocation,
+    portalMarkup: portalMarkup,
+    unavailableMarkup: unavailableMarkup,
+    start: start
+  };
+});
@@ -0,0 +1,132 @@
+/* Post-Production transcript panel: speaker-labelled paragraphs hosts can rename and correct. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.TranscriptEditor = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // 83.5 -> "1:23", 3725 -> "1:02:05".
+  function formatTimestamp(seconds) {
+    var whole = Math.floor(seconds);
+    var hours = Math.floor(whole / 3600);
+    var rest = String(Math.floor(whole / 60) % 60).padStart(hours ? 2 : 1, '0') + ':' + String(whole % 60).padStart(2, '0');
+    return hours ? hours + ':' + rest : rest;
+  }
+
+  /**
+   * Apply one edit from the panel to the transcript being edited and mark it
+   * unsaved. Edits are kept on the transcript so redrawing the queue keeps them.
+   * change: { speaker, name } renames a speaker everywhere;
+   *         { paragraph, field: 'speaker' | 'text', value } edits one paragraph.
+   */
+  function applyEdit(transcript, change) {
+    if (change.paragraph == null) transcript.speakers[change.speaker] = change.name;
+    else transcript.paragraphs[change.paragraph][change.field] = change.value;
+    transcript.dirty = true;
+    return transcript;
+  }
+
+  /** The body PUT /api/postproduction/{slot}/transcript expects. */
+  function payload(transcript) {
+    return {
+      speakers: Object.assign({}, transcript.speakers),
+      paragraphs: transcript.paragraphs.map(function(paragraph) {
+        return { speaker: paragraph.speaker, start: paragraph.start, end: paragraph.end, text: paragraph.text };
+      })
+    };
+  }
+
+  /** The paragraph being spoken at `seconds`: the last one starting at or before it. */
+  function paragraphAt(transcript, seconds) {
+    var found = 0;
+    transcript.paragraphs.forEach(function(paragraph, index) {
+      if (paragraph.start <= seconds) found = index;
+    });
+    return found;
+  }
+
+  /** Blank speaker names and empty paragraphs, which a save would be refused for. */
+  function problems(transcript) {
+    var found = [];
+    Object.keys(transcript.speakers).forEach(function(speaker) {
+      if (!String(transcript.speakers[speaker]).trim()) found.push('Speaker ' + speaker + ' needs a name.');
+    });
+    transcript.paragraphs.forEach(function(paragraph, index) {
+      if (!String(paragraph.text).trim()) found.push('Paragraph ' + (index + 1) + ' has no text.');
+    });
+    return found;
+  }
+
+  function sourceLine(transcript) {
+    if (transcript.source !== 'corrected') {
+      return 'WhisperX transcript from Drive. Save corrections to use them for chapters and show notes.';
+    }
+    var when = transcript.savedAt ? new Date(transcript.savedAt).toLocaleString() : '';
+    return 'Corrected' + (transcript.savedBy ? ' by ' + transcript.savedBy : '') + (when ? ' on ' + when : '')
+      + '. Chapters and show notes use this version.';
+  }
+
+  // canEdit: whether to offer Save and Discard (postproduction.edit).
+  function render(transcript, slotId, canEdit) {
+    var sid = escapeHtml(slotId);
+    var speakers = Object.keys(transcript.speakers);
+    var html = '<div class="pp-art-panel pp-transcript-panel" id="pp-transcript-' + sid + '">'
+      + '<div class="pp-transcript-header"><span class="pp-art-label">Transcript</span>'
+      + '<span class="pp-transcript-source">' + escapeHtml(sourceLine(transcript)) + '</span></div>'
+      + '<div class="pp-transcript-speakers">' + speakers.map(function(speaker) {
+        var id = escapeHtml(speaker);
+        return '<label><span class="pp-art-label">' + id + '</span>'
+          + '<input class="pp-art-input" type="text" value="' + escapeHtml(transcript.speakers[speaker]) + '"'
+          + ' oninput="PostProd.editTranscript(\'' + sid + '\', { speaker: \'' + id + '\', name: this.value })"'
+          + (canEdit ? '' : ' readonly') + '></label>';
+      }).join('') + '</div>'
+      + '<div class="pp-transcript-paragraphs">';
+
+    html += transcript.paragraphs.map(function(paragraph, index) {
+      var options = speakers.map(function(speaker) {
+        return '<option value="' + escapeHtml(speaker) + '"' + (speaker === paragraph.speaker ? ' selected' : '') + '>'
+          + escapeHtml(transcript.speakers[speaker]) + '</option>';
+      }).join('');
+      return '<div class="pp-transcript-paragraph">'
+        + '<span class="pp-transcript-time">' + formatTimestamp(paragraph.start) + '</span>'
+        + '<select class="pp-art-input" aria-label="Speaker"'
+        + ' onchange="PostProd.editTranscript(\'' + sid + '\', { paragraph: ' + index + ', field: \'speaker\', value: this.value })"'
+        + (canEdit ? '' : ' disabled') + '>' + options + '</select>'
+        + '<textarea class="pp-art-field-textarea" aria-label="Paragraph ' + (index + 1) + '"'
+        + ' oninput="PostProd.editTranscript(\'' + sid + '\', { paragraph: ' + index + ', field: \'text\', value: this.value })"'
+        + (canEdit ? '' : ' readonly') + '>' + escapeHtml(paragraph.text) + '</textarea>'
+        + '</div>';
+    }).join('');
+
+    html += '</div><div class="pp-art-actions">';
+    if (canEdit) {
+      html += '<button class="btn btn-primary btn-sm" id="pp-transcript-save-' + sid + '" onclick="PostProd.saveTranscript(\'' + sid + '\')">Save Corrections</button>';
+      if (transcript.source === 'corrected') {
+        html += '<button class="btn btn-ghost btn-sm" onclick="PostProd.discardTranscript(\'' + sid + '\')">Discard Corrections</button>';
+      }
+    }
+    return html + '<button class="btn btn-ghost btn-sm pp-art-dismiss" onclick="PostProd.closeTranscript(\'' + sid + '\')">&#x2715; Close</button>'
+      + '</div></div>';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatTimestamp: formatTimestamp,
+    applyEdit: applyEdit,
+    payload: payload,
+    problems: problems,
+    paragraphAt: paragraphAt,
+    render: render
+  };
+});
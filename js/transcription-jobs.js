@@ -0,0 +1,124 @@
+/* Post-Production transcription jobs panel: each job's worker, heartbeat, attempts and log, and watcher health. */
+(function(root, factory) {
+  var api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.TranscriptionJobs = api;
+})(typeof window !== 'undefined' ? window : globalThis, function() {
+  'use strict';
+
+  var ACTIVE = { pending: true, in_progress: true };
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // 42 -> "42s", 725 -> "12m 05s", 3725 -> "1h 02m".
+  function formatDuration(seconds) {
+    if (seconds == null) return '—';
+    var whole = Math.max(0, Math.floor(seconds));
+    if (whole < 60) return whole + 's';
+    var minutes = Math.floor(whole / 60);
+    if (minutes < 60) return minutes + 'm ' + String(whole % 60).padStart(2, '0') + 's';
+    return Math.floor(minutes / 60) + 'h ' + String(minutes % 60).padStart(2, '0') + 'm';
+  }
+
+  function secondsSince(iso, now) {
+    var at = Date.parse(iso || '');
+    return Number.isFinite(at) ? (now - at) / 1000 : null;
+  }
+
+  /** A job's state in words. now is epoch milliseconds. */
+  function statusLabel(job, now) {
+    var attempt = job.attempt || 1;
+    var max = job.maxAttempts || 1;
+    if (job.status === 'pending') {
+      var wait = -secondsSince(job.nextAttemptAt, now);
+      if (wait > 0) return 'Retry ' + attempt + ' of ' + max + ' in ' + formatDuration(wait);
+      return attempt > 1 ? 'Queued (attempt ' + attempt + ' of ' + max + ')' : 'Queued';
+    }
+    if (job.status === 'in_progress') return 'Transcribing';
+    if (job.status === 'done') return 'Done';
+    if (job.status === 'cancelled') return 'Cancelled' + (job.cancelledBy ? ' by ' + job.cancelledBy : '');
+    if (job.status === 'failed') return 'Failed after ' + attempt + ' attempt' + (attempt === 1 ? '' : 's');
+    return String(job.status || '');
+  }
+
+  function heartbeatLabel(job, now) {
+    var since = secondsSince(job.heartbeatAt, now);
+    if (since == null) return '—';
+    return formatDuration(since) + ' ago';
+  }
+
+  /** The stale-watcher warning, shown above the queue whether or not the panel is open. */
+  function alertHtml(dashboard) {
+    if (!dashboard || !dashboard.alert) return '';
+    return '<div class="pp-jobs-alert" role="alert">&#x26A0; ' + escapeHtml(dashboard.alert) + '</div>';
+  }
+
+  function workersHtml(dashboard) {
+    if (!dashboard.workers.length) return '<p class="pp-jobs-workers">No watcher has checked in yet.</p>';
+    return '<p class="pp-jobs-workers">' + dashboard.workers.map(function(worker) {
+      return '<span class="' + (worker.stale ? 'pp-jobs-stale' : 'pp-jobs-live') + '">'
+        + escapeHtml(worker.name) + ' checked in ' + formatDuration(worker.secondsSinceCheckIn) + ' ago</span>';
+    }).join(' · ') + '</p>';
+  }
+
+  function actionsHtml(entry, canEdit) {
+    if (!canEdit) return '';
+    var sid = escapeHtml(entry.slotId);
+    if (ACTIVE[entry.job.status]) {
+      return '<button class="btn btn-ghost btn-sm" onclick="PostProd.cancelTranscription(\'' + sid + '\')">Cancel</button>';
+    }
+    return '<button class="btn btn-ghost btn-sm" onclick="PostProd.requestTranscription(\'' + sid + '\')">Requeue</button>';
+  }
+
+  function logHtml(job) {
+    if (!job.logTail || !job.logTail.length) return '';
+    return '<details class="pp-jobs-log"><summary>Log (last ' + job.logTail.length + ' lines)</summary>'
+      + '<pre>' + escapeHtml(job.logTail.join('\n')) + '</pre></details>';
+  }
+
+  // dashboard: GET /api/postproduction/transcription-queue.
+  // canEdit: whether to offer Cancel and Requeue (postproduction.edit).
+  function render(dashboard, canEdit, now) {
+    var html = '<div class="pp-art-panel pp-jobs-panel">'
+      + '<div class="pp-transcript-header"><span class="pp-art-label">Transcription Jobs</span></div>'
+      + workersHtml(dashboard);
+    if (!dashboard.jobs.length) {
+      return html + '<p class="pp-jobs-empty">No transcription jobs yet.</p></div>';
+    }
+    html += '<table class="pp-jobs-table"><thead><tr>'
+      + '<th>Episode</th><th>Status</th><th>Worker</th><th>Last heartbeat</th><th>Duration</th><th>Attempt</th><th></th>'
+      + '</tr></thead><tbody>';
+    dashboard.jobs.forEach(function(entry) {
+      var job = entry.job;
+      var title = entry.episodeNumber + (entry.selectedTitle ? ' — ' + entry.selectedTitle : '');
+      html += '<tr class="pp-jobs-' + escapeHtml(job.status) + '">'
+        + '<td>' + escapeHtml(title) + logHtml(job) + '</td>'
+        + '<td>' + escapeHtml(statusLabel(job, now))
+        + (job.error ? '<div class="pp-job-error" title="' + escapeHtml(job.error) + '">' + escapeHtml(job.error) + '</div>' : '')
+        + '</td>'
+        + '<td>' + escapeHtml(job.worker || '—') + '</td>'
+        + '<td>' + escapeHtml(heartbeatLabel(job, now)) + '</td>'
+        + '<td>' + escapeHtml(formatDuration(entry.durationSeconds)) + '</td>'
+        + '<td>' + escapeHtml((job.attempt || 1) + ' / ' + (job.maxAttempts || 1)) + '</td>'
+        + '<td class="pp-jobs-actions">' + actionsHtml(entry, canEdit) + '</td>'
+        + '</tr>';
+    });
+    return html + '</tbody></table></div>';
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatDuration: formatDuration,
+    statusLabel: statusLabel,
+    alertHtml: alertHtml,
+    render: render
+  };
+});
@@ -0,0 +1,171 @@
+/* Authenticated Trash page: deleted ideas, jokes, songs, and guests. */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root);
+  } else {
+    var api = factory({
+      document: root.document,
+      confirm: root.confirm.bind(root),
+      Auth: Auth,
+      Storage: Storage,
+      Toast: Toast
+    });
+    root.TrashPage = api;
+    root.onStorageReady = api.onStorageReady;
+    api.start();
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  var SECTIONS = [
+    { kind: 'ideas', heading: 'Ideas' },
+    { kind: 'jokes', heading: 'Jokes' },
+    { kind: 'songs', heading: 'Songs' },
+    { kind: 'guests', heading: 'Guests' }
+  ];
+  var entries = [];
+  var retentionDays = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function formatDate(value) {
+    if (!value) return '';
+    var date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  function linkSummary(entry) {
+    var links = entry.links || {};
+    var parts = [];
+    if (entry.kind === 'ideas') {
+      if (links.slotId) parts.push('schedule slot');
+      if (links.jokeId) parts.push('joke');
+      if (links.songId) parts.push('song');
+      var guests = (links.guestIds || []).length;
+      if (guests) parts.push(guests + ' guest' + (guests === 1 ? '' : 's'));
+    } else if (links.ideaId || (links.ideaIds || []).length) {
+      parts.push('episode assignment');
+    }
+    return parts.length ? 'Had: ' + parts.join(', ') : '';
+  }
+
+  function entryMarkup(entry) {
+    var links = linkSummary(entry);
+    return '<li class="trash-item" data-record-id="' + escapeHtml(entry.recordId) + '">'
+      + '<div class="trash-item-text"><strong>' + escapeHtml(entry.title) + '</strong>'
+      + '<div class="text-xs text-muted">Deleted by ' + escapeHtml(entry.deletedBy) + ' on ' + escapeHtml(formatDate(entry.deletedAt))
+      + ' · removed for good after ' + escapeHtml(formatDate(entry.expiresAt)) + '</div>'
+      + (links ? '<div class="text-xs text-muted">' + escapeHtml(links) + '</div>' : '')
+      + '</div>'
+      + '<button type="button" class="btn btn-secondary btn-sm" data-action="restore" data-entry-id="' + escapeHtml(entry.id) + '">Restore</button>'
+      + '</li>';
+  }
+
+  function sectionMarkup(section, items) {
+    var body = items.length
+      ? '<ul class="trash-list">' + items.map(entryMarkup).join('') + '</ul>'
+      : '<p class="text-sm text-muted">No deleted ' + escapeHtml(section.heading.toLowerCase()) + '.</p>';
+    return '<section class="card trash-section" aria-labelledby="trash-' + section.kind + '">'
+      + '<h2 id="trash-' + section.kind + '">' + escapeHtml(section.heading) + ' <span class="text-sm text-muted">(' + items.length + ')</span></h2>'
+      + body + '</section>';
+  }
+
+  function trashMarkup(list) {
+    return SECTIONS.map(function(section) {
+      return sectionMarkup(section, list.filter(function(entry) { return entry.kind === section.kind; }));
+    }).join('');
+  }
+
+  // "Restored the joke and song; the schedule slot was no longer free."
+  function restoreMessage(title, report) {
+    if (report.offline) return '“' + title + '” will be restored when the connection returns.';
+    var message = 'Restored “' + title + '”';
+    if (report.restored.length) message += ' with its ' + report.restored.join(', ');
+    message += '.';
+    if (report.skipped.length) {
+      message += ' Not reattached because no longer free: ' + report.skipped.join(', ') + '.';
+    }
+    return message;
+  }
+
+  function announce(message) {
+    var element = root.document.getElementById('pageNotice');
+    if (element) element.textContent = message || '';
+  }
+
+  function render() {
+    root.document.getElementById('trashSections').innerHTML = trashMarkup(entries);
+    var retention = root.document.getElementById('trashRetention');
+    if (retention && retentionDays !== null) {
+      retention.textContent = 'Deleted records stay here for ' + retentionDays + ' days.';
+    }
+  }
+
+  async function load() {
+    try {
+      var body = await root.Storage.getTrash();
+      entries = body.entries || [];
+      retentionDays = body.retentionDays;
+      render();
+    } catch (err) {
+      announce('The trash could not be loaded: ' + err.message);
+    }
+  }
+
+  async function restore(entryId, button) {
+    var entry = entries.find(function(candidate) { return String(candidate.id) === String(entryId); });
+    if (!entry) return;
+    button.disabled = true;
+    announce('Restoring…');
+    var report = await root.Storage.restoreFromTrash(entry.id);
+    if (!report) {
+      button.disabled = false;
+      announce('The restore failed. Review the message and try again.');
+      return;
+    }
+    var message = restoreMessage(entry.title, report);
+    announce(message);
+    root.Toast.success(message);
+    await load();
+  }
+
+  function bindEvents() {
+    root.document.querySelector('[data-action="logout"]').addEventListener('click', function() { root.Auth.logout(); });
+    root.document.getElementById('trashSections').addEventListener('click', function(event) {
+      var button = event.target.closest('[data-action="restore"][data-entry-id]');
+      if (button) restore(button.dataset.entryId, button);
+    });
+  }
+
+  async function onStorageReady() {
+    await load();
+    announce('Trash loaded.');
+    ['ideas', 'jokes', 'songs', 'guests'].forEach(function(key) {
+      root.Storage.subscribe(key, load);
+    });
+  }
+
+  function start() {
+    bindEvents();
+    root.Auth.init();
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    linkSummary: linkSummary,
+    entryMarkup: entryMarkup,
+    trashMarkup: trashMarkup,
+    restoreMessage: restoreMessage,
+    onStorageReady: onStorageReady,
+    start: start
+  };
+});
@@ -0,0 +1,315 @@
+/**
+ * SATT backup diff and selective restore.
+ *
+ * Usage:
+ *   node scripts/backup_diff.js <backup.json> <current.json>
+ *     [--include <key>=<removed|changed|all|id,id,...>]... [--out <payload.json>] [--json]
+ *
+ * Both files are /api/export snapshots, for example a nightly
+ * satt-production-*.json and a fresh export. The diff reads "since the
+ * backup": added records exist only in the current snapshot, removed records
+ * only in the backup, and changed records list each field's backup and current
+ * value.
+ *
+ * Each --include picks backup records to bring back for one key:
+ *   removed  records deleted since the backup
+ *   changed  records edited since the backup, rolled back to the backup copy
+ *   all      both of the above
+ *   a,b,c    exactly these ids (slot ids for assignments, guestId:ideaId for
+ *            guestAssignments)
+ *
+ * The payload written to --out contains only the included keys, each being the
+ * current records plus the selected backup records, ready for PUT /api/import.
+ * Nothing created since the backup is dropped. Restored schedule and guest
+ * assignments whose slot, idea, or guest is missing from the result, or whose
+ * idea is already scheduled elsewhere, are skipped and reported.
+ */
+
+"use strict";
+
+const fs = require("node:fs");
+
+const KEYS = [
+  "config",
+  "ideas",
+  "jokes",
+  "songs",
+  "guests",
+  "guestAssignments",
+  "showSlots",
+  "assignments",
+];
+const MODES = ["removed", "changed", "all"];
+
+// Same rules as the server audit log (src/satt/audit.py): derived guest
+// statistics and bookkeeping fields never count as a change on their own.
+const IGNORED_FIELDS = new Set([
+  "version",
+  "updatedAt",
+  "assignedAt",
+  "totalAppearances",
+  "firstAppearance",
+  "mostRecentAppearance",
+  "appearanceHistory",
+  "assignedEpisodes",
+]);
+
+function recordsById(key, value) {
+  const records = new Map();
+  if (key === "config") {
+    if (value && Object.keys(value).length) records.set("config", value);
+  } else if (key === "assignments") {
+    Object.entries(value || {}).forEach(([slotId, ideaId]) => {
+      records.set(slotId, { slotId, ideaId });
+    });
+  } else if (key === "guestAssignments") {
+    (value || []).forEach((item) => records.set(`${item.guestId}:${item.ideaId}`, item));
+  } else {
+    (value || []).forEach((item) => records.set(item.id, item));
+  }
+  return records;
+}
+
+function fromRecords(key, records) {
+  const values = Array.from(records.values());
+  if (key === "config") return values[0] || {};
+  if (key === "assignments") {
+    return Object.fromEntries(values.map((item) => [item.slotId, item.ideaId]));
+  }
+  return values;
+}
+
+function same(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function changedFields(before, after) {
+  const fields = {};
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  Array.from(names).sort().forEach((field) => {
+    if (IGNORED_FIELDS.has(field)) return;
+    if (!same(before[field], after[field])) {
+      fields[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return fields;
+}
+
+function title(key, id, record) {
+  if (key === "ideas") return record.selectedTitle || (record.titles || [])[0] || "Untitled idea";
+  if (key === "jokes") return record.text || id;
+  if (key === "songs") return `${record.artist || ""} — ${record.title || ""}`;
+  if (key === "guests") return record.displayName || id;
+  if (key === "showSlots") return record.episodeNumber || id;
+  if (key === "assignments") return `${record.slotId} -> ${record.ideaId}`;
+  return id;
+}
+
+/** Compare two export snapshots key by key: what changed since ``backup``. */
+function diffSnapshots(backup, current) {
+  const diff = {};
+  KEYS.forEach((key) => {
+    const old = recordsById(key, backup[key]);
+    const now = recordsById(key, current[key]);
+    const entry = { added: [], removed: [], changed: [] };
+    now.forEach((record, id) => {
+      if (!old.has(id)) entry.added.push({ id, title: title(key, id, record) });
+    });
+    old.forEach((record, id) => {
+      if (!now.has(id)) {
+        entry.removed.push({ id, title: title(key, id, record) });
+        return;
+      }
+      const fields = changedFields(record, now.get(id));
+      if (Object.keys(fields).length) {
+        entry.changed.push({ id, title: title(key, id, record), fields });
+      }
+    });
+    diff[key] = entry;
+  });
+  return diff;
+}
+
+/** Parse "ideas=removed" or "jokes=joke-1,joke-2" into ``filters``. */
+function parseInclude(spec, filters = {}) {
+  const separator = spec.indexOf("=");
+  const key = separator === -1 ? spec : spec.slice(0, separator);
+  const value = separator === -1 ? "" : spec.slice(separator + 1);
+  if (!KEYS.includes(key)) {
+    throw new Error(`Unknown key "${key}". Use one of: ${KEYS.join(", ")}`);
+  }
+  if (!value) throw new Error(`--include ${key} needs =removed, =changed, =all, or a list of ids`);
+  filters[key] = MODES.includes(value)
+    ? value
+    : value.split(",").map((id) => id.trim()).filter(Boolean);
+  return filters;
+}
+
+function selectedIds(filter, entry) {
+  if (Array.isArray(filter)) return filter;
+  const ids = [];
+  if (filter === "removed" || filter === "all") ids.push(...entry.removed.map((item) => item.id));
+  if (filter === "changed" || filter === "all") ids.push(...entry.changed.map((item) => item.id));
+  return ids;
+}
+
+// Restored links must point at records the import will actually contain.
+function linkProblem(key, record, result, scheduled) {
+  if (key === "assignments") {
+    if (!result.showSlots.has(record.slotId)) return "the schedule slot no longer exists";
+    if (!result.ideas.has(record.ideaId)) return "the idea no longer exists";
+    const elsewhere = scheduled.get(record.ideaId);
+    if (elsewhere && elsewhere !== record.slotId) return `the idea is already scheduled in ${elsewhere}`;
+  }
+  if (key === "guestAssignments") {
+    if (!result.guests.has(record.guestId)) return "the guest no longer exists";
+    if (!result.ideas.has(record.ideaId)) return "the idea no longer exists";
+  }
+  return null;
+}
+
+/**
+ * Build a PUT /api/import payload from ``current`` plus the backup records
+ * ``filters`` select. Returns ``{payload, restored, skipped}``.
+ */
+function buildRestorePayload(backup, current, filters) {
+  const diff = diffSnapshots(backup, current);
+  const merged = {};
+  const restored = {};
+  const skipped = [];
+
+  Object.keys(filters).forEach((key) => {
+    const old = recordsById(key, backup[key]);
+    const records = recordsById(key, current[key]);
+    restored[key] = [];
+    selectedIds(filters[key], diff[key]).forEach((id) => {
+      if (!old.has(id)) {
+        skipped.push({ key, id, reason: "not in the backup" });
+        return;
+      }
+      if (same(old.get(id), records.get(id))) return;
+      records.set(id, old.get(id));
+      restored[key].push(id);
+    });
+    merged[key] = records;
+  });
+
+  const result = {};
+  ["ideas", "guests", "showSlots"].forEach((key) => {
+    result[key] = merged[key] || recordsById(key, current[key]);
+  });
+  ["assignments", "guestAssignments"].forEach((key) => {
+    if (!merged[key]) return;
+    const scheduled = new Map();
+    if (key === "assignments") {
+      merged[key].forEach((record, slotId) => {
+        if (!restored[key].includes(slotId)) scheduled.set(record.ideaId, slotId);
+      });
+    }
+    restored[key] = restored[key].filter((id) => {
+      const record = merged[key].get(id);
+      const reason = linkProblem(key, record, result, scheduled);
+      if (reason) {
+        skipped.push({ key, id, reason });
+        const previous = recordsById(key, current[key]).get(id);
+        if (previous) merged[key].set(id, previous);
+        else merged[key].delete(id);
+        return false;
+      }
+      if (key === "assignments") scheduled.set(record.ideaId, id);
+      return true;
+    });
+  });
+
+  const payload = {};
+  Object.keys(merged).forEach((key) => {
+    payload[key] = fromRecords(key, merged[key]);
+  });
+  return { payload, restored, skipped };
+}
+
+function formatValue(value) {
+  const text = value === undefined ? "(none)" : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function formatDiff(diff) {
+  const lines = [];
+  KEYS.forEach((key) => {
+    const entry = diff[key];
+    lines.push(`${key}: ${entry.added.length} added, ${entry.removed.length} removed, ${entry.changed.length} changed`);
+    entry.added.forEach((item) => lines.push(`  + ${item.id} | ${item.title}`));
+    entry.removed.forEach((item) => lines.push(`  - ${item.id} | ${item.title}`));
+    entry.changed.forEach((item) => {
+      lines.push(`  ~ ${item.id} | ${item.title}`);
+      Object.entries(item.fields).forEach(([field, change]) => {
+        lines.push(`      ${field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+      });
+    });
+  });
+  return lines.join("\n");
+}
+
+function parseArgs(argv) {
+  const options = { files: [], filters: {}, out: null, json: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === "--include") parseInclude(argv[++index] || "", options.filters);
+    else if (arg === "--out") options.out = argv[++index];
+    else if (arg === "--json") options.json = true;
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+function readSnapshot(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+    throw new Error(`${file} is not an /api/export snapshot`);
+  }
+  return snapshot;
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  if (options.files.length !== 2) {
+    console.error("Usage: node scripts/backup_diff.js <backup.json> <current.json> [--include key=mode]... [--out payload.json] [--json]");
+    return 1;
+  }
+  const [backup, current] = options.files.map(readSnapshot);
+  const diff = diffSnapshots(backup, current);
+  console.log(options.json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+
+  if (!Object.keys(options.filters).length) return 0;
+  const { payload, restored, skipped } = buildRestorePayload(backup, current, options.filters);
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const out = options.out || `SATT_RESTORE_${date}.json`;
+  fs.writeFileSync(out, `${JSON.stringify(payload, null, 2)}\n`);
+
+  console.error("");
+  Object.entries(restored).forEach(([key, ids]) => {
+    console.error(`Restoring ${ids.length} ${key}${ids.length ? `: ${ids.join(", ")}` : ""}`);
+  });
+  skipped.forEach((item) => console.error(`Skipped ${item.key} ${item.id}: ${item.reason}`));
+  console.error(`Import payload written to ${out}. Review it, then PUT it to /api/import.`);
+  return 0;
+}
+
+module.exports = {
+  KEYS,
+  recordsById,
+  diffSnapshots,
+  parseInclude,
+  buildRestorePayload,
+  formatDiff,
+  main,
+};
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -30,9 +30,11 @@ printf '%s\n' "$commit" | grep -Eq '^[0-9a-f]{40}$'
 image="satt:production-$commit"
 timestamp="$(date -u +%Y%m%dT%H%M%SZ)"
 backup_path="$backup_dir/satt-production-$timestamp.dump"
+snapshot_path="$backup_dir/satt-production-$timestamp.json"
 
 install -d -m 0700 "$backup_dir"
 test ! -e "$backup_path"
+test ! -e "$snapshot_path"
 umask 077
 if ! COMMIT_SHA="$commit" SATT_IMAGE="$image" \
   docker compose \
@@ -49,13 +51,28 @@ test -s "$backup_path"
 chmod 0600 "$backup_path"
 pg_restore --list "$backup_path" >/dev/null
 digest="$(sha256sum "$backup_path" | awk '{print $1}')"
+
+# The /api/export snapshot is what scripts/backup_diff.js compares and
+# selectively restores from; the dump remains the full-recovery copy.
+if ! COMMIT_SHA="$commit" SATT_IMAGE="$image" \
+  docker compose \
+    --env-file "$environment_file" \
+    -f compose.production.yaml \
+    exec -T app python -m satt.scripts.export_snapshot \
+    < /dev/null > "$snapshot_path" 2>/dev/null; then
+  echo "ERROR: SATT nightly export snapshot failed"
+  exit 1
+fi
+chmod 0600 "$snapshot_path"
+python3 -c 'import json,sys; json.load(open(sys.argv[1]))' "$snapshot_path"
+
 python3 -c \
-  'import json,sys; print(json.dumps({"file":sys.argv[1],"sha256":sys.argv[2],"verified":True},sort_keys=True))' \
-  "$(basename "$backup_path")" "$digest"
+  'import json,sys; print(json.dumps({"file":sys.argv[1],"sha256":sys.argv[2],"snapshot":sys.argv[3],"verified":True},sort_keys=True))' \
+  "$(basename "$backup_path")" "$digest" "$(basename "$snapshot_path")"
 
 find "$backup_dir" \
   -maxdepth 1 \
   -type f \
-  -name 'satt-production-*.dump' \
+  \( -name 'satt-production-*.dump' -o -name 'satt-production-*.json' \) \
   -mtime +14 \
   -delete
@@ -0,0 +1,133 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const BackupDiff = require("./backup_diff.js");
+
+function idea(id, overrides = {}) {
+  return Object.assign({
+    id,
+    titles: [`Title ${id}`],
+    selectedTitle: `Title ${id}`,
+    summary: "Summary",
+    outline: [],
+    status: "processed",
+    version: 1,
+  }, overrides);
+}
+
+function slot(id) {
+  return { id, episodeNumber: id.toUpperCase(), episodeNum: 1, recordDate: "2026-10-20" };
+}
+
+function backup() {
+  return {
+    config: { showName: "Salt All The Things" },
+    ideas: [idea("idea-a"), idea("idea-b"), idea("idea-c")],
+    jokes: [{ id: "joke-1", text: "Salt", status: "unused", usedByIdeaId: null }],
+    songs: [],
+    guests: [{ id: "guest-1", displayName: "Guest One", status: "active", totalAppearances: 1 }],
+    guestAssignments: [{ guestId: "guest-1", ideaId: "idea-b" }],
+    showSlots: [slot("slot-1"), slot("slot-2")],
+    assignments: { "slot-1": "idea-a", "slot-2": "idea-b" },
+    revision: 10,
+  };
+}
+
+function current() {
+  return {
+    config: { showName: "Salt All The Things" },
+    ideas: [idea("idea-a", { summary: "Rewritten", version: 2 }), idea("idea-d")],
+    jokes: [{ id: "joke-1", text: "Salt", status: "unused", usedByIdeaId: null }],
+    songs: [],
+    guests: [{ id: "guest-1", displayName: "Guest One", status: "active", totalAppearances: 0 }],
+    guestAssignments: [],
+    showSlots: [slot("slot-1"), slot("slot-2")],
+    assignments: { "slot-1": "idea-a", "slot-2": "idea-d" },
+    revision: 14,
+  };
+}
+
+function testDiffCoversEveryKey() {
+  const diff = BackupDiff.diffSnapshots(backup(), current());
+  assert.deepEqual(Object.keys(diff), BackupDiff.KEYS);
+  assert.deepEqual(diff.ideas.added.map((item) => item.id), ["idea-d"]);
+  assert.deepEqual(diff.ideas.removed.map((item) => item.id), ["idea-b", "idea-c"]);
+  assert.deepEqual(diff.ideas.changed, [{
+    id: "idea-a",
+    title: "Title idea-a",
+    fields: { summary: { from: "Summary", to: "Rewritten" } },
+  }]);
+  // Derived guest statistics are not an edit.
+  assert.deepEqual(diff.guests.changed, []);
+  assert.deepEqual(diff.guestAssignments.removed.map((item) => item.id), ["guest-1:idea-b"]);
+  assert.deepEqual(diff.assignments.changed[0].fields, { ideaId: { from: "idea-b", to: "idea-d" } });
+  assert.deepEqual(diff.jokes, { added: [], removed: [], changed: [] });
+
+  const text = BackupDiff.formatDiff(diff);
+  assert.match(text, /^ideas: 1 added, 2 removed, 1 changed$/m);
+  assert.match(text, /^ {2}- idea-c \| Title idea-c$/m);
+  assert.match(text, /^ {6}summary: "Summary" -> "Rewritten"$/m);
+}
+
+function testIncludeFilters() {
+  assert.deepEqual(BackupDiff.parseInclude("ideas=removed"), { ideas: "removed" });
+  assert.deepEqual(BackupDiff.parseInclude("jokes= joke-1,joke-2"), { jokes: ["joke-1", "joke-2"] });
+  assert.throws(() => BackupDiff.parseInclude("secrets=all"), /Unknown key "secrets"/);
+  assert.throws(() => BackupDiff.parseInclude("ideas"), /needs =removed/);
+}
+
+function testRestorePayloadKeepsCurrentWorkAndSkipsTakenLinks() {
+  const filters = {};
+  ["ideas=removed", "assignments=all", "guestAssignments=removed"].forEach((spec) => {
+    BackupDiff.parseInclude(spec, filters);
+  });
+  const { payload, restored, skipped } = BackupDiff.buildRestorePayload(backup(), current(), filters);
+
+  assert.deepEqual(Object.keys(payload), ["ideas", "assignments", "guestAssignments"]);
+  assert.deepEqual(payload.ideas.map((item) => item.id), ["idea-a", "idea-d", "idea-b", "idea-c"]);
+  assert.equal(payload.ideas[0].summary, "Rewritten");
+  assert.deepEqual(restored.ideas, ["idea-b", "idea-c"]);
+  // Rolling slot-2 back to idea-b frees idea-d, which stays in the ideas list.
+  assert.deepEqual(payload.assignments, { "slot-1": "idea-a", "slot-2": "idea-b" });
+  assert.deepEqual(payload.guestAssignments, [{ guestId: "guest-1", ideaId: "idea-b" }]);
+  assert.deepEqual(skipped, []);
+
+  // Without the ideas, their links have nothing to point at.
+  const linksOnly = BackupDiff.buildRestorePayload(backup(), current(), {
+    assignments: "changed",
+    guestAssignments: ["guest-1:idea-b", "guest-1:idea-z"],
+  });
+  assert.deepEqual(linksOnly.payload.assignments, current().assignments);
+  assert.deepEqual(linksOnly.payload.guestAssignments, []);
+  assert.deepEqual(linksOnly.skipped, [
+    { key: "guestAssignments", id: "guest-1:idea-z", reason: "not in the backup" },
+    { key: "assignments", id: "slot-2", reason: "the idea no longer exists" },
+    { key: "guestAssignments", id: "guest-1:idea-b", reason: "the idea no longer exists" },
+  ]);
+}
+
+function testIdeaAlreadyScheduledElsewhereIsSkipped() {
+  const before = backup();
+  const after = current();
+  after.assignments = { "slot-1": "idea-b" };
+  after.ideas.push(idea("idea-b"));
+  const { payload, skipped } = BackupDiff.buildRestorePayload(before, after, { assignments: ["slot-2"] });
+  assert.deepEqual(payload.assignments, { "slot-1": "idea-b" });
+  assert.deepEqual(skipped, [
+    { key: "assignments", id: "slot-2", reason: "the idea is already scheduled in slot-1" },
+  ]);
+}
+
+function main() {
+  testDiffCoversEveryKey();
+  testIncludeFilters();
+  testRestorePayloadKeepsCurrentWorkAndSkipsTakenLinks();
+  testIdeaAlreadyScheduledElsewhereIsSkipped();
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error);
+  process.exitCode = 1;
+}
@@ -6,8 +6,22 @@ const vm = require("node:vm");
 const SongBankPage = require("../js/songs.js");
 const SongPreparation = require("../js/show-song.js");
 const EpisodeOverview = require("../js/episode-overview.js");
+const StorageMerge = require("../js/storage-merge.js");
 const Top3BankPage = require("../js/top3-bank.js");
 const Top3EpisodePlanning = require("../js/top3-episode.js");
+const RecordHistory = require("../js/record-history.js");
+const TrashPage = require("../js/trash.js");
+const ImportPreview = require("../js/import-preview.js");
+const Passkeys = require("../js/passkeys.js");
+const SlotTools = require("../js/slot-tools.js");
+const ScheduleCalendar = require("../js/schedule-calendar.js");
+const RunSheet = require("../js/run-sheet.js");
+const Chapters = require("../js/chapters.js");
+const TranscriptEditor = require("../js/transcript-editor.js");
+const SearchPalette = require("../js/search-palette.js");
+const ShowNotes = require("../js/show-notes.js");
+const TranscriptionJobs = require("../js/transcription-jobs.js");
+const DriveSync = require("../js/drive-sync.js");
 
 function domHarness() {
   const elements = new Map();
@@ -56,7 +70,7 @@ function domHarness() {
   };
 }
 
-function loadStorage(fetchImpl) {
+function loadStorage(fetchImpl, globals = {}) {
   const errors = [];
   const dom = domHarness();
   const context = {
@@ -68,8 +82,12 @@ function loadStorage(fetchImpl) {
     JSON,
     setTimeout,
     clearTimeout,
+    setInterval,
+    clearInterval,
     document: dom.document,
     window: dom.window,
+    StorageMerge,
+    ...globals,
   };
   vm.createContext(context);
   const source = fs.readFileSync("js/storage.js", "utf8");
@@ -100,6 +118,38 @@ function state(revision, overrides = {}) {
   };
 }
 
+function fakeIndexedDB(records = []) {
+  const rows = new Map(records.map((record) => [record.id, structuredClone(record)]));
+  let nextId = Math.max(0, ...rows.keys()) + 1;
+  function request(run) {
+    const pending = {};
+    setTimeout(() => {
+      pending.result = run();
+      if (pending.onsuccess) pending.onsuccess();
+    });
+    return pending;
+  }
+  const db = {
+    transaction() {
+      return {
+        objectStore: () => ({
+          put(value) {
+            return request(() => {
+              const id = value.id === undefined ? nextId++ : value.id;
+              rows.set(id, { ...structuredClone(value), id });
+              return id;
+            });
+          },
+          delete(id) { return request(() => { rows.delete(id); }); },
+          getAll() { return request(() => Array.from(rows.values(), (row) => structuredClone(row))); },
+        }),
+      };
+    },
+  };
+  return { rows, open: () => request(() => db) };
+}
+
+// The source of one top-level function from a page's inline script.
 function checkInlineScripts(filename, html) {
   const pattern = /<script(?:\s[^>]*)?>([\s\S]*?)<\/script>/gi;
   for (const match of html.matchAll(pattern)) {
@@ -128,6 +178,23 @@ async function testSuccessfulCanonicalSave() {
   assert.equal(requests[1].url, "/api/data/ideas");
 }
 
+async function testEditorLoadsOnlyConfig() {
+  const urls = [];
+  const harness = loadStorage(async (url) => {
+    urls.push(url);
+    assert.equal(url, "/api/export?keys=config", "editors never ask for planning data");
+    return response(200, { config: { showName: "Salt" }, revision: urls.length - 1 });
+  }, { Auth: { getToken: () => "test-token", can: (action) => action !== "planning.view" } });
+  await harness.storage.init();
+  assert.equal(harness.storage.getConfig().showName, "Salt");
+  assert.equal(harness.storage.getIdeas().length, 0);
+
+  // A planning edit elsewhere still moves the revision on.
+  assert.equal(await harness.storage._handleRemoteRevision({ revision: 1, since: 0, keys: ["ideas"] }), true);
+  assert.equal(harness.storage._revision, 1);
+  assert.equal(urls.length, 2);
+}
+
 async function testGlobalQueuePreventsOutOfOrderWrites() {
   let revision = 0;
   let inFlight = 0;
@@ -212,12 +279,1749 @@ async function testConflictReloadsAndCancelsStaleQueue() {
   const queued = harness.storage.addIdea({ id: "stale-two", status: "draft" });
   assert.equal(await stale, false);
   assert.equal(await queued, false);
-  assert.equal(mutationCount, 1);
+  assert.equal(mutationCount, 1 + harness.storage._mergeAttempts);
   assert.equal(harness.storage.getIdeas()[0].id, "server-newer");
   assert.equal(harness.storage._revision, 8);
   assert.match(harness.dom.document.getElementById("save-status").className, /conflict/);
 }
 
+function testThreeWayMergeContract() {
+  const base = [
+    { id: "a", selectedTitle: "Alpha", outline: "one", summary: "s" },
+    { id: "b", selectedTitle: "Beta", outline: "two", summary: "s" },
+  ];
+  const local = [
+    { id: "a", selectedTitle: "Alpha", outline: "one (Rocket)", summary: "s" },
+    { id: "b", selectedTitle: "Beta", outline: "two", summary: "s" },
+    { id: "c", selectedTitle: "Gamma", outline: "", summary: "" },
+  ];
+  const latest = [
+    { id: "a", selectedTitle: "Alpha", outline: "one", summary: "Trog's summary" },
+    { id: "b", selectedTitle: "Beta (Trog)", outline: "two", summary: "s" },
+    { id: "d", selectedTitle: "Delta", outline: "", summary: "" },
+  ];
+  const clean = StorageMerge.merge("ideas", base, local, latest);
+  assert.deepEqual(clean.conflicts, []);
+  assert.deepEqual(clean.value.map((idea) => idea.id), ["a", "b", "d", "c"]);
+  assert.equal(clean.value[0].outline, "one (Rocket)");
+  assert.equal(clean.value[0].summary, "Trog's summary");
+  assert.equal(clean.value[1].selectedTitle, "Beta (Trog)");
+
+  const collided = StorageMerge.merge("ideas", base, [
+    { ...base[0], outline: "Rocket's outline" },
+    base[1],
+  ], [
+    { ...base[0], outline: "Trog's outline" },
+  ]);
+  assert.deepEqual(collided.conflicts.map((conflict) => [conflict.id, conflict.field, conflict.local, conflict.latest]), [
+    ["a", "outline", "Rocket's outline", "Trog's outline"],
+  ]);
+  assert.deepEqual(collided.value.map((idea) => idea.id), ["a"]);
+  const resolved = StorageMerge.applyResolutions("ideas", collided.value, collided.conflicts, ["local"]);
+  assert.equal(resolved[0].outline, "Rocket's outline");
+  assert.match(StorageMerge.resolverMarkup(collided.conflicts), /Idea: Alpha — <code>outline<\/code>/);
+  assert.match(StorageMerge.resolverMarkup(collided.conflicts), /name="merge-choice-0" value="latest"/);
+
+  const editVsDelete = StorageMerge.merge("jokes", [{ id: "j", text: "old" }], [{ id: "j", text: "new" }], []);
+  assert.equal(editVsDelete.conflicts[0].field, null);
+  assert.equal(editVsDelete.conflicts[0].latest, undefined);
+
+  const schedule = StorageMerge.merge(
+    "assignments",
+    { slot_1: "a" },
+    { slot_1: "a", slot_2: "b" },
+    { slot_1: "a", slot_3: "b", slot_4: "c" },
+  );
+  assert.deepEqual(schedule.value, { slot_1: "a", slot_3: "b", slot_4: "c" });
+  assert.deepEqual(schedule.conflicts.map((conflict) => [conflict.field, conflict.local, conflict.latest]), [
+    ["slot", "slot_2", "slot_3"],
+  ]);
+  assert.deepEqual(
+    StorageMerge.applyResolutions("assignments", schedule.value, schedule.conflicts, ["local"]),
+    { slot_1: "a", slot_2: "b", slot_4: "c" },
+  );
+}
+
+async function testConflictMergesNonOverlappingEditsAndResubmits() {
+  let exportCount = 0;
+  const bodies = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") {
+      exportCount += 1;
+      return response(200, exportCount === 1
+        ? state(7, { ideas: [{ id: "mine", outline: "old" }, { id: "theirs", outline: "old" }] })
+        : state(8, { ideas: [{ id: "mine", outline: "old" }, { id: "theirs", outline: "Trog edit" }] }));
+    }
+    bodies.push({ ifMatch: options.headers["If-Match"], ideas: JSON.parse(options.body) });
+    if (bodies.length === 1) {
+      return response(409, { detail: { message: "Server data changed", currentRevision: 8 } });
+    }
+    const ideas = JSON.parse(options.body);
+    return response(200, { ok: true, state: state(9, { ideas }), revision: 9 });
+  });
+  await harness.storage.init();
+  const saved = harness.storage.updateIdea("mine", { outline: "Rocket edit" });
+  const followUp = harness.storage.addIdea({ id: "new", outline: "" });
+  assert.equal(await saved, true);
+  assert.equal(await followUp, true);
+  assert.deepEqual(bodies.map((body) => body.ifMatch), ["7", "8", "9"]);
+  assert.deepEqual(bodies[1].ideas, [
+    { id: "mine", outline: "Rocket edit" },
+    { id: "theirs", outline: "Trog edit" },
+  ]);
+  assert.deepEqual(bodies[2].ideas.map((idea) => [idea.id, idea.outline]), [
+    ["mine", "Rocket edit"],
+    ["theirs", "Trog edit"],
+    ["new", ""],
+  ]);
+  assert.deepEqual(harness.errors, []);
+  assert.equal(harness.storage._revision, 9);
+}
+
+async function testTrueCollisionWaitsForResolver() {
+  let exportCount = 0;
+  const bodies = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") {
+      exportCount += 1;
+      return response(200, exportCount === 1
+        ? state(3, { ideas: [{ id: "shared", outline: "old", summary: "old" }] })
+        : state(4, { ideas: [{ id: "shared", outline: "Trog", summary: "Trog summary" }] }));
+    }
+    bodies.push(JSON.parse(options.body));
+    if (bodies.length === 1) {
+      return response(409, { detail: { message: "Server data changed", currentRevision: 4 } });
+    }
+    return response(200, { ok: true, state: state(5, { ideas: bodies[bodies.length - 1] }), revision: 5 });
+  });
+  await harness.storage.init();
+  assert.equal(await harness.storage.updateIdea("shared", { outline: "Rocket" }), false);
+  assert.equal(bodies.length, 1);
+  assert.equal(harness.storage.getIdeas()[0].outline, "Trog");
+  const conflicts = harness.storage.getMergeConflicts();
+  assert.deepEqual(conflicts.map((conflict) => [conflict.field, conflict.local, conflict.latest]), [
+    ["outline", "Rocket", "Trog"],
+  ]);
+  const status = harness.dom.document.getElementById("save-status");
+  assert.match(status.className, /conflict/);
+  assert.equal(status.children[0].textContent, "Resolve");
+  assert.equal(harness.dom.document.getElementById("merge-resolver").className, "modal-overlay");
+  assert.match(harness.dom.document.getElementById("merge-resolver").innerHTML, /Your version/);
+  assert.equal(await harness.storage.resolveMergeConflicts(["local"]), true);
+  assert.deepEqual(bodies[1], [{ id: "shared", outline: "Rocket", summary: "Trog summary" }]);
+  assert.equal(harness.dom.document.getElementById("merge-resolver").className, "modal-overlay hidden");
+  assert.equal(harness.storage.getMergeConflicts().length, 0);
+}
+
+async function testOfflineWritesPersistAndReplayInOrder() {
+  const indexedDB = fakeIndexedDB();
+  let online = false;
+  let revision = 3;
+  const mutations = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision));
+    if (!online) throw new TypeError("Failed to fetch");
+    mutations.push({ url, options });
+    assert.equal(options.headers["If-Match"], String(revision));
+    assert.equal(options.headers.Authorization, "Bearer test-token");
+    revision += 1;
+    const ideas = url === "/api/data/ideas" ? JSON.parse(options.body) : [];
+    return response(200, { ok: true, state: state(revision, { ideas }), revision });
+  }, { indexedDB });
+  await harness.storage.init();
+  assert.equal(await harness.storage.addIdea({ id: "venue-wifi", status: "draft" }), true);
+  assert.equal(await harness.storage.assignJokeToIdea("joke-1", "venue-wifi"), true);
+  assert.deepEqual(harness.errors, []);
+  assert.equal(harness.storage.getIdeas()[0].id, "venue-wifi");
+  assert.deepEqual(Array.from(indexedDB.rows.values(), (row) => [row.path, row.baseRevision]), [
+    ["/data/ideas", 3],
+    ["/jokes/joke-1/assignment", 3],
+  ]);
+  const status = harness.dom.document.getElementById("save-status");
+  assert.match(status.className, /offline/);
+  assert.equal(status.textContent, "2 changes pending offline");
+  const idle = { prevented: false, preventDefault() { this.prevented = true; } };
+  harness.dom.listeners.beforeunload(idle);
+  assert.equal(idle.prevented, false);
+
+  online = true;
+  assert.equal(await harness.dom.listeners.online(), true);
+  assert.deepEqual(mutations.map((entry) => [entry.url, entry.options.method]), [
+    ["/api/data/ideas", "PUT"],
+    ["/api/jokes/joke-1/assignment", "PUT"],
+  ]);
+  assert.equal(indexedDB.rows.size, 0);
+  assert.equal(harness.storage._revision, 5);
+  assert.match(status.className, /saved/);
+}
+
+async function testOfflineReplayConflictsWaitForReview() {
+  const indexedDB = fakeIndexedDB([{
+    id: 1,
+    label: "Save ideas",
+    path: "/data/ideas",
+    options: { method: "PUT", headers: { "Content-Type": "application/json" }, body: "[]" },
+    baseRevision: 3,
+    queuedAt: "2026-08-01T18:00:00.000Z",
+    conflict: false,
+  }]);
+  let exportCount = 0;
+  const ifMatch = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") {
+      exportCount += 1;
+      return response(200, state(5, { ideas: [{ id: "saved-by-trog", status: "draft" }] }));
+    }
+    ifMatch.push(options.headers["If-Match"]);
+    return response(409, { detail: { message: "Server data changed", currentRevision: 5 } });
+  }, { indexedDB });
+  await harness.storage.init();
+  assert.deepEqual(ifMatch, ["3"]);
+  assert.equal(exportCount, 2);
+  assert.equal(harness.storage.getPendingOfflineWrites().length, 0);
+  assert.equal(harness.storage.getOfflineConflicts()[0].label, "Save ideas");
+  assert.equal(indexedDB.rows.get(1).conflict, true);
+  assert.equal(harness.storage.getIdeas()[0].id, "saved-by-trog");
+  const status = harness.dom.document.getElementById("save-status");
+  assert.match(status.className, /conflict/);
+  assert.equal(status.children[0].textContent, "Review");
+  status.children[0].onclick();
+  assert.equal(harness.dom.document.getElementById("offline-review").className, "modal-overlay");
+  assert.equal(await harness.storage.resolveOfflineConflict(1, "discard"), true);
+  assert.equal(indexedDB.rows.size, 0);
+  assert.equal(harness.dom.document.getElementById("offline-review").className, "modal-overlay hidden");
+  assert.match(status.className, /saved/);
+}
+
+async function testOfflineWritesStayWithTheUserWhoMadeThem() {
+  const queued = (id, userId, body) => ({
+    id,
+    label: "Save ideas",
+    path: "/data/ideas",
+    options: { method: "PUT", headers: { "Content-Type": "application/json" }, body },
+    baseRevision: 3,
+    queuedAt: "2026-08-01T18:00:00.000Z",
+    userId,
+    conflict: false,
+  });
+  const indexedDB = fakeIndexedDB([queued(1, 7, '[{"id":"rocket"}]'), queued(2, 9, '[{"id":"trog"}]')]);
+  let online = true;
+  let revision = 3;
+  const sent = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision));
+    if (!online) throw new TypeError("Failed to fetch");
+    sent.push(options.body);
+    revision += 1;
+    return response(200, { ok: true, state: state(revision), revision });
+  }, { indexedDB, Auth: { getToken: () => "test-token", getUserId: () => 9 } });
+
+  // Trog signs in on the PC Rocket used: only Trog's own write replays.
+  await harness.storage.init();
+  assert.deepEqual(sent, ['[{"id":"trog"}]']);
+  assert.deepEqual(Array.from(indexedDB.rows.keys()), [1]);
+
+  online = false;
+  assert.equal(await harness.storage.addIdea({ id: "salt-lick", status: "draft" }), true);
+  const mine = Array.from(indexedDB.rows.values()).find((row) => row.id !== 1);
+  assert.equal(mine.userId, 9);
+
+  // Signing out drops Trog's unsent write and leaves Rocket's alone.
+  assert.equal(await harness.storage.discardOfflineWrites(), 1);
+  assert.deepEqual(Array.from(indexedDB.rows.keys()), [1]);
+  assert.equal(harness.storage.getPendingOfflineWrites().length, 0);
+}
+
+function jwtToken(payload) {
+  return ["header", Buffer.from(JSON.stringify(payload)).toString("base64url"), "signature"].join(".");
+}
+
+async function testExpiredAccessIsRenewedAndRetried() {
+  let token = "stale-token";
+  let refreshes = 0;
+  const sent = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (options.headers.Authorization !== "Bearer fresh-token") return response(401, { detail: "Token expired" });
+    if (url === "/api/export") return response(200, state(8));
+    sent.push(url);
+    return response(200, { ok: true, state: state(9), revision: 9 });
+  }, {
+    Auth: {
+      getToken: () => token,
+      refresh: async () => {
+        refreshes += 1;
+        token = "fresh-token";
+        return true;
+      },
+    },
+  });
+  await harness.storage.init();
+  assert.equal(refreshes, 1);
+  token = null;
+  assert.equal(await harness.storage.addIdea({ id: "salt-mine", status: "draft" }), true);
+  assert.equal(refreshes, 2);
+  assert.deepEqual(sent, ["/api/data/ideas"]);
+  assert.deepEqual(harness.errors, []);
+}
+
+async function testEndedSessionParksWritesUntilRelogin() {
+  const indexedDB = fakeIndexedDB();
+  let signedIn = true;
+  let reloginRequired = false;
+  let revision = 20;
+  const sent = [];
+  const Auth = {
+    getToken: () => "test-token",
+    refresh: async () => false,
+    requireLogin() { reloginRequired = true; },
+    isReloginRequired: () => reloginRequired,
+  };
+  const harness = loadStorage(async (url, options = {}) => {
+    if (!signedIn) return response(401, { detail: "Session expired" });
+    if (url === "/api/export") return response(200, state(revision));
+    sent.push([url, options.headers["If-Match"]]);
+    revision += 1;
+    return response(200, { ok: true, state: state(revision), revision });
+  }, { Auth, indexedDB });
+  await harness.storage.init();
+
+  signedIn = false;
+  assert.equal(await harness.storage.addIdea({ id: "salt-flats", status: "draft" }), true);
+  assert.equal(reloginRequired, true);
+  assert.deepEqual(harness.errors, []);
+  assert.deepEqual(Array.from(indexedDB.rows.values(), (row) => row.path), ["/data/ideas"]);
+  const status = harness.dom.document.getElementById("save-status");
+  assert.equal(status.textContent, "1 change waits for you to sign in");
+
+  // Signing in again in place replays the parked write on its own revision.
+  signedIn = true;
+  reloginRequired = false;
+  assert.equal(await harness.storage.replayOffline(), true);
+  assert.deepEqual(sent, [["/api/data/ideas", "20"]]);
+  assert.equal(indexedDB.rows.size, 0);
+  assert.match(status.className, /saved/);
+}
+
+function loadAuth(session, fetchImpl, now, globals = {}) {
+  const stored = new Map([["satt_jwt", JSON.stringify(session)]]);
+  const timers = [];
+  const elements = new Map();
+  function element(id) {
+    const parts = new Map();
+    const node = {
+      id,
+      className: "",
+      textContent: "",
+      value: "",
+      classes: new Set(),
+      classList: {
+        add(name) { node.classes.add(name); },
+        remove(name) { node.classes.delete(name); },
+      },
+      setAttribute() {},
+      addEventListener(name, handler) { node["on" + name] = handler; },
+      focus() {},
+      querySelector(selector) {
+        if (!parts.has(selector)) parts.set(selector, element(selector));
+        return parts.get(selector);
+      },
+    };
+    return node;
+  }
+  const context = {
+    localStorage: {
+      getItem: (key) => stored.get(key) || null,
+      setItem: (key, value) => stored.set(key, value),
+      removeItem: (key) => stored.delete(key),
+    },
+    document: {
+      hidden: false,
+      body: { appendChild(node) { elements.set(node.id, node); } },
+      getElementById: (id) => elements.get(id) || null,
+      createElement: () => element(""),
+      addEventListener() {},
+    },
+    Date: { now: () => now },
+    fetch: fetchImpl,
+    atob,
+    JSON,
+    Promise,
+    setTimeout: (handler, delay) => timers.push(delay),
+    clearTimeout() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    ...globals,
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/auth.js", "utf8") + "\n;globalThis.Auth = Auth;", context);
+  return { auth: context.Auth, stored, timers, elements };
+}
+
+async function testAuthRenewsBeforeExpiryWithinTheSession() {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const seconds = (ms) => Math.floor(ms / 1000);
+  const refreshToken = jwtToken({ purpose: "refresh", exp: seconds(now + 3 * 3600 * 1000) });
+  const requests = [];
+  const harness = loadAuth({
+    token: jwtToken({ exp: seconds(now + 2 * 60 * 1000) }),
+    refreshToken,
+    username: "rocket",
+  }, async (url, options) => {
+    requests.push([url, JSON.parse(options.body)]);
+    return response(200, {
+      token: jwtToken({ exp: seconds(now + 60 * 60 * 1000) }),
+      refreshToken,
+      isAdmin: true,
+    });
+  }, now);
+
+  // Concurrent callers share one refresh request.
+  const [first, second] = await Promise.all([harness.auth.refresh(), harness.auth.refresh()]);
+  assert.equal(first && second, true);
+  assert.deepEqual(requests, [["/api/auth/refresh", { refreshToken }]]);
+  const saved = JSON.parse(harness.stored.get("satt_jwt"));
+  assert.equal(saved.username, "rocket");
+  assert.equal(saved.isAdmin, true);
+  assert.equal(harness.auth.getToken(), saved.token);
+
+  // The renewed token wakes the session check five minutes before it lapses.
+  harness.auth._checkSession();
+  assert.equal(harness.timers.at(-1), 55 * 60 * 1000);
+  assert.equal(harness.elements.has("session-banner"), false);
+}
+
+async function testLogoutDiscardsOfflineWritesAndRevokesTheSession() {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const token = jwtToken({ user_id: 9, exp: Math.floor(now / 1000) + 3600 });
+  let discarded = 0;
+  let answer = false;
+  const location = { href: "config.html" };
+  const Storage = {
+    getPendingOfflineWrites: () => [{ id: 1 }],
+    getOfflineConflicts: () => [],
+    discardOfflineWrites: async () => { discarded += 1; return 1; },
+  };
+  const revoked = [];
+  const harness = loadAuth({ token, refreshToken: token, username: "trog" }, async (url, options) => {
+    revoked.push([url, JSON.parse(options.body).refreshToken]);
+    return response(200, { ok: true });
+  }, now, {
+    Storage,
+    location,
+    confirm: () => answer,
+  });
+  assert.equal(harness.auth.getUserId(), 9);
+
+  await harness.auth.logout();
+  assert.equal(discarded, 0, "keeps the writes when the user stays");
+  assert.equal(harness.stored.has("satt_jwt"), true);
+  assert.equal(revoked.length, 0);
+
+  answer = true;
+  await harness.auth.logout();
+  assert.equal(discarded, 1);
+  assert.deepEqual(revoked, [["/api/auth/logout", token]]);
+  assert.equal(harness.stored.has("satt_jwt"), false);
+  assert.equal(location.href, "login.html");
+}
+
+async function testAuthCountsDownThenAsksForThePassword() {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const ends = Math.floor(now / 1000) + 4 * 60 + 30;
+  const harness = loadAuth({
+    token: jwtToken({ exp: ends }),
+    refreshToken: jwtToken({ purpose: "refresh", exp: ends }),
+    username: "rocket",
+  }, async () => assert.fail("nothing left to renew"), now);
+
+  harness.auth._checkSession();
+  const banner = harness.elements.get("session-banner");
+  assert.equal(banner.querySelector("[data-session-remaining]").textContent, "4:30");
+  assert.equal(harness.timers.at(-1), 270 * 1000);
+  assert.equal(harness.auth.isReloginRequired(), false);
+
+  harness.auth.requireLogin();
+  assert.equal(harness.auth.isReloginRequired(), true);
+  assert.equal(banner.classes.has("hidden"), true);
+  const dialog = harness.elements.get("relogin");
+  assert.equal(dialog.className, "modal-overlay");
+  assert.equal(dialog.querySelector("#relogin-username").value, "rocket");
+  assert.match(dialog.innerHTML, /autocomplete="current-password"/);
+}
+
+async function testPasskeysSignInWithoutSwappingTheReloginAccount() {
+  assert.equal(Passkeys.toBase64url(Passkeys.toBuffer("AQID_-8")), "AQID_-8");
+  assert.equal(Passkeys.toBase64url(new Uint8Array([251, 255]).buffer), "-_8");
+  const markup = Passkeys.listMarkup([
+    { id: 4, name: "<b>Stream PC</b>", createdAt: "2026-10-18T12:00:00Z", lastUsedAt: null },
+  ]);
+  assert.match(markup, /&lt;b&gt;Stream PC/);
+  assert.match(markup, /never used/);
+  assert.match(markup, /data-passkey-remove="4"/);
+
+  // In the browser the options arrive as base64url strings and leave as buffers.
+  const requests = [];
+  let publicKey = null;
+  const bytes = (...values) => new Uint8Array(values).buffer;
+  const window = {
+    PublicKeyCredential() {},
+    navigator: {
+      credentials: {
+        async get(options) {
+          publicKey = options.publicKey;
+          return {
+            id: "Y3JlZA",
+            rawId: bytes(99, 114, 101, 100),
+            type: "public-key",
+            getClientExtensionResults: () => ({}),
+            response: {
+              clientDataJSON: bytes(123, 125),
+              authenticatorData: bytes(1),
+              signature: bytes(251, 255),
+              userHandle: bytes(49),
+            },
+          };
+        },
+      },
+    },
+    fetch: async (url, options) => {
+      requests.push([url, options.body ? JSON.parse(options.body) : null]);
+      if (url.endsWith("/options")) {
+        return response(200, { options: { challenge: "AQID", rpId: "satt.test" }, ticket: "login-ticket" });
+      }
+      return response(200, { token: "fresh", refreshToken: "renew", username: "rocket", role: "host" });
+    },
+    atob,
+    btoa,
+  };
+  window.window = window;
+  vm.createContext(window);
+  vm.runInContext(fs.readFileSync("js/passkeys.js", "utf8"), window);
+  const session = await window.Passkeys.signIn();
+  assert.equal(session.username, "rocket");
+  assert.deepEqual([...new Uint8Array(publicKey.challenge)], [1, 2, 3]);
+  assert.equal(requests[1][0], "/api/auth/passkeys/login");
+  assert.equal(requests[1][1].ticket, "login-ticket");
+  assert.equal(requests[1][1].credential.rawId, "Y3JlZA");
+  assert.equal(requests[1][1].credential.response.signature, "-_8");
+
+  const now = Date.UTC(2026, 9, 18, 12);
+  let signedInAs = "trog";
+  const harness = loadAuth({
+    token: jwtToken({ exp: Math.floor(now / 1000) + 60 }),
+    username: "rocket",
+  }, async () => assert.fail("no password request"), now, {
+    Passkeys: {
+      isSupported: () => true,
+      isCancelled: () => false,
+      signIn: async () => ({ token: jwtToken({ exp: Math.floor(now / 1000) + 3600 }), username: signedInAs }),
+    },
+  });
+  harness.auth.requireLogin();
+  const dialog = harness.elements.get("relogin");
+  assert.match(dialog.innerHTML, /data-relogin-action="passkey"/);
+  await harness.auth._passkeyRelogin(dialog);
+  assert.match(dialog.querySelector("[data-relogin-error]").textContent, /belongs to trog/);
+  assert.equal(harness.auth.isReloginRequired(), true);
+  assert.equal(JSON.parse(harness.stored.get("satt_jwt")).username, "rocket");
+
+  signedInAs = "rocket";
+  await harness.auth._passkeyRelogin(dialog);
+  assert.equal(harness.auth.isReloginRequired(), false);
+  assert.equal(dialog.className, "modal-overlay hidden");
+  assert.match(fs.readFileSync("login.html", "utf8"), /Passkeys\.signIn\(\)/);
+  assert.match(fs.readFileSync("config.html", "utf8"), /src="js\/passkeys\.js"/);
+}
+
+function testScheduleRulesSlideUpcomingEpisodesAroundBreaks() {
+  const slots = [
+    { id: "slot_1", episodeNumber: "EP001", episodeNum: 1, recordDate: "2026-11-03", releaseDate: "2026-11-10", isRollout: false },
+    { id: "slot_2", episodeNumber: "EP002", episodeNum: 2, recordDate: "2026-11-10", releaseDate: "2026-11-17", isRollout: false },
+    { id: "slot_3", episodeNumber: "EP003", episodeNum: 3, recordDate: "2026-11-17", releaseDate: "2026-11-24", isRollout: false, releaseDateOverride: "2026-11-26" },
+    { id: "slot_4", episodeNumber: "EP004", episodeNum: 4, recordDate: "2026-11-24", releaseDate: "2026-12-01", isRollout: false },
+  ];
+  const saved = {};
+  const context = {
+    Date,
+    Set,
+    Storage: {
+      getShowSlots: () => slots,
+      getConfig: () => ({ scheduleRules: saved.config ? saved.config.scheduleRules : undefined }),
+      saveConfig: async (config) => { saved.config = config; return true; },
+      saveShowSlots: async (next) => { saved.slots = next; return true; },
+    },
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/show-engine.js", "utf8") + "\n;globalThis.ShowEngine = ShowEngine;", context);
+  const engine = context.ShowEngine;
+  // Values built inside the vm have the vm's prototypes.
+  const plain = (value) => JSON.parse(JSON.stringify(value));
+  engine._getTargetDate = () => "2026-12-15";
+
+  const rules = engine.normalizeScheduleRules({
+    cadenceWeeks: "1",
+    skipWeeks: ["2026-11-17", "soon"],
+    hiatuses: [{ start: "2026-12-01", end: "2026-12-08", label: "Holidays" }, { start: "2026-12-30", end: "2026-12-01" }],
+    bonusWeeks: [{ recordDate: "2026-11-24", extraEpisodes: 9 }],
+  });
+  assert.deepEqual(plain(rules.skipWeeks), ["2026-11-17"]);
+  assert.equal(rules.hiatuses.length, 1);
+  assert.equal(rules.bonusWeeks[0].extraEpisodes, engine.MAX_BONUS_EPISODES);
+  assert.deepEqual(plain(engine.getScheduleBreak("2026-12-08", rules)), { kind: "hiatus", label: "Holidays" });
+  assert.equal(engine.getScheduleBreak("2026-12-15", rules), null);
+
+  // Recorded episodes stay; upcoming ones keep ids, order, and numbers but
+  // slide past the skipped week, and the bonus session records three.
+  const plan = engine.planSchedule({
+    skipWeeks: ["2026-11-17"],
+    hiatuses: [{ start: "2026-12-01", end: "2026-12-08" }],
+    bonusWeeks: [{ recordDate: "2026-11-24", extraEpisodes: 2 }],
+  }, "2026-11-10");
+  assert.deepEqual(plain(plan.slots.map((slot) => [slot.id, slot.episodeNumber, slot.recordDate, slot.releaseDate])), [
+    ["slot_1", "EP001", "2026-11-03", "2026-11-10"],
+    ["slot_2", "EP002", "2026-11-10", "2026-11-17"],
+    ["slot_3", "EP003", "2026-11-24", "2026-12-01"],
+    ["slot_4", "EP004", "2026-11-24", "2026-12-01"],
+    ["slot_5", "EP005", "2026-11-24", "2026-12-01"],
+    ["slot_6", "EP006", "2026-12-15", "2026-12-22"],
+  ]);
+  assert.equal(plan.slots[2].releaseDateOverride, "2026-11-26");
+  assert.deepEqual(plain(plan.changes.map((change) => [change.slotId, change.added, change.pinnedRelease])), [
+    ["slot_3", false, true],
+    ["slot_5", true, false],
+    ["slot_6", true, false],
+  ]);
+  assert.deepEqual(plain(plan.changes[0].from), { episodeNumber: "EP003", recordDate: "2026-11-17", releaseDate: "2026-11-26" });
+  assert.equal(slots[2].recordDate, "2026-11-17", "planning never edits the cached slots");
+
+  // Every-other-week recording keeps all four episodes, past the horizon if needed.
+  engine._getTargetDate = () => "2026-11-20";
+  const biweekly = engine.planSchedule({ cadenceWeeks: 2 }, "2026-11-10");
+  assert.deepEqual(plain(biweekly.slots.map((slot) => slot.recordDate)), ["2026-11-03", "2026-11-17", "2026-12-01", "2026-12-15"]);
+  assert.deepEqual(plain(biweekly.slots.map((slot) => slot.id)), ["slot_1", "slot_2", "slot_3", "slot_4"]);
+
+  // New slots never reuse an id an earlier slot still holds.
+  const taken = new Set(["slot_5"]);
+  assert.equal(engine._slotId(5, taken), "slot_5_2");
+  assert.equal(engine._slotId(6, taken), "slot_6");
+
+  // A hiatus with no end in sight cannot hang generation.
+  const stuck = engine._generateSlots("2026-11-10", "2026-11-20", 2,
+    engine.normalizeScheduleRules({ hiatuses: [{ start: "2026-11-01", end: "2099-12-31" }] }), { minCount: 3 });
+  assert.equal(stuck.length, 0);
+
+  return engine.applyScheduleRules({ cadenceWeeks: 2 }, "2026-11-10").then((applied) => {
+    assert.equal(applied.slots.length, 4);
+    assert.equal(saved.config.scheduleRules.cadenceWeeks, 2);
+    assert.deepEqual(saved.slots, applied.slots);
+    assert.match(fs.readFileSync("config.html", "utf8"), /src="js\/show-engine\.js"/);
+  });
+}
+
+function testScheduleRulesKeepHandInsertedSlotsAndRollBack() {
+  const slots = [
+    { id: "slot_1", episodeNumber: "EP001", episodeNum: 1, recordDate: "2026-11-03", releaseDate: "2026-11-10", isRollout: false },
+    { id: "slot_2", episodeNumber: "EP002", episodeNum: 2, recordDate: "2026-11-10", releaseDate: "2026-11-17", isRollout: false },
+    { id: "slot_3", episodeNumber: "EP003", episodeNum: 3, recordDate: "2026-11-13", releaseDate: "2026-11-20", isRollout: false },
+    { id: "slot_4", episodeNumber: "EP004", episodeNum: 4, recordDate: "2026-11-17", releaseDate: "2026-11-24", isRollout: false },
+    { id: "slot_5", episodeNumber: "EP005", episodeNum: 5, recordDate: "2026-11-17", releaseDate: "2026-11-24", isRollout: false },
+    { id: "slot_6", episodeNumber: "EP006", episodeNum: 6, recordDate: "2026-11-24", releaseDate: "2026-12-01", isRollout: false },
+  ];
+  const configs = [];
+  let slotsSave = false;
+  const context = {
+    Date,
+    Set,
+    Storage: {
+      getShowSlots: () => slots,
+      getConfig: () => Object.assign({ theme: "salt" }, configs[configs.length - 1]),
+      saveConfig: async (config) => { configs.push(config); return true; },
+      saveShowSlots: async () => slotsSave,
+    },
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/show-engine.js", "utf8") + "\n;globalThis.ShowEngine = ShowEngine;", context);
+  const engine = context.ShowEngine;
+  const plain = (value) => JSON.parse(JSON.stringify(value));
+  engine._getTargetDate = () => "2026-11-24";
+
+  // The Friday insert and the second episode on the 17th came from the slot
+  // tools; the saved rules record one episode each Tuesday.
+  assert.deepEqual([...engine._placedByHand(engine._regularSlots(slots))], ["slot_3", "slot_5"]);
+
+  // Skipping the 17th slides the rule-laid episodes and leaves the
+  // hand-placed ones on their days, numbered in recording order.
+  const plan = engine.planSchedule({ skipWeeks: ["2026-11-17"] }, "2026-11-10");
+  assert.deepEqual(plain(plan.slots.map((slot) => [slot.id, slot.episodeNumber, slot.recordDate])), [
+    ["slot_1", "EP001", "2026-11-03"],
+    ["slot_2", "EP002", "2026-11-10"],
+    ["slot_3", "EP003", "2026-11-13"],
+    ["slot_5", "EP004", "2026-11-17"],
+    ["slot_4", "EP005", "2026-11-24"],
+    ["slot_6", "EP006", "2026-12-01"],
+  ]);
+  assert.deepEqual(plain(plan.changes.map((change) => change.slotId)), ["slot_5", "slot_4", "slot_6"]);
+  assert.deepEqual(plain(plan.warnings), [
+    "EP003 was inserted by hand for Nov 13 and keeps its date; check it still fits these rules.",
+    "EP004 was inserted by hand for Nov 17 and keeps its date; check it still fits these rules.",
+  ]);
+
+  // When the slots fail to save, the rules saved just before are put back.
+  configs.push({ scheduleRules: engine.normalizeScheduleRules({ cadenceWeeks: 1 }) });
+  return engine.applyScheduleRules({ cadenceWeeks: 3 }, "2026-11-10").then((applied) => {
+    assert.equal(applied, null);
+    assert.deepEqual(plain(configs.slice(1).map((config) => config.scheduleRules.cadenceWeeks)), [3, 1]);
+    assert.equal(configs[2].theme, "salt");
+    assert.match(fs.readFileSync("config.html", "utf8"), /'<ul class="schedule-preview-warnings">' \+ plan\.warnings\.map/);
+  });
+}
+
+function testScheduleCalendarDayShowsRecordingAndReleaseSlots() {
+  const slots = [
+    { id: "slot_1", episodeNumber: "EP001", episodeNum: 1, recordDate: "2026-11-03", releaseDate: "2026-11-10", isRollout: false },
+    { id: "slot_2", episodeNumber: "EP002", episodeNum: 2, recordDate: "2026-11-10", releaseDate: "2026-11-17", isRollout: false },
+  ];
+  const context = { Date, Set, Storage: { getShowSlots: () => slots, getConfig: () => ({}) } };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/show-engine.js", "utf8") + "\n;globalThis.ShowEngine = ShowEngine;", context);
+  const schedule = {
+    slots,
+    assignments: { slot_1: "idea-1" },
+    ideas: [{ id: "idea-1", selectedTitle: "Salt <All> the Things" }],
+    engine: context.ShowEngine,
+  };
+  const day = (dayNum, dateStr, isTuesday) => ScheduleCalendar.renderDay({ dayNum, dateStr, isOtherMonth: false, isTuesday, today: "2026-11-01" }, schedule);
+
+  // EP002 records the day EP001 releases.
+  const tuesday = day(10, "2026-11-10", true);
+  assert.match(tuesday, /<div class="tuesday-section-label record">Record<\/div><div class="tuesday-drop" data-slot-id="slot_2"/);
+  assert.match(tuesday, /EP002 — drop idea/);
+  assert.match(tuesday, /<div class="tuesday-section-label publish">Publish<\/div><div class="tuesday-drop has-show"[^>]*><div class="show-info"><span class="ep-num">EP001<\/span><span class="show-title">Salt &lt;All&gt; the Things/);
+
+  assert.equal(day(11, "2026-11-11", false), '<div class="calendar-day"><span class="day-number">11</span></div>');
+  assert.equal(ScheduleCalendar.episodeTypeClass({ episodeType: "patron" }, context.ShowEngine), " episode-type-patron");
+  assert.equal(ScheduleCalendar.episodeTypeClass(slots[0], context.ShowEngine), "");
+  assert.match(fs.readFileSync("show_management.html", "utf8"), /js\/schedule-calendar\.js/);
+}
+
+function testEpisodeTypesNumberInTheirOwnSeries() {
+  const slots = [
+    { id: "slot_1", episodeNumber: "EP001", episodeNum: 1, recordDate: "2026-11-03", releaseDate: "2026-11-10", isRollout: false },
+    { id: "slot_bonus_1", episodeNumber: "BONUS01", episodeNum: 1, episodeType: "bonus", recordDate: "2026-11-05", releaseDate: "2026-11-12", isRollout: false },
+    { id: "slot_2", episodeNumber: "EP002", episodeNum: 2, recordDate: "2026-11-10", releaseDate: "2026-11-17", isRollout: false },
+    { id: "slot_patron_1", episodeNumber: "PATRON01", episodeNum: 1, episodeType: "patron", recordDate: "2026-11-12", releaseDate: "2026-11-19", isRollout: false },
+    { id: "slot_3", episodeNumber: "EP003", episodeNum: 3, recordDate: "2026-11-17", releaseDate: "2026-11-24", isRollout: false },
+  ];
+  const context = { Date, Set, Storage: { getShowSlots: () => slots, getConfig: () => ({}) } };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/show-engine.js", "utf8") + "\n;globalThis.ShowEngine = ShowEngine;", context);
+  const engine = context.ShowEngine;
+  const plain = (value) => JSON.parse(JSON.stringify(value));
+  engine._getTargetDate = () => "2026-11-24";
+
+  assert.equal(engine.formatEpisodeNumber(4), "EP004");
+  assert.equal(engine.formatEpisodeNumber(2, "bonus"), "BONUS02");
+  assert.equal(engine.getEpisodeType({}), "regular");
+  assert.equal(engine.getEpisodeTypeLabel("patron"), "Patron-Only Episode");
+  assert.equal(engine._nextEpisodeNum(slots), 4, "specials never take a regular number");
+
+  // Skipping a week slides the regular episodes; the specials keep their dates.
+  const plan = engine.planSchedule({ skipWeeks: ["2026-11-10"] }, "2026-11-10");
+  assert.deepEqual(plain(plan.slots.map((slot) => [slot.id, slot.episodeNumber, slot.recordDate])), [
+    ["slot_1", "EP001", "2026-11-03"],
+    ["slot_bonus_1", "BONUS01", "2026-11-05"],
+    ["slot_patron_1", "PATRON01", "2026-11-12"],
+    ["slot_2", "EP002", "2026-11-17"],
+    ["slot_3", "EP003", "2026-11-24"],
+  ]);
+  assert.deepEqual(plain(plan.changes.map((change) => change.slotId)), ["slot_2", "slot_3"]);
+
+  const worker = fs.readFileSync("cloudflare/worker.js", "utf8");
+  assert.match(worker, /const PUBLIC_EPISODE_TYPES = \['regular', 'bonus', 'guest', 'live'\];/);
+  assert.match(worker, /if \(!PUBLIC_EPISODE_TYPES\.includes\(episodeType\)\) continue;/);
+  assert.match(fs.readFileSync("index.html", "utf8"), /<span class="ep-type">' \+ esc\(ep\.typeLabel\)/);
+}
+
+function testShowClockUsesTheShowTimezoneAcrossDst() {
+  const config = { showTimezone: "America/Los_Angeles", releaseTime: "06:00", showSlots: [] };
+  const context = { Storage: { getConfig: () => config, getShowSlots: () => config.showSlots } };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/show-engine.js", "utf8") + "\n;globalThis.ShowEngine = ShowEngine;", context);
+  const engine = context.ShowEngine;
+  const iso = (date) => date.toISOString();
+
+  // Release instants follow the show's DST changes, not the browser's.
+  assert.equal(iso(engine.releaseInstant("2026-03-07")), "2026-03-07T14:00:00.000Z");
+  assert.equal(iso(engine.releaseInstant("2026-03-10")), "2026-03-10T13:00:00.000Z");
+  assert.equal(iso(engine.releaseInstant("2026-11-03")), "2026-11-03T14:00:00.000Z");
+  // 02:30 does not exist on spring-forward day; it lands an hour later, as on the server.
+  config.releaseTime = "02:30";
+  assert.equal(iso(engine.releaseInstant("2026-03-08")), "2026-03-08T10:30:00.000Z");
+
+  // Late Monday evening in Los Angeles is already Tuesday in UTC.
+  const mondayNight = new Date("2026-11-10T05:30:00Z");
+  assert.equal(engine.today(mondayNight), "2026-11-09");
+  config.releaseTime = "00:00";
+  assert.equal(engine.isReleased({ releaseDate: "2026-11-10" }, mondayNight), false);
+  assert.equal(engine.isReleased({ releaseDate: "2026-11-10" }, new Date("2026-11-10T08:00:00Z")), true);
+  assert.equal(engine.isReleased({ releaseDate: "2026-11-17", releaseDateOverride: "2026-11-09" }, mondayNight), true);
+
+  config.showTimezone = "Europe/London";
+  assert.equal(engine.today(mondayNight), "2026-11-10");
+  assert.equal(iso(engine.releaseInstant("2026-07-07")), "2026-07-06T23:00:00.000Z");
+  config.showTimezone = "Not/AZone";
+  assert.equal(engine.getShowTimezone(), engine.DEFAULT_TIMEZONE);
+
+  // Calendar arithmetic on date strings never drifts across DST.
+  assert.equal(engine.addDays("2026-03-03", 7), "2026-03-10");
+  assert.equal(engine.addDays("2026-10-27", 7), "2026-11-03");
+  assert.equal(engine._calculateReleaseDate("2026-01-20", 1), "2026-03-03");
+  assert.equal(engine._calculateReleaseDate("2026-03-03", 7), "2026-03-10");
+  assert.equal(engine.formatDateShort("2026-03-08"), "Mar 8");
+
+  const worker = fs.readFileSync("cloudflare/worker.js", "utf8");
+  assert.doesNotMatch(worker, /8 \* 60 \* 60 \* 1000/);
+  assert.match(worker, /latestReleasedDate\(config, new Date\(\)\)/);
+  assert.doesNotMatch(fs.readFileSync("show_management.html", "utf8"), /new Date\(\)\.toISOString\(\)\.split\('T'\)\[0\]/);
+}
+
+function testConfigManagesTheCalendarFeedLink() {
+  const page = fs.readFileSync("config.html", "utf8");
+  const section = page.slice(page.indexOf('id="calendarFeedSection"'), page.indexOf("<!-- User list"));
+  assert.doesNotMatch(section, /data-requires=/, "every role manages its own feed");
+  assert.match(page, /fetch\('\/api\/calendar\/feed'/);
+  for (const method of ["GET", "POST", "DELETE"]) {
+    assert.match(page, new RegExp(`calendarFeedRequest\\('${method}'\\)`));
+  }
+  assert.match(page, /loadCalendarFeed\(\);/);
+}
+
+function testAuthCanFollowsTheRolePermissions() {
+  const now = Date.UTC(2026, 9, 18, 12);
+  const token = jwtToken({ exp: Math.floor(now / 1000) + 3600 });
+  const editor = loadAuth({
+    token,
+    username: "cutter",
+    role: "editor",
+    permissions: ["postproduction.edit", "postproduction.view"],
+  }, async () => assert.fail("no requests"), now).auth;
+  assert.equal(editor.getRole(), "editor");
+  assert.equal(editor.can("postproduction.edit"), true);
+  assert.equal(editor.can("planning.delete"), false);
+  assert.equal(editor.canOpen("show_management.html"), false);
+  assert.equal(editor.canOpen("config.html"), true);
+  assert.equal(editor.homePage(), "postproduction.html");
+
+  function node(tagName, attributes) {
+    const classes = new Set();
+    return {
+      tagName,
+      disabled: false,
+      classes,
+      getAttribute: (name) => attributes[name],
+      classList: { toggle(name, on) { if (on) classes.add(name); else classes.delete(name); } },
+    };
+  }
+  const deleteButton = node("BUTTON", { "data-requires": "planning.delete" });
+  const releaseDate = node("INPUT", { "data-requires": "schedule.edit" });
+  const planningLink = node("A", { href: "jokes.html" });
+  const postLink = node("A", { href: "postproduction.html" });
+  editor.applyPermissions({
+    querySelectorAll: (selector) => (selector === "[data-requires]"
+      ? [deleteButton, releaseDate]
+      : [planningLink, postLink]),
+  });
+  assert.equal(deleteButton.classes.has("role-hidden"), true);
+  assert.equal(releaseDate.disabled, true);
+  assert.equal(planningLink.classes.has("role-hidden"), true);
+  assert.equal(postLink.classes.has("role-hidden"), false);
+
+  // Sessions saved before roles existed keep full access until they renew.
+  const legacy = loadAuth({ token, username: "rocket" }, async () => assert.fail("no requests"), now).auth;
+  assert.equal(legacy.getRole(), "host");
+  assert.equal(legacy.can("planning.delete"), true);
+
+  const configPage = fs.readFileSync("config.html", "utf8");
+  assert.match(configPage, /data-requires="users\.manage"/);
+  assert.match(configPage, /Auth\.can\('users\.manage'\)/);
+  assert.match(fs.readFileSync("show_management.html", "utf8"), /data-requires="planning\.delete" onclick="deleteIdea/);
+}
+
+async function testRecordPatchesSendChangedFieldsAndRebase() {
+  let exportCount = 0;
+  const patches = [];
+  let ideas = [
+    { id: "mine", outline: "old", summary: "old", version: 1 },
+    { id: "theirs", outline: "old", summary: "old", version: 1 },
+  ];
+  const slots = [
+    { id: "slot_1", episodeNumber: "EP001", recordDate: "2026-10-20", releaseDate: "2026-10-27", releaseDateOverride: null, version: 1 },
+    { id: "slot_2", episodeNumber: "EP002", recordDate: "2026-10-27", releaseDate: "2026-11-03", releaseDateOverride: null, version: 1 },
+  ];
+  let revision = 7;
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") {
+      exportCount += 1;
+      return response(200, state(revision, { ideas, showSlots: slots, jokes: [{ id: "joke-1", text: "Salt", status: "unused", version: 4 }] }));
+    }
+    const body = JSON.parse(options.body);
+    patches.push({ url, method: options.method, body });
+    if (url === "/api/ideas/theirs" && body.version === 1) {
+      // Trog changed the summary of the same idea first.
+      ideas = ideas.map((idea) => idea.id === "theirs" ? { ...idea, summary: "Trog", version: 2 } : idea);
+      revision += 1;
+      return response(409, { detail: { message: "This record changed after this page loaded.", currentVersion: 2 } });
+    }
+    const key = url.startsWith("/api/ideas/") ? "ideas" : url.startsWith("/api/jokes/") ? "jokes" : "showSlots";
+    const current = key === "ideas" ? ideas : key === "jokes" ? harness.storage._serverState.jokes : slots;
+    const id = decodeURIComponent(url.split("/").pop());
+    const saved = { ...current.find((record) => record.id === id), ...body.changes, version: body.version + 1 };
+    if (key === "ideas") ideas = ideas.map((idea) => idea.id === id ? saved : idea);
+    revision += 1;
+    return response(200, { ok: true, key, data: saved, revision });
+  });
+  await harness.storage.init();
+
+  assert.equal(await harness.storage.updateIdea("mine", { outline: "Rocket edit" }), true);
+  assert.deepEqual(patches[0], { url: "/api/ideas/mine", method: "PATCH", body: { version: 1, changes: { outline: "Rocket edit" } } });
+  assert.equal(exportCount, 1);
+  assert.equal(harness.storage._revision, 8);
+  assert.equal(harness.storage.getIdeas()[0].version, 2);
+
+  assert.equal(await harness.storage.updateIdea("theirs", { outline: "Rocket" }), true);
+  assert.deepEqual(patches.slice(1).map((patch) => patch.body), [
+    { version: 1, changes: { outline: "Rocket" } },
+    { version: 2, changes: { outline: "Rocket" } },
+  ]);
+  assert.equal(exportCount, 2);
+  const theirs = harness.storage.getIdeas().find((idea) => idea.id === "theirs");
+  assert.deepEqual([theirs.outline, theirs.summary, theirs.version], ["Rocket", "Trog", 3]);
+
+  assert.equal(await harness.storage.updateJoke("joke-1", { text: "Saltier" }), true);
+  assert.deepEqual(patches.at(-1), { url: "/api/jokes/joke-1", method: "PATCH", body: { version: 4, changes: { text: "Saltier" } } });
+
+  // ShowEngine edits the cached slot in place and saves the whole array.
+  const cached = harness.storage.getShowSlots();
+  cached[1].releaseDateOverride = "2026-11-05";
+  assert.equal(await harness.storage.saveShowSlots(cached), true);
+  assert.deepEqual(patches.at(-1), { url: "/api/show-slots/slot_2", method: "PATCH", body: { version: 1, changes: { releaseDateOverride: "2026-11-05" } } });
+  assert.equal(patches.length, 5);
+  assert.deepEqual(harness.errors, []);
+}
+
+function fakeEventSource() {
+  const sources = [];
+  class EventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.closed = false;
+      sources.push(this);
+    }
+    addEventListener(name, handler) { this.listeners[name] = handler; }
+    emit(name, data) { this.listeners[name]({ data: JSON.stringify(data) }); }
+    close() { this.closed = true; }
+  }
+  return { EventSource, sources };
+}
+
+async function testLiveSyncRefreshesChangedKeysAndPresence() {
+  const live = fakeEventSource();
+  const requests = [];
+  let ideas = [{ id: "idea-1", status: "draft" }];
+  let jokes = [{ id: "joke-1", text: "Old" }];
+  let revision = 4;
+  const harness = loadStorage(async (url, options = {}) => {
+    requests.push(url);
+    if (url === "/api/export") return response(200, state(revision, { ideas, jokes }));
+    if (url === "/api/events/ticket") return response(200, { ticket: "stream-ticket" });
+    if (url === "/api/export?keys=ideas") return response(200, { ideas, revision });
+    if (url === "/api/presence") {
+      const body = JSON.parse(options.body);
+      return response(200, { presence: body.records.map((record) => ({ username: "rocket", kind: record.kind, recordId: record.id })) });
+    }
+    throw new Error(`unexpected ${url}`);
+  }, { EventSource: live.EventSource, Auth: { getToken: () => "test-token", getUsername: () => "trog" } });
+  await harness.storage.init();
+  // init() starts live sync without waiting for the ticket round trip.
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.equal(live.sources.length, 1);
+  assert.equal(live.sources[0].url, "/api/events?ticket=stream-ticket");
+
+  const notified = [];
+  const handler = (value, detail) => notified.push(detail.keys.join(","));
+  harness.storage.subscribe("ideas", handler);
+  harness.storage.subscribe("jokes", handler);
+
+  // The page was at the event's `since` revision, so only ideas are fetched.
+  ideas = [{ id: "idea-1", status: "draft" }, { id: "idea-2", status: "draft" }];
+  revision = 5;
+  live.sources[0].emit("revision", { revision: 5, since: 4, keys: ["ideas"] });
+  await harness.storage._syncing;
+  assert.equal(requests.at(-1), "/api/export?keys=ideas");
+  assert.equal(harness.storage.getIdeas().length, 2);
+  assert.equal(harness.storage._revision, 5);
+  assert.deepEqual(notified, ["ideas"]);
+
+  // A gap in revisions means an event was missed; reload everything and
+  // notify each subscriber once.
+  jokes = [{ id: "joke-1", text: "New" }];
+  revision = 7;
+  live.sources[0].emit("revision", { revision: 7, since: 6, keys: ["jokes"] });
+  await harness.storage._syncing;
+  assert.equal(requests.at(-1), "/api/export");
+  assert.equal(harness.storage.getJokes()[0].text, "New");
+  assert.deepEqual(notified, ["ideas", harness.storage._syncKeys.join(",")]);
+
+  // Stale events are ignored.
+  live.sources[0].emit("revision", { revision: 6, since: 5, keys: ["ideas"] });
+  await harness.storage._syncing;
+  assert.equal(notified.length, 2);
+
+  live.sources[0].emit("presence", { presence: [
+    { username: "trog", kind: "idea", recordId: "idea-1" },
+    { username: "rocket", kind: "idea", recordId: "idea-1" },
+  ] });
+  assert.deepEqual(Array.from(harness.storage.getEditors("idea", "idea-1")), ["rocket"]);
+  assert.equal(harness.storage.getEditors("idea", "idea-2").length, 0);
+
+  assert.equal(await harness.storage.setEditing("idea", "idea-2", true), true);
+  assert.deepEqual(Array.from(harness.storage.getEditors("idea", "idea-2")), ["rocket"]);
+  assert.ok(harness.storage._presenceTimer);
+  await harness.storage.setEditing("idea", "idea-2", false);
+  assert.equal(harness.storage._presenceTimer, null);
+}
+
+async function testUndoRedoReplaysInverseMutations() {
+  const mutations = [];
+  const notices = [];
+  let revision = 30;
+  let data = {
+    ideas: [
+      { id: "idea-1", titles: ["One"], status: "scheduled", version: 1 },
+      { id: "idea-2", titles: ["Two"], status: "scheduled", version: 1 },
+    ],
+    jokes: [{ id: "joke-1", text: "Salt", status: "used", usedByIdeaId: "idea-1", version: 1 }],
+    guestAssignments: [{ guestId: "guest-1", ideaId: "idea-1" }],
+    assignments: { "slot-1": "idea-1", "slot-2": "idea-2" },
+  };
+  const schedule = (ideaId, slotId) => {
+    const assignments = {};
+    Object.entries(data.assignments).forEach(([slot, idea]) => {
+      if (slot !== slotId && idea !== ideaId) assignments[slot] = idea;
+    });
+    if (ideaId) assignments[slotId] = ideaId;
+    data.assignments = assignments;
+  };
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision, data));
+    mutations.push([options.method, url]);
+    assert.equal(options.headers["If-Match"], String(revision));
+    const body = options.body ? JSON.parse(options.body) : null;
+    if (options.method === "DELETE" && url === "/api/ideas/idea-1") {
+      data = {
+        ideas: data.ideas.filter((idea) => idea.id !== "idea-1"),
+        jokes: data.jokes.map((joke) => ({ ...joke, status: "unused", usedByIdeaId: null })),
+        guestAssignments: [],
+        assignments: { "slot-2": "idea-2" },
+      };
+    }
+    if (url === "/api/data/ideas") data.ideas = body;
+    if (url === "/api/jokes/joke-1/assignment") {
+      data.jokes = [{ ...data.jokes[0], status: "used", usedByIdeaId: body.ideaId }];
+    }
+    if (url === "/api/guests/guest-1/assignments/idea-1") data.guestAssignments = [{ guestId: "guest-1", ideaId: "idea-1" }];
+    const slot = url.match(/^\/api\/schedule\/([^/]+)\/assignment$/);
+    if (slot) schedule(body && body.ideaId, slot[1]);
+    revision += 1;
+    return response(200, { ok: true, state: state(revision, data), revision });
+  }, { Toast: { error: () => {}, info: (message) => notices.push(message) } });
+  await harness.storage.init();
+  const rerenders = [];
+  harness.storage.subscribe("ideas", (_value, detail) => rerenders.push(detail.history));
+
+  // Deleting an idea frees its joke and drops its guest and slot; undo
+  // restores all of it through the ordinary routes.
+  assert.equal(await harness.storage.deleteIdea("idea-1"), true);
+  assert.equal(harness.storage.canUndo(), true);
+  assert.equal(harness.storage.undoAction().label, "Undo");
+  mutations.length = 0;
+  assert.equal(await harness.storage.undo(), true);
+  assert.deepEqual(mutations, [
+    ["PUT", "/api/data/ideas"],
+    ["PUT", "/api/jokes/joke-1/assignment"],
+    ["PUT", "/api/guests/guest-1/assignments/idea-1"],
+    ["PUT", "/api/schedule/slot-1/assignment"],
+  ]);
+  assert.equal(harness.storage.getJokeForIdea("idea-1").id, "joke-1");
+  assert.equal(harness.storage.getSlotForIdea("idea-1"), "slot-1");
+  assert.equal(harness.storage.canUndo(), false);
+  assert.deepEqual(rerenders, ["undo"]);
+  assert.deepEqual(notices, ["Undid: Delete idea"]);
+
+  mutations.length = 0;
+  assert.equal(await harness.storage.redo(), true);
+  assert.deepEqual(mutations, [["DELETE", "/api/ideas/idea-1"]]);
+  assert.equal(harness.storage.getIdeas().some((idea) => idea.id === "idea-1"), false);
+  await harness.storage.undo();
+
+  // Moving an idea onto an occupied slot is undone by moving both back.
+  assert.equal(await harness.storage.assignIdeaToSlot("idea-1", "slot-2"), true);
+  assert.equal(harness.storage.canRedo(), false);
+  mutations.length = 0;
+  const keydown = harness.dom.listeners.keydown;
+  let prevented = false;
+  keydown({ key: "z", ctrlKey: true, target: { tagName: "TEXTAREA" }, preventDefault: () => { prevented = true; } });
+  assert.equal(prevented, false);
+  keydown({ key: "z", ctrlKey: true, target: { tagName: "BODY" }, preventDefault: () => { prevented = true; } });
+  assert.equal(prevented, true);
+  while (harness.storage._historyReplaying) await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(mutations, [
+    ["PUT", "/api/schedule/slot-1/assignment"],
+    ["PUT", "/api/schedule/slot-2/assignment"],
+  ]);
+  assert.deepEqual({ ...harness.storage.getAssignments() }, { "slot-1": "idea-1", "slot-2": "idea-2" });
+
+  // A fresh edit clears the redo stack, and a stale toast action is inert.
+  assert.equal(harness.storage.canRedo(), true);
+  assert.equal(await harness.storage.updateIdea("idea-2", { titles: ["Renamed"] }), true);
+  assert.equal(harness.storage.canRedo(), false);
+  const staleUndo = harness.storage.undoAction();
+  assert.equal(await harness.storage.unassignSlot("slot-1"), true);
+  mutations.length = 0;
+  staleUndo.onClick();
+  assert.deepEqual(mutations, []);
+}
+
+async function testRecordHistoryLoadsAndRevertsEntries() {
+  const requests = [];
+  let revision = 40;
+  let ideas = [{ id: "idea-1", titles: ["Renamed"], summary: "New", version: 2 }];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision, { ideas }));
+    requests.push([options.method || "GET", url, options.headers["If-Match"]]);
+    if (url === "/api/history/ideas/idea-1") {
+      return response(200, { entries: [{ id: 7, action: "Update idea", kind: "ideas", recordId: "idea-1" }] });
+    }
+    if (url === "/api/history/9/revert") return response(422, { detail: "This change cannot be reverted" });
+    ideas = [{ id: "idea-1", titles: ["One"], summary: "Old", version: 3 }];
+    revision += 1;
+    return response(200, { ok: true, state: state(revision, { ideas }), revision });
+  });
+  await harness.storage.init();
+  const rerenders = [];
+  harness.storage.subscribe("ideas", (_value, detail) => rerenders.push(detail.history));
+
+  const entries = await harness.storage.getHistory("ideas", "idea-1");
+  assert.equal(entries[0].id, 7);
+  assert.equal(await harness.storage.revertChange(7), true);
+  assert.equal(harness.storage.getIdeas()[0].summary, "Old");
+  assert.deepEqual(rerenders, ["revert"]);
+  assert.equal(await harness.storage.revertChange(9), false);
+  assert.deepEqual(harness.errors, ["Failed to revert change: This change cannot be reverted"]);
+  assert.deepEqual(requests, [
+    ["GET", "/api/history/ideas/idea-1", undefined],
+    ["POST", "/api/history/7/revert", "40"],
+    ["POST", "/api/history/9/revert", "41"],
+  ]);
+
+  const markup = RecordHistory.entriesMarkup([
+    {
+      id: 7,
+      occurredAt: "2026-10-18T12:00:00Z",
+      actor: "<trog>",
+      action: "Update idea",
+      kind: "ideas",
+      recordId: "idea-1",
+      changes: { summary: { from: "Old", to: "<b>New</b>" } },
+      before: { summary: "Old" },
+      after: { summary: "<b>New</b>" },
+      revision: 41,
+      revertible: true,
+    },
+    {
+      id: 8,
+      occurredAt: "2026-10-18T12:05:00Z",
+      actor: "rocket",
+      action: "Submit Top 3",
+      kind: "top3Submissions",
+      recordId: "idea-1:2",
+      changes: null,
+      before: null,
+      after: null,
+      revision: 42,
+      revertible: false,
+    },
+  ], "ideas");
+  assert.doesNotMatch(markup, /<b>New<\/b>|<trog>/);
+  assert.match(markup, /&lt;b&gt;New&lt;\/b&gt;/);
+  assert.match(markup, /data-history-action="revert" data-entry-id="7"/);
+  assert.equal((markup.match(/data-history-action="revert"/g) || []).length, 1);
+  assert.match(markup, /Top 3 submission/);
+  assert.match(markup, /Details are private/);
+  assert.match(RecordHistory.entriesMarkup([], "songs"), /No recorded changes yet/);
+  assert.equal(RecordHistory.formatValue("x".repeat(200)).length, 120);
+}
+
+async function testTrashListsAndRestoresEntries() {
+  const requests = [];
+  let revision = 50;
+  const trashed = {
+    id: 3,
+    kind: "ideas",
+    recordId: "idea-1",
+    title: "<Salted> idea",
+    deletedBy: "trog",
+    deletedAt: "2026-10-18T12:00:00Z",
+    expiresAt: "2026-11-17T12:00:00Z",
+    links: { jokeId: "joke-1", songId: null, guestIds: ["guest-1", "guest-2"], slotId: "slot-1" },
+  };
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision));
+    requests.push([options.method || "GET", url, options.headers["If-Match"]]);
+    if (url === "/api/trash") return response(200, { retentionDays: 30, entries: [trashed] });
+    if (url === "/api/trash/4/restore") return response(409, { detail: "A record with this id already exists" });
+    revision += 1;
+    return response(200, {
+      ok: true,
+      state: state(revision, { ideas: [{ id: "idea-1", titles: ["Salted"] }] }),
+      revision,
+      restored: { kind: "ideas", recordId: "idea-1", restored: ["joke"], skipped: ["schedule slot"] },
+    });
+  });
+  await harness.storage.init();
+
+  const trash = await harness.storage.getTrash();
+  assert.equal(trash.retentionDays, 30);
+  const report = await harness.storage.restoreFromTrash(3);
+  assert.deepEqual(report.restored, ["joke"]);
+  assert.equal(harness.storage.getIdeas()[0].id, "idea-1");
+  assert.equal(await harness.storage.restoreFromTrash(4), null);
+  assert.deepEqual(harness.errors, ["Failed to restore: A record with this id already exists"]);
+  assert.deepEqual(requests, [
+    ["GET", "/api/trash", undefined],
+    ["POST", "/api/trash/3/restore", "50"],
+    ["POST", "/api/trash/4/restore", "51"],
+  ]);
+
+  const markup = TrashPage.trashMarkup([trashed]);
+  assert.doesNotMatch(markup, /<Salted>/);
+  assert.match(markup, /&lt;Salted&gt; idea/);
+  assert.match(markup, /data-action="restore" data-entry-id="3"/);
+  assert.match(markup, /Had: schedule slot, joke, 2 guests/);
+  assert.match(markup, /No deleted songs\./);
+  assert.equal(
+    TrashPage.restoreMessage("Idea", report),
+    "Restored “Idea” with its joke. Not reattached because no longer free: schedule slot.",
+  );
+  assert.equal(TrashPage.restoreMessage("Joke", { restored: [], skipped: [] }), "Restored “Joke”.");
+}
+
+async function testImportIsPreviewedBeforeMergeOrReplace() {
+  const requests = [];
+  let revision = 60;
+  const preview = {
+    revision: 60,
+    keys: { ideas: { incoming: 2, new: 1, overwritten: 1, unchanged: 0, removedOnReplace: 3 } },
+    modes: {
+      merge: { ok: true, problems: [] },
+      replace: { ok: false, problems: ["Schedule slot <slot-9> is assigned missing idea idea-4"] },
+    },
+  };
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision));
+    requests.push([options.method, url, JSON.parse(options.body)]);
+    if (url === "/api/import/preview") return response(200, preview);
+    revision += 1;
+    return response(200, { ok: true, state: state(revision), revision });
+  });
+  await harness.storage.init();
+
+  const file = { exportDate: "2026-10-01T00:00:00Z", ideas: [{ id: "idea-1" }], extra: true };
+  assert.deepEqual(await harness.storage.previewImport(file), preview);
+  assert.equal(await harness.storage.importAll(file, "merge"), true);
+  assert.deepEqual(requests, [
+    ["POST", "/api/import/preview", { ideas: [{ id: "idea-1" }] }],
+    ["PUT", "/api/import?mode=merge", { ideas: [{ id: "idea-1" }] }],
+  ]);
+
+  assert.deepEqual(ImportPreview.ignoredKeys(file), ["extra"]);
+  const markup = ImportPreview.previewMarkup(preview, ["extra"]);
+  assert.match(markup, /<th scope="row">Ideas<\/th><td>2<\/td><td>1<\/td><td>1<\/td><td>0<\/td><td>3<\/td>/);
+  assert.match(markup, /<strong>Merge:<\/strong> ready\./);
+  assert.match(markup, /<strong>Replace:<\/strong> blocked/);
+  assert.match(markup, /Schedule slot &lt;slot-9&gt; is assigned missing idea/);
+  assert.match(markup, /Ignored, not part of an export: extra\./);
+
+  const page = fs.readFileSync("config.html", "utf8");
+  assert.match(page, /js\/import-preview\.js/);
+  assert.match(page, /Storage\.previewImport\(data\)/);
+  assert.match(page, /Storage\.importAll\(pendingImport, mode\)/);
+  assert.match(page, /importMergeBtn'\)\.disabled = !preview\.modes\.merge\.ok/);
+}
+
+async function testChaptersExportFromTheRunSheet() {
+  const runSheet = {
+    startedAt: "2026-10-18T19:00:00.000Z",
+    finishedAt: "2026-10-18T20:05:00.000Z",
+    segments: [
+      { segmentId: "opening", segmentName: "Opening & <Hook>", startSeconds: 2, elapsedSeconds: 340 },
+      { segmentId: "main", segmentName: "Main   Topic", startSeconds: 342, elapsedSeconds: 3300 },
+      { segmentId: "salt", segmentName: "Salt \"Corner\"", startSeconds: 3642, elapsedSeconds: 250 },
+    ],
+  };
+  const chapters = Chapters.fromRunSheet(runSheet);
+  assert.deepEqual(chapters, [
+    { startSeconds: 0, title: "Opening & <Hook>" },
+    { startSeconds: 342, title: "Main Topic" },
+    { startSeconds: 3642, title: "Salt \"Corner\"" },
+  ]);
+  assert.deepEqual(Chapters.fromRunSheet(null), []);
+
+  // Boundaries move to a nearby utterance start, never past the window or backwards.
+  const snapped = Chapters.snapToUtterances(chapters, [0, 120.25, 335.5, 351, 3700]);
+  assert.deepEqual(snapped.map((chapter) => chapter.startSeconds), [0, 335.5, 3642]);
+  assert.equal(Chapters.snapToUtterances(chapters, []), chapters);
+
+  assert.equal(Chapters.youtubeTimestamps(snapped), "0:00 Opening & <Hook>\n5:35 Main Topic\n1:00:42 Salt \"Corner\"");
+  assert.equal(Chapters.normalPlayTime(335.5), "00:05:35.500");
+  assert.equal(Chapters.podloveXml(snapped), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">',
+    '  <psc:chapter start="00:00:00.000" title="Opening &amp; &lt;Hook&gt;"/>',
+    '  <psc:chapter start="00:05:35.500" title="Main Topic"/>',
+    '  <psc:chapter start="01:00:42.000" title="Salt &quot;Corner&quot;"/>',
+    "</psc:chapters>",
+    "",
+  ].join("\n"));
+  assert.deepEqual(JSON.parse(Chapters.jsonChapters(snapped)), {
+    version: "1.2.0",
+    chapters: [
+      { startTime: 0, title: "Opening & <Hook>" },
+      { startTime: 335.5, title: "Main Topic" },
+      { startTime: 3642, title: "Salt \"Corner\"" },
+    ],
+  });
+
+  assert.deepEqual(Chapters.youtubeProblems(snapped), []);
+  assert.deepEqual(Chapters.youtubeProblems([{ startSeconds: 0, title: "A" }, { startSeconds: 4, title: "B" }]), [
+    "YouTube needs at least 3 chapters.",
+    "YouTube needs every chapter to run at least 10 seconds: A.",
+  ]);
+  const markup = Chapters.render(snapped, true);
+  assert.match(markup, /aligned to the transcript/);
+  assert.match(markup, /Opening &amp; &lt;Hook&gt;/);
+  assert.match(markup, /downloadChapters\('podlove'\)/);
+  assert.equal(Chapters.render([], false), "");
+
+  const requests = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(5));
+    requests.push([options.method || "GET", url]);
+    return response(200, { boundaries: [0, 12.5] });
+  });
+  await harness.storage.init();
+  assert.deepEqual(await harness.storage.getTranscriptBoundaries("slot 7"), [0, 12.5]);
+  assert.deepEqual(requests, [["GET", "/api/postproduction/slot%207/transcript-boundaries"]]);
+
+  const page = fs.readFileSync("show_management.html", "utf8");
+  assert.match(page, /src="js\/chapters\.js"/);
+  assert.match(page, /Chapters\.snapToUtterances\(chapters, await Storage\.getTranscriptBoundaries\(slotId\)\)/);
+  assert.match(page, /function downloadChapters\(format\)/);
+}
+
+function testTranscriptEditorKeepsCorrectionsUntilSaved() {
+  const transcript = {
+    source: "whisperx",
+    speakers: { SPEAKER_00: "Rocket", SPEAKER_01: "Trog" },
+    paragraphs: [
+      { speaker: "SPEAKER_00", start: 0.03, end: 4.2, text: "Welcome back to <the> show." },
+      { speaker: "SPEAKER_01", start: 3725.4, end: 3730, text: "Salt all the things." },
+    ],
+  };
+  TranscriptEditor.applyEdit(transcript, { speaker: "SPEAKER_01", name: "Trog the Salted" });
+  TranscriptEditor.applyEdit(transcript, { paragraph: 1, field: "speaker", value: "SPEAKER_00" });
+  TranscriptEditor.applyEdit(transcript, { paragraph: 0, field: "text", value: "Welcome back." });
+  assert.equal(transcript.dirty, true);
+  assert.deepEqual(TranscriptEditor.payload(transcript), {
+    speakers: { SPEAKER_00: "Rocket", SPEAKER_01: "Trog the Salted" },
+    paragraphs: [
+      { speaker: "SPEAKER_00", start: 0.03, end: 4.2, text: "Welcome back." },
+      { speaker: "SPEAKER_00", start: 3725.4, end: 3730, text: "Salt all the things." },
+    ],
+  });
+
+  TranscriptEditor.applyEdit(transcript, { speaker: "SPEAKER_00", name: " " });
+  TranscriptEditor.applyEdit(transcript, { paragraph: 1, field: "text", value: "" });
+  assert.deepEqual(TranscriptEditor.problems(transcript), [
+    "Speaker SPEAKER_00 needs a name.",
+    "Paragraph 2 has no text.",
+  ]);
+
+  assert.equal(TranscriptEditor.formatTimestamp(83.5), "1:23");
+  assert.equal(TranscriptEditor.formatTimestamp(3725.4), "1:02:05");
+  const markup = TranscriptEditor.render({
+    source: "corrected",
+    savedBy: "rocket",
+    speakers: { SPEAKER_00: "Rocket" },
+    paragraphs: [{ speaker: "SPEAKER_00", start: 65, end: 70, text: "A <b>bold</b> claim" }],
+  }, "slot_1", true);
+  assert.match(markup, /Corrected by rocket/);
+  assert.match(markup, /<span class="pp-transcript-time">1:05<\/span>/);
+  assert.match(markup, />A &lt;b&gt;bold&lt;\/b&gt; claim<\/textarea>/);
+  assert.match(markup, /PostProd\.saveTranscript\('slot_1'\)/);
+  assert.match(markup, /PostProd\.discardTranscript\('slot_1'\)/);
+  const readOnly = TranscriptEditor.render(transcript, "slot_1", false);
+  assert.doesNotMatch(readOnly, /saveTranscript/);
+  assert.match(readOnly, /<textarea[^>]* readonly>/);
+
+  const page = fs.readFileSync("postproduction.html", "utf8");
+  assert.ok(page.indexOf('src="js/transcript-editor.js"') < page.indexOf('src="js/postproduction.js"'));
+}
+
+async function testSearchPaletteFindsAndLinksRecords() {
+  const requests = [];
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(1));
+    requests.push([options.method || "GET", url]);
+    return response(200, {
+      query: "sunwell & co",
+      truncated: ["transcript"],
+      results: [
+        {
+          kind: "transcript",
+          id: "slot-9",
+          title: "EP009 — Sunwell",
+          detail: "Rocket at 1:02:05",
+          snippet: "…we did <b>Sunwell</b> & co last year…",
+          url: "postproduction.html#transcript/slot-9/3725.4",
+          seconds: 3725.4,
+        },
+        { kind: "joke", id: "joke-1", title: "Salt", snippet: "Salt", url: "jokes.html#record/joke-1" },
+      ],
+    });
+  });
+  await harness.storage.init();
+  const found = await harness.storage.search("sunwell & co");
+  assert.deepEqual(requests, [["GET", "/api/search?q=sunwell%20%26%20co"]]);
+
+  const markup = SearchPalette.resultsMarkup({ query: "SUNWELL", results: found.results, truncated: found.truncated }, 1);
+  assert.match(markup, /<strong>EP009 — <mark>Sunwell<\/mark><\/strong>/);
+  assert.match(markup, /&lt;b&gt;<mark>Sunwell<\/mark>&lt;\/b&gt; &amp; co/);
+  assert.match(markup, /Rocket at 1:02:05/);
+  assert.match(markup, /aria-selected="true" data-search-index="1"/);
+  assert.match(markup, /More transcript results match/);
+  assert.match(SearchPalette.resultsMarkup({ query: "<x>", results: [] }, 0), /Nothing matches “&lt;x&gt;”/);
+
+  assert.equal(SearchPalette.isShortcut({ ctrlKey: true, key: "k" }), true);
+  assert.equal(SearchPalette.isShortcut({ metaKey: true, key: "K" }), true);
+  assert.equal(SearchPalette.isShortcut({ ctrlKey: true, altKey: true, key: "k" }), false);
+  assert.equal(SearchPalette.isShortcut({ key: "k" }), false);
+
+  assert.deepEqual(SearchPalette.parseHash("#record/joke%201"), { kind: "record", id: "joke 1" });
+  assert.deepEqual(SearchPalette.parseHash("#idea/idea-2"), { kind: "idea", id: "idea-2" });
+  assert.deepEqual(SearchPalette.parseHash("#transcript/slot-9/3725.4"), { kind: "transcript", id: "slot-9", seconds: 3725.4 });
+  assert.deepEqual(SearchPalette.parseHash("#transcript/slot-9/soon"), { kind: "transcript", id: "slot-9", seconds: 0 });
+  assert.equal(SearchPalette.parseHash("#show/slot-9"), null);
+  assert.equal(SearchPalette.parseHash(""), null);
+
+  const transcript = { paragraphs: [{ start: 0.5 }, { start: 4.2 }, { start: 3725.4 }] };
+  assert.equal(TranscriptEditor.paragraphAt(transcript, 0), 0);
+  assert.equal(TranscriptEditor.paragraphAt(transcript, 5), 1);
+  assert.equal(TranscriptEditor.paragraphAt(transcript, 3725.4), 2);
+
+  for (const name of ["config", "jokes", "songs", "guests", "top3", "trash", "postproduction", "show_management"]) {
+    const page = fs.readFileSync(name + ".html", "utf8");
+    const at = page.indexOf('src="js/search-palette.js"');
+    assert.ok(at > page.indexOf('src="js/storage.js"'), name + ".html loads the search palette after Storage");
+  }
+  assert.match(fs.readFileSync("jokes.html", "utf8"), /data-record-id="' \+ esc\(joke\.id\) \+ '"/);
+}
+
+function testShowNotesAcceptIntoTheIdea() {
+  const proposal = {
+    slotId: "slot-9",
+    ideaId: "idea-9",
+    source: "corrected",
+    summary: "Back to the <Sunwell>.",
+    keyMoments: [
+      { seconds: 83, title: "Trash packs" },
+      { seconds: 3725, title: "Salt all the things" },
+    ],
+    quotes: [{ seconds: 1203, speaker: "Trog", text: "Salt is a lifestyle." }],
+    mentions: ["Soggy the Mage"],
+  };
+  const idea = {
+    id: "idea-9",
+    summary: "Raid nostalgia.",
+    showNotes: { keyMoments: [{ seconds: 3725, title: "Salt all the things" }], quotes: [], mentions: ["soggy the mage"] },
+  };
+
+  assert.deepEqual(ShowNotes.acceptPatch(idea, proposal, "summary"), { summary: "Back to the <Sunwell>." });
+  assert.deepEqual(ShowNotes.acceptPatch(idea, proposal, "keyMoments", 0).showNotes.keyMoments, [
+    { seconds: 83, title: "Trash packs" },
+    { seconds: 3725, title: "Salt all the things" },
+  ]);
+  const all = ShowNotes.acceptPatch(idea, proposal, "all");
+  assert.equal(all.summary, "Back to the <Sunwell>.");
+  assert.equal(all.showNotes.keyMoments.length, 2);
+  assert.deepEqual(all.showNotes.mentions, ["soggy the mage"]);
+  assert.deepEqual(all.showNotes.quotes, proposal.quotes);
+  assert.deepEqual(ShowNotes.removePatch(idea, "mentions", 0).showNotes.mentions, []);
+  assert.equal(idea.showNotes.mentions.length, 1, "patches copy the idea's notes");
+
+  const kept = { showNotes: { keyMoments: [{ seconds: 10, title: "Cold open" }], quotes: [], mentions: [] } };
+  assert.deepEqual(ShowNotes.rowsFor(proposal, kept, "keyMoments").map((row) => [row.proposed, row.accepted]), [[0, -1], [1, -1], [-1, 0]]);
+
+  const markup = ShowNotes.render(proposal, idea, "slot-9", true);
+  assert.match(markup, /Back to the &lt;Sunwell&gt;\./);
+  assert.match(markup, /Current: Raid nostalgia\./);
+  assert.match(markup, /PostProd\.acceptShowNotes\('slot-9', 'keyMoments', 0\)/);
+  assert.match(markup, /PostProd\.removeShowNote\('slot-9', 'keyMoments', 0\)/);
+  assert.match(markup, /<span class="pp-transcript-time">1:02:05<\/span> Salt all the things/);
+  assert.match(markup, /“Salt is a lifestyle\.” — Trog/);
+  assert.match(markup, /Accept All/);
+  const readOnly = ShowNotes.render(proposal, idea, "slot-9", false);
+  assert.doesNotMatch(readOnly, /acceptShowNotes|removeShowNote/);
+  assert.match(ShowNotes.render(proposal, null, "slot-9", true), /idea was not found/);
+
+  const overview = EpisodeOverview.compose("Back to the Sunwell.", null, null, "", null, all.showNotes);
+  assert.equal(overview, [
+    "Back to the Sunwell.",
+    "Key moments\n1:23 Trash packs\n1:02:05 Salt all the things",
+    "Quotes\n“Salt is a lifestyle.” — Trog",
+    "Mentioned on the show: soggy the mage",
+  ].join("\n\n"));
+  assert.equal(EpisodeOverview.compose("Summary", null, null, "", null, null), "Summary");
+
+  const page = fs.readFileSync("postproduction.html", "utf8");
+  assert.ok(page.indexOf('src="js/show-notes.js"') > 0, "postproduction.html loads the show notes panel");
+  assert.ok(page.indexOf('src="js/show-notes.js"') < page.indexOf('src="js/postproduction.js"'));
+}
+
+function testTranscriptionJobsPanelShowsWorkersAndActions() {
+  const now = Date.parse("2026-10-18T19:10:00Z");
+  assert.equal(TranscriptionJobs.formatDuration(42), "42s");
+  assert.equal(TranscriptionJobs.formatDuration(725), "12m 05s");
+  assert.equal(TranscriptionJobs.formatDuration(3725), "1h 02m");
+  assert.equal(TranscriptionJobs.formatDuration(null), "—");
+
+  const retrying = { status: "pending", attempt: 2, maxAttempts: 3, nextAttemptAt: "2026-10-18T19:14:00Z" };
+  assert.equal(TranscriptionJobs.statusLabel(retrying, now), "Retry 2 of 3 in 4m 00s");
+  assert.equal(TranscriptionJobs.statusLabel({ ...retrying, nextAttemptAt: "2026-10-18T19:00:00Z" }, now), "Queued (attempt 2 of 3)");
+  assert.equal(TranscriptionJobs.statusLabel({ status: "pending" }, now), "Queued");
+  assert.equal(TranscriptionJobs.statusLabel({ status: "failed", attempt: 3, maxAttempts: 3 }, now), "Failed after 3 attempts");
+  assert.equal(TranscriptionJobs.statusLabel({ status: "cancelled", cancelledBy: "trog" }, now), "Cancelled by trog");
+
+  const dashboard = {
+    alert: "The transcription watcher on <STUDIO> last checked in 12 minutes ago.",
+    staleAfterSeconds: 120,
+    workers: [{ name: "<STUDIO>", lastSeenAt: "2026-10-18T18:58:00Z", secondsSinceCheckIn: 720, stale: true }],
+    jobs: [
+      {
+        slotId: "slot-9",
+        episodeNumber: "EP009",
+        selectedTitle: "Sunwell & Co",
+        durationSeconds: 600,
+        job: {
+          status: "in_progress",
+          attempt: 1,
+          maxAttempts: 3,
+          worker: "STUDIO-PC",
+          heartbeatAt: "2026-10-18T19:09:30Z",
+          logTail: ["Loading <model>", "Aligning"],
+        },
+      },
+      {
+        slotId: "slot-8",
+        episodeNumber: "EP008",
+        selectedTitle: null,
+        durationSeconds: null,
+        job: { status: "failed", attempt: 3, maxAttempts: 3, error: "transcribe-auto.py exited with code 1" },
+      },
+    ],
+  };
+  assert.match(TranscriptionJobs.alertHtml(dashboard), /role="alert">&#x26A0; The transcription watcher on &lt;STUDIO&gt;/);
+  assert.equal(TranscriptionJobs.alertHtml({ alert: null }), "");
+  assert.equal(TranscriptionJobs.alertHtml(null), "");
+
+  const markup = TranscriptionJobs.render(dashboard, true, now);
+  assert.match(markup, /EP009 — Sunwell &amp; Co/);
+  assert.match(markup, /<span class="pp-jobs-stale">&lt;STUDIO&gt; checked in 12m 00s ago<\/span>/);
+  assert.match(markup, /<td>STUDIO-PC<\/td><td>30s ago<\/td><td>10m 00s<\/td><td>1 \/ 3<\/td>/);
+  assert.match(markup, /<pre>Loading &lt;model&gt;\nAligning<\/pre>/);
+  assert.match(markup, /PostProd\.cancelTranscription\('slot-9'\)">Cancel/);
+  assert.match(markup, /PostProd\.requestTranscription\('slot-8'\)">Requeue/);
+  assert.match(markup, /Failed after 3 attempts<div class="pp-job-error"/);
+  assert.doesNotMatch(TranscriptionJobs.render(dashboard, false, now), /cancelTranscription|requestTranscription/);
+  assert.match(TranscriptionJobs.render({ workers: [], jobs: [] }, true, now), /No watcher has checked in yet\.[\s\S]*No transcription jobs yet\./);
+
+  const page = fs.readFileSync("postproduction.html", "utf8");
+  assert.ok(page.indexOf('src="js/transcription-jobs.js"') > 0, "postproduction.html loads the jobs panel");
+  assert.ok(page.indexOf('src="js/transcription-jobs.js"') < page.indexOf('src="js/postproduction.js"'));
+  assert.match(page, /id="jobsAlert"/);
+  assert.match(page, /onclick="PostProd\.toggleJobs\(\)"/);
+}
+
+function testDriveSyncIndicatorAndQueueReload() {
+  const now = Date.parse("2026-10-18T19:10:00Z");
+  const status = {
+    enabled: true,
+    intervalSeconds: 60,
+    lastSyncedAt: "2026-10-18T19:05:00Z",
+    lastChangeAt: "2026-10-18T18:40:00Z",
+    error: null,
+    errorAt: null,
+  };
+  assert.deepEqual(DriveSync.describe(status, now), {
+    tone: "behind",
+    text: "Last synced 5 min ago",
+    title: "The Drive sync has not run for a while. Refresh Assets scans now.",
+  });
+  assert.deepEqual(DriveSync.describe({ ...status, intervalSeconds: 300 }, now), { tone: "ok", text: "Last synced 5 min ago", title: "" });
+  assert.equal(DriveSync.describe({ ...status, lastSyncedAt: "2026-10-18T19:09:40Z" }, now).text, "Last synced just now");
+  assert.equal(DriveSync.describe({ ...status, lastSyncedAt: "2026-10-18T16:00:00Z" }, now).text, "Last synced 3 h ago");
+  assert.equal(DriveSync.describe({ ...status, lastSyncedAt: null }, now).text, "Waiting for the first Drive sync");
+  assert.equal(DriveSync.describe({ ...status, enabled: false }, now).tone, "off");
+  assert.equal(DriveSync.describe(null, now).text, "Drive sync off");
+
+  const failed = { ...status, error: "Drive said <403>" };
+  assert.equal(DriveSync.describe(failed, now).text, "Drive sync failed · last synced 5 min ago");
+  assert.equal(
+    DriveSync.indicatorHtml(failed, now),
+    '<span class="pp-sync pp-sync-error" title="Drive said &lt;403&gt;">Drive sync failed · last synced 5 min ago</span>'
+  );
+
+  assert.equal(DriveSync.shouldReload(null, status), false, "the first status only sets the baseline");
+  assert.equal(DriveSync.shouldReload(status, { ...status, lastSyncedAt: "2026-10-18T19:06:00Z" }), false);
+  assert.equal(DriveSync.shouldReload(status, { ...status, lastChangeAt: "2026-10-18T19:06:00Z" }), true);
+  assert.equal(DriveSync.shouldReload({ ...status, lastChangeAt: null }, status), true);
+
+  const page = fs.readFileSync("postproduction.html", "utf8");
+  assert.ok(page.indexOf('src="js/drive-sync.js"') > 0, "postproduction.html loads the sync indicator");
+  assert.ok(page.indexOf('src="js/drive-sync.js"') < page.indexOf('src="js/postproduction.js"'));
+  assert.match(page, /<span id="syncStatus"><\/span>/);
+  assert.match(page, /PostProd\.watchSync\(\);/);
+}
+
+function testRunSheetTimesSegmentsAgainstTargets() {
+  const outline = [
+    { segmentId: "opening", segmentName: "Opening <Hook>", talkingPoints: ["Tease the raid", "Salt joke"] },
+    { segmentId: "main", segmentName: "Main Topic", talkingPoints: ["Tier list", "Loot drama", "Hot take"] },
+    { segmentId: "closing", segmentName: "Closing", talkingPoints: ["Next week", "Sign off"] },
+  ];
+  const configured = [{ id: "opening", name: "Opening", targetMinutes: 5 }, { id: "main", name: "Main Topic" }];
+  const at = (seconds) => Date.UTC(2026, 9, 18, 19, 0, 0) + seconds * 1000;
+  const state = RunSheet.create(outline, configured);
+  assert.deepEqual(state.segments.map((segment) => segment.targetSeconds), [300, null, null]);
+
+  RunSheet.start(state, at(0));
+  assert.deepEqual(RunSheet.segmentClock(state, 0, at(342)), { elapsed: 342, target: 300, over: 42 });
+  RunSheet.togglePoint(state, 0, 1);
+  RunSheet.advance(state, at(342));
+  RunSheet.togglePoint(state, 1, 2);
+  RunSheet.togglePoint(state, 1, 0);
+  RunSheet.togglePoint(state, 1, 2);
+  assert.deepEqual(RunSheet.segmentClock(state, 1, at(400)), { elapsed: 58, target: null, over: 0 });
+  const live = RunSheet.render(state, at(400));
+  assert.match(live, /data-run-sheet="next">Next Segment/);
+  assert.match(live, /Opening &lt;Hook&gt;/);
+  assert.match(live, /5:42 \/ 5:00 · \+0:42 over/);
+  assert.match(live, /class="run-sheet-segment active"/);
+
+  // Ending early keeps only the sections that were recorded.
+  RunSheet.finish(state, at(1500));
+  RunSheet.advance(state, at(1600));
+  assert.deepEqual(RunSheet.result(state), {
+    startedAt: "2026-10-18T19:00:00.000Z",
+    finishedAt: "2026-10-18T19:25:00.000Z",
+    segments: [
+      { segmentId: "opening", segmentName: "Opening <Hook>", targetSeconds: 300, startSeconds: 0, elapsedSeconds: 342, coveredPoints: [1] },
+      { segmentId: "main", segmentName: "Main Topic", targetSeconds: null, startSeconds: 342, elapsedSeconds: 1158, coveredPoints: [0] },
+    ],
+  });
+  assert.match(RunSheet.render(state, at(1600)), /data-run-sheet="save">Save Timings/);
+  assert.equal(RunSheet.formatClock(3725), "1:02:05");
+
+  const summary = RunSheet.summaryMarkup(RunSheet.result(state));
+  assert.match(summary, /Recorded Segment Timings/);
+  assert.match(summary, /<td>0:00<\/td><td>Opening &lt;Hook&gt;<\/td><td>5:42 \/ 5:00<\/td><td><span class="run-sheet-over">\+0:42<\/span>/);
+  assert.equal(RunSheet.summaryMarkup(null), "");
+
+  const page = fs.readFileSync("show_management.html", "utf8");
+  assert.match(page, /src="js\/run-sheet\.js"/);
+  assert.match(page, /onclick="openRunSheet\(/);
+  assert.match(page, /RunSheet\.summaryMarkup\(idea\.runSheet\)/);
+  assert.match(page, /configuredSegments: Storage\.getConfig\(\)\.segments/);
+  assert.match(fs.readFileSync("js/run-sheet.js", "utf8"), /Storage\.updateIdea\(opened\.idea\.id, \{ runSheet: result\(opened\.state\) \}\)/);
+  assert.match(fs.readFileSync("config.html", "utf8"), /data-field="targetMinutes"/);
+}
+
+async function testSlotToolsPreviewBeforeApplying() {
+  const requests = [];
+  let revision = 70;
+  const preview = {
+    action: "remove",
+    changes: [
+      {
+        slotId: "slot_3", change: "remove", ideaId: "idea-3", title: "<Dragons>",
+        from: { episodeNumber: "EP003", recordDate: "2026-02-03", releaseDate: "2026-03-17" }, to: null,
+      },
+      {
+        slotId: "slot_4", change: "renumber", ideaId: null, title: null,
+        from: { episodeNumber: "EP004", recordDate: "2026-02-10", releaseDate: "2026-03-24" },
+        to: { episodeNumber: "EP003", recordDate: "2026-02-10", releaseDate: "2026-03-24" },
+      },
+    ],
+    warnings: ["“<Dragons>” returns to the idea bank with its art and Top 3 picks."],
+    insertedSlotId: null,
+    artLogChanged: true,
+  };
+  const harness = loadStorage(async (url, options = {}) => {
+    if (url === "/api/export") return response(200, state(revision));
+    requests.push([options.method, url, options.headers["If-Match"], JSON.parse(options.body)]);
+    if (url === "/api/schedule/slot-edits/preview") return response(200, preview);
+    if (revision === 71) return response(422, { detail: "Invalid slot edit: Show slot not found: 'slot_9'" });
+    revision += 1;
+    return response(200, { ok: true, state: state(revision), revision, preview });
+  });
+  await harness.storage.init();
+
+  assert.deepEqual(await harness.storage.previewSlotEdit({ action: "remove", slotId: "slot_3" }), preview);
+  assert.equal(await harness.storage.applySlotEdit({ action: "remove", slotId: "slot_3" }), true);
+  assert.equal(await harness.storage.applySlotEdit({ action: "remove", slotId: "slot_9" }), false);
+  assert.deepEqual(harness.errors, ["Failed to edit the schedule: Invalid slot edit: Show slot not found: 'slot_9'"]);
+  assert.deepEqual(requests, [
+    ["POST", "/api/schedule/slot-edits/preview", "70", { action: "remove", slotId: "slot_3" }],
+    ["POST", "/api/schedule/slot-edits", "70", { action: "remove", slotId: "slot_3" }],
+    ["POST", "/api/schedule/slot-edits", "71", { action: "remove", slotId: "slot_9" }],
+  ]);
+
+  const markup = SlotTools.changesMarkup(preview);
+  assert.doesNotMatch(markup, /<Dragons>/);
+  assert.match(markup, /&lt;Dragons&gt;/);
+  assert.match(markup, /class="slot-change-remove"/);
+  assert.match(markup, /<strong>EP004<\/strong>.*<strong>EP003<\/strong>/);
+  assert.match(markup, /Art log entries are renumbered/);
+  assert.match(SlotTools.changesMarkup({ changes: [], warnings: [], artLogChanged: false }), /Nothing changes/);
+
+  assert.deepEqual(SlotTools.editFromForm({ action: "insert", recordDate: "2026-04-01", releaseDate: "" }), {
+    edit: { action: "insert", recordDate: "2026-04-01", episodeType: "regular" },
+  });
+  assert.deepEqual(SlotTools.editFromForm({ action: "retype", slotId: "slot_4", episodeType: "patron" }), {
+    edit: { action: "retype", slotId: "slot_4", episodeType: "patron" },
+  });
+  assert.match(SlotTools.editFromForm({ action: "insert", recordDate: "2026-04-01", releaseDate: "2026-03-30" }).error, /before/);
+  assert.deepEqual(SlotTools.editFromForm({ action: "renumber", startAt: "5" }), { edit: { action: "renumber", startAt: 5 } });
+  assert.ok(SlotTools.editFromForm({ action: "renumber", startAt: "0" }).error);
+  assert.ok(SlotTools.editFromForm({ action: "remove", slotId: "" }).error);
+
+  const page = fs.readFileSync("show_management.html", "utf8");
+  assert.match(page, /js\/slot-tools\.js/);
+  assert.match(page, /data-requires="schedule\.edit" onclick="openSlotTools\(\)"/);
+  assert.match(page, /SlotTools\.open\(Object\.assign\(\{\}, options, \{ onApplied: function\(\) \{ renderScheduleBoard\(\); renderIdeasList\(\); \} \}\)\)/);
+}
+
 async function testAtomicScheduleAndImportRoutes() {
   const mutations = [];
   let revision = 2;
@@ -399,6 +2203,7 @@ function testSongManagementPageContract() {
   assert.match(markup, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
   assert.match(markup, /song&#039;quoted/);
   assert.match(markup, /Remove assignment/);
+  assert.match(markup, /data-action="history"/);
   assert.match(markup, /rel="noopener noreferrer"/);
 }
 
@@ -514,6 +2319,10 @@ async function testEpisodeOverviewContract() {
   const composed = EpisodeOverview.compose(summary, song, top3);
   assert.equal(composed, expected);
   assert.equal(EpisodeOverview.compose(summary, null), summary);
+  assert.equal(EpisodeOverview.compose(summary, null, null, "Bonus Episode"), "Bonus Episode\n\n" + summary);
+  assert.equal(EpisodeOverview.compose(summary, null, null, ""), summary);
+  assert.equal(EpisodeOverview.compose(summary, null, null, "", "0:00 Opening\n5:42 Main"), summary + "\n\nChapters\n0:00 Opening\n5:42 Main");
+  assert.equal(EpisodeOverview.compose(summary, null, null, "", ""), summary);
   assert.equal(JSON.stringify(song), before);
   assert.equal(JSON.stringify(top3), top3Before);
   assert.doesNotMatch(composed, /PRIVATE SENTINEL|internal-song-id|internal-idea-id|used|PRIVATE TOP 3 NOTES|internal-submission|PLANNING|AI ONE|enteredByUserId|Missing/);
@@ -802,6 +2611,80 @@ function testTop3EpisodePlanningContract() {
   assert.doesNotMatch(script, /Storage\./);
 }
 
+async function testTop3GuestLinksKeepGuestPicksHidden() {
+  const hidden = {
+    submissionId: "top3-guest-1",
+    contributorType: "external",
+    externalType: "guest",
+    guestSubmitted: true,
+    displayName: "Bard <guest>",
+    complete: true,
+    revealed: false,
+  };
+  const revealed = Object.assign({}, hidden, {
+    submissionId: "top3-guest-2",
+    displayName: "Skald",
+    revealed: true,
+    picks: ["Revealed guest pick", "Two", "Three"],
+    privateDiscussionNotes: "",
+  });
+  assert.match(Top3EpisodePlanning.revealButtonMarkup(hidden), /data-submission-id="top3-guest-1"/);
+  assert.equal(Top3EpisodePlanning.revealButtonMarkup(revealed), "");
+  assert.equal(Top3EpisodePlanning.revealButtonMarkup({
+    submissionId: "shared", contributorType: "external", externalType: "guest", complete: true,
+  }), "");
+
+  const markup = Top3EpisodePlanning.externalResultsMarkup("idea-guest", [hidden, revealed]);
+  assert.match(markup, /Bard &lt;guest&gt;/);
+  assert.match(markup, /guest link — hidden/);
+  assert.match(markup, /guest link — revealed to you/);
+  assert.match(markup, /Revealed guest pick/);
+  assert.doesNotMatch(markup, /data-top3-action="edit-external" data-submission-id="top3-guest/);
+  assert.match(markup, /data-top3-action="create-guest-link"/);
+  Top3EpisodePlanning._state.episodes.set("idea-guest", {
+    ideaId: "idea-guest",
+    concept: { id: "concept-1", name: "Songs", description: "Rank", aiExample: [] },
+    contributors: [Object.assign({}, hidden, { picks: ["must-not-render"] })],
+  });
+  const summary = Top3EpisodePlanning.summaryMarkup("idea-guest");
+  Top3EpisodePlanning._state.episodes.delete("idea-guest");
+  assert.match(summary, /Ready — hidden/);
+  assert.doesNotMatch(summary, /must-not-render/);
+
+  const requests = [];
+  const window = {
+    document: { getElementById: () => portal },
+    location: { hash: "#guest-token" },
+    fetch: async (url, options = {}) => {
+      requests.push({ url, options });
+      if (url === "/api/top3/guest") {
+        return response(200, {
+          displayName: "Bard",
+          expiresAt: "2026-10-21T12:00:00+00:00",
+          concept: { name: "Tavern <songs>", description: "Rank", rules: "", aiExample: [] },
+          submission: null,
+        });
+      }
+      throw new Error(`Unexpected guest request ${url}`);
+    },
+  };
+  const portal = {
+    innerHTML: "",
+    querySelector: () => ({ addEventListener() {} }),
+  };
+  const context = { window, Array, Date, Number, String, JSON, isNaN };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync("js/top3-guest.js", "utf8"), context);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].options.headers.Authorization, "Bearer guest-token");
+  assert.match(portal.innerHTML, /Tavern &lt;songs&gt;/);
+  assert.match(portal.innerHTML, /Submit my three picks/);
+  assert.match(portal.innerHTML, /hidden from each host until that host chooses to reveal them/);
+  assert.equal(window.Top3GuestPortal.tokenFromLocation({ hash: "" }), "");
+  assert.match(window.Top3GuestPortal.unavailableMarkup("This guest link has expired"), /expired/);
+}
+
 async function testTop3EpisodeBrowserActionsUseViewerScopedApi() {
   const listeners = {};
   const requests = [];
@@ -1072,7 +2955,7 @@ async function main() {
   assert.match(showManagement, /js\/episode-overview\.js/);
   assert.match(showManagement, /SongPreparation\.renderPicker\(idea\.id, Storage\.getSongs\(\)\)/);
   assert.match(showManagement, /SongPreparation\.renderPreparation\(assignedSong\)/);
-  assert.match(showManagement, /EpisodeOverview\.compose\(idea\.summary, assignedSong, top3SpotifyResults\)/);
+  assert.match(showManagement, /EpisodeOverview\.compose\(idea\.summary, assignedSong, top3SpotifyResults, specialEpisodeLabel\(slot\), Chapters\.youtubeTimestamps\(chapters\), idea\.showNotes\)/);
   assert.match(showManagement, /await Top3EpisodePlanning\.loadSpotifyResults\(idea\.id\)/);
   assert.match(showManagement, /await EpisodeOverview\.copy\(currentSpotifyOverview, navigator, document\)/);
   assert.match(showManagement, /Copy failed\. Select the overview text and copy it manually\./);
@@ -1110,9 +2993,43 @@ async function main() {
   assert.doesNotMatch(showManagement, /segmentId:\s*segName\.toLowerCase/);
 
   await testSuccessfulCanonicalSave();
+  await testEditorLoadsOnlyConfig();
   await testGlobalQueuePreventsOutOfOrderWrites();
   await testFailureRollbackRetryAndUnloadGuard();
   await testConflictReloadsAndCancelsStaleQueue();
+  testThreeWayMergeContract();
+  await testConflictMergesNonOverlappingEditsAndResubmits();
+  await testTrueCollisionWaitsForResolver();
+  await testOfflineWritesPersistAndReplayInOrder();
+  await testOfflineReplayConflictsWaitForReview();
+  await testOfflineWritesStayWithTheUserWhoMadeThem();
+  await testExpiredAccessIsRenewedAndRetried();
+  await testEndedSessionParksWritesUntilRelogin();
+  await testAuthRenewsBeforeExpiryWithinTheSession();
+  await testLogoutDiscardsOfflineWritesAndRevokesTheSession();
+  await testAuthCountsDownThenAsksForThePassword();
+  await testPasskeysSignInWithoutSwappingTheReloginAccount();
+  await testScheduleRulesSlideUpcomingEpisodesAroundBreaks();
+  await testScheduleRulesKeepHandInsertedSlotsAndRollBack();
+  testScheduleCalendarDayShowsRecordingAndReleaseSlots();
+  testEpisodeTypesNumberInTheirOwnSeries();
+  testShowClockUsesTheShowTimezoneAcrossDst();
+  testConfigManagesTheCalendarFeedLink();
+  testAuthCanFollowsTheRolePermissions();
+  await testLiveSyncRefreshesChangedKeysAndPresence();
+  await testUndoRedoReplaysInverseMutations();
+  await testRecordHistoryLoadsAndRevertsEntries();
+  await testTrashListsAndRestoresEntries();
+  await testImportIsPreviewedBeforeMergeOrReplace();
+  await testSlotToolsPreviewBeforeApplying();
+  testRunSheetTimesSegmentsAgainstTargets();
+  await testChaptersExportFromTheRunSheet();
+  testTranscriptEditorKeepsCorrectionsUntilSaved();
+  await testSearchPaletteFindsAndLinksRecords();
+  testShowNotesAcceptIntoTheIdea();
+  testTranscriptionJobsPanelShowsWorkersAndActions();
+  testDriveSyncIndicatorAndQueueReload();
+  await testRecordPatchesSendChangedFieldsAndRebase();
   await testAtomicScheduleAndImportRoutes();
   await testGuestDataUsesSharedCanonicalStorage();
   await testSongManagementStorageRoutes();
@@ -1125,6 +3042,7 @@ async function main() {
   testTop3BankBrowserStartupWithLexicalDependencies();
   testTop3EpisodePlanningContract();
   await testTop3EpisodeBrowserActionsUseViewerScopedApi();
+  await testTop3GuestLinksKeepGuestPicksHidden();
 }
 
 main().catch((error) => {
@@ -86,6 +86,7 @@ function testEscapedStatisticsAndHistoryMarkup() {
   assert.match(markup, /Future &amp; unscheduled/);
   assert.match(markup, /Unscheduled/);
   assert.match(markup, /Remove all show assignments before deleting this guest/);
+  assert.match(markup, /data-action="history" data-guest-id="guest-safe"/);
   assert.match(markup, /data-action="restore"/);
 
   const unscheduledOnly = GuestBank.guestCardMarkup(guest({
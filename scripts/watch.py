@@ -10,6 +10,10 @@ Usage:
 
 Add to Windows startup via Task Scheduler or a .bat wrapper to run on boot.
 
+It also runs transcription jobs queued from the Post-Production page,
+reporting progress so the jobs panel can show them; see
+docs/transcription-jobs.md.
+
 Requires:
     pip install watchdog
 
@@ -20,12 +24,15 @@ import json
 import logging
 import logging.handlers
 import os
+import socket
 import subprocess
 import sys
 import threading
 import time
 import urllib.error
+import urllib.parse
 import urllib.request
+from collections import deque
 
 from watchdog.events import FileSystemEventHandler
 from watchdog.observers import Observer
@@ -112,7 +119,11 @@ def schedule_transcription(audio_path, delay=SYNC_SETTLE_SECONDS):
 
 SATT_API = "https://saltallthethings.com/api"
 POLL_INTERVAL = 30  # seconds between job polls
+HEARTBEAT_INTERVAL = 30  # seconds between progress reports while a job runs
+LOG_TAIL_LINES = 40  # lines of transcribe-auto.py output sent with each report
 TOKEN_REFRESH_INTERVAL = 4 * 3600  # re-login every 4 hours
+# Shown on the Post-Production jobs panel; set SATT_WORKER_NAME to override.
+WORKER_NAME = os.environ.get("SATT_WORKER_NAME") or socket.gethostname()
 
 
 def _load_credentials():
@@ -151,21 +162,6 @@ def _api_get(url: str, token: str):
         return json.loads(resp.read())
 
 
-def _api_put(url: str, token: str, body: dict):
-    data = json.dumps(body).encode()
-    req = urllib.request.Request(
-        url, method="PUT", data=data,
-        headers={"Authorization": f"Bearer {token}", "Content-Type": "application/json"},
-    )
-    try:
-        with urllib.request.urlopen(req, timeout=30) as resp:
-            return json.loads(resp.read())
-    except urllib.error.HTTPError as e:
-        log.error("API PUT %s failed: HTTP %s", url, e.code)
-    except Exception:
-        log.exception("API PUT %s failed", url)
-
-
 def _find_audio_for_key(key: str) -> str | None:
     """Return the best audio file path for a production key, or None."""
     episode_dir = os.path.join(SHARED_ROOT, key)
@@ -178,40 +174,87 @@ def _find_audio_for_key(key: str) -> str | None:
     return None
 
 
-def _run_transcription_job(slot_id: str, key: str, token: str) -> None:
-    """Claim a pending transcription job, run it, and update its status."""
-    # Mark in-progress
-    _api_put(
-        f"{SATT_API}/postproduction/{slot_id}/transcribe-status",
-        token, {"status": "in_progress"},
+def _report_status(slot_id: str, token: str, body: dict) -> bool:
+    """Send a job status update. False means the server wants the job stopped.
+
+    The server answers 409 when the job was cancelled, queued again, or taken
+    over by another worker. Other failures are logged and the job carries on.
+    """
+    url = f"{SATT_API}/postproduction/{slot_id}/transcribe-status"
+    data = json.dumps({"worker": WORKER_NAME, **body}).encode()
+    req = urllib.request.Request(
+        url, method="PUT", data=data,
+        headers={"Authorization": f"Bearer {token}", "Content-Type": "application/json"},
     )
+    try:
+        with urllib.request.urlopen(req, timeout=30):
+            return True
+    except urllib.error.HTTPError as e:
+        if e.code == 409:
+            reason = e.read().decode(errors="replace")
+            log.warning("Transcription job %s: server says stop (%s)", slot_id, reason)
+            return False
+        log.error("API PUT %s failed: HTTP %s", url, e.code)
+    except Exception:
+        log.exception("API PUT %s failed", url)
+    return True
+
+
+def _run_transcription_job(job: dict, token: str) -> None:
+    """Claim a due transcription job, run it with heartbeats, and report how it ended."""
+    slot_id = job["slotId"]
+    key = job["productionFileKey"]
+    job_id = job.get("jobId")
+    if not _report_status(slot_id, token, {"status": "in_progress", "jobId": job_id}):
+        return
 
     audio_path = _find_audio_for_key(key)
     if not audio_path:
         msg = f"No audio file found in {SHARED_ROOT}/{key}/"
         log.error("Transcription job %s: %s", slot_id, msg)
-        _api_put(
-            f"{SATT_API}/postproduction/{slot_id}/transcribe-status",
-            token, {"status": "failed", "error": msg},
-        )
+        _report_status(slot_id, token, {"status": "failed", "error": msg, "jobId": job_id})
         return
 
     log.info("Transcription job %s: starting on %s", slot_id, os.path.basename(audio_path))
     cmd = [sys.executable, TRANSCRIBE_SCRIPT, audio_path, "--notify-server"]
-    result = subprocess.run(cmd)
-    if result.returncode != 0:
-        msg = f"transcribe-auto.py exited with code {result.returncode}"
+    tail: deque[str] = deque(maxlen=LOG_TAIL_LINES)
+    proc = subprocess.Popen(
+        cmd, stdout=subprocess.PIPE, stderr=subprocess.STDOUT,
+        text=True, encoding="utf-8", errors="replace",
+        env={**os.environ, "PYTHONUNBUFFERED": "1"},
+    )
+
+    def _read_output() -> None:
+        for line in proc.stdout:
+            tail.append(line.rstrip())
+
+    reader = threading.Thread(target=_read_output, daemon=True)
+    reader.start()
+
+    while True:
+        try:
+            proc.wait(timeout=HEARTBEAT_INTERVAL)
+            break
+        except subprocess.TimeoutExpired:
+            pass
+        heartbeat = {"status": "in_progress", "jobId": job_id, "logTail": list(tail)}
+        if not _report_status(slot_id, token, heartbeat):
+            log.warning("Transcription job %s: stopping transcribe-auto.py", slot_id)
+            proc.terminate()
+            proc.wait()
+            reader.join(timeout=5)
+            return
+    reader.join(timeout=5)
+
+    if proc.returncode != 0:
+        msg = f"transcribe-auto.py exited with code {proc.returncode}"
         log.error("Transcription job %s: %s", slot_id, msg)
-        _api_put(
-            f"{SATT_API}/postproduction/{slot_id}/transcribe-status",
-            token, {"status": "failed", "error": msg},
-        )
+        _report_status(slot_id, token, {
+            "status": "failed", "error": msg, "jobId": job_id, "logTail": list(tail),
+        })
     else:
         log.info("Transcription job %s: done", slot_id)
-        _api_put(
-            f"{SATT_API}/postproduction/{slot_id}/transcribe-status",
-            token, {"status": "done"},
-        )
+        _report_status(slot_id, token, {"status": "done", "jobId": job_id, "logTail": list(tail)})
 
 
 def poll_transcription_jobs() -> None:
@@ -227,7 +270,9 @@ def poll_transcription_jobs() -> None:
     token: str | None = None
     token_acquired_at = 0.0
 
-    log.info("Transcription job poller started (poll interval: %ds)", POLL_INTERVAL)
+    log.info(
+        "Transcription job poller started as %s (poll interval: %ds)", WORKER_NAME, POLL_INTERVAL
+    )
 
     while True:
         try:
@@ -242,12 +287,15 @@ def poll_transcription_jobs() -> None:
                     time.sleep(60)
                     continue
 
-            jobs = _api_get(SATT_API + "/postproduction/transcription-jobs", token)
+            # Each poll is also this watcher's check-in for the stale-worker alert.
+            query = urllib.parse.urlencode({"worker": WORKER_NAME})
+            jobs = _api_get(f"{SATT_API}/postproduction/transcription-jobs?{query}", token)
             for job in jobs:
-                slot_id = job["slotId"]
-                key = job["productionFileKey"]
-                log.info("Transcription poller: job found — slot=%s key=%s", slot_id, key)
-                _run_transcription_job(slot_id, key, token)
+                log.info(
+                    "Transcription poller: job found — slot=%s key=%s attempt=%s",
+                    job["slotId"], job["productionFileKey"], job.get("attempt", 1),
+                )
+                _run_transcription_job(job, token)
 
         except urllib.error.HTTPError as e:
             if e.code == 401:
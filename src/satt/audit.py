@@ -0,0 +1,283 @@
+"""Audit log: who changed which record, when, and what it looked like before.
+
+Shared-state routes export the state before a mutation and hand both snapshots
+to ``record_state_changes``, which stores one row per record that differs.
+Diffing snapshots instead of instrumenting each crud function keeps cascades
+visible (deleting an idea also frees its joke and song) without every helper
+having to remember to log them.
+"""
+
+from __future__ import annotations
+
+from typing import Any
+
+from sqlalchemy import or_, select
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.crud import (
+    DataNotFoundError,
+    assign_idea_to_slot,
+    get_assignments,
+    get_data_revision,
+    get_ideas,
+    get_jokes,
+    get_show_slots,
+    replace_ideas,
+    replace_jokes,
+    replace_show_slots,
+    unassign_idea_from_slot,
+)
+from satt.guest_crud import (
+    assign_guest_to_idea,
+    get_guests,
+    replace_guests,
+    unassign_guest_from_idea,
+)
+from satt.models import AuditEntry
+from satt.song_crud import get_songs, replace_songs
+
+AUDITED_KEYS = (
+    "config",
+    "ideas",
+    "jokes",
+    "songs",
+    "guests",
+    "guestAssignments",
+    "showSlots",
+    "assignments",
+)
+REVERTIBLE_KINDS = {
+    "ideas",
+    "jokes",
+    "songs",
+    "guests",
+    "guestAssignments",
+    "showSlots",
+    "assignments",
+}
+HISTORY_LIMIT = 100
+
+# Computed from other records; storing them would log a guest as changed every
+# time one of their episodes moves.
+_DERIVED_FIELDS = {
+    "totalAppearances",
+    "firstAppearance",
+    "mostRecentAppearance",
+    "appearanceHistory",
+    "assignedEpisodes",
+}
+# Kept in snapshots but never a change on their own.
+_NOISE_FIELDS = {"version", "updatedAt", "assignedAt"}
+
+_REPLACEABLE = {
+    "ideas": (get_ideas, replace_ideas),
+    "jokes": (get_jokes, replace_jokes),
+    "songs": (get_songs, replace_songs),
+    "guests": (get_guests, replace_guests),
+    "showSlots": (get_show_slots, replace_show_slots),
+}
+
+
+class AuditRevertError(ValueError):
+    """Raised when an audit entry cannot be reverted."""
+
+
+def _snapshot(record: Any) -> Any:
+    if not isinstance(record, dict):
+        return record
+    return {key: value for key, value in record.items() if key not in _DERIVED_FIELDS}
+
+
+def _comparable(record: Any) -> Any:
+    if not isinstance(record, dict):
+        return record
+    return {key: value for key, value in record.items() if key not in _NOISE_FIELDS}
+
+
+def diff_fields(before: dict | None, after: dict | None) -> dict[str, dict]:
+    """Changed fields as ``{field: {"from": old, "to": new}}``."""
+    old = _comparable(before or {})
+    new = _comparable(after or {})
+    return {
+        field: {"from": old.get(field), "to": new.get(field)}
+        for field in sorted(set(old) | set(new))
+        if old.get(field) != new.get(field)
+    }
+
+
+def records_by_id(key: str, value: Any) -> dict[str, dict]:
+    """Split one exported state key into auditable records keyed by id."""
+    if key == "config":
+        return {"config": _snapshot(value)} if value else {}
+    if key == "assignments":
+        return {
+            slot_id: {"slotId": slot_id, "ideaId": idea_id}
+            for slot_id, idea_id in (value or {}).items()
+        }
+    if key == "guestAssignments":
+        return {
+            f"{item['guestId']}:{item['ideaId']}": _snapshot(item)
+            for item in value or []
+        }
+    return {item["id"]: _snapshot(item) for item in value or []}
+
+
+def _linked_idea_id(kind: str, record_id: str, record: dict | None) -> str | None:
+    if kind == "ideas":
+        return record_id
+    if not record:
+        return None
+    if kind in ("assignments", "guestAssignments"):
+        return record.get("ideaId")
+    if kind == "jokes":
+        return record.get("usedByIdeaId")
+    if kind == "songs":
+        return record.get("assignedIdeaId")
+    return None
+
+
+def _actor(user: dict) -> tuple[int | None, str]:
+    user_id = user.get("user_id")
+    return (user_id if isinstance(user_id, int) else None), user.get("username") or "someone"
+
+
+async def record_change(
+    db: AsyncSession,
+    user: dict,
+    *,
+    action: str,
+    kind: str,
+    record_id: str,
+    before: Any,
+    after: Any,
+    idea_id: str | None = None,
+    redacted: bool = False,
+    revision: int | None = None,
+) -> None:
+    """Log one record change; unchanged records are skipped.
+
+    ``redacted`` entries keep who, what, and when but store no content, for
+    private data such as Top 3 picks.
+    """
+    before, after = _snapshot(before), _snapshot(after)
+    if not redacted and _comparable(before) == _comparable(after):
+        return
+    if idea_id is None:
+        idea_id = _linked_idea_id(kind, record_id, after) or _linked_idea_id(
+            kind, record_id, before
+        )
+    actor_user_id, actor = _actor(user)
+    db.add(
+        AuditEntry(
+            actor_user_id=actor_user_id,
+            actor=actor,
+            action=action,
+            record_kind=kind,
+            record_id=record_id,
+            idea_id=idea_id,
+            before=None if redacted else before,
+            after=None if redacted else after,
+            changes=None if redacted else diff_fields(before, after),
+            revision=revision if revision is not None else await get_data_revision(db),
+        )
+    )
+    await db.flush()
+
+
+async def record_state_changes(
+    db: AsyncSession, user: dict, *, action: str, before: dict, after: dict
+) -> None:
+    """Log every record that differs between two exported states."""
+    for key in AUDITED_KEYS:
+        if key not in before or key not in after:
+            continue
+        old = records_by_id(key, before[key])
+        new = records_by_id(key, after[key])
+        for record_id in sorted(set(old) | set(new)):
+            # A scheduled idea that moves slots shows up as two slot records;
+            # both are linked to the idea so its history tells the whole move.
+            await record_change(
+                db,
+                user,
+                action=action,
+                kind=key,
+                record_id=record_id,
+                before=old.get(record_id),
+                after=new.get(record_id),
+                revision=after.get("revision"),
+            )
+
+
+async def list_history(
+    db: AsyncSession, kind: str, record_id: str, limit: int = HISTORY_LIMIT
+) -> list[AuditEntry]:
+    """Newest first. An idea's history includes everything linked to it, such
+    as its schedule slot, joke, song, guests, and Top 3 planning; a guest's
+    includes their show assignments."""
+    if kind == "ideas":
+        condition = AuditEntry.idea_id == record_id
+    elif kind == "guests":
+        condition = or_(
+            (AuditEntry.record_kind == "guests") & (AuditEntry.record_id == record_id),
+            (AuditEntry.record_kind == "guestAssignments")
+            & AuditEntry.record_id.startswith(f"{record_id}:", autoescape=True),
+        )
+    else:
+        condition = (AuditEntry.record_kind == kind) & (AuditEntry.record_id == record_id)
+    result = await db.execute(
+        select(AuditEntry).where(condition).order_by(AuditEntry.id.desc()).limit(limit)
+    )
+    return list(result.scalars())
+
+
+async def get_audit_entry(db: AsyncSession, entry_id: int) -> AuditEntry:
+    entry = await db.get(AuditEntry, entry_id)
+    if entry is None:
+        raise DataNotFoundError("History entry not found")
+    return entry
+
+
+def is_revertible(entry: AuditEntry) -> bool:
+    if entry.record_kind not in REVERTIBLE_KINDS or entry.changes is None:
+        return False
+    # Undoing a creation is a delete, which has its own route.
+    return entry.before is not None or entry.record_kind in (
+        "assignments",
+        "guestAssignments",
+    )
+
+
+async def revert_entry(db: AsyncSession, entry_id: int) -> AuditEntry:
+    """Put one record back the way it was before ``entry_id`` changed it.
+
+    The restore goes through the same crud functions as a browser save, so
+    every contract and lifecycle check still applies.
+    """
+    entry = await get_audit_entry(db, entry_id)
+    if not is_revertible(entry):
+        raise AuditRevertError("This change cannot be reverted")
+    kind, target = entry.record_kind, entry.before
+    if kind in _REPLACEABLE:
+        load, replace = _REPLACEABLE[kind]
+        records = await load(db)
+        index = next(
+            (i for i, record in enumerate(records) if record["id"] == entry.record_id),
+            None,
+        )
+        if index is None:
+            records.append(target)
+        else:
+            records[index] = target
+        await replace(db, records)
+    elif kind == "assignments":
+        if target:
+            await assign_idea_to_slot(db, target["ideaId"], entry.record_id)
+        elif entry.record_id in await get_assignments(db):
+            await unassign_idea_from_slot(db, entry.record_id)
+    else:
+        pair = target or entry.after
+        if target:
+            await assign_guest_to_idea(db, pair["guestId"], pair["ideaId"])
+        else:
+            await unassign_guest_from_idea(db, pair["guestId"], pair["ideaId"])
+    return entry
@@ -4,17 +4,19 @@ JWT creation/validation and invite code helpers.
 Uses sv_common.auth.passwords for bcrypt.
 """
 
+import hashlib
 import random
+import secrets
 import string
 from datetime import datetime, timedelta, timezone
 
 import jwt
 from fastapi import Header, HTTPException
-from sqlalchemy import select
+from sqlalchemy import delete, select
 from sqlalchemy.ext.asyncio import AsyncSession
 
 from satt.config import get_settings
-from satt.models import InviteCode, User
+from satt.models import InviteCode, RefreshSession, User
 from sv_common.auth.passwords import hash_password, verify_password  # noqa: F401 (re-exported)
 
 _CHARSET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"  # no 0/O, 1/I/L
@@ -26,19 +28,75 @@ _CODE_LENGTH = 8
 # ---------------------------------------------------------------------------
 
 
-def create_access_token(user_id: int, username: str, is_admin: bool) -> str:
-    """Create a signed JWT for the given user."""
+def create_access_token(
+    user_id: int,
+    username: str,
+    is_admin: bool,
+    *,
+    role: str | None = None,
+    not_after: datetime | None = None,
+) -> str:
+    """Create a signed JWT for the given user.
+
+    ``role`` is checked by satt.permissions; a changed role reaches the token
+    at its next renewal. ``not_after`` caps the expiry, so a token renewed near
+    the end of a session never outlives the refresh token that renewed it.
+    """
     settings = get_settings()
+    now = datetime.now(timezone.utc)
+    expires_at = now + timedelta(minutes=settings.jwt_expire_minutes)
+    if not_after is not None:
+        expires_at = min(expires_at, not_after)
     payload = {
         "user_id": user_id,
         "username": username,
         "is_admin": is_admin,
-        "exp": datetime.now(timezone.utc) + timedelta(minutes=settings.jwt_expire_minutes),
+        "role": role or ("admin" if is_admin else "host"),
+        "exp": expires_at,
+        "iat": now,
+    }
+    return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+
+
+def password_fingerprint(password_hash: str) -> str:
+    """A short digest of the stored hash; changing the password changes it."""
+    return hashlib.sha256(password_hash.encode()).hexdigest()[:16]
+
+
+def create_refresh_token(
+    user: User, session_id: str, token_id: str, expires_at: datetime
+) -> str:
+    """Create the long-lived token that only renews access tokens.
+
+    Its expiry is the hard end of the session: renewing an access token does
+    not extend it. ``session_id`` and ``token_id`` name the refresh session
+    row and the token it currently accepts (see ``rotate_refresh_session``).
+    The password fingerprint ends the session early when the password changes
+    or is reset.
+    """
+    settings = get_settings()
+    payload = {
+        "user_id": user.id,
+        "username": user.username,
+        "is_admin": user.is_admin,
+        "purpose": "refresh",
+        "sid": session_id,
+        "jti": token_id,
+        "pwd": password_fingerprint(user.password_hash),
+        "exp": expires_at,
         "iat": datetime.now(timezone.utc),
     }
     return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
 
 
+def decode_refresh_token(token: str) -> dict:
+    """Validate a refresh token. Raises jwt.InvalidTokenError otherwise."""
+    payload = decode_access_token(token)
+    if payload.get("purpose") != "refresh":
+        raise jwt.InvalidTokenError("Not a refresh token")
+    return payload
+
+
 def decode_access_token(token: str) -> dict:
     """Decode and validate a JWT. Returns payload dict.
 
@@ -49,6 +107,105 @@ def decode_access_token(token: str) -> dict:
     return jwt.decode(token, settings.secret_key, algorithms=[settings.jwt_algorithm])
 
 
+def create_stream_ticket(session: dict, ttl_seconds: int = 60) -> str:
+    """Create a short-lived token that only opens the live event stream.
+
+    EventSource cannot send an Authorization header, so the stream takes a
+    query-string ticket instead of the session JWT, keeping the long-lived
+    token out of URLs and access logs.
+    """
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": session.get("user_id"),
+        "username": session.get("username"),
+        "is_admin": bool(session.get("is_admin")),
+        "purpose": "events",
+        "exp": now + timedelta(seconds=ttl_seconds),
+        "iat": now,
+    }
+    return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+
+
+def decode_stream_ticket(ticket: str) -> dict:
+    """Validate a live-stream ticket. Raises jwt.InvalidTokenError otherwise."""
+    payload = decode_access_token(ticket)
+    if payload.get("purpose") != "events":
+        raise jwt.InvalidTokenError("Not a stream ticket")
+    return payload
+
+
+def create_top3_guest_token(
+    *,
+    idea_id: str,
+    concept_id: str,
+    submission_id: str,
+    display_name: str,
+    entered_by_user_id: int,
+    expires_at: datetime,
+) -> str:
+    """Create the magic-link token that lets one outside guest submit picks.
+
+    It opens one episode's Top 3 and nothing else. The concept id ties it to
+    the current assignment, so replacing the concept retires the link.
+    """
+    payload = {
+        "purpose": "top3-guest",
+        "idea_id": idea_id,
+        "concept_id": concept_id,
+        "submission_id": submission_id,
+        "display_name": display_name,
+        "entered_by_user_id": entered_by_user_id,
+        "exp": expires_at,
+        "iat": datetime.now(timezone.utc),
+    }
+    settings = get_settings()
+    return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+
+
+def decode_top3_guest_token(token: str) -> dict:
+    """Validate a Top 3 guest token. Raises jwt.InvalidTokenError otherwise."""
+    payload = decode_access_token(token)
+    if payload.get("purpose") != "top3-guest":
+        raise jwt.InvalidTokenError("Not a Top 3 guest token")
+    return payload
+
+
+def create_calendar_feed_token(user_id: int, feed_key: str) -> str:
+    """Create the token in a user's calendar feed URL.
+
+    Calendar apps cannot send an Authorization header, so the feed URL carries
+    its own token. It never expires; replacing or clearing the user's feed key
+    retires it. The same key always yields the same URL.
+    """
+    payload = {"purpose": "calendar-feed", "user_id": user_id, "feed_key": feed_key}
+    settings = get_settings()
+    return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+
+
+def decode_calendar_feed_token(token: str) -> dict:
+    """Validate a calendar feed token. Raises jwt.InvalidTokenError otherwise."""
+    payload = decode_access_token(token)
+    if payload.get("purpose") != "calendar-feed":
+        raise jwt.InvalidTokenError("Not a calendar feed token")
+    return payload
+
+
+async def require_top3_guest(
+    authorization: str | None = Header(None),
+) -> dict:
+    """FastAPI dependency: validate a Top 3 guest link. Returns its payload."""
+    if authorization and authorization.startswith("Bearer "):
+        try:
+            return decode_top3_guest_token(authorization[7:])
+        except jwt.ExpiredSignatureError:
+            raise HTTPException(status_code=401, detail="This guest link has expired")
+        except jwt.InvalidTokenError:
+            raise HTTPException(status_code=401, detail="Invalid guest link")
+
+    raise HTTPException(status_code=401, detail="Guest link required")
+
+
 async def require_auth(
     authorization: str | None = Header(None),
 ) -> dict:
@@ -56,15 +213,113 @@ async def require_auth(
     if authorization and authorization.startswith("Bearer "):
         token = authorization[7:]
         try:
-            return decode_access_token(token)
+            payload = decode_access_token(token)
         except jwt.ExpiredSignatureError:
             raise HTTPException(status_code=401, detail="Token expired")
         except jwt.InvalidTokenError:
             raise HTTPException(status_code=401, detail="Invalid token")
+        # Single-purpose tickets (such as stream tickets) are not sessions.
+        if payload.get("purpose"):
+            raise HTTPException(status_code=401, detail="Invalid token")
+        return payload
 
     raise HTTPException(status_code=401, detail="Authentication required")
 
 
+# ---------------------------------------------------------------------------
+# Refresh sessions
+# ---------------------------------------------------------------------------
+
+# A second tab that renews with the token another tab just replaced gets the
+# current one instead of being treated as a stolen token.
+REFRESH_REUSE_GRACE = timedelta(seconds=30)
+
+
+def _token_id() -> str:
+    return secrets.token_urlsafe(16)
+
+
+async def start_refresh_session(db: AsyncSession, user: User) -> str:
+    """Record a new signed-in session for ``user``. Returns its refresh token."""
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    await db.execute(
+        delete(RefreshSession).where(
+            RefreshSession.user_id == user.id, RefreshSession.expires_at <= now
+        )
+    )
+    session = RefreshSession(
+        id=_token_id(),
+        user_id=user.id,
+        token_id=_token_id(),
+        expires_at=now + timedelta(minutes=settings.jwt_refresh_expire_minutes),
+    )
+    db.add(session)
+    await db.flush()
+    return create_refresh_token(user, session.id, session.token_id, session.expires_at)
+
+
+async def rotate_refresh_session(db: AsyncSession, user: User, payload: dict) -> str | None:
+    """Swap a presented refresh token for a new one in the same session.
+
+    Returns None when the session was signed out, or when the token was
+    already replaced: a replaced token showing up again means a copy is in
+    use, so the whole session ends. The new token keeps the old expiry.
+    """
+    session = (
+        await db.execute(
+            select(RefreshSession)
+            .where(
+                RefreshSession.id == payload.get("sid"),
+                RefreshSession.user_id == user.id,
+            )
+            .with_for_update()
+        )
+    ).scalar_one_or_none()
+    if session is None:
+        return None
+    now = datetime.now(timezone.utc)
+    expires_at = datetime.fromtimestamp(payload["exp"], timezone.utc)
+    if payload.get("jti") == session.token_id:
+        session.previous_token_id = session.token_id
+        session.token_id = _token_id()
+        session.rotated_at = now
+    elif not (
+        payload.get("jti") == session.previous_token_id
+        and session.rotated_at is not None
+        and now - session.rotated_at <= REFRESH_REUSE_GRACE
+    ):
+        await db.delete(session)
+        await db.flush()
+        return None
+    await db.flush()
+    return create_refresh_token(user, session.id, session.token_id, expires_at)
+
+
+async def end_refresh_session(db: AsyncSession, refresh_token: str) -> None:
+    """Sign a session out, so its refresh token can never renew again.
+
+    An expired or unreadable token has nothing left to revoke.
+    """
+    try:
+        payload = decode_refresh_token(refresh_token)
+    except jwt.InvalidTokenError:
+        return
+    await db.execute(
+        delete(RefreshSession).where(
+            RefreshSession.id == payload.get("sid"),
+            RefreshSession.user_id == payload.get("user_id"),
+        )
+    )
+    await db.flush()
+
+
+async def end_all_refresh_sessions(db: AsyncSession, user_id: int) -> None:
+    """Sign out every session of a user, as a password change does."""
+    await db.execute(delete(RefreshSession).where(RefreshSession.user_id == user_id))
+    await db.flush()
+
+
 # ---------------------------------------------------------------------------
 # Invite codes
 # ---------------------------------------------------------------------------
@@ -78,14 +333,16 @@ async def generate_invite_code(
     db: AsyncSession,
     created_by_user_id: int,
     expires_hours: int = 48,
+    role: str = "host",
 ) -> str:
-    """Generate an invite code. Returns the code string."""
+    """Generate an invite code for an account with ``role``. Returns the code string."""
     code = _generate_code()
     expires_at = datetime.now(timezone.utc) + timedelta(hours=expires_hours)
     invite = InviteCode(
         code=code,
         created_by_user_id=created_by_user_id,
         expires_at=expires_at,
+        role=role,
     )
     db.add(invite)
     await db.flush()
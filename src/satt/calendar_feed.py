@@ -0,0 +1,118 @@
+"""The iCalendar (RFC 5545) feed of recording sessions and release dates.
+
+Each slot becomes two all-day events: the recording session and the release.
+Event UIDs come from the slot id, so when a slot moves on the schedule board a
+subscribed calendar moves the same event instead of adding a new one.
+"""
+
+from __future__ import annotations
+
+from datetime import date, datetime, timedelta, timezone
+
+from satt.show_time import release_instant, show_timezone
+
+CALENDAR_NAME = "Salt All The Things"
+_UID_DOMAIN = "saltallthethings"
+# Calendar apps poll on their own schedule; these ask for at least hourly.
+_REFRESH_INTERVAL = "PT1H"
+
+
+def _escape(value: str) -> str:
+    return (
+        value.replace("\\", "\\\\")
+        .replace(";", "\\;")
+        .replace(",", "\\,")
+        .replace("\r\n", "\\n")
+        .replace("\n", "\\n")
+    )
+
+
+def _fold(line: str) -> list[str]:
+    """Split a content line into 75-octet pieces without breaking a character."""
+    pieces: list[str] = []
+    current, size = "", 0
+    for char in line:
+        width = len(char.encode("utf-8"))
+        # Continuation lines start with a space, which counts toward the limit.
+        if size + width > (75 if not pieces else 74):
+            pieces.append(current)
+            current, size = "", 0
+        current += char
+        size += width
+    pieces.append(current)
+    return [pieces[0]] + [" " + piece for piece in pieces[1:]]
+
+
+def _day(value: str) -> date:
+    return date.fromisoformat(value)
+
+
+def _event(
+    uid: str, day: date, summary: str, description: str, stamp: str
+) -> list[str]:
+    return [
+        "BEGIN:VEVENT",
+        f"UID:{uid}@{_UID_DOMAIN}",
+        f"DTSTAMP:{stamp}",
+        f"DTSTART;VALUE=DATE:{day:%Y%m%d}",
+        f"DTEND;VALUE=DATE:{day + timedelta(days=1):%Y%m%d}",
+        f"SUMMARY:{_escape(summary)}",
+        f"DESCRIPTION:{_escape(description)}",
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT",
+    ]
+
+
+def episode_title(idea: dict | None) -> str | None:
+    if not idea:
+        return None
+    return idea.get("selectedTitle") or (idea.get("titles") or [None])[0]
+
+
+def build_calendar(
+    slots: list[dict],
+    assignments: dict,
+    ideas: list[dict],
+    config: dict,
+    now: datetime | None = None,
+) -> str:
+    """Render the schedule as an iCalendar document with CRLF line endings."""
+    stamp = f"{(now or datetime.now(timezone.utc)).astimezone(timezone.utc):%Y%m%dT%H%M%SZ}"
+    ideas_by_id = {idea["id"]: idea for idea in ideas}
+    zone = show_timezone(config).zone
+
+    lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Salt All The Things//Schedule//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        f"X-WR-CALNAME:{CALENDAR_NAME}",
+        f"X-WR-TIMEZONE:{zone}",
+        f"REFRESH-INTERVAL;VALUE=DURATION:{_REFRESH_INTERVAL}",
+        f"X-PUBLISHED-TTL:{_REFRESH_INTERVAL}",
+    ]
+    for slot in sorted(slots, key=lambda slot: (slot["recordDate"], slot["episodeNum"])):
+        title = episode_title(ideas_by_id.get(assignments.get(slot["id"])))
+        name = f"{slot['episodeNumber']}: {title}" if title else slot["episodeNumber"]
+        release_date = _day(slot.get("releaseDateOverride") or slot["releaseDate"])
+        goes_live = release_instant(release_date, config).astimezone(show_timezone(config))
+
+        lines += _event(
+            f"record-{slot['id']}",
+            _day(slot["recordDate"]),
+            f"Record {name}",
+            f"Recording session for {name}. Releases {release_date:%a %b} {release_date.day}.",
+            stamp,
+        )
+        lines += _event(
+            f"release-{slot['id']}",
+            release_date,
+            f"Release {name}",
+            f"{name} goes public at {goes_live:%H:%M} {zone}.",
+            stamp,
+        )
+    lines.append("END:VCALENDAR")
+
+    folded = [piece for line in lines for piece in _fold(line)]
+    return "\r\n".join(folded) + "\r\n"
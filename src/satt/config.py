@@ -22,9 +22,11 @@ class Settings(BaseSettings):
     cors_origins: str = "http://localhost:8200,http://127.0.0.1:8200"
     commit_sha: str = "unknown"
     ai_request_timeout: int = 60
+    trash_retention_days: int = 30
     google_oauth_client_id: str = ""
     google_oauth_client_secret: str = ""
     google_oauth_refresh_token: str = ""
+    drive_sync_interval_seconds: int = 60  # 0 turns off Drive changes polling
     allow_nonproduction_external_services: bool = False
 
     # sv-tools server-to-server export key
@@ -33,6 +35,7 @@ class Settings(BaseSettings):
     # JWT settings
     jwt_algorithm: str = "HS256"
     jwt_expire_minutes: int = 480  # 8 hours
+    jwt_refresh_expire_minutes: int = 10080  # 7 days; the hard end of a session
 
     @model_validator(mode="after")
     def validate_environment_isolation(self) -> "Settings":
@@ -3,16 +3,33 @@
 from __future__ import annotations
 
 from datetime import date, datetime, timezone
-import pytz
 from sqlalchemy import delete, func, select, update
 from sqlalchemy.dialects.postgresql import insert as pg_insert
 from sqlalchemy.ext.asyncio import AsyncSession
 
+from satt.episode_types import (
+    EPISODE_TYPES,
+    EpisodeTypeError,
+    is_public,
+    normalize_episode_type,
+    type_label,
+)
 from satt.joke_contract import validate_banked_jokes
-from satt.models import Assignment, Config, DataRevision, Idea, Joke, ShowSlot, Song
+from satt.models import (
+    Assignment,
+    Config,
+    DataRevision,
+    DriveSync,
+    Idea,
+    Joke,
+    ShowSlot,
+    Song,
+)
+from satt.run_sheet import RunSheetError, normalize_run_sheet
+from satt.show_notes import ShowNotesError, normalize_show_notes
 from satt.serializers import serialize_idea, serialize_joke, serialize_postprod_row, serialize_show_slot
+from satt.show_time import latest_released_date, release_instant, show_today
 
-_PST = pytz.timezone("America/Los_Angeles")
 _JOKE_LIFECYCLE_LOCK_ID = 0x53415454
 _SONG_LIFECYCLE_LOCK_ID = 0x5341544F
 _SCHEDULE_LIFECYCLE_LOCK_ID = 0x53415453
@@ -30,6 +47,18 @@ class DataConflictError(RuntimeError):
         self.current_revision = current_revision
 
 
+class RecordVersionConflictError(RuntimeError):
+    """Raised when a record patch was made against an older record version."""
+
+    def __init__(self, current: dict):
+        super().__init__("This record changed after this page loaded.")
+        self.current = current
+
+
+class RecordPatchError(ValueError):
+    """Raised when a record patch names unknown fields or invalid values."""
+
+
 async def get_data_revision(db: AsyncSession) -> int:
     result = await db.execute(
         select(DataRevision.revision).where(DataRevision.id == 1)
@@ -104,6 +133,68 @@ def _parse_date(value: str | date | None) -> date | None:
         return None
 
 
+# ---------------------------------------------------------------------------
+# Per-record versions
+# ---------------------------------------------------------------------------
+#
+# Ideas, jokes, and show slots carry a version that increases whenever a
+# serialized field changes. Full-array replacement only bumps rows whose
+# content actually changed, so a record PATCH made before an unrelated
+# full-array save still applies.
+
+
+def _next_version(existing, values: dict) -> int:
+    if existing is None:
+        return 1
+    changed = any(getattr(existing, column) != value for column, value in values.items())
+    return existing.version + 1 if changed else existing.version
+
+
+def _patch_values(changes: dict, fields: dict[str, str], label: str) -> dict:
+    unknown = sorted(set(changes) - set(fields))
+    if unknown:
+        raise RecordPatchError(f"{label} fields cannot be patched: {', '.join(unknown)}")
+    return {fields[key]: value for key, value in changes.items()}
+
+
+async def _patch_row(
+    db: AsyncSession,
+    model,
+    record_id: str,
+    expected_version: int,
+    values: dict,
+    serialize,
+    label: str,
+) -> tuple[dict, bool]:
+    """Apply column ``values`` to one row guarded by its version.
+
+    Returns the serialized row and whether anything changed. Unchanged
+    patches leave the version and the data revision alone.
+    """
+    table = model.__table__
+    result = await db.execute(
+        select(table).where(table.c.id == record_id).with_for_update()
+    )
+    row = result.one_or_none()
+    if row is None:
+        raise DataNotFoundError(f"{label} not found")
+    if row.version != expected_version:
+        raise RecordVersionConflictError(serialize(row))
+    if _next_version(row, values) == row.version:
+        return serialize(row), False
+    if "updated_at" in table.c:
+        values = {**values, "updated_at": datetime.now(timezone.utc)}
+    await db.execute(
+        update(table)
+        .where(table.c.id == record_id)
+        .values(**values, version=table.c.version + 1)
+    )
+    await db.flush()
+    await bump_data_revision(db)
+    result = await db.execute(select(table).where(table.c.id == record_id))
+    return serialize(result.one()), True
+
+
 # ---------------------------------------------------------------------------
 # Config
 # ---------------------------------------------------------------------------
@@ -155,9 +246,12 @@ async def replace_ideas(db: AsyncSession, ideas: list[dict]) -> None:
     await _lock_song_lifecycle(db)
     new_ids = {idea["id"] for idea in ideas}
 
-    # Preserve created_at for existing rows
-    result = await db.execute(select(Idea.id, Idea.created_at))
-    created_at_map: dict[str, datetime] = {row.id: row.created_at for row in result}
+    # Preserve created_at and compare content for existing rows
+    result = await db.execute(select(Idea.__table__))
+    existing_rows = {row.id: row for row in result}
+    created_at_map: dict[str, datetime] = {
+        iid: row.created_at for iid, row in existing_rows.items()
+    }
     deleted_ids = set(created_at_map) - new_ids
 
     # Free opening jokes in the same transaction before removed ideas cascade.
@@ -165,7 +259,7 @@ async def replace_ideas(db: AsyncSession, ideas: list[dict]) -> None:
         await db.execute(
             update(Joke)
             .where(Joke.used_by_idea_id.in_(deleted_ids))
-            .values(status="unused", used_by_idea_id=None)
+            .values(status="unused", used_by_idea_id=None, version=Joke.version + 1)
         )
         await db.execute(
             update(Song)
@@ -191,17 +285,25 @@ async def replace_ideas(db: AsyncSession, ideas: list[dict]) -> None:
         created_at_val = orig_created_at or _parse_dt(idea.get("createdAt")) or datetime.now(timezone.utc)
         updated_at_val = datetime.now(timezone.utc)
 
+        content = {
+            "titles": idea.get("titles") or [],
+            "selected_title": idea.get("selectedTitle"),
+            "summary": idea.get("summary"),
+            "outline": idea.get("outline") or [],
+            "status": idea.get("status") or "draft",
+            "image_file_id": idea.get("imageFileId"),
+            "raw_notes": idea.get("rawNotes"),
+            "ai_provider": idea.get("aiProvider") or idea.get("aiModel"),
+            "ai_model_id": idea.get("aiModelId"),
+            "episode_type": normalize_episode_type(idea.get("episodeType")),
+            "run_sheet": normalize_run_sheet(idea.get("runSheet")),
+            "show_notes": normalize_show_notes(idea.get("showNotes")),
+        }
+
         stmt = pg_insert(Idea.__table__).values(
             id=iid,
-            titles=idea.get("titles") or [],
-            selected_title=idea.get("selectedTitle"),
-            summary=idea.get("summary"),
-            outline=idea.get("outline") or [],
-            status=idea.get("status") or "draft",
-            image_file_id=idea.get("imageFileId"),
-            raw_notes=idea.get("rawNotes"),
-            ai_provider=idea.get("aiProvider") or idea.get("aiModel"),
-            ai_model_id=idea.get("aiModelId"),
+            **content,
+            version=_next_version(existing_rows.get(iid), content),
             created_at=created_at_val,
             updated_at=updated_at_val,
         )
@@ -217,6 +319,10 @@ async def replace_ideas(db: AsyncSession, ideas: list[dict]) -> None:
                 "raw_notes": stmt.excluded.raw_notes,
                 "ai_provider": stmt.excluded.ai_provider,
                 "ai_model_id": stmt.excluded.ai_model_id,
+                "episode_type": stmt.excluded.episode_type,
+                "run_sheet": stmt.excluded.run_sheet,
+                "show_notes": stmt.excluded.show_notes,
+                "version": stmt.excluded.version,
                 "updated_at": stmt.excluded.updated_at,
                 # created_at intentionally omitted — preserve original
             },
@@ -226,6 +332,57 @@ async def replace_ideas(db: AsyncSession, ideas: list[dict]) -> None:
     await bump_data_revision(db)
 
 
+_IDEA_PATCH_FIELDS = {
+    "titles": "titles",
+    "selectedTitle": "selected_title",
+    "summary": "summary",
+    "outline": "outline",
+    "status": "status",
+    "imageFileId": "image_file_id",
+    "rawNotes": "raw_notes",
+    "aiProvider": "ai_provider",
+    "aiModelId": "ai_model_id",
+    "episodeType": "episode_type",
+    "runSheet": "run_sheet",
+    "showNotes": "show_notes",
+}
+
+
+async def patch_idea(
+    db: AsyncSession, idea_id: str, expected_version: int, changes: dict
+) -> tuple[dict, bool]:
+    """Update only the given idea fields, guarded by the idea's version."""
+    values = _patch_values(changes, _IDEA_PATCH_FIELDS, "Idea")
+    for column in ("titles", "outline"):
+        if column in values:
+            if values[column] is None:
+                values[column] = []
+            if not isinstance(values[column], list):
+                raise RecordPatchError(f"{column} must be an array")
+    if "status" in values and not (
+        isinstance(values["status"], str) and values["status"].strip()
+    ):
+        raise RecordPatchError("status must be a non-empty string")
+    if "episode_type" in values:
+        try:
+            values["episode_type"] = normalize_episode_type(values["episode_type"])
+        except EpisodeTypeError as error:
+            raise RecordPatchError(str(error)) from error
+    if "run_sheet" in values:
+        try:
+            values["run_sheet"] = normalize_run_sheet(values["run_sheet"])
+        except RunSheetError as error:
+            raise RecordPatchError(str(error)) from error
+    if "show_notes" in values:
+        try:
+            values["show_notes"] = normalize_show_notes(values["show_notes"])
+        except ShowNotesError as error:
+            raise RecordPatchError(str(error)) from error
+    return await _patch_row(
+        db, Idea, idea_id, expected_version, values, serialize_idea, "Idea"
+    )
+
+
 # ---------------------------------------------------------------------------
 # Jokes
 # ---------------------------------------------------------------------------
@@ -241,8 +398,11 @@ async def replace_jokes(db: AsyncSession, jokes: list[dict]) -> None:
     await _lock_joke_lifecycle(db)
     new_ids = {joke["id"] for joke in jokes}
 
-    result = await db.execute(select(Joke.id, Joke.created_at))
-    created_at_map: dict[str, datetime] = {row.id: row.created_at for row in result}
+    result = await db.execute(select(Joke.__table__))
+    existing_rows = {row.id: row for row in result}
+    created_at_map: dict[str, datetime] = {
+        jid: row.created_at for jid, row in existing_rows.items()
+    }
 
     if new_ids:
         await db.execute(delete(Joke).where(Joke.id.notin_(new_ids)))
@@ -262,12 +422,17 @@ async def replace_jokes(db: AsyncSession, jokes: list[dict]) -> None:
         orig_created_at = created_at_map.get(jid)
         created_at_val = orig_created_at or _parse_dt(joke.get("createdAt")) or datetime.now(timezone.utc)
 
+        content = {
+            "text": joke["text"],
+            "status": joke["status"],
+            "source": joke.get("source") or "manual",
+            "used_by_idea_id": joke.get("usedByIdeaId"),
+        }
+
         stmt = pg_insert(Joke.__table__).values(
             id=jid,
-            text=joke["text"],
-            status=joke["status"],
-            source=joke.get("source") or "manual",
-            used_by_idea_id=joke.get("usedByIdeaId"),
+            **content,
+            version=_next_version(existing_rows.get(jid), content),
             created_at=created_at_val,
         )
         ins = stmt.on_conflict_do_update(
@@ -277,6 +442,7 @@ async def replace_jokes(db: AsyncSession, jokes: list[dict]) -> None:
                 "status": stmt.excluded.status,
                 "source": stmt.excluded.source,
                 "used_by_idea_id": stmt.excluded.used_by_idea_id,
+                "version": stmt.excluded.version,
             },
         )
         await db.execute(ins)
@@ -284,6 +450,38 @@ async def replace_jokes(db: AsyncSession, jokes: list[dict]) -> None:
     await bump_data_revision(db)
 
 
+async def patch_joke(
+    db: AsyncSession, joke_id: str, expected_version: int, changes: dict
+) -> tuple[dict, bool]:
+    """Edit a joke's text or retire/restore it, guarded by the joke's version.
+
+    Assigning a joke to an idea stays on the assignment route, which also
+    frees the idea's previous opener.
+    """
+    _patch_values(changes, {"text": "text", "status": "status"}, "Joke")
+    if changes.get("status") == "used":
+        raise RecordPatchError("Use the joke assignment route to mark a joke used")
+    await _lock_joke_lifecycle(db)
+    # Validate the edited joke against the whole bank so duplicate text is
+    # rejected exactly as a full-array save would reject it.
+    bank = await get_jokes(db)
+    edited = [
+        {**joke, **changes} if joke["id"] == joke_id else joke for joke in bank
+    ]
+    canonical = next(
+        (joke for joke in validate_banked_jokes(edited) if joke["id"] == joke_id),
+        None,
+    )
+    values = {}
+    if canonical is not None:
+        values = {"text": canonical["text"], "status": canonical["status"]}
+        if canonical["status"] != "used":
+            values["used_by_idea_id"] = None
+    return await _patch_row(
+        db, Joke, joke_id, expected_version, values, serialize_joke, "Joke"
+    )
+
+
 async def assign_joke_to_idea(
     db: AsyncSession,
     joke_id: str,
@@ -306,13 +504,13 @@ async def assign_joke_to_idea(
     await db.execute(
         update(Joke)
         .where(Joke.used_by_idea_id == idea_id)
-        .values(status="unused", used_by_idea_id=None)
+        .values(status="unused", used_by_idea_id=None, version=Joke.version + 1)
     )
     await db.flush()
     await db.execute(
         update(Joke)
         .where(Joke.id == joke_id)
-        .values(status="used", used_by_idea_id=idea_id)
+        .values(status="used", used_by_idea_id=idea_id, version=Joke.version + 1)
     )
     await db.flush()
     await bump_data_revision(db)
@@ -328,7 +526,7 @@ async def free_joke(db: AsyncSession, joke_id: str) -> None:
     await db.execute(
         update(Joke)
         .where(Joke.id == joke_id)
-        .values(status="unused", used_by_idea_id=None)
+        .values(status="unused", used_by_idea_id=None, version=Joke.version + 1)
     )
     await db.flush()
     await bump_data_revision(db)
@@ -346,7 +544,7 @@ async def delete_idea(db: AsyncSession, idea_id: str) -> None:
     await db.execute(
         update(Joke)
         .where(Joke.used_by_idea_id == idea_id)
-        .values(status="unused", used_by_idea_id=None)
+        .values(status="unused", used_by_idea_id=None, version=Joke.version + 1)
     )
     await db.execute(
         update(Song)
@@ -375,8 +573,9 @@ async def get_show_slots(db: AsyncSession) -> list[dict]:
 async def replace_show_slots(db: AsyncSession, slots: list[dict]) -> None:
     await _lock_schedule_lifecycle(db)
     new_ids = {slot["id"] for slot in slots}
-    existing_result = await db.execute(select(ShowSlot.id))
-    deleted_ids = {row.id for row in existing_result} - new_ids
+    existing_result = await db.execute(select(ShowSlot.__table__))
+    existing_rows = {row.id: row for row in existing_result}
+    deleted_ids = set(existing_rows) - new_ids
 
     if deleted_ids:
         displaced_result = await db.execute(
@@ -387,7 +586,11 @@ async def replace_show_slots(db: AsyncSession, slots: list[dict]) -> None:
             await db.execute(
                 update(Idea)
                 .where(Idea.id.in_(displaced_idea_ids))
-                .values(status="processed", updated_at=datetime.now(timezone.utc))
+                .values(
+                    status="processed",
+                    updated_at=datetime.now(timezone.utc),
+                    version=Idea.version + 1,
+                )
             )
 
     if new_ids:
@@ -398,14 +601,19 @@ async def replace_show_slots(db: AsyncSession, slots: list[dict]) -> None:
 
     for slot in slots:
         sid = slot["id"]
+        content = {
+            "episode_number": slot.get("episodeNumber") or "",
+            "episode_num": slot.get("episodeNum") or 0,
+            "record_date": _parse_date(slot.get("recordDate")),
+            "release_date": _parse_date(slot.get("releaseDate")),
+            "is_rollout": slot.get("isRollout") or False,
+            "release_date_override": _parse_date(slot.get("releaseDateOverride")),
+            "episode_type": normalize_episode_type(slot.get("episodeType")),
+        }
         stmt = pg_insert(ShowSlot.__table__).values(
             id=sid,
-            episode_number=slot.get("episodeNumber") or "",
-            episode_num=slot.get("episodeNum") or 0,
-            record_date=_parse_date(slot.get("recordDate")),
-            release_date=_parse_date(slot.get("releaseDate")),
-            is_rollout=slot.get("isRollout") or False,
-            release_date_override=_parse_date(slot.get("releaseDateOverride")),
+            **content,
+            version=_next_version(existing_rows.get(sid), content),
         )
         ins = stmt.on_conflict_do_update(
             index_elements=["id"],
@@ -416,6 +624,8 @@ async def replace_show_slots(db: AsyncSession, slots: list[dict]) -> None:
                 "release_date": stmt.excluded.release_date,
                 "is_rollout": stmt.excluded.is_rollout,
                 "release_date_override": stmt.excluded.release_date_override,
+                "episode_type": stmt.excluded.episode_type,
+                "version": stmt.excluded.version,
             },
         )
         await db.execute(ins)
@@ -423,6 +633,75 @@ async def replace_show_slots(db: AsyncSession, slots: list[dict]) -> None:
     await bump_data_revision(db)
 
 
+async def get_slot_post_production(db: AsyncSession) -> dict[str, dict]:
+    """Each slot's post-production file key and whether Drive was scanned."""
+    result = await db.execute(
+        select(ShowSlot.id, ShowSlot.production_file_key, ShowSlot.asset_inventory)
+    )
+    return {
+        row.id: {
+            "productionFileKey": row.production_file_key,
+            "scanned": bool(row.asset_inventory),
+        }
+        for row in result
+    }
+
+
+async def apply_slot_edit(db: AsyncSession, plan: dict) -> None:
+    """Save a plan from satt.slot_edits.plan_slot_edit in the caller's transaction.
+
+    Slot rows are upserted by id, so post-production columns stay with their
+    slot; a removed slot takes its assignment with it, as in a full save.
+    """
+    await replace_show_slots(db, plan["slots"])
+    if plan["artLog"] is not None:
+        config = await get_config(db)
+        await save_config(db, {**config, "artLog": plan["artLog"]})
+
+
+_SHOW_SLOT_PATCH_FIELDS = {
+    "episodeNumber": "episode_number",
+    "episodeNum": "episode_num",
+    "recordDate": "record_date",
+    "releaseDate": "release_date",
+    "isRollout": "is_rollout",
+    "releaseDateOverride": "release_date_override",
+}
+
+
+async def patch_show_slot(
+    db: AsyncSession, slot_id: str, expected_version: int, changes: dict
+) -> tuple[dict, bool]:
+    """Update only the given slot fields, guarded by the slot's version."""
+    values = _patch_values(changes, _SHOW_SLOT_PATCH_FIELDS, "Show slot")
+    for key in ("recordDate", "releaseDate", "releaseDateOverride"):
+        if key not in changes:
+            continue
+        column = _SHOW_SLOT_PATCH_FIELDS[key]
+        if changes[key] is None and key == "releaseDateOverride":
+            continue
+        values[column] = _parse_date(changes[key])
+        if values[column] is None:
+            raise RecordPatchError(f"{key} must be an ISO date")
+    if "is_rollout" in values and not isinstance(values["is_rollout"], bool):
+        raise RecordPatchError("isRollout must be a boolean")
+    if "episode_num" in values and (
+        isinstance(values["episode_num"], bool)
+        or not isinstance(values["episode_num"], int)
+    ):
+        raise RecordPatchError("episodeNum must be an integer")
+    await _lock_schedule_lifecycle(db)
+    return await _patch_row(
+        db,
+        ShowSlot,
+        slot_id,
+        expected_version,
+        values,
+        serialize_show_slot,
+        "Show slot",
+    )
+
+
 # ---------------------------------------------------------------------------
 # Assignments
 # ---------------------------------------------------------------------------
@@ -445,7 +724,11 @@ async def replace_assignments(db: AsyncSession, assignments: dict) -> None:
         await db.execute(
             update(Idea)
             .where(Idea.id.in_(prior_idea_ids))
-            .values(status="processed", updated_at=datetime.now(timezone.utc))
+            .values(
+                status="processed",
+                updated_at=datetime.now(timezone.utc),
+                version=Idea.version + 1,
+            )
         )
 
     await db.execute(delete(Assignment))
@@ -459,7 +742,11 @@ async def replace_assignments(db: AsyncSession, assignments: dict) -> None:
         await db.execute(
             update(Idea)
             .where(Idea.id.in_(idea_ids))
-            .values(status="scheduled", updated_at=datetime.now(timezone.utc))
+            .values(
+                status="scheduled",
+                updated_at=datetime.now(timezone.utc),
+                version=Idea.version + 1,
+            )
         )
     await db.flush()
     await bump_data_revision(db)
@@ -498,7 +785,11 @@ async def assign_idea_to_slot(
         await db.execute(
             update(Idea)
             .where(Idea.id.in_(displaced_ids))
-            .values(status="processed", updated_at=datetime.now(timezone.utc))
+            .values(
+                status="processed",
+                updated_at=datetime.now(timezone.utc),
+                version=Idea.version + 1,
+            )
         )
     await db.execute(
         pg_insert(Assignment.__table__).values(slot_id=slot_id, idea_id=idea_id)
@@ -506,7 +797,11 @@ async def assign_idea_to_slot(
     await db.execute(
         update(Idea)
         .where(Idea.id == idea_id)
-        .values(status="scheduled", updated_at=datetime.now(timezone.utc))
+        .values(
+            status="scheduled",
+            updated_at=datetime.now(timezone.utc),
+            version=Idea.version + 1,
+        )
     )
     await db.flush()
     await bump_data_revision(db)
@@ -527,7 +822,11 @@ async def unassign_idea_from_slot(db: AsyncSession, slot_id: str) -> None:
     await db.execute(
         update(Idea)
         .where(Idea.id == idea_id)
-        .values(status="processed", updated_at=datetime.now(timezone.utc))
+        .values(
+            status="processed",
+            updated_at=datetime.now(timezone.utc),
+            version=Idea.version + 1,
+        )
     )
     await db.flush()
     await bump_data_revision(db)
@@ -539,7 +838,7 @@ async def unassign_idea_from_slot(db: AsyncSession, slot_id: str) -> None:
 
 
 async def get_postproduction_queue(db: AsyncSession) -> list[dict]:
-    today = datetime.now(_PST).date()
+    today = show_today(await get_config(db))
     result = await db.execute(
         select(ShowSlot, Idea)
         .outerjoin(Assignment, Assignment.slot_id == ShowSlot.id)
@@ -574,12 +873,25 @@ async def set_idea_image_file_id(db: AsyncSession, idea_id: str, file_id: str) -
     await db.execute(
         update(Idea)
         .where(Idea.id == idea_id)
-        .values(image_file_id=file_id)
+        .values(image_file_id=file_id, version=Idea.version + 1)
     )
     await db.flush()
     await bump_data_revision(db)
 
 
+async def lock_transcription_job(db: AsyncSession, slot_id: str) -> bool:
+    """Lock a slot's row before its transcription job is read and written back.
+
+    Claims, heartbeats, finishes, and cancels all rewrite the whole job, so
+    without the lock a heartbeat could overwrite a cancel, or two watchers
+    could both claim one job. Returns False when the slot does not exist.
+    """
+    result = await db.execute(
+        select(ShowSlot.id).where(ShowSlot.id == slot_id).with_for_update()
+    )
+    return result.scalar_one_or_none() is not None
+
+
 async def set_transcription_job(db: AsyncSession, slot_id: str, job: dict | None) -> None:
     await db.execute(
         update(ShowSlot)
@@ -590,25 +902,96 @@ async def set_transcription_job(db: AsyncSession, slot_id: str, job: dict | None
     await bump_data_revision(db)
 
 
-async def get_pending_transcription_jobs(db: AsyncSession) -> list[dict]:
-    """Return slots with transcription_job.status = 'pending'."""
+async def touch_transcription_job(db: AsyncSession, slot_id: str, job: dict) -> None:
+    """Save a running job's heartbeat without bumping the data revision.
+
+    Heartbeats arrive every 30 seconds and change nothing outside
+    Post-Production, so they must not conflict with other people's saves.
+    """
+    await db.execute(
+        update(ShowSlot)
+        .where(ShowSlot.id == slot_id)
+        .values(transcription_job=job)
+    )
+    await db.flush()
+
+
+async def get_corrected_transcript(db: AsyncSession, slot_id: str) -> dict | None:
     result = await db.execute(
-        select(ShowSlot.id, ShowSlot.production_file_key)
-        .where(ShowSlot.transcription_job["status"].astext == "pending")
-        .where(ShowSlot.production_file_key.is_not(None))
+        select(ShowSlot.corrected_transcript).where(ShowSlot.id == slot_id)
+    )
+    return result.scalar_one_or_none()
+
+
+async def set_corrected_transcript(
+    db: AsyncSession, slot_id: str, transcript: dict | None
+) -> None:
+    await db.execute(
+        update(ShowSlot)
+        .where(ShowSlot.id == slot_id)
+        .values(corrected_transcript=transcript)
+    )
+    await db.flush()
+    await bump_data_revision(db)
+
+
+async def get_whisperx_transcript(db: AsyncSession, slot_id: str) -> dict | None:
+    result = await db.execute(
+        select(ShowSlot.whisperx_transcript).where(ShowSlot.id == slot_id)
     )
-    return [{"slotId": row.id, "productionFileKey": row.production_file_key} for row in result]
+    return result.scalar_one_or_none()
+
+
+async def set_whisperx_transcript(
+    db: AsyncSession, slot_id: str, transcript: dict | None
+) -> None:
+    # A cache of a Drive file, so it does not bump the data revision.
+    await db.execute(
+        update(ShowSlot)
+        .where(ShowSlot.id == slot_id)
+        .values(whisperx_transcript=transcript)
+    )
+    await db.flush()
 
 
 async def get_slots_for_scan(db: AsyncSession) -> list[dict]:
     """Return slots with a past record_date and a non-null production_file_key."""
-    today = datetime.now(_PST).date()
+    today = show_today(await get_config(db))
     result = await db.execute(
-        select(ShowSlot.id, ShowSlot.production_file_key)
+        select(ShowSlot.id, ShowSlot.production_file_key, ShowSlot.asset_inventory)
         .where(ShowSlot.record_date <= today)
         .where(ShowSlot.production_file_key.is_not(None))
     )
-    return [{"slot_id": row.id, "production_file_key": row.production_file_key} for row in result]
+    return [
+        {
+            "slot_id": row.id,
+            "production_file_key": row.production_file_key,
+            "asset_inventory": row.asset_inventory,
+        }
+        for row in result
+    ]
+
+
+async def get_drive_sync(db: AsyncSession) -> dict:
+    """Where the Drive changes-feed sync left off; all None before its first run."""
+    result = await db.execute(select(DriveSync))
+    row = result.scalar_one_or_none()
+    return {
+        "page_token": row.page_token if row else None,
+        "synced_at": row.synced_at if row else None,
+        "changed_at": row.changed_at if row else None,
+        "error": row.error if row else None,
+        "error_at": row.error_at if row else None,
+    }
+
+
+async def save_drive_sync(db: AsyncSession, **values) -> None:
+    # Sync bookkeeping changes nothing anyone edits, so it does not bump the data revision.
+    stmt = pg_insert(DriveSync).values(id=1, **values).on_conflict_do_update(
+        index_elements=["id"], set_=values
+    )
+    await db.execute(stmt)
+    await db.flush()
 
 
 # ---------------------------------------------------------------------------
@@ -619,7 +1002,8 @@ async def get_slots_for_scan(db: AsyncSession) -> list[dict]:
 async def get_released_episodes(
     db: AsyncSession, page: int, limit: int
 ) -> dict:
-    today_pst: date = datetime.now(_PST).date()
+    config = await get_config(db)
+    released_through: date = latest_released_date(config)
 
     effective_date = func.coalesce(
         ShowSlot.release_date_override, ShowSlot.release_date
@@ -628,6 +1012,7 @@ async def get_released_episodes(
     base_q = (
         select(
             ShowSlot.episode_number,
+            ShowSlot.episode_type,
             Idea.selected_title,
             Idea.summary,
             Idea.image_file_id,
@@ -637,7 +1022,10 @@ async def get_released_episodes(
         .join(Idea, Idea.id == Assignment.idea_id)
         .where(
             func.coalesce(ShowSlot.release_date_override, ShowSlot.release_date)
-            <= today_pst
+            <= released_through,
+            ShowSlot.episode_type.in_(
+                [key for key in EPISODE_TYPES if is_public(key)]
+            ),
         )
         .order_by(effective_date.desc())
     )
@@ -654,10 +1042,13 @@ async def get_released_episodes(
     episodes = [
         {
             "episodeNumber": row.episode_number,
+            "episodeType": row.episode_type,
+            "typeLabel": type_label(row.episode_type),
             "title": row.selected_title,
             "summary": row.summary,
             "imageFileId": row.image_file_id,
             "releaseDate": row.effective_release_date.isoformat(),
+            "releaseAt": release_instant(row.effective_release_date, config).isoformat(),
         }
         for row in rows
     ]
@@ -0,0 +1,248 @@
+"""Keep the post-production asset inventory current from Drive's changes feed.
+
+Rather than re-scanning every episode folder, the sync asks Drive what changed
+since the page token it stored last time (``satt.drive_sync``) and re-scans only
+the episode folders those changes touch. The first run, or one whose token Drive
+no longer accepts, takes a fresh token and scans every eligible slot once.
+
+An inventory is only written when its assets differ from the stored one, so an
+idle poll never bumps the data revision. The API runs as a single uvicorn worker,
+which polls every ``DRIVE_SYNC_INTERVAL_SECONDS`` (see ``poll_forever``).
+Post-Production reads ``GET /api/postproduction/sync-status`` to show when the
+last sync ran and reloads its queue when ``lastChangeAt`` moves.
+"""
+
+from __future__ import annotations
+
+import asyncio
+from datetime import datetime, timezone
+
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import (
+    get_config,
+    get_drive_sync,
+    get_slots_for_scan,
+    get_whisperx_transcript,
+    save_drive_sync,
+    set_asset_inventory,
+    set_whisperx_transcript,
+)
+from satt.database import get_session_factory
+from satt.gdrive import GoogleDrive, PageTokenExpiredError, scan_episode_folder
+from satt.transcripts import (
+    TranscriptError,
+    is_current_whisperx_cache,
+    parse_transcript,
+    transcript_paragraphs,
+)
+
+MAX_ERROR_LENGTH = 500
+# Drive changes arrive as pages of up to 1000; a backlog longer than this waits a poll.
+MAX_CHANGE_PAGES = 20
+
+
+def build_scan_config(settings, db_config: dict) -> dict:
+    """Merge OAuth credentials from settings into the DB config dict."""
+    return {
+        **db_config,
+        "clientId": settings.google_oauth_client_id,
+        "clientSecret": settings.google_oauth_client_secret,
+        "refreshToken": settings.google_oauth_refresh_token,
+    }
+
+
+def missing_scan_config(settings, db_config: dict) -> list[str]:
+    """The Drive credentials and folder IDs a scan needs but does not have."""
+    missing = []
+    if not settings.google_oauth_client_id:
+        missing.append("GOOGLE_OAUTH_CLIENT_ID")
+    if not settings.google_oauth_client_secret:
+        missing.append("GOOGLE_OAUTH_CLIENT_SECRET")
+    if not settings.google_oauth_refresh_token:
+        missing.append("GOOGLE_OAUTH_REFRESH_TOKEN")
+    if not db_config.get("gdriveFolderShowRecordings"):
+        missing.append("gdriveFolderShowRecordings")
+    return missing
+
+
+def _known_file_ids(inventory: dict | None) -> set[str]:
+    ids = set()
+    for entry in (inventory or {}).values():
+        if isinstance(entry, dict) and entry.get("drive_file_id"):
+            ids.add(entry["drive_file_id"])
+    return ids
+
+
+def affected_slots(changes: list[dict], slots: list[dict], root_folder_id: str) -> list[dict]:
+    """The slots whose episode folder a batch of Drive changes may have touched.
+
+    A change counts when it is to a file the inventory already lists (including
+    one removed or trashed since), to anything inside the slot's episode folder,
+    to that folder itself, or to a folder in the Show Recordings root that is
+    now named after the slot's file key.
+    """
+    touched = []
+    for slot in slots:
+        inventory = slot.get("asset_inventory") or {}
+        folder_id = inventory.get("episode_folder_id")
+        known = _known_file_ids(inventory)
+        key = slot["production_file_key"].lower()
+        for change in changes:
+            file = change.get("file") or {}
+            parents = set(file.get("parents") or [])
+            if (
+                change.get("fileId") in known
+                or (folder_id and (change.get("fileId") == folder_id or folder_id in parents))
+                or (root_folder_id in parents and (file.get("name") or "").lower() == key)
+            ):
+                touched.append(slot)
+                break
+    return touched
+
+
+def same_assets(inventory: dict, stored: dict | None) -> bool:
+    """Whether two inventories list the same files, whenever each was scanned."""
+    def assets(value: dict | None) -> dict:
+        return {k: v for k, v in (value or {}).items() if k != "scanned_at"}
+    return stored is not None and assets(inventory) == assets(stored)
+
+
+async def cache_whisperx_transcript(
+    db: AsyncSession, drive, slot_id: str, inventory: dict
+) -> None:
+    """Keep the scanned transcript JSON as paragraphs so search can read it.
+
+    Only downloads when the scan found a new or changed file.
+    """
+    entry = inventory.get("transcript_json") or {}
+    if not entry.get("drive_file_id"):
+        return
+    if is_current_whisperx_cache(await get_whisperx_transcript(db, slot_id), inventory):
+        return
+    content = await drive.fetch_file_content(entry["drive_file_id"])
+    try:
+        transcript = transcript_paragraphs(parse_transcript(content))
+    except TranscriptError:
+        transcript = {"speakers": {}, "paragraphs": []}
+    await set_whisperx_transcript(db, slot_id, {
+        "driveFileId": entry["drive_file_id"],
+        "modified": entry.get("modified"),
+        **transcript,
+    })
+
+
+async def _read_changes(drive, page_token: str) -> tuple[list[dict], str]:
+    """Every change since ``page_token``, and the token to resume from next time."""
+    changes: list[dict] = []
+    for _page in range(MAX_CHANGE_PAGES):
+        page = await drive.list_changes(page_token)
+        changes.extend(page.get("changes") or [])
+        if page.get("newStartPageToken"):
+            return changes, page["newStartPageToken"]
+        page_token = page["nextPageToken"]
+    return changes, page_token
+
+
+async def sync_drive_changes(
+    db: AsyncSession, drive, root_folder_id: str, now: datetime
+) -> dict:
+    """Re-scan the slots Drive reports changes for, and store the new page token.
+
+    ``drive`` is a ``GoogleDrive`` or anything with the same methods. Any error
+    propagates before the token is stored, so the next poll reads the same
+    changes again. Returns how many slots were scanned and how many changed.
+    """
+    state = await get_drive_sync(db)
+    slots = await get_slots_for_scan(db)
+    page_token = state["page_token"]
+    try:
+        if page_token is None:
+            raise PageTokenExpiredError("No changes page token stored yet")
+        changes, page_token = await _read_changes(drive, page_token)
+        touched = affected_slots(changes, slots, root_folder_id)
+    except PageTokenExpiredError:
+        # Take the token first, so changes made during the full scan are not missed.
+        page_token = await drive.get_start_page_token()
+        touched = slots
+
+    changed = 0
+    for slot in touched:
+        inventory = await scan_episode_folder(drive, root_folder_id, slot["production_file_key"])
+        if not same_assets(inventory, slot["asset_inventory"]):
+            await set_asset_inventory(db, slot["slot_id"], inventory)
+            changed += 1
+        await cache_whisperx_transcript(db, drive, slot["slot_id"], inventory)
+
+    await save_drive_sync(
+        db,
+        page_token=page_token,
+        synced_at=now,
+        changed_at=now if changed else state["changed_at"],
+        error=None,
+        error_at=None,
+    )
+    return {"scanned": len(touched), "changed": changed}
+
+
+async def sync_once(db: AsyncSession, now: datetime) -> dict | None:
+    """One poll with the configured Drive account; None when Drive is not configured."""
+    settings = get_settings()
+    db_config = await get_config(db)
+    if missing_scan_config(settings, db_config):
+        return None
+    config = build_scan_config(settings, db_config)
+    return await sync_drive_changes(
+        db, GoogleDrive(config), config["gdriveFolderShowRecordings"], now
+    )
+
+
+def _iso(moment: datetime | None) -> str | None:
+    return moment.isoformat() if moment else None
+
+
+def sync_status(state: dict, enabled: bool, interval_seconds: int) -> dict:
+    """What Post-Production shows about the sync: when it last ran, or why it failed."""
+    return {
+        "enabled": enabled,
+        "intervalSeconds": interval_seconds,
+        "lastSyncedAt": _iso(state["synced_at"]),
+        "lastChangeAt": _iso(state["changed_at"]),
+        "error": state["error"],
+        "errorAt": _iso(state["error_at"]),
+    }
+
+
+def is_enabled(settings) -> bool:
+    """Polling runs when an interval is set and the Google credentials are present."""
+    credentials = (
+        settings.google_oauth_client_id,
+        settings.google_oauth_client_secret,
+        settings.google_oauth_refresh_token,
+    )
+    return settings.drive_sync_interval_seconds > 0 and all(credentials)
+
+
+async def poll_forever(interval_seconds: int) -> None:
+    """Sync, then wait ``interval_seconds``, until cancelled at shutdown.
+
+    A failed poll is recorded for Post-Production to show, and the next one
+    tries again from the same page token.
+    """
+    factory = get_session_factory()
+    while True:
+        now = datetime.now(timezone.utc)
+        try:
+            async with factory() as db:
+                await sync_once(db, now)
+                await db.commit()
+        except Exception as exc:  # keep polling; the error is shown, not raised
+            message = (str(exc) or type(exc).__name__)[:MAX_ERROR_LENGTH]
+            try:
+                async with factory() as db:
+                    await save_drive_sync(db, error=message, error_at=now)
+                    await db.commit()
+            except Exception:
+                pass  # the database itself is unreachable; try again next poll
+        await asyncio.sleep(interval_seconds)
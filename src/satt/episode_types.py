@@ -0,0 +1,59 @@
+"""Episode types and their numbering series.
+
+Every slot and idea has an ``episodeType``. Each type numbers its episodes in
+its own series (EP001, BONUS01, ...), so a bonus episode never shifts the
+regular episode numbers. Patron-only episodes stay off the public episode
+list. Keep these in step with ShowEngine.EPISODE_TYPES and the worker's copy.
+"""
+
+from __future__ import annotations
+
+import re
+from typing import Any
+
+DEFAULT_EPISODE_TYPE = "regular"
+
+EPISODE_TYPES: dict[str, dict] = {
+    "regular": {"label": "Episode", "prefix": "EP", "digits": 3, "public": True},
+    "bonus": {"label": "Bonus Episode", "prefix": "BONUS", "digits": 2, "public": True},
+    "guest": {"label": "Guest Special", "prefix": "GUEST", "digits": 2, "public": True},
+    "live": {"label": "Live Recording", "prefix": "LIVE", "digits": 2, "public": True},
+    "patron": {"label": "Patron-Only Episode", "prefix": "PATRON", "digits": 2, "public": False},
+}
+
+_NUMBER = re.compile(r"^([A-Z]+)(\d+)$")
+
+
+class EpisodeTypeError(ValueError):
+    """Raised when a slot or idea names an unknown episode type."""
+
+
+def normalize_episode_type(value: Any) -> str:
+    """The type key; a missing value is a regular episode."""
+    if value is None or value == "":
+        return DEFAULT_EPISODE_TYPE
+    if value not in EPISODE_TYPES:
+        raise EpisodeTypeError(
+            f"episodeType must be one of: {', '.join(EPISODE_TYPES)}"
+        )
+    return value
+
+
+def format_episode_number(num: int, episode_type: str = DEFAULT_EPISODE_TYPE) -> str:
+    """``EP001``, ``BONUS01``; matches ShowEngine.formatEpisodeNumber."""
+    series = EPISODE_TYPES[episode_type]
+    return f"{series['prefix']}{num:0{series['digits']}d}"
+
+
+def parse_episode_number(value: str) -> int | None:
+    """The number in ``EP012`` or ``BONUS03``, or None for anything else."""
+    match = _NUMBER.match(value or "")
+    return int(match.group(2)) if match else None
+
+
+def type_label(episode_type: str) -> str:
+    return EPISODE_TYPES[episode_type]["label"]
+
+
+def is_public(episode_type: str) -> bool:
+    return EPISODE_TYPES[episode_type]["public"]
@@ -3,6 +3,10 @@
 Authentication uses an OAuth2 refresh token exchanged for a short-lived
 access token. The access token is cached in-process and refreshed when it
 expires (or is within 60 seconds of expiry).
+
+``GoogleDrive`` binds those calls to one set of credentials for code that only
+reads Drive, such as the changes-feed sync in satt.drive_sync. Tests hand that
+code a fake with the same methods instead.
 """
 
 from __future__ import annotations
@@ -17,6 +21,15 @@ import httpx
 _TOKEN_CACHE: dict = {}
 _GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token"
 _DRIVE_FILES_URL = "https://www.googleapis.com/drive/v3/files"
+_DRIVE_CHANGES_URL = "https://www.googleapis.com/drive/v3/changes"
+_CHANGE_FIELDS = (
+    "nextPageToken,newStartPageToken,"
+    "changes(fileId,removed,file(id,name,mimeType,parents,trashed))"
+)
+
+
+class PageTokenExpiredError(ValueError):
+    """Raised when Drive no longer accepts a stored changes page token."""
 
 
 async def get_drive_access_token(
@@ -77,6 +90,43 @@ async def list_folder_files(access_token: str, folder_id: str) -> list[dict]:
         return resp.json().get("files", [])
 
 
+async def get_start_page_token(access_token: str) -> str:
+    """The changes page token for "now": changes after this call are listed from it."""
+    async with httpx.AsyncClient() as client:
+        resp = await client.get(
+            f"{_DRIVE_CHANGES_URL}/startPageToken",
+            params={"supportsAllDrives": "true"},
+            headers={"Authorization": f"Bearer {access_token}"},
+        )
+        resp.raise_for_status()
+        return resp.json()["startPageToken"]
+
+
+async def list_changes(access_token: str, page_token: str) -> dict:
+    """One page of the changes feed: {changes, nextPageToken | newStartPageToken}.
+
+    ``nextPageToken`` means more pages follow; the last page carries
+    ``newStartPageToken`` instead, to store for the next poll.
+    """
+    async with httpx.AsyncClient(timeout=60) as client:
+        resp = await client.get(
+            _DRIVE_CHANGES_URL,
+            params={
+                "pageToken": page_token,
+                "fields": _CHANGE_FIELDS,
+                "pageSize": 1000,
+                "includeRemoved": "true",
+                "supportsAllDrives": "true",
+                "includeItemsFromAllDrives": "true",
+            },
+            headers={"Authorization": f"Bearer {access_token}"},
+        )
+    if resp.status_code in (400, 404, 410):
+        raise PageTokenExpiredError("Drive no longer accepts the stored changes page token")
+    resp.raise_for_status()
+    return resp.json()
+
+
 def _match_files(files: list[dict], key: str, ext: str) -> list[dict]:
     """Return files whose name matches key.ext (case-insensitive)."""
     target = f"{key}.{ext}".lower()
@@ -270,23 +320,39 @@ async def move_file(
         resp.raise_for_status()
 
 
-async def build_asset_inventory(
-    slot_id: str, production_file_key: str, config: dict
-) -> dict:
-    """Scan the episode subfolder in Drive and return an asset_inventory dict.
+class GoogleDrive:
+    """The read-only Drive calls, bound to the OAuth credentials in a scan config."""
 
-    config must contain:
-      - clientId, clientSecret, refreshToken (OAuth2 credentials)
-      - gdriveFolderShowRecordings: root Show Recordings folder ID
-    """
-    access_token = await get_drive_access_token(
-        config["clientId"], config["clientSecret"], config["refreshToken"]
-    )
+    def __init__(self, config: dict) -> None:
+        self._config = config
+
+    async def _token(self) -> str:
+        return await get_drive_access_token(
+            self._config["clientId"], self._config["clientSecret"], self._config["refreshToken"]
+        )
+
+    async def get_start_page_token(self) -> str:
+        return await get_start_page_token(await self._token())
+
+    async def list_changes(self, page_token: str) -> dict:
+        return await list_changes(await self._token(), page_token)
+
+    async def find_episode_folder(self, root_folder_id: str, key: str) -> str | None:
+        return await find_episode_folder(await self._token(), root_folder_id, key)
 
-    root_folder_id = config["gdriveFolderShowRecordings"]
-    key = production_file_key
+    async def list_folder_files(self, folder_id: str) -> list[dict]:
+        return await list_folder_files(await self._token(), folder_id)
 
-    episode_folder_id = await find_episode_folder(access_token, root_folder_id, key)
+    async def fetch_file_content(self, file_id: str) -> str:
+        return await fetch_file_content(await self._token(), file_id)
+
+
+async def scan_episode_folder(drive, root_folder_id: str, key: str) -> dict:
+    """Build an asset_inventory dict from the episode subfolder named ``key``.
+
+    ``drive`` is a ``GoogleDrive`` or anything with the same methods.
+    """
+    episode_folder_id = await drive.find_episode_folder(root_folder_id, key)
 
     if not episode_folder_id:
         absent = {"present": False}
@@ -303,7 +369,7 @@ async def build_asset_inventory(
             "art_direction": absent,
         }
 
-    files = await list_folder_files(access_token, episode_folder_id)
+    files = await drive.list_folder_files(episode_folder_id)
 
     return {
         "scanned_at": datetime.now(timezone.utc).isoformat(),
@@ -317,3 +383,17 @@ async def build_asset_inventory(
         "album_art":      _asset_entry(_prefix_match(files, f"Cover_Art_{key}", "png")),
         "art_direction":  _asset_entry(_prefix_match(files, f"Art_Direction_{key}", "json")),
     }
+
+
+async def build_asset_inventory(
+    slot_id: str, production_file_key: str, config: dict
+) -> dict:
+    """Scan the episode subfolder in Drive and return an asset_inventory dict.
+
+    config must contain:
+      - clientId, clientSecret, refreshToken (OAuth2 credentials)
+      - gdriveFolderShowRecordings: root Show Recordings folder ID
+    """
+    return await scan_episode_folder(
+        GoogleDrive(config), config["gdriveFolderShowRecordings"], production_file_key
+    )
@@ -0,0 +1,216 @@
+"""Validate and preview an ``/api/import`` payload before anything is written.
+
+The preview checks the payload against the same contracts the crud functions
+enforce on write, counts new, overwritten, and (for a replace) removed records
+per key, and lists references that would dangle once the import is applied.
+``merge_import`` turns a payload into the full-key payload a merge writes, so a
+merge and a replace run through the same import code.
+"""
+
+from __future__ import annotations
+
+from typing import Any
+
+from satt.audit import diff_fields, records_by_id
+from satt.guest_contract import validate_guest_assignments, validate_guests
+from satt.joke_contract import validate_banked_jokes
+from satt.outline_contract import normalize_configured_segments
+from satt.song_contract import validate_banked_songs
+
+IMPORT_KEYS = (
+    "config",
+    "ideas",
+    "jokes",
+    "songs",
+    "guests",
+    "guestAssignments",
+    "showSlots",
+    "assignments",
+)
+IMPORT_MODES = ("merge", "replace")
+IMPORT_TYPES = {
+    "config": dict,
+    "ideas": list,
+    "jokes": list,
+    "songs": list,
+    "guests": list,
+    "guestAssignments": list,
+    "showSlots": list,
+    "assignments": dict,
+}
+
+
+def _records_with_ids(key: str, value: list) -> str | None:
+    seen: set[str] = set()
+    for index, record in enumerate(value, start=1):
+        if not isinstance(record, dict):
+            return f"{key} {index} must be an object"
+        record_id = record.get("id")
+        if not isinstance(record_id, str) or not record_id.strip():
+            return f"{key} {index} must have an id"
+        if record_id in seen:
+            return f"{key} {index} duplicates another id"
+        seen.add(record_id)
+    return None
+
+
+def _contract_error(key: str, value: Any) -> str | None:
+    """The first problem the crud write for ``key`` would reject, if any."""
+    expected = IMPORT_TYPES[key]
+    if not isinstance(value, expected):
+        return f"{key} must be an {'object' if expected is dict else 'array'}"
+    try:
+        if key == "config" and "segments" in value:
+            normalize_configured_segments(value["segments"])
+        elif key == "jokes":
+            validate_banked_jokes(value)
+        elif key == "songs":
+            validate_banked_songs(value)
+        elif key == "guests":
+            validate_guests(value)
+        elif key == "guestAssignments":
+            validate_guest_assignments(value)
+        elif key in ("ideas", "showSlots"):
+            return _records_with_ids(key, value)
+        elif key == "assignments":
+            if not all(isinstance(item, str) and item for item in value.values()):
+                return "assignments must map slot ids to idea ids"
+            if len(set(value.values())) != len(value):
+                return "An idea may only be assigned to one show slot"
+    except ValueError as error:
+        return f"{key}: {error}"
+    return None
+
+
+def dangling_references(state: dict, keys: list[str]) -> list[str]:
+    """References the imported ``keys`` make to ideas, slots, or guests that
+    ``state`` does not contain. References kept from the current state are
+    left to the usual delete cascades."""
+    def records(key: str) -> list[dict]:
+        return [item for item in state.get(key) or [] if isinstance(item, dict)]
+
+    ideas = {idea.get("id") for idea in records("ideas")}
+    slots = {slot.get("id") for slot in records("showSlots")}
+    guests = {guest.get("id") for guest in records("guests")}
+    problems: list[str] = []
+    if "assignments" in keys:
+        for slot_id, idea_id in state["assignments"].items():
+            if slot_id not in slots:
+                problems.append(f"Schedule slot {slot_id} does not exist")
+            if idea_id not in ideas:
+                problems.append(f"Schedule slot {slot_id} is assigned missing idea {idea_id}")
+    if "guestAssignments" in keys:
+        for item in records("guestAssignments"):
+            if item.get("guestId") not in guests:
+                problems.append(f"Guest assignment refers to missing guest {item.get('guestId')}")
+            if item.get("ideaId") not in ideas:
+                problems.append(f"Guest assignment refers to missing idea {item.get('ideaId')}")
+    if "jokes" in keys:
+        for joke in records("jokes"):
+            if joke.get("status") == "used" and joke.get("usedByIdeaId") not in ideas:
+                problems.append(
+                    f"Joke {joke.get('id')} is used by missing idea {joke.get('usedByIdeaId')}"
+                )
+    if "songs" in keys:
+        for song in records("songs"):
+            if song.get("status") == "used" and song.get("assignedIdeaId") not in ideas:
+                problems.append(
+                    f"Song {song.get('id')} is assigned to missing idea {song.get('assignedIdeaId')}"
+                )
+    return problems
+
+
+def _import_keys(body: dict) -> list[str]:
+    return [key for key in IMPORT_KEYS if key in body]
+
+
+def merge_import(current: dict, body: dict) -> dict:
+    """Every key in ``body`` as the current records with the imported ones
+    added or overwritten by id; nothing the import lacks is removed."""
+    merged: dict = {}
+    for key in _import_keys(body):
+        incoming = body[key]
+        if not isinstance(incoming, IMPORT_TYPES[key]):
+            merged[key] = incoming
+        elif key == "config":
+            # Config saves already merge field by field.
+            merged[key] = incoming
+        elif key == "assignments":
+            # An idea moved to a new slot leaves its old one.
+            moved = set(incoming.values())
+            merged[key] = {
+                slot_id: idea_id
+                for slot_id, idea_id in (current.get(key) or {}).items()
+                if idea_id not in moved
+            }
+            merged[key].update(incoming)
+        elif key == "guestAssignments":
+            pairs = {(item["guestId"], item["ideaId"]): item for item in current.get(key) or []}
+            for item in incoming:
+                if isinstance(item, dict):
+                    pairs[(item.get("guestId"), item.get("ideaId"))] = item
+            merged[key] = list(pairs.values())
+        else:
+            records = {record["id"]: record for record in current.get(key) or []}
+            for record in incoming:
+                if isinstance(record, dict) and "id" in record:
+                    records[record["id"]] = record
+            merged[key] = list(records.values())
+    return merged
+
+
+def import_problems(current: dict, payload: dict) -> list[str]:
+    """Contract errors in ``payload`` plus references that would dangle."""
+    errors = [
+        error
+        for key in _import_keys(payload)
+        if (error := _contract_error(key, payload[key])) is not None
+    ]
+    if errors:
+        return errors
+    return dangling_references({**current, **payload}, _import_keys(payload))
+
+
+def _key_counts(key: str, current: dict, incoming: Any) -> dict:
+    counts = {"incoming": 0, "new": 0, "overwritten": 0, "unchanged": 0, "removedOnReplace": 0}
+    if not isinstance(incoming, IMPORT_TYPES[key]):
+        return counts
+    try:
+        new_records = records_by_id(key, incoming)
+    except (KeyError, TypeError):
+        return counts
+    old_records = records_by_id(key, current.get(key))
+    counts["incoming"] = len(new_records)
+    for record_id, record in new_records.items():
+        if record_id not in old_records:
+            counts["new"] += 1
+        elif diff_fields(old_records[record_id], record):
+            counts["overwritten"] += 1
+        else:
+            counts["unchanged"] += 1
+    if key != "config":
+        counts["removedOnReplace"] = len(set(old_records) - set(new_records))
+    return counts
+
+
+def preview_import(current: dict, body: dict) -> dict:
+    """What a merge and a replace of ``body`` would do to ``current``."""
+    keys = _import_keys(body)
+    unknown = sorted(set(body) - set(IMPORT_KEYS))
+    modes = {}
+    for mode, payload in (
+        ("merge", merge_import(current, body)),
+        ("replace", {key: body[key] for key in keys}),
+    ):
+        if unknown:
+            problems = [f"Unknown import keys: {', '.join(unknown)}"]
+        elif not keys:
+            problems = ["The file contains no importable data"]
+        else:
+            problems = import_problems(current, payload)
+        modes[mode] = {"ok": not problems, "problems": problems}
+    return {
+        "revision": current.get("revision"),
+        "keys": {key: _key_counts(key, current, body[key]) for key in keys},
+        "modes": modes,
+    }
@@ -0,0 +1,193 @@
+"""Live multi-user sync: revision fan-out over server-sent events and presence.
+
+The API runs as a single uvicorn worker, so presence is kept in process
+memory. Revision changes are discovered by polling the single-row data
+revision, which every mutation already bumps, rather than by adding a second
+notification path that each route would have to remember to call.
+"""
+
+from __future__ import annotations
+
+import asyncio
+import hashlib
+import json
+import time
+from collections.abc import AsyncIterator, Awaitable, Callable
+from dataclasses import dataclass, field
+
+PRESENCE_TTL_SECONDS = 45
+PRESENCE_KINDS = {"idea", "joke", "song", "guest", "slot"}
+SYNC_KEYS = (
+    "config",
+    "ideas",
+    "jokes",
+    "songs",
+    "guests",
+    "guestAssignments",
+    "showSlots",
+    "assignments",
+)
+
+
+class PresenceError(ValueError):
+    """Raised when a presence update names an unknown record kind."""
+
+
+@dataclass
+class _PresenceEntry:
+    username: str
+    records: list[dict] = field(default_factory=list)
+    expires_at: float = 0.0
+
+
+class PresenceRegistry:
+    """Who is editing which record, keyed by user and browser tab.
+
+    The tab id comes from the browser, so keying by it alone would let one
+    user overwrite or clear another user's entry by sending the same id.
+    """
+
+    def __init__(
+        self,
+        ttl_seconds: float = PRESENCE_TTL_SECONDS,
+        clock: Callable[[], float] = time.monotonic,
+    ) -> None:
+        self._ttl_seconds = ttl_seconds
+        self._clock = clock
+        self._entries: dict[tuple[int | None, str], _PresenceEntry] = {}
+
+    def update(
+        self, user_id: int | None, client_id: str, username: str, records: list[dict]
+    ) -> None:
+        normalized: list[dict] = []
+        for record in records:
+            kind = record.get("kind")
+            record_id = record.get("id")
+            if kind not in PRESENCE_KINDS:
+                raise PresenceError(f"Unknown presence kind: {kind!r}")
+            if not isinstance(record_id, str) or not record_id.strip():
+                raise PresenceError("Presence records need a non-empty id")
+            normalized.append({"kind": kind, "id": record_id.strip()})
+        if not normalized:
+            self._entries.pop((user_id, client_id), None)
+            return
+        self._entries[(user_id, client_id)] = _PresenceEntry(
+            username=username,
+            records=normalized,
+            expires_at=self._clock() + self._ttl_seconds,
+        )
+
+    def clear(self, user_id: int | None, client_id: str) -> None:
+        self._entries.pop((user_id, client_id), None)
+
+    def snapshot(self) -> list[dict]:
+        now = self._clock()
+        for key in [key for key, entry in self._entries.items() if entry.expires_at <= now]:
+            del self._entries[key]
+        seen: set[tuple[str, str, str]] = set()
+        for entry in self._entries.values():
+            for record in entry.records:
+                seen.add((entry.username, record["kind"], record["id"]))
+        return [
+            {"username": username, "kind": kind, "recordId": record_id}
+            for username, kind, record_id in sorted(seen)
+        ]
+
+
+presence = PresenceRegistry()
+
+
+def digest_state(state: dict) -> dict[str, str]:
+    """Stable per-key fingerprints used to tell clients which keys changed."""
+    return {
+        key: hashlib.sha256(
+            json.dumps(state.get(key), sort_keys=True, default=str).encode()
+        ).hexdigest()
+        for key in SYNC_KEYS
+    }
+
+
+class RevisionDigests:
+    """Per-key digests of recent revisions, shared by every open stream.
+
+    Exporting the whole state is the expensive part of noticing a change, so
+    it happens once per revision however many tabs are listening. The lock
+    makes streams that notice the same revision wait for the first export
+    instead of starting their own.
+    """
+
+    def __init__(self, size: int = 32) -> None:
+        self._size = size
+        self._digests: dict[int, dict[str, str]] = {}
+        self._lock = asyncio.Lock()
+
+    async def get(
+        self, revision: int, load_state: Callable[[], Awaitable[dict]]
+    ) -> tuple[int, dict[str, str]]:
+        """Digests for ``revision``, or for whatever newer revision the export
+        found. Returns the revision the digests belong to."""
+        async with self._lock:
+            if revision in self._digests:
+                return revision, self._digests[revision]
+            state = await load_state()
+            latest = state["revision"]
+            self._digests[latest] = digest_state(state)
+            while len(self._digests) > self._size:
+                del self._digests[min(self._digests)]
+            return latest, self._digests[latest]
+
+
+revision_digests = RevisionDigests()
+
+
+def format_event(event: str, data: dict) -> str:
+    return f"event: {event}\ndata: {json.dumps(data, separators=(',', ':'))}\n\n"
+
+
+async def event_stream(
+    *,
+    load_revision: Callable[[], Awaitable[int]],
+    load_state: Callable[[], Awaitable[dict]],
+    is_disconnected: Callable[[], Awaitable[bool]],
+    registry: PresenceRegistry = presence,
+    digests: RevisionDigests = revision_digests,
+    poll_seconds: float = 2.0,
+    keepalive_seconds: float = 15.0,
+    lifetime_seconds: float | None = None,
+    clock: Callable[[], float] = time.monotonic,
+) -> AsyncIterator[str]:
+    """Yield SSE frames until the client goes away or ``lifetime_seconds`` pass.
+
+    ``revision`` events carry ``since`` (the revision the key list was
+    computed against) so a client that missed an event can tell and reload
+    everything instead of trusting a partial key list. Ending after a bounded
+    lifetime makes the client fetch a new ticket, so a session that was
+    signed out or lost its role stops receiving events.
+    """
+    deadline = None if lifetime_seconds is None else clock() + lifetime_seconds
+    revision, known = await digests.get(await load_revision(), load_state)
+    people = registry.snapshot()
+    yield format_event("hello", {"revision": revision, "presence": people})
+    quiet = 0.0
+    while not await is_disconnected():
+        if deadline is not None and clock() >= deadline:
+            return
+        await asyncio.sleep(poll_seconds)
+        quiet += poll_seconds
+        current = await load_revision()
+        if current != revision:
+            latest_revision, latest = await digests.get(current, load_state)
+            changed = [key for key in SYNC_KEYS if latest[key] != known[key]]
+            yield format_event(
+                "revision",
+                {"revision": latest_revision, "since": revision, "keys": changed},
+            )
+            revision, known, quiet = latest_revision, latest, 0.0
+        current_people = registry.snapshot()
+        if current_people != people:
+            people = current_people
+            yield format_event("presence", {"presence": people})
+            quiet = 0.0
+        if quiet >= keepalive_seconds:
+            yield ": keepalive\n\n"
+            quiet = 0.0
@@ -1,5 +1,8 @@
 """FastAPI application entry point for Salt All The Things."""
 
+import asyncio
+import contextlib
+from collections.abc import AsyncIterator
 from pathlib import Path
 
 from fastapi import FastAPI, HTTPException
@@ -8,21 +11,43 @@ from fastapi.responses import FileResponse
 from fastapi.staticfiles import StaticFiles
 
 from satt.config import get_settings
+from satt.drive_sync import is_enabled, poll_forever
 from satt.routes.ai import router as ai_router
 from satt.routes.auth import router as auth_router
+from satt.routes.calendar import public_router as calendar_public_router
+from satt.routes.calendar import router as calendar_router
 from satt.routes.data import router as data_router
 from satt.routes.health import router as health_router
+from satt.routes.history import router as history_router
 from satt.routes.guests import router as guests_router
+from satt.routes.live import router as live_router
+from satt.routes.passkeys import router as passkeys_router
 from satt.routes.postproduction import router as postproduction_router
 from satt.routes.public import router as public_router
+from satt.routes.search import router as search_router
 from satt.routes.songs import router as songs_router
 from satt.routes.top3 import router as top3_router
+from satt.routes.trash import router as trash_router
 from satt.routes.users import router as users_router
 from satt.version import APP_VERSION
 
 _settings = get_settings()
 
-app = FastAPI(title="Salt All The Things API", version=APP_VERSION)
+
+@contextlib.asynccontextmanager
+async def lifespan(_app: FastAPI) -> AsyncIterator[None]:
+    """Poll Drive for post-production changes while the API is up (see satt.drive_sync)."""
+    poller = None
+    if is_enabled(_settings):
+        poller = asyncio.create_task(poll_forever(_settings.drive_sync_interval_seconds))
+    yield
+    if poller is not None:
+        poller.cancel()
+        with contextlib.suppress(asyncio.CancelledError):
+            await poller
+
+
+app = FastAPI(title="Salt All The Things API", version=APP_VERSION, lifespan=lifespan)
 
 app.add_middleware(
     CORSMiddleware,
@@ -34,14 +59,21 @@ app.add_middleware(
 
 app.include_router(health_router, prefix="/api")
 app.include_router(auth_router, prefix="/api")
+app.include_router(passkeys_router, prefix="/api")
 app.include_router(data_router, prefix="/api")
 app.include_router(guests_router, prefix="/api")
+app.include_router(history_router, prefix="/api")
+app.include_router(trash_router, prefix="/api")
+app.include_router(live_router, prefix="/api")
 app.include_router(songs_router, prefix="/api")
 app.include_router(top3_router, prefix="/api")
 app.include_router(ai_router, prefix="/api")
 app.include_router(users_router, prefix="/api")
 app.include_router(postproduction_router, prefix="/api")
+app.include_router(calendar_router, prefix="/api")
+app.include_router(search_router, prefix="/api")
 app.include_router(public_router, prefix="/public")
+app.include_router(calendar_public_router, prefix="/public")
 
 # Serve only explicitly public frontend assets from the same immutable image as
 # the API. Server configuration, source, .env, and repository metadata remain
@@ -65,6 +97,8 @@ _frontend_pages = {
     "show_management.html",
     "songs.html",
     "top3.html",
+    "top3-guest.html",
+    "trash.html",
 }
 
 
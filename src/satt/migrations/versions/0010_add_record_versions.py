@@ -0,0 +1,36 @@
+"""Add per-record versions to ideas, jokes, and show slots
+
+Revision ID: 0010
+Revises: 0009
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0010"
+down_revision: Union[str, None] = "0009"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+_VERSIONED_TABLES = ("ideas", "jokes", "show_slots")
+
+
+def upgrade() -> None:
+    for table in _VERSIONED_TABLES:
+        op.add_column(
+            table,
+            sa.Column(
+                "version", sa.BigInteger(), nullable=False, server_default=sa.text("1")
+            ),
+            schema="satt",
+        )
+
+
+def downgrade() -> None:
+    for table in reversed(_VERSIONED_TABLES):
+        op.drop_column(table, "version", schema="satt")
@@ -0,0 +1,59 @@
+"""Add the audit log of per-record changes
+
+Revision ID: 0011
+Revises: 0010
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0011"
+down_revision: Union[str, None] = "0010"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.create_table(
+        "audit_log",
+        sa.Column("id", sa.BigInteger(), autoincrement=True, nullable=False),
+        sa.Column(
+            "occurred_at",
+            sa.TIMESTAMP(timezone=True),
+            server_default=sa.text("now()"),
+            nullable=False,
+        ),
+        sa.Column("actor_user_id", sa.Integer(), nullable=True),
+        sa.Column("actor", sa.Text(), nullable=False),
+        sa.Column("action", sa.Text(), nullable=False),
+        sa.Column("record_kind", sa.Text(), nullable=False),
+        sa.Column("record_id", sa.Text(), nullable=False),
+        sa.Column("idea_id", sa.Text(), nullable=True),
+        sa.Column("before", postgresql.JSONB(), nullable=True),
+        sa.Column("after", postgresql.JSONB(), nullable=True),
+        sa.Column("changes", postgresql.JSONB(), nullable=True),
+        sa.Column("revision", sa.BigInteger(), nullable=False),
+        sa.PrimaryKeyConstraint("id"),
+        schema="satt",
+    )
+    op.create_index(
+        "ix_audit_log_record",
+        "audit_log",
+        ["record_kind", "record_id", "id"],
+        schema="satt",
+    )
+    op.create_index(
+        "ix_audit_log_idea_id", "audit_log", ["idea_id", "id"], schema="satt"
+    )
+
+
+def downgrade() -> None:
+    op.drop_index("ix_audit_log_idea_id", table_name="audit_log", schema="satt")
+    op.drop_index("ix_audit_log_record", table_name="audit_log", schema="satt")
+    op.drop_table("audit_log", schema="satt")
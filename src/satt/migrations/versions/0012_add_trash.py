@@ -0,0 +1,55 @@
+"""Add the soft-delete trash for ideas, jokes, songs, and guests
+
+Revision ID: 0012
+Revises: 0011
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0012"
+down_revision: Union[str, None] = "0011"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.create_table(
+        "trash",
+        sa.Column("id", sa.BigInteger(), autoincrement=True, nullable=False),
+        sa.Column("record_kind", sa.Text(), nullable=False),
+        sa.Column("record_id", sa.Text(), nullable=False),
+        sa.Column("title", sa.Text(), nullable=False),
+        sa.Column("record", postgresql.JSONB(), nullable=False),
+        sa.Column(
+            "links",
+            postgresql.JSONB(),
+            server_default=sa.text("'{}'::jsonb"),
+            nullable=False,
+        ),
+        sa.Column("deleted_by", sa.Text(), nullable=False),
+        sa.Column(
+            "deleted_at",
+            sa.TIMESTAMP(timezone=True),
+            server_default=sa.text("now()"),
+            nullable=False,
+        ),
+        sa.PrimaryKeyConstraint("id"),
+        schema="satt",
+    )
+    op.create_index(
+        "ix_trash_record", "trash", ["record_kind", "record_id"], schema="satt"
+    )
+    op.create_index("ix_trash_deleted_at", "trash", ["deleted_at"], schema="satt")
+
+
+def downgrade() -> None:
+    op.drop_index("ix_trash_deleted_at", table_name="trash", schema="satt")
+    op.drop_index("ix_trash_record", table_name="trash", schema="satt")
+    op.drop_table("trash", schema="satt")
@@ -0,0 +1,40 @@
+"""Add roles to users and invite codes
+
+Revision ID: 0013
+Revises: 0012
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0013"
+down_revision: Union[str, None] = "0012"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+_VALID_ROLE = "role IN ('admin', 'host', 'contributor', 'editor')"
+
+
+def upgrade() -> None:
+    # Existing accounts keep the full access they had.
+    for table in ("users", "invite_codes"):
+        op.add_column(
+            table,
+            sa.Column("role", sa.String(32), server_default="host", nullable=False),
+            schema="satt",
+        )
+        op.create_check_constraint(
+            f"{table}_valid_role", table, _VALID_ROLE, schema="satt"
+        )
+    op.execute("UPDATE satt.users SET role = 'admin' WHERE is_admin")
+
+
+def downgrade() -> None:
+    for table in ("invite_codes", "users"):
+        op.drop_constraint(f"{table}_valid_role", table, type_="check", schema="satt")
+        op.drop_column(table, "role", schema="satt")
@@ -0,0 +1,47 @@
+"""Mark Top 3 picks a guest submitted through a magic link
+
+Revision ID: 0014
+Revises: 0013
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0014"
+down_revision: Union[str, None] = "0013"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    # Host-entered external results stay shared.
+    op.add_column(
+        "top3_submissions",
+        sa.Column(
+            "submitted_by_guest", sa.Boolean(), server_default="false", nullable=False
+        ),
+        schema="satt",
+    )
+    op.create_check_constraint(
+        "top3_submissions_guest_link_is_external",
+        "top3_submissions",
+        "NOT submitted_by_guest OR "
+        "(participant_type = 'external' AND external_type = 'guest')",
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    # Guest-submitted picks become shared external results.
+    op.drop_constraint(
+        "top3_submissions_guest_link_is_external",
+        "top3_submissions",
+        type_="check",
+        schema="satt",
+    )
+    op.drop_column("top3_submissions", "submitted_by_guest", schema="satt")
@@ -0,0 +1,30 @@
+"""Add per-user calendar feed keys
+
+Revision ID: 0016
+Revises: 0015
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0016"
+down_revision: Union[str, None] = "0015"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.add_column(
+        "users",
+        sa.Column("calendar_feed_key", sa.String(64), nullable=True),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_column("users", "calendar_feed_key", schema="satt")
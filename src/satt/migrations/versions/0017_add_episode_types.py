@@ -0,0 +1,41 @@
+"""Add episode types to show slots and ideas
+
+Revision ID: 0017
+Revises: 0016
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0017"
+down_revision: Union[str, None] = "0016"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+_VALID_TYPE = "episode_type IN ('regular', 'bonus', 'guest', 'live', 'patron')"
+
+
+def upgrade() -> None:
+    # Every existing slot and idea is a regular weekly episode.
+    for table in ("show_slots", "ideas"):
+        op.add_column(
+            table,
+            sa.Column("episode_type", sa.Text(), server_default="regular", nullable=False),
+            schema="satt",
+        )
+        op.create_check_constraint(
+            f"{table}_valid_episode_type", table, _VALID_TYPE, schema="satt"
+        )
+
+
+def downgrade() -> None:
+    for table in ("ideas", "show_slots"):
+        op.drop_constraint(
+            f"{table}_valid_episode_type", table, type_="check", schema="satt"
+        )
+        op.drop_column(table, "episode_type", schema="satt")
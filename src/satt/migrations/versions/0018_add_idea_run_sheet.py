@@ -0,0 +1,31 @@
+"""Add recording-day run sheet timings to ideas
+
+Revision ID: 0018
+Revises: 0017
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0018"
+down_revision: Union[str, None] = "0017"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.add_column(
+        "ideas",
+        sa.Column("run_sheet", postgresql.JSONB(), nullable=True),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_column("ideas", "run_sheet", schema="satt")
@@ -0,0 +1,31 @@
+"""Add host-corrected transcripts to show slots
+
+Revision ID: 0019
+Revises: 0018
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0019"
+down_revision: Union[str, None] = "0018"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.add_column(
+        "show_slots",
+        sa.Column("corrected_transcript", postgresql.JSONB(), nullable=True),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_column("show_slots", "corrected_transcript", schema="satt")
@@ -0,0 +1,31 @@
+"""Keep a searchable copy of each slot's WhisperX transcript
+
+Revision ID: 0020
+Revises: 0019
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0020"
+down_revision: Union[str, None] = "0019"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.add_column(
+        "show_slots",
+        sa.Column("whisperx_transcript", postgresql.JSONB(), nullable=True),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_column("show_slots", "whisperx_transcript", schema="satt")
@@ -0,0 +1,31 @@
+"""Add accepted post-record show notes to ideas
+
+Revision ID: 0021
+Revises: 0020
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+from sqlalchemy.dialects import postgresql
+
+
+revision: str = "0021"
+down_revision: Union[str, None] = "0020"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.add_column(
+        "ideas",
+        sa.Column("show_notes", postgresql.JSONB(), nullable=True),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_column("ideas", "show_notes", schema="satt")
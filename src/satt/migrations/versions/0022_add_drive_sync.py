@@ -0,0 +1,37 @@
+"""Add the Drive changes-feed sync state
+
+Revision ID: 0022
+Revises: 0021
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0022"
+down_revision: Union[str, None] = "0021"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.create_table(
+        "drive_sync",
+        sa.Column("id", sa.Integer(), server_default="1", nullable=False),
+        sa.Column("page_token", sa.Text(), nullable=True),
+        sa.Column("synced_at", sa.TIMESTAMP(timezone=True), nullable=True),
+        sa.Column("changed_at", sa.TIMESTAMP(timezone=True), nullable=True),
+        sa.Column("error", sa.Text(), nullable=True),
+        sa.Column("error_at", sa.TIMESTAMP(timezone=True), nullable=True),
+        sa.CheckConstraint("id = 1", name="single_row"),
+        sa.PrimaryKeyConstraint("id"),
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_table("drive_sync", schema="satt")
@@ -0,0 +1,47 @@
+"""Add refresh sessions so refresh tokens rotate and can be revoked
+
+Revision ID: 0023
+Revises: 0022
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0023"
+down_revision: Union[str, None] = "0022"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.create_table(
+        "refresh_sessions",
+        sa.Column("id", sa.String(32), nullable=False),
+        sa.Column("user_id", sa.Integer(), nullable=False),
+        sa.Column("token_id", sa.String(32), nullable=False),
+        sa.Column("previous_token_id", sa.String(32), nullable=True),
+        sa.Column("rotated_at", sa.TIMESTAMP(timezone=True), nullable=True),
+        sa.Column("expires_at", sa.TIMESTAMP(timezone=True), nullable=False),
+        sa.Column(
+            "created_at",
+            sa.TIMESTAMP(timezone=True),
+            server_default=sa.text("now()"),
+            nullable=False,
+        ),
+        sa.ForeignKeyConstraint(["user_id"], ["satt.users.id"], ondelete="CASCADE"),
+        sa.PrimaryKeyConstraint("id"),
+        schema="satt",
+    )
+    op.create_index(
+        "ix_refresh_sessions_user_id", "refresh_sessions", ["user_id"], schema="satt"
+    )
+
+
+def downgrade() -> None:
+    op.drop_index("ix_refresh_sessions_user_id", table_name="refresh_sessions", schema="satt")
+    op.drop_table("refresh_sessions", schema="satt")
@@ -0,0 +1,43 @@
+"""Add spent passkey login tickets so each ticket signs in only once
+
+Revision ID: 0024
+Revises: 0023
+Create Date: 2026-10-18
+
+"""
+
+from typing import Sequence, Union
+
+import sqlalchemy as sa
+from alembic import op
+
+
+revision: str = "0024"
+down_revision: Union[str, None] = "0023"
+branch_labels: Union[str, Sequence[str], None] = None
+depends_on: Union[str, Sequence[str], None] = None
+
+
+def upgrade() -> None:
+    op.create_table(
+        "passkey_login_tickets",
+        sa.Column("challenge", sa.Text(), nullable=False),
+        sa.Column("expires_at", sa.TIMESTAMP(timezone=True), nullable=False),
+        sa.PrimaryKeyConstraint("challenge"),
+        schema="satt",
+    )
+    op.create_index(
+        "ix_passkey_login_tickets_expires_at",
+        "passkey_login_tickets",
+        ["expires_at"],
+        schema="satt",
+    )
+
+
+def downgrade() -> None:
+    op.drop_index(
+        "ix_passkey_login_tickets_expires_at",
+        table_name="passkey_login_tickets",
+        schema="satt",
+    )
+    op.drop_table("passkey_login_tickets", schema="satt")
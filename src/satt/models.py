@@ -1,7 +1,8 @@
 """SQLAlchemy ORM models for the SATT platform.
 
-satt schema: users, invite_codes, config, ideas, jokes, songs, guests,
-guest_assignments, show_slots, assignments
+satt schema: users, refresh_sessions, invite_codes, passkeys,
+passkey_login_tickets, config, ideas, jokes, songs, guests, guest_assignments,
+show_slots, assignments, audit_log, trash, drive_sync
 """
 
 from datetime import date, datetime
@@ -15,6 +16,7 @@ from sqlalchemy import (
     ForeignKey,
     Integer,
     Index,
+    LargeBinary,
     String,
     Text,
     UniqueConstraint,
@@ -36,7 +38,13 @@ class Base(DeclarativeBase):
 
 class User(Base):
     __tablename__ = "users"
-    __table_args__ = {"schema": "satt"}
+    __table_args__ = (
+        CheckConstraint(
+            "role IN ('admin', 'host', 'contributor', 'editor')",
+            name="users_valid_role",
+        ),
+        {"schema": "satt"},
+    )
 
     id: Mapped[int] = mapped_column(Integer, primary_key=True, autoincrement=True)
     username: Mapped[str] = mapped_column(String(255), nullable=False, unique=True)
@@ -44,9 +52,15 @@ class User(Base):
     is_admin: Mapped[bool] = mapped_column(
         Boolean, nullable=False, server_default="false"
     )
+    # See satt.permissions; is_admin is kept equal to role == "admin".
+    role: Mapped[str] = mapped_column(
+        String(32), nullable=False, default="host", server_default="host"
+    )
     is_active: Mapped[bool] = mapped_column(
         Boolean, nullable=False, server_default="true"
     )
+    # Secret in the user's calendar feed URL; see satt.calendar_feed.
+    calendar_feed_key: Mapped[Optional[str]] = mapped_column(String(64))
     created_at: Mapped[datetime] = mapped_column(
         TIMESTAMP(timezone=True), server_default=func.now()
     )
@@ -63,7 +77,13 @@ class User(Base):
 
 class InviteCode(Base):
     __tablename__ = "invite_codes"
-    __table_args__ = {"schema": "satt"}
+    __table_args__ = (
+        CheckConstraint(
+            "role IN ('admin', 'host', 'contributor', 'editor')",
+            name="invite_codes_valid_role",
+        ),
+        {"schema": "satt"},
+    )
 
     code: Mapped[str] = mapped_column(String(16), primary_key=True)
     created_by_user_id: Mapped[Optional[int]] = mapped_column(
@@ -71,12 +91,100 @@ class InviteCode(Base):
     )
     used_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
     expires_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+    # The role the registered account starts with.
+    role: Mapped[str] = mapped_column(
+        String(32), nullable=False, default="host", server_default="host"
+    )
 
     created_by: Mapped[Optional[User]] = relationship(
         back_populates="invite_codes_created", foreign_keys=[created_by_user_id]
     )
 
 
+# ---------------------------------------------------------------------------
+# satt.refresh_sessions
+# ---------------------------------------------------------------------------
+
+
+class RefreshSession(Base):
+    """One signed-in browser: the refresh token it currently holds.
+
+    Each renewal replaces ``token_id``, so a copied refresh token stops working
+    once the browser it came from renews, and signing out deletes the row.
+    See satt.auth.
+    """
+
+    __tablename__ = "refresh_sessions"
+    __table_args__ = (
+        Index("ix_refresh_sessions_user_id", "user_id"),
+        {"schema": "satt"},
+    )
+
+    id: Mapped[str] = mapped_column(String(32), primary_key=True)
+    user_id: Mapped[int] = mapped_column(
+        Integer, ForeignKey("satt.users.id", ondelete="CASCADE"), nullable=False
+    )
+    token_id: Mapped[str] = mapped_column(String(32), nullable=False)
+    # The token just replaced, honoured briefly for a second tab renewing at once.
+    previous_token_id: Mapped[Optional[str]] = mapped_column(String(32))
+    rotated_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+    expires_at: Mapped[datetime] = mapped_column(TIMESTAMP(timezone=True), nullable=False)
+    created_at: Mapped[datetime] = mapped_column(
+        TIMESTAMP(timezone=True), nullable=False, server_default=func.now()
+    )
+
+
+# ---------------------------------------------------------------------------
+# satt.passkeys
+# ---------------------------------------------------------------------------
+
+
+class Passkey(Base):
+    """A WebAuthn credential a user registered to sign in without a password."""
+
+    __tablename__ = "passkeys"
+    __table_args__ = (
+        Index("ix_passkeys_user_id", "user_id"),
+        {"schema": "satt"},
+    )
+
+    id: Mapped[int] = mapped_column(Integer, primary_key=True, autoincrement=True)
+    user_id: Mapped[int] = mapped_column(
+        Integer, ForeignKey("satt.users.id", ondelete="CASCADE"), nullable=False
+    )
+    # base64url, as the browser reports it.
+    credential_id: Mapped[str] = mapped_column(Text, nullable=False, unique=True)
+    public_key: Mapped[bytes] = mapped_column(LargeBinary, nullable=False)
+    sign_count: Mapped[int] = mapped_column(
+        BigInteger, nullable=False, server_default="0"
+    )
+    transports: Mapped[list] = mapped_column(
+        JSONB, nullable=False, server_default=text("'[]'::jsonb")
+    )
+    name: Mapped[str] = mapped_column(String(100), nullable=False)
+    created_at: Mapped[datetime] = mapped_column(
+        TIMESTAMP(timezone=True), server_default=func.now()
+    )
+    last_used_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+
+
+class PasskeyLoginTicket(Base):
+    """A passkey login ticket that was already spent, kept until it expires.
+
+    See satt.passkeys.spend_login_ticket.
+    """
+
+    __tablename__ = "passkey_login_tickets"
+    __table_args__ = (
+        Index("ix_passkey_login_tickets_expires_at", "expires_at"),
+        {"schema": "satt"},
+    )
+
+    # The ticket's base64url challenge, which no two tickets share.
+    challenge: Mapped[str] = mapped_column(Text, primary_key=True)
+    expires_at: Mapped[datetime] = mapped_column(TIMESTAMP(timezone=True), nullable=False)
+
+
 # ---------------------------------------------------------------------------
 # satt.config
 # ---------------------------------------------------------------------------
@@ -114,6 +222,28 @@ class DataRevision(Base):
     )
 
 
+# ---------------------------------------------------------------------------
+# satt.drive_sync
+# ---------------------------------------------------------------------------
+
+
+class DriveSync(Base):
+    """Where the Drive changes-feed sync left off (see satt.drive_sync)."""
+
+    __tablename__ = "drive_sync"
+    __table_args__ = (
+        CheckConstraint("id = 1", name="single_row"),
+        {"schema": "satt"},
+    )
+
+    id: Mapped[int] = mapped_column(Integer, primary_key=True, server_default="1")
+    page_token: Mapped[Optional[str]] = mapped_column(Text)
+    synced_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+    changed_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+    error: Mapped[Optional[str]] = mapped_column(Text)
+    error_at: Mapped[Optional[datetime]] = mapped_column(TIMESTAMP(timezone=True))
+
+
 # ---------------------------------------------------------------------------
 # satt.ideas
 # ---------------------------------------------------------------------------
@@ -121,7 +251,13 @@ class DataRevision(Base):
 
 class Idea(Base):
     __tablename__ = "ideas"
-    __table_args__ = {"schema": "satt"}
+    __table_args__ = (
+        CheckConstraint(
+            "episode_type IN ('regular', 'bonus', 'guest', 'live', 'patron')",
+            name="ideas_valid_episode_type",
+        ),
+        {"schema": "satt"},
+    )
 
     id: Mapped[str] = mapped_column(Text, primary_key=True)
     titles: Mapped[list] = mapped_column(JSONB, nullable=False, server_default="[]")
@@ -133,6 +269,15 @@ class Idea(Base):
     raw_notes: Mapped[Optional[str]] = mapped_column(Text)
     ai_provider: Mapped[Optional[str]] = mapped_column(Text)
     ai_model_id: Mapped[Optional[str]] = mapped_column(Text)
+    # See satt.episode_types; the type the episode is planned as.
+    episode_type: Mapped[str] = mapped_column(
+        Text, nullable=False, default="regular", server_default="regular"
+    )
+    # See satt.run_sheet; the segment timings from recording day.
+    run_sheet: Mapped[Optional[dict]] = mapped_column(JSONB)
+    # See satt.show_notes; what hosts accepted from the post-record AI notes.
+    show_notes: Mapped[Optional[dict]] = mapped_column(JSONB)
+    version: Mapped[int] = mapped_column(BigInteger, nullable=False, server_default="1")
     created_at: Mapped[datetime] = mapped_column(
         TIMESTAMP(timezone=True), server_default=func.now()
     )
@@ -181,6 +326,7 @@ class Joke(Base):
     used_by_idea_id: Mapped[Optional[str]] = mapped_column(
         Text, ForeignKey("satt.ideas.id", ondelete="SET NULL")
     )
+    version: Mapped[int] = mapped_column(BigInteger, nullable=False, server_default="1")
     created_at: Mapped[datetime] = mapped_column(
         TIMESTAMP(timezone=True), server_default=func.now()
     )
@@ -372,6 +518,11 @@ class Top3Submission(Base):
             "AND entered_by_user_id IS NOT NULL)",
             name="top3_submissions_valid_owner",
         ),
+        CheckConstraint(
+            "NOT submitted_by_guest OR "
+            "(participant_type = 'external' AND external_type = 'guest')",
+            name="top3_submissions_guest_link_is_external",
+        ),
         CheckConstraint(
             "btrim(pick_1) <> '' AND btrim(pick_2) <> '' AND btrim(pick_3) <> ''",
             name="top3_submissions_nonempty_picks",
@@ -413,6 +564,11 @@ class Top3Submission(Base):
     private_discussion_notes: Mapped[str] = mapped_column(
         Text, nullable=False, server_default="''"
     )
+    # Entered by the guest through a magic link rather than by a host, so the
+    # picks stay hidden until each viewer reveals them.
+    submitted_by_guest: Mapped[bool] = mapped_column(
+        Boolean, nullable=False, server_default="false"
+    )
     created_at: Mapped[datetime] = mapped_column(
         TIMESTAMP(timezone=True), server_default=func.now()
     )
@@ -452,7 +608,13 @@ class Top3Reveal(Base):
 
 class ShowSlot(Base):
     __tablename__ = "show_slots"
-    __table_args__ = {"schema": "satt"}
+    __table_args__ = (
+        CheckConstraint(
+            "episode_type IN ('regular', 'bonus', 'guest', 'live', 'patron')",
+            name="show_slots_valid_episode_type",
+        ),
+        {"schema": "satt"},
+    )
 
     id: Mapped[str] = mapped_column(Text, primary_key=True)
     episode_number: Mapped[str] = mapped_column(Text, nullable=False)
@@ -463,9 +625,18 @@ class ShowSlot(Base):
         Boolean, nullable=False, server_default="false"
     )
     release_date_override: Mapped[Optional[date]] = mapped_column(Date)
+    # See satt.episode_types; episode_num counts within this type's series.
+    episode_type: Mapped[str] = mapped_column(
+        Text, nullable=False, default="regular", server_default="regular"
+    )
     production_file_key: Mapped[Optional[str]] = mapped_column(Text, nullable=True)
     asset_inventory: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
     transcription_job: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    # Host corrections to the WhisperX transcript; see satt.transcripts.
+    corrected_transcript: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    # The scanned WhisperX transcript as paragraphs, kept for search.
+    whisperx_transcript: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    version: Mapped[int] = mapped_column(BigInteger, nullable=False, server_default="1")
 
     assignment: Mapped[Optional["Assignment"]] = relationship(back_populates="slot")
 
@@ -494,3 +665,71 @@ class Assignment(Base):
 
     slot: Mapped[ShowSlot] = relationship(back_populates="assignment")
     idea: Mapped[Idea] = relationship(back_populates="assignment")
+
+
+# ---------------------------------------------------------------------------
+# satt.audit_log
+# ---------------------------------------------------------------------------
+
+
+class AuditEntry(Base):
+    """One changed record per row: who, when, what, and the revision it made.
+
+    ``actor_user_id`` is deliberately not a foreign key so removing an account
+    never rewrites history.
+    """
+
+    __tablename__ = "audit_log"
+    __table_args__ = (
+        Index("ix_audit_log_record", "record_kind", "record_id", "id"),
+        Index("ix_audit_log_idea_id", "idea_id", "id"),
+        {"schema": "satt"},
+    )
+
+    id: Mapped[int] = mapped_column(BigInteger, primary_key=True, autoincrement=True)
+    occurred_at: Mapped[datetime] = mapped_column(
+        TIMESTAMP(timezone=True), nullable=False, server_default=func.now()
+    )
+    actor_user_id: Mapped[Optional[int]] = mapped_column(Integer, nullable=True)
+    actor: Mapped[str] = mapped_column(Text, nullable=False)
+    action: Mapped[str] = mapped_column(Text, nullable=False)
+    record_kind: Mapped[str] = mapped_column(Text, nullable=False)
+    record_id: Mapped[str] = mapped_column(Text, nullable=False)
+    idea_id: Mapped[Optional[str]] = mapped_column(Text, nullable=True)
+    before: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    after: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    changes: Mapped[Optional[dict]] = mapped_column(JSONB, nullable=True)
+    revision: Mapped[int] = mapped_column(BigInteger, nullable=False)
+
+
+# ---------------------------------------------------------------------------
+# satt.trash
+# ---------------------------------------------------------------------------
+
+
+class TrashEntry(Base):
+    """A deleted idea, joke, song, or guest kept for the retention window.
+
+    ``links`` holds the assignments the record had when it was deleted so a
+    restore can put back the ones that are still free.
+    """
+
+    __tablename__ = "trash"
+    __table_args__ = (
+        Index("ix_trash_record", "record_kind", "record_id"),
+        Index("ix_trash_deleted_at", "deleted_at"),
+        {"schema": "satt"},
+    )
+
+    id: Mapped[int] = mapped_column(BigInteger, primary_key=True, autoincrement=True)
+    record_kind: Mapped[str] = mapped_column(Text, nullable=False)
+    record_id: Mapped[str] = mapped_column(Text, nullable=False)
+    title: Mapped[str] = mapped_column(Text, nullable=False)
+    record: Mapped[dict] = mapped_column(JSONB, nullable=False)
+    links: Mapped[dict] = mapped_column(
+        JSONB, nullable=False, server_default=text("'{}'::jsonb")
+    )
+    deleted_by: Mapped[str] = mapped_column(Text, nullable=False)
+    deleted_at: Mapped[datetime] = mapped_column(
+        TIMESTAMP(timezone=True), nullable=False, server_default=func.now()
+    )
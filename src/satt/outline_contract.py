@@ -9,6 +9,10 @@ class OutlineContractError(ValueError):
     """Raised when configured sections or generated outline data is invalid."""
 
 
+# The run sheet's target for a section; see satt.run_sheet.
+MAX_TARGET_MINUTES = 180
+
+
 def normalize_configured_segments(segments: Any) -> list[dict]:
     if not isinstance(segments, list) or not segments:
         raise OutlineContractError("configure at least one show section")
@@ -31,17 +35,28 @@ def normalize_configured_segments(segments: Any) -> list[dict]:
                 f"show section {segment_id.strip()!r} description must be text"
             )
 
+        target = segment.get("targetMinutes")
+        if target is not None and (
+            isinstance(target, bool)
+            or not isinstance(target, int)
+            or not 1 <= target <= MAX_TARGET_MINUTES
+        ):
+            raise OutlineContractError(
+                f"show section {segment_id.strip()!r} target must be 1-{MAX_TARGET_MINUTES} minutes"
+            )
+
         segment_id = segment_id.strip()
         if segment_id in seen_ids:
             raise OutlineContractError(f"duplicate show section id: {segment_id!r}")
         seen_ids.add(segment_id)
-        normalized.append(
-            {
-                "id": segment_id,
-                "name": name.strip(),
-                "description": description.strip(),
-            }
-        )
+        entry = {
+            "id": segment_id,
+            "name": name.strip(),
+            "description": description.strip(),
+        }
+        if target is not None:
+            entry["targetMinutes"] = target
+        normalized.append(entry)
 
     return normalized
 
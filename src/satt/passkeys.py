@@ -0,0 +1,182 @@
+"""WebAuthn passkey ceremonies for SATT.
+
+py_webauthn does the verification. The challenge travels in a short-lived
+signed ticket rather than a server-side table, like the live-stream ticket in
+satt.auth. A login ticket is recorded in ``passkey_login_tickets`` when it is
+spent and refused after that, so a captured assertion cannot be replayed.
+
+The relying party is the host of ``SITE_URL`` and the only accepted origin is
+``SITE_URL`` itself.
+"""
+
+from __future__ import annotations
+
+import json
+import secrets
+from datetime import datetime, timedelta, timezone
+from urllib.parse import urlparse
+
+import jwt
+from sqlalchemy import delete
+from sqlalchemy.dialects.postgresql import insert
+from sqlalchemy.ext.asyncio import AsyncSession
+from webauthn import (
+    generate_authentication_options,
+    generate_registration_options,
+    options_to_json,
+    verify_authentication_response,
+    verify_registration_response,
+)
+from webauthn.helpers import base64url_to_bytes, bytes_to_base64url
+from webauthn.helpers.exceptions import (
+    InvalidAuthenticationResponse,
+    InvalidRegistrationResponse,
+)
+from webauthn.helpers.structs import (
+    AuthenticatorSelectionCriteria,
+    PublicKeyCredentialDescriptor,
+    ResidentKeyRequirement,
+    UserVerificationRequirement,
+)
+
+from satt.auth import decode_access_token
+from satt.config import get_settings
+from satt.models import Passkey, PasskeyLoginTicket, User
+
+RP_NAME = "Salt All The Things"
+_TICKET_SECONDS = 300
+
+
+class PasskeyError(ValueError):
+    """Raised when a passkey ceremony cannot be verified."""
+
+
+def _relying_party() -> tuple[str, str]:
+    origin = get_settings().site_url.rstrip("/")
+    return urlparse(origin).hostname or "localhost", origin
+
+
+def _ticket(purpose: str, challenge: bytes, user_id: int | None) -> str:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "purpose": purpose,
+        "challenge": bytes_to_base64url(challenge),
+        "user_id": user_id,
+        # Sub-second precision for the replay check against last_used_at.
+        "issued": now.timestamp(),
+        "exp": now + timedelta(seconds=_TICKET_SECONDS),
+        "iat": now,
+    }
+    return jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+
+
+def decode_ticket(ticket: str, purpose: str) -> dict:
+    try:
+        payload = decode_access_token(ticket)
+    except jwt.InvalidTokenError as error:
+        raise PasskeyError("The passkey request expired; try again") from error
+    if payload.get("purpose") != purpose:
+        raise PasskeyError("Invalid passkey request")
+    return payload
+
+
+def registration_options(user: User, passkeys: list[Passkey]) -> dict:
+    rp_id, _origin = _relying_party()
+    options = generate_registration_options(
+        rp_id=rp_id,
+        rp_name=RP_NAME,
+        user_id=str(user.id).encode(),
+        user_name=user.username,
+        user_display_name=user.username,
+        # The same authenticator cannot be added twice.
+        exclude_credentials=[
+            PublicKeyCredentialDescriptor(id=base64url_to_bytes(passkey.credential_id))
+            for passkey in passkeys
+        ],
+        # Discoverable credentials let login skip the username.
+        authenticator_selection=AuthenticatorSelectionCriteria(
+            resident_key=ResidentKeyRequirement.REQUIRED,
+            user_verification=UserVerificationRequirement.REQUIRED,
+        ),
+        challenge=secrets.token_bytes(32),
+    )
+    return {
+        "options": json.loads(options_to_json(options)),
+        "ticket": _ticket("passkey-register", options.challenge, user.id),
+    }
+
+
+def verify_registration(ticket: dict, credential: dict) -> dict:
+    rp_id, origin = _relying_party()
+    try:
+        verified = verify_registration_response(
+            credential=credential,
+            expected_challenge=base64url_to_bytes(ticket["challenge"]),
+            expected_rp_id=rp_id,
+            expected_origin=origin,
+            require_user_verification=True,
+        )
+    except InvalidRegistrationResponse as error:
+        raise PasskeyError(f"The passkey could not be verified: {error}") from error
+    transports = (credential.get("response") or {}).get("transports") or []
+    return {
+        "credential_id": bytes_to_base64url(verified.credential_id),
+        "public_key": verified.credential_public_key,
+        "sign_count": verified.sign_count,
+        "transports": [item for item in transports if isinstance(item, str)],
+    }
+
+
+def authentication_options() -> dict:
+    rp_id, _origin = _relying_party()
+    options = generate_authentication_options(
+        rp_id=rp_id,
+        user_verification=UserVerificationRequirement.REQUIRED,
+        challenge=secrets.token_bytes(32),
+    )
+    return {
+        "options": json.loads(options_to_json(options)),
+        "ticket": _ticket("passkey-login", options.challenge, None),
+    }
+
+
+def verify_authentication(ticket: dict, credential: dict, passkey: Passkey) -> int:
+    """Check an assertion against the stored passkey. Returns the new sign count."""
+    if passkey.last_used_at is not None and ticket["issued"] <= passkey.last_used_at.timestamp():
+        raise PasskeyError("This passkey request was already used; try again")
+    rp_id, origin = _relying_party()
+    try:
+        verified = verify_authentication_response(
+            credential=credential,
+            expected_challenge=base64url_to_bytes(ticket["challenge"]),
+            expected_rp_id=rp_id,
+            expected_origin=origin,
+            credential_public_key=passkey.public_key,
+            credential_current_sign_count=passkey.sign_count,
+            require_user_verification=True,
+        )
+    except InvalidAuthenticationResponse as error:
+        raise PasskeyError(f"The passkey could not be verified: {error}") from error
+    return verified.new_sign_count
+
+
+async def spend_login_ticket(db: AsyncSession, ticket: dict) -> None:
+    """Record a login ticket as used. Raises PasskeyError if it already was.
+
+    The insert settles two requests racing with one ticket: the second waits
+    for the first and finds the challenge taken. Spent tickets are kept only
+    until they would have expired anyway.
+    """
+    now = datetime.now(timezone.utc)
+    await db.execute(delete(PasskeyLoginTicket).where(PasskeyLoginTicket.expires_at <= now))
+    result = await db.execute(
+        insert(PasskeyLoginTicket)
+        .values(
+            challenge=ticket["challenge"],
+            expires_at=datetime.fromtimestamp(ticket["exp"], timezone.utc),
+        )
+        .on_conflict_do_nothing(index_elements=[PasskeyLoginTicket.challenge])
+    )
+    if not result.rowcount:
+        raise PasskeyError("This passkey request was already used; try again")
@@ -0,0 +1,80 @@
+"""Roles and the actions each role may take.
+
+Routes enforce actions with ``require_permission`` (or ``ensure_permission``
+when the action depends on the request, as for ``PUT /api/data/{key}``). The
+session response lists the caller's actions so the pages can hide controls the
+role cannot use; the API stays the authority.
+"""
+
+from __future__ import annotations
+
+from typing import Literal, get_args
+
+from fastapi import Depends, HTTPException
+
+from satt.auth import require_auth
+
+Role = Literal["admin", "host", "contributor", "editor"]
+ROLES: tuple[str, ...] = get_args(Role)
+
+ACTIONS = {
+    "users.manage": "manage users, roles, and invites",
+    "config.edit": "change settings",
+    "data.import": "import data",
+    "planning.view": "open the planning pages",
+    "planning.edit": "add and edit ideas, jokes, songs, and guests",
+    "planning.delete": "delete ideas, jokes, songs, and guests",
+    "schedule.edit": "change the schedule",
+    "history.revert": "revert history or restore from the trash",
+    "top3.use": "use the Top 3 bank",
+    "postproduction.view": "open post-production",
+    "postproduction.edit": "change post-production files, art, and transcripts",
+}
+
+ROLE_PERMISSIONS: dict[str, frozenset[str]] = {
+    "admin": frozenset(ACTIONS),
+    "host": frozenset(ACTIONS) - {"users.manage"},
+    "contributor": frozenset({"planning.view", "planning.edit", "top3.use"}),
+    "editor": frozenset({"postproduction.view", "postproduction.edit"}),
+}
+
+
+def session_role(session: dict) -> str:
+    """The role a token carries. Tokens issued before roles existed keep the
+    full access they had: admin for admins, host for everyone else."""
+    role = session.get("role")
+    if role in ROLE_PERMISSIONS:
+        return role
+    return "admin" if session.get("is_admin") else "host"
+
+
+def user_role(user) -> str:
+    return "admin" if user.is_admin else (user.role or "host")
+
+
+def permissions_for(role: str) -> list[str]:
+    return sorted(ROLE_PERMISSIONS.get(role, ()))
+
+
+def can(session: dict, action: str) -> bool:
+    return action in ROLE_PERMISSIONS[session_role(session)]
+
+
+def ensure_permission(session: dict, action: str) -> None:
+    if not can(session, action):
+        raise HTTPException(
+            status_code=403,
+            detail=f"The {session_role(session)} role cannot {ACTIONS[action]}",
+        )
+
+
+def require_permission(action: str):
+    """FastAPI dependency factory: ``require_auth`` plus one action."""
+    if action not in ACTIONS:
+        raise ValueError(f"Unknown action {action!r}")
+
+    async def dependency(session: dict = Depends(require_auth)) -> dict:
+        ensure_permission(session, action)
+        return session
+
+    return dependency
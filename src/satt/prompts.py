@@ -264,3 +264,57 @@ def build_generate_art_direction_prompts(
     )
 
     return system_prompt, user_prompt
+
+
+def build_show_notes_prompts(config: dict, episode_data: dict) -> tuple[str, str]:
+    """Returns (system_prompt, user_prompt) for the show-notes endpoint.
+
+    episode_data["transcript"] is satt.show_notes.transcript_text: one
+    ``[seconds] Speaker: text`` line per paragraph.
+    """
+    show_context = config.get("showContext") or ""
+
+    system_prompt = (
+        f"{show_context}\n\n"
+        "YOUR TASK:\n"
+        "The episode has been recorded. Read its transcript and write show notes. "
+        "Return a JSON response with EXACTLY this structure "
+        "(no markdown, no backticks, just pure JSON):\n\n"
+        "{\n"
+        '  "summary": "A 2-3 sentence summary of what the episode actually covered.",\n'
+        '  "keyMoments": [{"seconds": 754, "title": "Short chapter-style title"}],\n'
+        '  "quotes": [{"seconds": 1203, "speaker": "Trog", "text": "The line, word for word."}],\n'
+        '  "mentions": ["Name of a guest, listener, or creator given a shout-out"]\n'
+        "}\n\n"
+        "RULES:\n"
+        "- Each transcript line starts with the second it begins at, in brackets, then the speaker.\n"
+        "- The summary describes what was discussed, not what was planned. It should be clean and "
+        "compelling — good enough for a podcast description.\n"
+        "- Give 3-8 key moments in the order they happen. Use the bracketed second of the line "
+        "where each one starts.\n"
+        "- Give up to 5 quotes that would make a listener smile. Copy the words exactly, with the "
+        "speaker and second of their line.\n"
+        "- mentions lists people on the show or called out by name; leave it empty if none.\n"
+        "- Return ONLY valid JSON. No explanation, no markdown fences, no preamble."
+    )
+
+    user_prompt = (
+        f"Episode: {episode_data.get('episodeNumber', '')} — {episode_data.get('title', '')}\n\n"
+        f"Summary written before recording:\n{episode_data.get('summary', '')}\n\n"
+        f"Transcript:\n{episode_data.get('transcript', '')}\n\n"
+        "Write the show notes JSON."
+    )
+
+    return system_prompt, user_prompt
+
+
+def build_show_notes_repair_prompt(invalid_response: str, validation_error: str) -> str:
+    """Request one bounded correction of invalid show notes."""
+    return (
+        "Your previous show notes response did not satisfy the required structure.\n"
+        f"Validation error: {validation_error}\n\n"
+        "Return a corrected response using the exact JSON structure from the system "
+        "instructions. Every key moment and quote needs a second from the transcript. "
+        "Return only JSON.\n\n"
+        f"Previous response:\n{invalid_response[:8000]}"
+    )
@@ -6,13 +6,12 @@ import json
 from datetime import datetime, timezone
 
 import httpx
-from fastapi import APIRouter, Depends
+from fastapi import APIRouter, Depends, HTTPException
 from fastapi.responses import JSONResponse
 from pydantic import BaseModel, ConfigDict
 from sqlalchemy.ext.asyncio import AsyncSession
 
 from satt.ai_client import call_ai, call_dalle, call_gpt_image_1, call_gpt_image_1_edits
-from satt.auth import require_auth
 from satt.config import get_settings
 from satt.crud import get_config, get_idea_and_slot, get_jokes, save_config, set_asset_inventory, set_idea_image_file_id
 from satt.database import get_db
@@ -37,14 +36,24 @@ from satt.outline_contract import (
     normalize_configured_segments,
     normalize_generated_outline,
 )
+from satt.permissions import require_permission
 from satt.prompts import (
     build_generate_art_direction_prompts,
     build_generate_jokes_prompts,
     build_process_idea_prompts,
     build_process_idea_repair_prompt,
+    build_show_notes_prompts,
+    build_show_notes_repair_prompt,
     build_top3_concept_prompts,
     build_top3_concept_repair_prompt,
 )
+from satt.routes.postproduction import _load_transcript, _queue_row
+from satt.show_notes import (
+    ShowNotesError,
+    parse_generated_show_notes,
+    recording_length,
+    transcript_text,
+)
 from satt.top3_ai_contract import (
     Top3AIContractError,
     normalize_top3_generation_input,
@@ -121,7 +130,7 @@ class ProcessIdeaRequest(BaseModel):
 @router.post("/ai/process-idea")
 async def process_idea(
     body: ProcessIdeaRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     if not body.rawNotes.strip():
@@ -202,7 +211,7 @@ class GenerateTop3ConceptRequest(BaseModel):
 @router.post("/ai/top3-concept")
 async def generate_top3_concept(
     body: GenerateTop3ConceptRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     try:
@@ -300,7 +309,7 @@ class GenerateJokesRequest(BaseModel):
 @router.post("/ai/generate-jokes")
 async def generate_jokes(
     body: GenerateJokesRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     config = await get_config(db)
@@ -353,6 +362,93 @@ async def generate_jokes(
     return JSONResponse(content={"jokes": jokes})
 
 
+# ---------------------------------------------------------------------------
+# POST /api/ai/show-notes
+# ---------------------------------------------------------------------------
+
+
+class GenerateShowNotesRequest(BaseModel):
+    slotId: str
+
+
+@router.post("/ai/show-notes")
+async def generate_show_notes(
+    body: GenerateShowNotesRequest,
+    _user: dict = Depends(require_permission("postproduction.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> JSONResponse:
+    """Propose show notes from a recorded episode's transcript. Nothing is saved;
+    hosts accept items into the idea from Post-Production."""
+    config = await get_config(db)
+    ai_model = config.get("aiModel", "claude")
+    if ai_model == "claude" and not config.get("claudeApiKey"):
+        return JSONResponse(
+            status_code=400,
+            content={"error": "No API key configured for claude"},
+        )
+    if ai_model == "openai" and not config.get("openaiApiKey"):
+        return JSONResponse(
+            status_code=400,
+            content={"error": "No API key configured for openai"},
+        )
+
+    # The corrected transcript when there is one, so renamed speakers and
+    # fixed words reach the notes.
+    try:
+        row = await _queue_row(db, body.slotId)
+        if not row.get("ideaId"):
+            return JSONResponse(
+                status_code=400, content={"error": "No idea is scheduled in this slot"}
+            )
+        transcript = await _load_transcript(db, row)
+    except HTTPException as error:
+        return JSONResponse(status_code=error.status_code, content={"error": error.detail})
+    if not transcript["paragraphs"]:
+        return JSONResponse(status_code=422, content={"error": "The transcript has no text"})
+
+    idea, slot = await get_idea_and_slot(db, row["ideaId"])
+    episode_data = {
+        "episodeNumber": slot.episode_number if slot else "",
+        "title": idea.selected_title or "",
+        "summary": idea.summary or "",
+        "transcript": transcript_text(transcript),
+    }
+    limit = recording_length(transcript)
+    system_prompt, user_prompt = build_show_notes_prompts(config, episode_data)
+
+    try:
+        text = await call_ai(system_prompt, user_prompt, config)
+    except (httpx.HTTPStatusError, httpx.RequestError, ValueError) as e:
+        return JSONResponse(
+            status_code=500, content={"error": f"AI API error: {e}"}
+        )
+
+    try:
+        notes = parse_generated_show_notes(text, limit=limit)
+    except ShowNotesError as first_error:
+        repair_prompt = build_show_notes_repair_prompt(text, str(first_error))
+        try:
+            repaired_text = await call_ai(system_prompt, repair_prompt, config)
+            notes = parse_generated_show_notes(repaired_text, limit=limit)
+        except (httpx.HTTPStatusError, httpx.RequestError, ValueError) as error:
+            return JSONResponse(
+                status_code=502,
+                content={
+                    "error": (
+                        "AI returned invalid show notes after one repair attempt: "
+                        f"{error}"
+                    )
+                },
+            )
+
+    return JSONResponse(content={
+        "slotId": body.slotId,
+        "ideaId": row["ideaId"],
+        "source": transcript["source"],
+        **notes,
+    })
+
+
 # ---------------------------------------------------------------------------
 # Art direction defaults (seeded into satt.config on first use)
 # ---------------------------------------------------------------------------
@@ -505,7 +601,7 @@ class GenerateArtDirectionRequest(BaseModel):
 @router.post("/ai/generate-art-direction")
 async def generate_art_direction(
     body: GenerateArtDirectionRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     config = await get_config(db)
@@ -684,7 +780,7 @@ async def generate_art_direction(
 
 @router.post("/ai/analyze-reference-style")
 async def analyze_reference_style(
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     """Ask GPT-4o to describe the visual style of the reference images and save to config.
@@ -784,7 +880,7 @@ class GenerateEpisodeArtRequest(BaseModel):
 @router.post("/ai/generate-episode-art")
 async def generate_episode_art(
     body: GenerateEpisodeArtRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     config = await get_config(db)
@@ -955,7 +1051,7 @@ class RebuildImagePromptRequest(BaseModel):
 @router.post("/ai/rebuild-image-prompt")
 async def rebuild_image_prompt(
     body: RebuildImagePromptRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> JSONResponse:
     """Regenerate only the finalImagePrompt from edited art direction fields (no transcript needed)."""
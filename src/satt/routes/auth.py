@@ -1,28 +1,62 @@
-"""Auth routes: login and register."""
+"""Auth routes: login, token refresh, logout, and register."""
 
 from __future__ import annotations
 
 from datetime import datetime, timezone
 
+import jwt
 from fastapi import APIRouter, Depends, HTTPException
+from fastapi.responses import JSONResponse
 from pydantic import BaseModel
 from sqlalchemy.ext.asyncio import AsyncSession
 
 from satt.auth import (
     consume_invite_code,
     create_access_token,
+    decode_refresh_token,
+    end_refresh_session,
     generate_invite_code,
     get_user_by_username,
-    require_auth,
+    password_fingerprint,
+    rotate_refresh_session,
+    start_refresh_session,
 )
 from satt.config import get_settings
 from satt.database import get_db
 from satt.models import User
+from satt.permissions import Role, permissions_for, require_permission, user_role
 from sv_common.auth.passwords import hash_password, verify_password
 
 router = APIRouter()
 
 
+def _access_token(user: User, not_after: datetime | None = None) -> str:
+    return create_access_token(
+        user_id=user.id,
+        username=user.username,
+        is_admin=user.is_admin,
+        role=user_role(user),
+        not_after=not_after,
+    )
+
+
+def _session_response(user: User, token: str, refresh_token: str) -> dict:
+    role = user_role(user)
+    return {
+        "token": token,
+        "refreshToken": refresh_token,
+        "username": user.username,
+        "isAdmin": user.is_admin,
+        "role": role,
+        "permissions": permissions_for(role),
+    }
+
+
+async def _new_session(db: AsyncSession, user: User) -> dict:
+    refresh_token = await start_refresh_session(db, user)
+    return _session_response(user, _access_token(user), refresh_token)
+
+
 # ---------------------------------------------------------------------------
 # POST /api/auth/login
 # ---------------------------------------------------------------------------
@@ -41,10 +75,58 @@ async def login(body: LoginRequest, db: AsyncSession = Depends(get_db)) -> dict:
     ):
         raise HTTPException(status_code=401, detail="Invalid credentials")
 
-    token = create_access_token(
-        user_id=user.id, username=user.username, is_admin=user.is_admin
-    )
-    return {"token": token, "username": user.username, "isAdmin": user.is_admin}
+    return await _new_session(db, user)
+
+
+# ---------------------------------------------------------------------------
+# POST /api/auth/refresh
+# ---------------------------------------------------------------------------
+
+
+class RefreshRequest(BaseModel):
+    refreshToken: str
+
+
+@router.post("/auth/refresh")
+async def refresh(
+    body: RefreshRequest, db: AsyncSession = Depends(get_db)
+) -> JSONResponse:
+    """Issue a new access token, and a new refresh token in place of the one
+    presented, without extending the session itself."""
+    try:
+        payload = decode_refresh_token(body.refreshToken)
+    except jwt.ExpiredSignatureError:
+        raise HTTPException(status_code=401, detail="Session expired")
+    except jwt.InvalidTokenError:
+        raise HTTPException(status_code=401, detail="Invalid token")
+
+    user = await db.get(User, payload.get("user_id"))
+    if (
+        user is None
+        or not user.is_active
+        or payload.get("pwd") != password_fingerprint(user.password_hash)
+    ):
+        raise HTTPException(status_code=401, detail="Session expired")
+
+    refresh_token = await rotate_refresh_session(db, user, payload)
+    if refresh_token is None:
+        # Returned rather than raised, so ending a copied token's session commits.
+        return JSONResponse(status_code=401, content={"detail": "Session expired"})
+    token = _access_token(user, not_after=datetime.fromtimestamp(payload["exp"], timezone.utc))
+    return JSONResponse(content=_session_response(user, token, refresh_token))
+
+
+# ---------------------------------------------------------------------------
+# POST /api/auth/logout
+# ---------------------------------------------------------------------------
+
+
+@router.post("/auth/logout")
+async def logout(body: RefreshRequest, db: AsyncSession = Depends(get_db)) -> dict:
+    """End the session the refresh token belongs to. Takes no access token,
+    since signing out must work after it has expired."""
+    await end_refresh_session(db, body.refreshToken)
+    return {"ok": True}
 
 
 # ---------------------------------------------------------------------------
@@ -63,26 +145,28 @@ class RegisterRequest(BaseModel):
 # ---------------------------------------------------------------------------
 
 
+class InviteRequest(BaseModel):
+    role: Role = "host"
+
+
 @router.post("/auth/invite")
 async def create_invite(
-    _user: dict = Depends(require_auth),
+    body: InviteRequest | None = None,
+    _user: dict = Depends(require_permission("users.manage")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
-    if not _user.get("is_admin"):
-        raise HTTPException(status_code=403, detail="Admin access required")
-
+    role = body.role if body is not None else "host"
     user_id: int | None = _user.get("user_id")
-    code = await generate_invite_code(db, created_by_user_id=user_id)
+    code = await generate_invite_code(db, created_by_user_id=user_id, role=role)
     site_url = get_settings().site_url.rstrip("/")
     invite_url = f"{site_url}/register?code={code}"
-    return {"invite_url": invite_url}
+    return {"invite_url": invite_url, "role": role}
 
 
 @router.post("/auth/register", status_code=201)
 async def register(body: RegisterRequest, db: AsyncSession = Depends(get_db)) -> dict:
     # Validate invite code first
     invite = await consume_invite_code(db, body.inviteCode)  # raises ValueError if invalid
-    _ = invite  # noqa: used for side-effect (mark consumed)
 
     # Check username not taken
     existing = await get_user_by_username(db, body.username)
@@ -93,14 +177,12 @@ async def register(body: RegisterRequest, db: AsyncSession = Depends(get_db)) ->
     user = User(
         username=username,
         password_hash=hash_password(body.password),
-        is_admin=False,
+        is_admin=invite.role == "admin",
+        role=invite.role,
         is_active=True,
         created_at=datetime.now(timezone.utc),
     )
     db.add(user)
     await db.flush()
 
-    token = create_access_token(
-        user_id=user.id, username=user.username, is_admin=user.is_admin
-    )
-    return {"token": token, "username": user.username, "isAdmin": user.is_admin}
+    return await _new_session(db, user)
@@ -0,0 +1,108 @@
+"""Calendar feed routes: your own subscription URL, and the feed it opens."""
+
+from __future__ import annotations
+
+import secrets
+
+import jwt
+from fastapi import APIRouter, Depends, HTTPException
+from fastapi.responses import Response
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import create_calendar_feed_token, decode_calendar_feed_token, require_auth
+from satt.calendar_feed import build_calendar
+from satt.config import get_settings
+from satt.crud import get_assignments, get_config, get_ideas, get_show_slots
+from satt.database import get_db
+from satt.models import User
+
+router = APIRouter()
+public_router = APIRouter()
+
+
+async def _current_user(db: AsyncSession, session: dict) -> User:
+    user = await db.get(User, session.get("user_id"))
+    if user is None or not user.is_active:
+        raise HTTPException(status_code=401, detail="Session expired")
+    return user
+
+
+def _feed(user: User) -> dict:
+    if not user.calendar_feed_key:
+        return {"url": None}
+    token = create_calendar_feed_token(user.id, user.calendar_feed_key)
+    site_url = get_settings().site_url.rstrip("/")
+    return {"url": f"{site_url}/public/calendar/{token}.ics"}
+
+
+# ---------------------------------------------------------------------------
+# Your feed URL (any authenticated user)
+# ---------------------------------------------------------------------------
+
+
+@router.get("/calendar/feed")
+async def get_calendar_feed(
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    return _feed(await _current_user(db, session))
+
+
+@router.post("/calendar/feed")
+async def reset_calendar_feed(
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Create your feed URL, or replace it; the previous URL stops working."""
+    user = await _current_user(db, session)
+    user.calendar_feed_key = secrets.token_urlsafe(32)
+    await db.flush()
+    return _feed(user)
+
+
+@router.delete("/calendar/feed")
+async def delete_calendar_feed(
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    user = await _current_user(db, session)
+    user.calendar_feed_key = None
+    await db.flush()
+    return _feed(user)
+
+
+# ---------------------------------------------------------------------------
+# The feed itself (token in the URL)
+# ---------------------------------------------------------------------------
+
+
+@public_router.get("/calendar/{token}.ics")
+async def calendar_feed(token: str, db: AsyncSession = Depends(get_db)) -> Response:
+    try:
+        payload = decode_calendar_feed_token(token)
+    except jwt.InvalidTokenError:
+        raise HTTPException(status_code=404, detail="Calendar feed not found")
+    user = await db.get(User, payload.get("user_id"))
+    # A reset key, a turned-off feed, and a deactivated account all look missing.
+    if (
+        user is None
+        or not user.is_active
+        or not user.calendar_feed_key
+        or not secrets.compare_digest(user.calendar_feed_key, str(payload.get("feed_key")))
+    ):
+        raise HTTPException(status_code=404, detail="Calendar feed not found")
+
+    body = build_calendar(
+        await get_show_slots(db),
+        await get_assignments(db),
+        await get_ideas(db),
+        await get_config(db),
+    )
+    return Response(
+        content=body,
+        media_type="text/calendar; charset=utf-8",
+        headers={
+            "Cache-Control": "private, max-age=300",
+            "Content-Disposition": 'inline; filename="satt-schedule.ics"',
+        },
+    )
@@ -8,10 +8,14 @@ from fastapi import APIRouter, Body, Depends, Header, HTTPException
 from pydantic import BaseModel
 from sqlalchemy.ext.asyncio import AsyncSession
 
+from satt.audit import record_state_changes
 from satt.auth import require_auth
 from satt.crud import (
     DataConflictError,
     DataNotFoundError,
+    RecordPatchError,
+    RecordVersionConflictError,
+    apply_slot_edit,
     assign_idea_to_slot,
     assign_joke_to_idea,
     delete_idea,
@@ -22,6 +26,10 @@ from satt.crud import (
     get_ideas,
     get_jokes,
     get_show_slots,
+    get_slot_post_production,
+    patch_idea,
+    patch_joke,
+    patch_show_slot,
     replace_assignments,
     replace_ideas,
     replace_jokes,
@@ -31,7 +39,14 @@ from satt.crud import (
     unassign_idea_from_slot,
 )
 from satt.database import get_db
+from satt.episode_types import EpisodeTypeError
 from satt.guest_contract import GuestContractError
+from satt.import_preview import (
+    IMPORT_MODES,
+    dangling_references,
+    merge_import,
+    preview_import,
+)
 from satt.guest_crud import (
     GuestLifecycleError,
     get_guest_assignments,
@@ -41,8 +56,20 @@ from satt.guest_crud import (
 )
 from satt.joke_contract import JokeContractError
 from satt.outline_contract import OutlineContractError, normalize_configured_segments
+from satt.permissions import can, ensure_permission, require_permission
+from satt.run_sheet import RunSheetError
+from satt.schedule_rules import ScheduleRulesError, normalize_schedule_rules
+from satt.show_notes import ShowNotesError
+from satt.show_time import (
+    ShowTimeError,
+    latest_released_date,
+    normalize_release_time,
+    normalize_show_timezone,
+)
+from satt.slot_edits import SlotEditError, plan_slot_edit, preview
 from satt.song_contract import SongContractError
 from satt.song_crud import get_songs, replace_songs
+from satt.trash import trash_removed_records
 
 router = APIRouter()
 
@@ -67,6 +94,11 @@ class ScheduleAssignmentRequest(BaseModel):
     ideaId: str
 
 
+class RecordPatchRequest(BaseModel):
+    version: int
+    changes: dict[str, Any]
+
+
 def _public_config(config: dict) -> dict:
     """Return browser-safe config with secret presence flags."""
     public = dict(config)
@@ -115,6 +147,23 @@ def _merge_config_update(
                 detail=f"Invalid show section configuration: {error}",
             ) from error
 
+    if "scheduleRules" in update:
+        try:
+            update["scheduleRules"] = normalize_schedule_rules(update["scheduleRules"])
+        except ScheduleRulesError as error:
+            raise HTTPException(
+                status_code=422,
+                detail=f"Invalid schedule rules: {error}",
+            ) from error
+
+    try:
+        if "showTimezone" in update:
+            update["showTimezone"] = normalize_show_timezone(update["showTimezone"])
+        if "releaseTime" in update:
+            update["releaseTime"] = normalize_release_time(update["releaseTime"])
+    except ShowTimeError as error:
+        raise HTTPException(status_code=422, detail=f"Invalid release timing: {error}") from error
+
     merged.update(update)
     return merged
 
@@ -159,39 +208,44 @@ async def _guard_revision(db: AsyncSession, if_match: str | None) -> None:
         ) from error
 
 
-async def _export_state(db: AsyncSession) -> dict:
-    (
-        config,
-        ideas,
-        jokes,
-        songs,
-        guests,
-        guest_assignments,
-        show_slots,
-        assignments,
-        revision,
-    ) = (
-        await get_config(db),
-        await get_ideas(db),
-        await get_jokes(db),
-        await get_songs(db),
-        await get_guests(db),
-        await get_guest_assignments(db),
-        await get_show_slots(db),
-        await get_assignments(db),
-        await get_data_revision(db),
-    )
-    return {
-        "config": _public_config(config),
-        "ideas": ideas,
-        "jokes": jokes,
-        "songs": songs,
-        "guests": guests,
-        "guestAssignments": guest_assignments,
-        "showSlots": show_slots,
-        "assignments": assignments,
-        "revision": revision,
+async def _export_state(db: AsyncSession, keys: set[str] | None = None) -> dict:
+    """Export every key, or only ``keys``, together with the data revision."""
+    loaders = {
+        "config": lambda: _load_public_config(db),
+        "ideas": lambda: get_ideas(db),
+        "jokes": lambda: get_jokes(db),
+        "songs": lambda: get_songs(db),
+        "guests": lambda: get_guests(db),
+        "guestAssignments": lambda: get_guest_assignments(db),
+        "showSlots": lambda: get_show_slots(db),
+        "assignments": lambda: get_assignments(db),
     }
+    state: dict = {}
+    for key, load in loaders.items():
+        if keys is None or key in keys:
+            state[key] = await load()
+    state["revision"] = await get_data_revision(db)
+    return state
+
+
+async def _load_public_config(db: AsyncSession) -> dict:
+    return _public_config(await get_config(db))
+
+
+async def _audited_state(
+    db: AsyncSession,
+    user: dict,
+    action: str,
+    before: dict,
+    keys: set[str] | None = None,
+) -> dict:
+    """Export the state after a mutation, log every record that changed since
+    ``before``, which the route exported just before mutating, and move removed
+    ideas, jokes, songs, and guests to the trash."""
+    state = await _export_state(db, keys)
+    await record_state_changes(db, user, action=action, before=before, after=state)
+    await trash_removed_records(db, user, before=before, after=state)
+    return state
 
 
 def _mutation_response(state: dict, data: Any | None = None) -> dict:
@@ -203,12 +257,66 @@ def _mutation_response(state: dict, data: Any | None = None) -> dict:
     }
 
 
+# The action a full-array save of each key needs. Dropping ideas, jokes,
+# songs, or guests from the array deletes them, which needs planning.delete.
+_KEY_ACTIONS = {
+    "config": "config.edit",
+    "ideas": "planning.edit",
+    "jokes": "planning.edit",
+    "songs": "planning.edit",
+    "guests": "planning.edit",
+    "guestAssignments": "planning.edit",
+    "showSlots": "schedule.edit",
+    "assignments": "schedule.edit",
+}
+_DELETABLE_KEYS = ("ideas", "jokes", "songs", "guests")
+# The action reading each key needs. Every page loads config, so any session
+# may read it (secrets stay server-side); the rest is planning data.
+_KEY_VIEW_ACTIONS = {
+    "config": None,
+    "ideas": "planning.view",
+    "jokes": "planning.view",
+    "songs": "planning.view",
+    "guests": "planning.view",
+    "guestAssignments": "planning.view",
+    "showSlots": "planning.view",
+    "assignments": "planning.view",
+}
+
+
+def _ensure_may_view(session: dict, keys: set[str]) -> None:
+    for key in sorted(keys):
+        action = _KEY_VIEW_ACTIONS[key]
+        if action is not None:
+            ensure_permission(session, action)
+
+
+def _ensure_may_remove(session: dict, key: str, before: dict, body: Any) -> None:
+    if key not in _DELETABLE_KEYS or not isinstance(body, list) or can(session, "planning.delete"):
+        return
+    kept = {item.get("id") for item in body if isinstance(item, dict)}
+    if any(record["id"] not in kept for record in before[key]):
+        ensure_permission(session, "planning.delete")
+
+
 @router.get("/export")
 async def export_all(
+    keys: str | None = None,
     _user: dict = Depends(require_auth),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
-    return await _export_state(db)
+    if keys is None:
+        _ensure_may_view(_user, _ALLOWED_KEYS)
+        return await _export_state(db)
+    requested = {key.strip() for key in keys.split(",") if key.strip()}
+    unknown = requested - _ALLOWED_KEYS
+    if unknown:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Unknown keys: {', '.join(sorted(unknown))}",
+        )
+    _ensure_may_view(_user, requested)
+    return await _export_state(db, requested)
 
 
 @router.get("/data/{key}")
@@ -219,6 +327,7 @@ async def get_data(
 ) -> Any:
     if key not in _ALLOWED_KEYS:
         raise HTTPException(status_code=400, detail=f"Unknown key: {key!r}")
+    _ensure_may_view(_user, {key})
     if key == "config":
         return _public_config(await get_config(db))
     if key == "ideas":
@@ -246,7 +355,10 @@ async def put_data(
 ) -> dict:
     if key not in _ALLOWED_KEYS:
         raise HTTPException(status_code=400, detail=f"Unknown key: {key!r}")
+    ensure_permission(_user, _KEY_ACTIONS[key])
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
+    _ensure_may_remove(_user, key, before, body)
 
     if key == "config":
         if not isinstance(body, dict):
@@ -262,7 +374,10 @@ async def put_data(
     elif key == "ideas":
         if not isinstance(body, list):
             raise HTTPException(status_code=422, detail="ideas must be an array")
-        await replace_ideas(db, body)
+        try:
+            await replace_ideas(db, body)
+        except (EpisodeTypeError, RunSheetError, ShowNotesError) as error:
+            raise HTTPException(status_code=422, detail=str(error)) from error
         saved = await get_ideas(db)
     elif key == "jokes":
         if not isinstance(body, list):
@@ -305,7 +420,10 @@ async def put_data(
     elif key == "showSlots":
         if not isinstance(body, list):
             raise HTTPException(status_code=422, detail="showSlots must be an array")
-        await replace_show_slots(db, body)
+        try:
+            await replace_show_slots(db, body)
+        except EpisodeTypeError as error:
+            raise HTTPException(status_code=422, detail=str(error)) from error
         saved = await get_show_slots(db)
     else:
         if not isinstance(body, dict):
@@ -316,17 +434,31 @@ async def put_data(
             raise HTTPException(status_code=422, detail=str(error)) from error
         saved = await get_assignments(db)
 
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, f"Save {key}", before)
     return _mutation_response(state, saved)
 
 
+@router.post("/import/preview")
+async def bulk_import_preview(
+    body: dict,
+    _user: dict = Depends(require_permission("data.import")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Validate ``body`` and report what a merge or a replace would change,
+    without writing anything."""
+    return preview_import(await _export_state(db), body)
+
+
 @router.put("/import")
 async def bulk_import(
     body: dict,
+    mode: str = "replace",
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("data.import")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
+    if mode not in IMPORT_MODES:
+        raise HTTPException(status_code=422, detail="mode must be merge or replace")
     unknown_keys = set(body) - _ALLOWED_KEYS
     if unknown_keys:
         raise HTTPException(
@@ -349,6 +481,15 @@ async def bulk_import(
             raise HTTPException(status_code=422, detail=f"{key} must be an {type_name}")
 
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
+    if mode == "merge":
+        body = merge_import(before, body)
+    dangling = dangling_references({**before, **body}, list(body))
+    if dangling:
+        raise HTTPException(
+            status_code=422,
+            detail=f"Import would leave dangling references: {'; '.join(dangling)}",
+        )
     preserved_guest_pairs = {
         (item["guestId"], item["ideaId"]) for item in (await get_guest_assignments(db))
     }
@@ -361,7 +502,10 @@ async def bulk_import(
         )
         await save_config(db, merged)
     if "ideas" in body:
-        await replace_ideas(db, body["ideas"])
+        try:
+            await replace_ideas(db, body["ideas"])
+        except (EpisodeTypeError, RunSheetError, ShowNotesError) as error:
+            raise HTTPException(status_code=422, detail=str(error)) from error
     if "jokes" in body:
         try:
             await replace_jokes(db, body["jokes"])
@@ -380,7 +524,10 @@ async def bulk_import(
         except GuestLifecycleError as error:
             raise HTTPException(status_code=409, detail=str(error)) from error
     if "showSlots" in body:
-        await replace_show_slots(db, body["showSlots"])
+        try:
+            await replace_show_slots(db, body["showSlots"])
+        except EpisodeTypeError as error:
+            raise HTTPException(status_code=422, detail=str(error)) from error
     if "assignments" in body:
         try:
             await replace_assignments(db, body["assignments"])
@@ -397,7 +544,9 @@ async def bulk_import(
             raise HTTPException(status_code=422, detail=str(error)) from error
         except GuestLifecycleError as error:
             raise HTTPException(status_code=409, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(
+        db, _user, "Merge import" if mode == "merge" else "Import data", before
+    )
     return _mutation_response(state)
 
 
@@ -406,17 +555,18 @@ async def put_joke_assignment(
     joke_id: str,
     body: JokeAssignmentRequest,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     if not body.ideaId.strip():
         raise HTTPException(status_code=422, detail="ideaId must not be empty")
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await assign_joke_to_idea(db, joke_id, body.ideaId.strip())
     except DataNotFoundError as error:
         raise HTTPException(status_code=404, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Assign joke", before)
     return _mutation_response(state, state["jokes"])
 
 
@@ -424,15 +574,16 @@ async def put_joke_assignment(
 async def delete_joke_assignment(
     joke_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await free_joke(db, joke_id)
     except DataNotFoundError as error:
         raise HTTPException(status_code=404, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Free joke", before)
     return _mutation_response(state, state["jokes"])
 
 
@@ -440,15 +591,16 @@ async def delete_joke_assignment(
 async def delete_one_idea(
     idea_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.delete")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await delete_idea(db, idea_id)
     except DataNotFoundError as error:
         raise HTTPException(status_code=404, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Delete idea", before)
     return _mutation_response(
         state,
         {
@@ -467,17 +619,18 @@ async def put_schedule_assignment(
     slot_id: str,
     body: ScheduleAssignmentRequest,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("schedule.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     if not body.ideaId.strip():
         raise HTTPException(status_code=422, detail="ideaId must not be empty")
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await assign_idea_to_slot(db, body.ideaId.strip(), slot_id)
     except DataNotFoundError as error:
         raise HTTPException(status_code=404, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Schedule idea", before)
     return _mutation_response(
         state,
         {"ideas": state["ideas"], "assignments": state["assignments"]},
@@ -488,16 +641,147 @@ async def put_schedule_assignment(
 async def delete_schedule_assignment(
     slot_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("schedule.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await unassign_idea_from_slot(db, slot_id)
     except DataNotFoundError as error:
         raise HTTPException(status_code=404, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Unschedule idea", before)
     return _mutation_response(
         state,
         {"ideas": state["ideas"], "assignments": state["assignments"]},
     )
+
+
+# ---------------------------------------------------------------------------
+# POST /api/schedule/slot-edits — insert, remove, or renumber slots
+# ---------------------------------------------------------------------------
+
+
+async def _plan_slot_edit(db: AsyncSession, edit: dict) -> dict:
+    config = await get_config(db)
+    try:
+        return plan_slot_edit(
+            await get_show_slots(db),
+            await get_assignments(db),
+            await get_ideas(db),
+            config,
+            edit,
+            released_through=latest_released_date(config),
+            post_production=await get_slot_post_production(db),
+        )
+    except SlotEditError as error:
+        raise HTTPException(status_code=422, detail=f"Invalid slot edit: {error}") from error
+
+
+@router.post("/schedule/slot-edits/preview")
+async def preview_slot_edit(
+    body: dict,
+    _user: dict = Depends(require_permission("schedule.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """The dry-run diff of a slot edit; nothing is written."""
+    return preview(await _plan_slot_edit(db, body))
+
+
+@router.post("/schedule/slot-edits")
+async def post_slot_edit(
+    body: dict,
+    if_match: str | None = Header(default=None, alias="If-Match"),
+    _user: dict = Depends(require_permission("schedule.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    await _guard_revision(db, if_match)
+    before = await _export_state(db)
+    plan = await _plan_slot_edit(db, body)
+    await apply_slot_edit(db, plan)
+    action = {"insert": "Insert show slot", "remove": "Remove show slot"}.get(
+        plan["action"], "Renumber episodes"
+    )
+    state = await _audited_state(db, _user, action, before)
+    return {**_mutation_response(state), "preview": preview(plan)}
+
+
+# ---------------------------------------------------------------------------
+# PATCH /api/ideas/{id}, /api/jokes/{id}, /api/show-slots/{id}
+# ---------------------------------------------------------------------------
+#
+# Record patches are guarded by the record's own version instead of the
+# global If-Match revision, so edits to different records never collide. They
+# still bump the data revision so full-array writers and live sync notice.
+# The response carries only the saved record; a client whose revision is one
+# behind ``revision`` can apply it in place, anything else reloads.
+
+
+async def _apply_record_patch(
+    db: AsyncSession,
+    user: dict,
+    key: str,
+    patch,
+    record_id: str,
+    body: RecordPatchRequest,
+    action: str,
+) -> dict:
+    before = await _export_state(db, {key})
+    try:
+        record, _changed = await patch(db, record_id, body.version, body.changes)
+    except DataNotFoundError as error:
+        raise HTTPException(status_code=404, detail=str(error)) from error
+    except RecordVersionConflictError as error:
+        raise HTTPException(
+            status_code=409,
+            detail={
+                "message": "This record changed after this page loaded.",
+                "currentVersion": error.current["version"],
+                "record": error.current,
+            },
+        ) from error
+    except (RecordPatchError, JokeContractError) as error:
+        raise HTTPException(status_code=422, detail=str(error)) from error
+    state = await _audited_state(db, user, action, before, {key})
+    return {
+        "ok": True,
+        "key": key,
+        "data": record,
+        "revision": state["revision"],
+    }
+
+
+@router.patch("/ideas/{idea_id}")
+async def patch_one_idea(
+    idea_id: str,
+    body: RecordPatchRequest,
+    _user: dict = Depends(require_permission("planning.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    return await _apply_record_patch(
+        db, _user, "ideas", patch_idea, idea_id, body, "Update idea"
+    )
+
+
+@router.patch("/jokes/{joke_id}")
+async def patch_one_joke(
+    joke_id: str,
+    body: RecordPatchRequest,
+    _user: dict = Depends(require_permission("planning.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    return await _apply_record_patch(
+        db, _user, "jokes", patch_joke, joke_id, body, "Update joke"
+    )
+
+
+@router.patch("/show-slots/{slot_id}")
+async def patch_one_show_slot(
+    slot_id: str,
+    body: RecordPatchRequest,
+    _user: dict = Depends(require_permission("schedule.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    return await _apply_record_patch(
+        db, _user, "showSlots", patch_show_slot, slot_id, body, "Update show slot"
+    )
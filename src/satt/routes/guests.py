@@ -4,7 +4,6 @@ from fastapi import APIRouter, Depends, Header, HTTPException
 from pydantic import BaseModel
 from sqlalchemy.ext.asyncio import AsyncSession
 
-from satt.auth import require_auth
 from satt.database import get_db
 from satt.guest_contract import GuestContractError
 from satt.guest_crud import (
@@ -15,7 +14,13 @@ from satt.guest_crud import (
     set_guest_status,
     unassign_guest_from_idea,
 )
-from satt.routes.data import _export_state, _guard_revision, _mutation_response
+from satt.permissions import require_permission
+from satt.routes.data import (
+    _audited_state,
+    _export_state,
+    _guard_revision,
+    _mutation_response,
+)
 
 
 router = APIRouter()
@@ -38,15 +43,16 @@ async def put_guest_assignment(
     guest_id: str,
     idea_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await assign_guest_to_idea(db, guest_id, idea_id)
     except (GuestNotFoundError, GuestLifecycleError, GuestContractError) as error:
         raise _translate(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Assign guest", before)
     return _mutation_response(
         state,
         {"guests": state["guests"], "guestAssignments": state["guestAssignments"]},
@@ -58,15 +64,16 @@ async def delete_guest_assignment(
     guest_id: str,
     idea_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await unassign_guest_from_idea(db, guest_id, idea_id)
     except GuestContractError as error:
         raise _translate(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Unassign guest", before)
     return _mutation_response(
         state,
         {"guests": state["guests"], "guestAssignments": state["guestAssignments"]},
@@ -78,15 +85,16 @@ async def put_guest_status(
     guest_id: str,
     body: GuestStatusRequest,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await set_guest_status(db, guest_id, body.status)
     except (GuestNotFoundError, GuestContractError) as error:
         raise _translate(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Update guest status", before)
     return _mutation_response(state, state["guests"])
 
 
@@ -94,13 +102,14 @@ async def put_guest_status(
 async def delete_one_guest(
     guest_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.delete")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await delete_guest(db, guest_id)
     except (GuestNotFoundError, GuestLifecycleError, GuestContractError) as error:
         raise _translate(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Delete guest", before)
     return _mutation_response(state, state["guests"])
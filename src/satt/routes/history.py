@@ -0,0 +1,87 @@
+"""Per-record change history from the audit log, and single-record revert."""
+
+from __future__ import annotations
+
+from fastapi import APIRouter, Depends, Header, HTTPException
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.audit import (
+    AUDITED_KEYS,
+    is_revertible,
+    list_history,
+    revert_entry,
+)
+from satt.auth import require_auth
+from satt.crud import DataNotFoundError
+from satt.database import get_db
+from satt.guest_crud import GuestLifecycleError, GuestNotFoundError
+from satt.permissions import ensure_permission, require_permission
+from satt.routes.data import (
+    _audited_state,
+    _export_state,
+    _guard_revision,
+    _mutation_response,
+)
+from satt.serializers import serialize_audit_entry
+
+router = APIRouter()
+
+# The action reading each kind's history needs; entries carry whole records.
+_HISTORY_PERMISSIONS = {
+    **{key: "planning.view" for key in AUDITED_KEYS},
+    "top3Concepts": "top3.use",
+    "top3Assignments": "top3.use",
+    "top3Submissions": "top3.use",
+    "top3Reveals": "top3.use",
+}
+
+
+# ---------------------------------------------------------------------------
+# GET /api/history/{kind}/{record_id}
+# ---------------------------------------------------------------------------
+
+
+@router.get("/history/{kind}/{record_id}")
+async def get_record_history(
+    kind: str,
+    record_id: str,
+    _user: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    if kind not in _HISTORY_PERMISSIONS:
+        raise HTTPException(status_code=400, detail=f"Unknown history kind: {kind!r}")
+    ensure_permission(_user, _HISTORY_PERMISSIONS[kind])
+    entries = await list_history(db, kind, record_id)
+    return {
+        "entries": [
+            serialize_audit_entry(entry, revertible=is_revertible(entry))
+            for entry in entries
+        ]
+    }
+
+
+# ---------------------------------------------------------------------------
+# POST /api/history/{entry_id}/revert
+# ---------------------------------------------------------------------------
+
+
+@router.post("/history/{entry_id}/revert")
+async def post_history_revert(
+    entry_id: int,
+    if_match: str | None = Header(default=None, alias="If-Match"),
+    _user: dict = Depends(require_permission("history.revert")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    await _guard_revision(db, if_match)
+    before = await _export_state(db)
+    try:
+        entry = await revert_entry(db, entry_id)
+    except (DataNotFoundError, GuestNotFoundError) as error:
+        raise HTTPException(status_code=404, detail=str(error)) from error
+    except GuestLifecycleError as error:
+        raise HTTPException(status_code=409, detail=str(error)) from error
+    except ValueError as error:
+        # AuditRevertError and the joke, song, and guest contract errors.
+        raise HTTPException(status_code=422, detail=str(error)) from error
+    state = await _audited_state(db, _user, f"Revert “{entry.action}”", before)
+    return _mutation_response(state)
@@ -0,0 +1,107 @@
+"""Live sync routes: revision event stream and editing presence."""
+
+from __future__ import annotations
+
+import jwt
+from fastapi import APIRouter, Depends, HTTPException, Query, Request
+from fastapi.responses import StreamingResponse
+from pydantic import BaseModel
+
+from satt.auth import create_stream_ticket, decode_stream_ticket, require_auth
+from satt.config import get_settings
+from satt.crud import get_data_revision
+from satt.database import get_session_factory
+from satt.live import PresenceError, event_stream, presence
+from satt.routes.data import _export_state
+
+router = APIRouter()
+
+
+class PresenceRecord(BaseModel):
+    kind: str
+    id: str
+
+
+class PresenceRequest(BaseModel):
+    clientId: str
+    records: list[PresenceRecord] = []
+
+
+# ---------------------------------------------------------------------------
+# POST /api/events/ticket
+# ---------------------------------------------------------------------------
+
+
+@router.post("/events/ticket")
+async def post_events_ticket(_user: dict = Depends(require_auth)) -> dict:
+    return {"ticket": create_stream_ticket(_user)}
+
+
+# ---------------------------------------------------------------------------
+# GET /api/events  (text/event-stream)
+# ---------------------------------------------------------------------------
+
+
+@router.get("/events")
+async def get_events(request: Request, ticket: str = Query(...)) -> StreamingResponse:
+    try:
+        decode_stream_ticket(ticket)
+    except jwt.ExpiredSignatureError as error:
+        raise HTTPException(status_code=401, detail="Ticket expired") from error
+    except jwt.InvalidTokenError as error:
+        raise HTTPException(status_code=401, detail="Invalid ticket") from error
+
+    # The stream outlives any single request-scoped session, so each poll
+    # opens and closes its own short session.
+    factory = get_session_factory()
+
+    async def load_revision() -> int:
+        async with factory() as db:
+            return await get_data_revision(db)
+
+    async def load_state() -> dict:
+        async with factory() as db:
+            return await _export_state(db)
+
+    # A ticket is checked only when the stream opens, so the stream ends when
+    # an access token would have, and the client must ask for a new ticket.
+    return StreamingResponse(
+        event_stream(
+            load_revision=load_revision,
+            load_state=load_state,
+            is_disconnected=request.is_disconnected,
+            lifetime_seconds=get_settings().jwt_expire_minutes * 60,
+        ),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
+# ---------------------------------------------------------------------------
+# GET/PUT /api/presence
+# ---------------------------------------------------------------------------
+
+
+@router.get("/presence")
+async def get_presence(_user: dict = Depends(require_auth)) -> dict:
+    return {"presence": presence.snapshot()}
+
+
+@router.put("/presence")
+async def put_presence(
+    body: PresenceRequest,
+    _user: dict = Depends(require_auth),
+) -> dict:
+    client_id = body.clientId.strip()
+    if not client_id:
+        raise HTTPException(status_code=422, detail="clientId must not be empty")
+    try:
+        presence.update(
+            _user.get("user_id"),
+            client_id,
+            _user.get("username") or "someone",
+            [record.model_dump() for record in body.records],
+        )
+    except PresenceError as error:
+        raise HTTPException(status_code=422, detail=str(error)) from error
+    return {"presence": presence.snapshot()}
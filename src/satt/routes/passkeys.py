@@ -0,0 +1,156 @@
+"""Passkey routes: register and manage your own passkeys, and sign in with one."""
+
+from __future__ import annotations
+
+from datetime import datetime, timezone
+
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel, Field
+from sqlalchemy import select
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import require_auth
+from satt.database import get_db
+from satt.models import Passkey, User
+from satt.passkeys import (
+    PasskeyError,
+    authentication_options,
+    decode_ticket,
+    registration_options,
+    spend_login_ticket,
+    verify_authentication,
+    verify_registration,
+)
+from satt.routes.auth import _new_session
+from satt.serializers import serialize_passkey
+
+router = APIRouter()
+
+
+class PasskeyRegistration(BaseModel):
+    ticket: str
+    credential: dict
+    name: str = Field(default="Passkey", max_length=100)
+
+
+class PasskeyLogin(BaseModel):
+    ticket: str
+    credential: dict
+
+
+async def _current_user(db: AsyncSession, session: dict) -> User:
+    user = await db.get(User, session.get("user_id"))
+    if user is None or not user.is_active:
+        raise HTTPException(status_code=401, detail="Session expired")
+    return user
+
+
+async def _passkeys(db: AsyncSession, user_id: int) -> list[Passkey]:
+    result = await db.execute(
+        select(Passkey).where(Passkey.user_id == user_id).order_by(Passkey.created_at)
+    )
+    return list(result.scalars())
+
+
+# ---------------------------------------------------------------------------
+# Your passkeys (any authenticated user)
+# ---------------------------------------------------------------------------
+
+
+@router.get("/auth/passkeys")
+async def list_passkeys(
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> list[dict]:
+    user = await _current_user(db, session)
+    return [serialize_passkey(passkey) for passkey in await _passkeys(db, user.id)]
+
+
+@router.post("/auth/passkeys/register/options")
+async def passkey_registration_options(
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    user = await _current_user(db, session)
+    return registration_options(user, await _passkeys(db, user.id))
+
+
+@router.post("/auth/passkeys", status_code=201)
+async def register_passkey(
+    body: PasskeyRegistration,
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    user = await _current_user(db, session)
+    try:
+        ticket = decode_ticket(body.ticket, "passkey-register")
+        if ticket.get("user_id") != user.id:
+            raise PasskeyError("Invalid passkey request")
+        verified = verify_registration(ticket, body.credential)
+    except PasskeyError as error:
+        raise HTTPException(status_code=400, detail=str(error)) from error
+
+    existing = await db.scalar(
+        select(Passkey.id).where(Passkey.credential_id == verified["credential_id"])
+    )
+    if existing is not None:
+        raise HTTPException(status_code=409, detail="This passkey is already registered")
+    passkey = Passkey(
+        user_id=user.id,
+        name=body.name.strip() or "Passkey",
+        created_at=datetime.now(timezone.utc),
+        **verified,
+    )
+    db.add(passkey)
+    await db.flush()
+    return serialize_passkey(passkey)
+
+
+@router.delete("/auth/passkeys/{passkey_id}")
+async def delete_passkey(
+    passkey_id: int,
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    user = await _current_user(db, session)
+    passkey = await db.get(Passkey, passkey_id)
+    # Someone else's passkey looks the same as a missing one.
+    if passkey is None or passkey.user_id != user.id:
+        raise HTTPException(status_code=404, detail="Passkey not found")
+    await db.delete(passkey)
+    await db.flush()
+    return {"ok": True}
+
+
+# ---------------------------------------------------------------------------
+# Sign in with a passkey (public)
+# ---------------------------------------------------------------------------
+
+
+@router.post("/auth/passkeys/login/options")
+async def passkey_login_options() -> dict:
+    return authentication_options()
+
+
+@router.post("/auth/passkeys/login")
+async def login_with_passkey(body: PasskeyLogin, db: AsyncSession = Depends(get_db)) -> dict:
+    credential_id = body.credential.get("id")
+    passkey = (
+        await db.scalar(
+            select(Passkey).where(Passkey.credential_id == credential_id).with_for_update()
+        )
+        if isinstance(credential_id, str)
+        else None
+    )
+    user = await db.get(User, passkey.user_id) if passkey is not None else None
+    if user is None or not user.is_active:
+        raise HTTPException(status_code=401, detail="This passkey is not registered")
+    try:
+        ticket = decode_ticket(body.ticket, "passkey-login")
+        await spend_login_ticket(db, ticket)
+        passkey.sign_count = verify_authentication(ticket, body.credential, passkey)
+    except PasskeyError as error:
+        raise HTTPException(status_code=401, detail=str(error)) from error
+    passkey.last_used_at = datetime.now(timezone.utc)
+    await db.flush()
+    return await _new_session(db, user)
@@ -10,19 +10,31 @@ from fastapi import APIRouter, Depends, HTTPException
 from pydantic import BaseModel
 from sqlalchemy.ext.asyncio import AsyncSession
 
-from satt.auth import require_auth
 from satt.config import get_settings
 from satt.crud import (
     get_config,
-    get_pending_transcription_jobs,
+    get_corrected_transcript,
+    get_drive_sync,
     get_postproduction_queue,
     get_slots_for_scan,
+    get_whisperx_transcript,
+    lock_transcription_job,
     set_asset_inventory,
+    set_corrected_transcript,
     set_production_file_key,
     set_transcription_job,
+    touch_transcription_job,
 )
 from satt.database import get_db
+from satt.drive_sync import (
+    build_scan_config,
+    cache_whisperx_transcript,
+    is_enabled,
+    missing_scan_config,
+    sync_status,
+)
 from satt.gdrive import (
+    GoogleDrive,
     build_asset_inventory,
     delete_file,
     fetch_file_content,
@@ -30,6 +42,29 @@ from satt.gdrive import (
     get_drive_access_token,
     upload_file_to_folder,
 )
+from satt.permissions import require_permission
+from satt.transcription_jobs import (
+    TranscriptionJobError,
+    cancel,
+    duration_seconds,
+    expire_orphan,
+    finish,
+    is_due,
+    is_orphaned,
+    new_job,
+    report_progress,
+    worker_name,
+    workers,
+)
+from satt.transcripts import (
+    TranscriptError,
+    is_current_whisperx_cache,
+    normalize_corrected_transcript,
+    paragraph_starts,
+    parse_transcript,
+    transcript_paragraphs,
+    utterance_starts,
+)
 
 router = APIRouter()
 
@@ -40,7 +75,7 @@ class SetKeyRequest(BaseModel):
 
 @router.get("/postproduction")
 async def get_postproduction(
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.view")),
     db: AsyncSession = Depends(get_db),
 ) -> list:
     return await get_postproduction_queue(db)
@@ -50,7 +85,7 @@ async def get_postproduction(
 async def put_production_key(
     slot_id: str,
     body: SetKeyRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await set_production_file_key(db, slot_id, body.productionFileKey)
@@ -64,7 +99,7 @@ async def put_production_key(
 @router.get("/postproduction/{slot_id}/art-direction")
 async def get_slot_art_direction(
     slot_id: str,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.view")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     """Fetch the stored art direction JSON from Drive for a slot."""
@@ -101,6 +136,132 @@ async def get_slot_art_direction(
         raise HTTPException(status_code=500, detail=f"Art direction file is not valid JSON: {e}")
 
 
+async def _queue_row(db: AsyncSession, slot_id: str, *, lock: bool = False) -> dict:
+    """The slot's queue row. ``lock`` holds the slot until the request ends, for
+    routes that change its transcription job based on what they read."""
+    if lock and not await lock_transcription_job(db, slot_id):
+        raise HTTPException(status_code=404, detail="Slot not found")
+    queue = await get_postproduction_queue(db)
+    row = next((r for r in queue if r["slotId"] == slot_id), None)
+    if row is None:
+        raise HTTPException(status_code=404, detail="Slot not found")
+    return row
+
+
+async def _fetch_whisperx_transcript(row: dict) -> dict:
+    """Download and parse the slot's scanned ``Transcript_<key>.json``."""
+    inv = row.get("assetInventory") or {}
+    file_id = inv.get("transcript_json", {}).get("drive_file_id")
+    if not file_id:
+        raise HTTPException(status_code=404, detail="No transcript JSON found for this slot")
+
+    settings = get_settings()
+    if not all([
+        settings.google_oauth_client_id,
+        settings.google_oauth_client_secret,
+        settings.google_oauth_refresh_token,
+    ]):
+        raise HTTPException(status_code=400, detail="Google Drive OAuth not configured")
+
+    try:
+        access_token = await get_drive_access_token(
+            settings.google_oauth_client_id,
+            settings.google_oauth_client_secret,
+            settings.google_oauth_refresh_token,
+        )
+        content = await fetch_file_content(access_token, file_id)
+    except (httpx.HTTPStatusError, httpx.RequestError) as e:
+        raise HTTPException(status_code=500, detail=f"Failed to fetch transcript from Drive: {e}")
+    try:
+        return parse_transcript(content)
+    except TranscriptError as e:
+        raise HTTPException(status_code=422, detail=str(e)) from e
+
+
+async def _load_transcript(db: AsyncSession, row: dict) -> dict:
+    """The corrected transcript, else the WhisperX one as paragraphs.
+
+    ``source`` says which. The copy kept by the last scan saves a download.
+    """
+    corrected = await get_corrected_transcript(db, row["slotId"])
+    if corrected:
+        return {"source": "corrected", **corrected}
+    cached = await get_whisperx_transcript(db, row["slotId"])
+    # An unreadable file is cached with no paragraphs; fetch it to report why.
+    if is_current_whisperx_cache(cached, row.get("assetInventory") or {}) and cached["paragraphs"]:
+        return {
+            "source": "whisperx",
+            "speakers": cached["speakers"],
+            "paragraphs": cached["paragraphs"],
+        }
+    data = await _fetch_whisperx_transcript(row)
+    return {"source": "whisperx", **transcript_paragraphs(data)}
+
+
+@router.get("/postproduction/{slot_id}/transcript-boundaries")
+async def get_transcript_boundaries(
+    slot_id: str,
+    _user: dict = Depends(require_permission("postproduction.view")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Where each utterance in the slot's transcript starts, for chapter markers.
+
+    A corrected transcript is used when there is one; its paragraphs start
+    where a speaker starts talking.
+    """
+    row = await _queue_row(db, slot_id)
+    corrected = await get_corrected_transcript(db, slot_id)
+    if corrected:
+        return {"boundaries": paragraph_starts(corrected)}
+    return {"boundaries": utterance_starts(await _fetch_whisperx_transcript(row))}
+
+
+@router.get("/postproduction/{slot_id}/transcript")
+async def get_transcript(
+    slot_id: str,
+    _user: dict = Depends(require_permission("postproduction.view")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """The slot's corrected transcript, or the WhisperX one split into paragraphs."""
+    return await _load_transcript(db, await _queue_row(db, slot_id))
+
+
+class SaveTranscriptRequest(BaseModel):
+    speakers: dict
+    paragraphs: list
+
+
+@router.put("/postproduction/{slot_id}/transcript")
+async def save_transcript(
+    slot_id: str,
+    body: SaveTranscriptRequest,
+    user: dict = Depends(require_permission("postproduction.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Save host corrections. The WhisperX files in Drive are left untouched."""
+    await _queue_row(db, slot_id)
+    try:
+        transcript = normalize_corrected_transcript(body.model_dump())
+    except TranscriptError as e:
+        raise HTTPException(status_code=422, detail=str(e)) from e
+    transcript["savedAt"] = datetime.now(timezone.utc).isoformat()
+    transcript["savedBy"] = user.get("username")
+    await set_corrected_transcript(db, slot_id, transcript)
+    return {"source": "corrected", **transcript}
+
+
+@router.delete("/postproduction/{slot_id}/transcript")
+async def discard_transcript_corrections(
+    slot_id: str,
+    _user: dict = Depends(require_permission("postproduction.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Go back to the WhisperX transcript. Returns the updated queue row."""
+    await _queue_row(db, slot_id)
+    await set_corrected_transcript(db, slot_id, None)
+    return await _queue_row(db, slot_id)
+
+
 class SaveArtDirectionRequest(BaseModel):
     topics: list[str]
     tone: str
@@ -117,7 +278,7 @@ class SaveArtDirectionRequest(BaseModel):
 async def save_art_direction(
     slot_id: str,
     body: SaveArtDirectionRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     """Save a manually edited art direction JSON back to Drive."""
@@ -193,82 +354,156 @@ async def save_art_direction(
 @router.post("/postproduction/{slot_id}/transcribe")
 async def request_transcription(
     slot_id: str,
-    _user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
-    """Queue a transcription job for the watcher to pick up."""
-    queue = await get_postproduction_queue(db)
-    row = next((r for r in queue if r["slotId"] == slot_id), None)
-    if row is None:
-        raise HTTPException(status_code=404, detail="Slot not found")
+    """Queue a transcription job for the watcher to pick up, or queue it again."""
+    row = await _queue_row(db, slot_id, lock=True)
     if not row.get("productionFileKey"):
         raise HTTPException(status_code=400, detail="Production file key not set — set it before transcribing")
+    now = datetime.now(timezone.utc)
+    job = row.get("transcriptionJob")
+    if job and job.get("status") == "in_progress" and not is_orphaned(job, now):
+        raise HTTPException(
+            status_code=409,
+            detail=f"Transcription is running on {job.get('worker') or 'the watcher'}; cancel it first",
+        )
+
+    await set_transcription_job(db, slot_id, new_job(now, user.get("username")))
+    return await _queue_row(db, slot_id)
 
-    job = {"status": "pending", "requestedAt": datetime.now(timezone.utc).isoformat()}
+
+@router.post("/postproduction/{slot_id}/transcribe/cancel")
+async def cancel_transcription(
+    slot_id: str,
+    user: dict = Depends(require_permission("postproduction.edit")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Cancel a queued or running job. The watcher stops a running one at its next heartbeat."""
+    row = await _queue_row(db, slot_id, lock=True)
+    try:
+        job = cancel(row.get("transcriptionJob"), datetime.now(timezone.utc), user.get("username"))
+    except TranscriptionJobError as e:
+        raise HTTPException(status_code=409, detail=str(e))
     await set_transcription_job(db, slot_id, job)
+    return await _queue_row(db, slot_id)
 
-    # Return the updated row
+
+async def _expire_orphaned_jobs(db: AsyncSession, now: datetime) -> list[dict]:
+    """The queue, after failing the attempts whose worker stopped reporting."""
     queue = await get_postproduction_queue(db)
-    for r in queue:
-        if r["slotId"] == slot_id:
-            return r
-    raise HTTPException(status_code=404, detail="Slot not found after update")
+    expired = False
+    for row in queue:
+        if not is_orphaned(row.get("transcriptionJob"), now):
+            continue
+        # A heartbeat may have landed since the queue was read.
+        job = (await _queue_row(db, row["slotId"], lock=True)).get("transcriptionJob")
+        if is_orphaned(job, now):
+            await set_transcription_job(db, row["slotId"], expire_orphan(job, now))
+            expired = True
+    return await get_postproduction_queue(db) if expired else queue
 
 
 @router.get("/postproduction/transcription-jobs")
 async def get_transcription_jobs(
-    _user: dict = Depends(require_auth),
+    worker: str | None = None,
+    _user: dict = Depends(require_permission("postproduction.view")),
     db: AsyncSession = Depends(get_db),
 ) -> list:
-    """Return pending transcription jobs. Polled by the local watcher."""
-    return await get_pending_transcription_jobs(db)
+    """Return the jobs due to run. Polled by the local watcher, which checks in by name."""
+    workers.check_in(worker_name(worker))
+    now = datetime.now(timezone.utc)
+    return [
+        {
+            "slotId": row["slotId"],
+            "productionFileKey": row["productionFileKey"],
+            "jobId": row["transcriptionJob"].get("id"),
+            "attempt": row["transcriptionJob"].get("attempt", 1),
+        }
+        for row in await _expire_orphaned_jobs(db, now)
+        if row.get("productionFileKey") and is_due(row.get("transcriptionJob"), now)
+    ]
+
+
+@router.get("/postproduction/transcription-queue")
+async def get_transcription_queue(
+    _user: dict = Depends(require_permission("postproduction.view")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Every slot's latest job with its worker, duration and log tail, and watcher health."""
+    now = datetime.now(timezone.utc)
+    jobs = [
+        {
+            "slotId": row["slotId"],
+            "episodeNumber": row["episodeNumber"],
+            "selectedTitle": row["selectedTitle"],
+            "productionFileKey": row["productionFileKey"],
+            "job": row["transcriptionJob"],
+            "durationSeconds": duration_seconds(row["transcriptionJob"], now),
+        }
+        for row in await _expire_orphaned_jobs(db, now)
+        if row.get("transcriptionJob")
+    ]
+    return {"jobs": jobs, **workers.snapshot()}
 
 
 class TranscriptionStatusRequest(BaseModel):
     status: str  # 'in_progress' | 'done' | 'failed'
     error: str | None = None
+    jobId: str | None = None
+    worker: str | None = None
+    logTail: list[str] | None = None
 
 
 @router.put("/postproduction/{slot_id}/transcribe-status")
 async def update_transcription_status(
     slot_id: str,
     body: TranscriptionStatusRequest,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
-    """Update a transcription job's status. Called by the local watcher."""
+    """Claim a job, report a heartbeat, or finish it. Called by the local watcher.
+
+    409 tells the watcher to stop: the job was cancelled, queued again, or
+    taken over by another worker.
+    """
     allowed = {"in_progress", "done", "failed"}
     if body.status not in allowed:
         raise HTTPException(status_code=400, detail=f"status must be one of: {', '.join(allowed)}")
 
-    job: dict = {"status": body.status, "updatedAt": datetime.now(timezone.utc).isoformat()}
-    if body.error:
-        job["error"] = body.error
-    await set_transcription_job(db, slot_id, job)
+    worker = worker_name(body.worker)
+    workers.check_in(worker)
+    job = (await _queue_row(db, slot_id, lock=True)).get("transcriptionJob")
+    if not job:
+        raise HTTPException(status_code=404, detail="No transcription job for this slot")
+    if body.jobId and job.get("id") and body.jobId != job["id"]:
+        raise HTTPException(status_code=409, detail="This transcription job was replaced")
+
+    now = datetime.now(timezone.utc)
+    heartbeat = body.status == "in_progress" and job.get("status") == "in_progress"
+    try:
+        if body.status == "in_progress":
+            job = report_progress(job, worker, now, body.logTail)
+        else:
+            job = finish(job, body.status, now, error=body.error, lines=body.logTail)
+    except TranscriptionJobError as e:
+        raise HTTPException(status_code=409, detail=str(e))
+    if heartbeat:
+        await touch_transcription_job(db, slot_id, job)
+    else:
+        await set_transcription_job(db, slot_id, job)
     return job
 
 
-def _build_scan_config(settings, db_config: dict) -> dict:
-    """Merge OAuth credentials from settings into the DB config dict."""
-    return {
-        **db_config,
-        "clientId": settings.google_oauth_client_id,
-        "clientSecret": settings.google_oauth_client_secret,
-        "refreshToken": settings.google_oauth_refresh_token,
-    }
+async def _cache_whisperx_transcript(
+    db: AsyncSession, slot_id: str, inventory: dict, config: dict
+) -> None:
+    await cache_whisperx_transcript(db, GoogleDrive(config), slot_id, inventory)
 
 
 def _check_scan_config(settings, db_config: dict) -> None:
     """Raise 400 if Drive credentials or folder IDs are not fully configured."""
-    missing = []
-    if not settings.google_oauth_client_id:
-        missing.append("GOOGLE_OAUTH_CLIENT_ID")
-    if not settings.google_oauth_client_secret:
-        missing.append("GOOGLE_OAUTH_CLIENT_SECRET")
-    if not settings.google_oauth_refresh_token:
-        missing.append("GOOGLE_OAUTH_REFRESH_TOKEN")
-    if not db_config.get("gdriveFolderShowRecordings"):
-        missing.append("gdriveFolderShowRecordings")
+    missing = missing_scan_config(settings, db_config)
     if missing:
         raise HTTPException(
             status_code=400,
@@ -276,16 +511,27 @@ def _check_scan_config(settings, db_config: dict) -> None:
         )
 
 
+@router.get("/postproduction/sync-status")
+async def get_sync_status(
+    _user: dict = Depends(require_permission("postproduction.view")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """When the Drive changes sync last ran and last changed an inventory, or its error."""
+    settings = get_settings()
+    enabled = is_enabled(settings) and not missing_scan_config(settings, await get_config(db))
+    return sync_status(await get_drive_sync(db), enabled, settings.drive_sync_interval_seconds)
+
+
 @router.post("/postproduction/scan")
 async def scan_all_postproduction(
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     """Scan all eligible slots against Google Drive and update their asset inventories."""
     settings = get_settings()
     db_config = await get_config(db)
     _check_scan_config(settings, db_config)
-    scan_config = _build_scan_config(settings, db_config)
+    scan_config = build_scan_config(settings, db_config)
 
     slots = await get_slots_for_scan(db)
     scanned = 0
@@ -298,6 +544,7 @@ async def scan_all_postproduction(
             )
             await set_asset_inventory(db, slot["slot_id"], inventory)
             scanned += 1
+            await _cache_whisperx_transcript(db, slot["slot_id"], inventory, scan_config)
         except Exception as exc:
             errors.append({"slotId": slot["slot_id"], "error": str(exc)})
 
@@ -307,14 +554,14 @@ async def scan_all_postproduction(
 @router.post("/postproduction/{slot_id}/scan")
 async def scan_single_postproduction(
     slot_id: str,
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("postproduction.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     """Scan a single slot's assets and update its inventory."""
     settings = get_settings()
     db_config = await get_config(db)
     _check_scan_config(settings, db_config)
-    scan_config = _build_scan_config(settings, db_config)
+    scan_config = build_scan_config(settings, db_config)
 
     slots = await get_slots_for_scan(db)
     slot_data = next((s for s in slots if s["slot_id"] == slot_id), None)
@@ -328,6 +575,10 @@ async def scan_single_postproduction(
         slot_data["slot_id"], slot_data["production_file_key"], scan_config
     )
     await set_asset_inventory(db, slot_id, inventory)
+    try:
+        await _cache_whisperx_transcript(db, slot_id, inventory, scan_config)
+    except (httpx.HTTPStatusError, httpx.RequestError):
+        pass  # the scan itself succeeded; search catches up on the next one
 
     queue = await get_postproduction_queue(db)
     for row in queue:
@@ -0,0 +1,32 @@
+"""Archive-wide search for the Ctrl+K palette on every signed-in page."""
+
+from __future__ import annotations
+
+from fastapi import APIRouter, Depends, HTTPException, Query
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import require_auth
+from satt.database import get_db
+from satt.search import SearchError, normalize_query, search_archive
+
+router = APIRouter()
+
+
+# ---------------------------------------------------------------------------
+# GET /api/search?q=
+# ---------------------------------------------------------------------------
+
+
+@router.get("/search")
+async def search(
+    q: str = Query(""),
+    session: dict = Depends(require_auth),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Ideas, outlines, transcripts, jokes, songs, guests, and Top 3 concepts
+    matching ``q``, limited to the kinds the caller's role may open."""
+    try:
+        query = normalize_query(q)
+    except SearchError as exc:
+        raise HTTPException(status_code=422, detail=str(exc)) from exc
+    return await search_archive(db, query, session)
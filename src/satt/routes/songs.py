@@ -4,9 +4,14 @@ from fastapi import APIRouter, Depends, Header, HTTPException
 from pydantic import BaseModel
 from sqlalchemy.ext.asyncio import AsyncSession
 
-from satt.auth import require_auth
 from satt.database import get_db
-from satt.routes.data import _export_state, _guard_revision, _mutation_response
+from satt.permissions import require_permission
+from satt.routes.data import (
+    _audited_state,
+    _export_state,
+    _guard_revision,
+    _mutation_response,
+)
 from satt.song_crud import (
     SongLifecycleError,
     SongNotFoundError,
@@ -36,20 +41,21 @@ async def put_song_assignment(
     song_id: str,
     body: SongAssignmentRequest,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     idea_id = body.ideaId.strip()
     if not idea_id:
         raise HTTPException(status_code=422, detail="ideaId must not be empty")
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await assign_song_to_idea(db, song_id, idea_id)
     except SongNotFoundError as error:
         raise _not_found(error) from error
     except SongLifecycleError as error:
         raise HTTPException(status_code=409, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Assign song", before)
     return _mutation_response(state, state["songs"])
 
 
@@ -57,15 +63,16 @@ async def put_song_assignment(
 async def delete_song_assignment(
     song_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await free_song(db, song_id)
     except SongNotFoundError as error:
         raise _not_found(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Free song", before)
     return _mutation_response(state, state["songs"])
 
 
@@ -74,17 +81,18 @@ async def put_song_status(
     song_id: str,
     body: SongStatusRequest,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.edit")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await set_song_status(db, song_id, body.status)
     except SongNotFoundError as error:
         raise _not_found(error) from error
     except SongLifecycleError as error:
         raise HTTPException(status_code=422, detail=str(error)) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Update song status", before)
     return _mutation_response(state, state["songs"])
 
 
@@ -92,13 +100,14 @@ async def put_song_status(
 async def delete_one_song(
     song_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("planning.delete")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _export_state(db)
     try:
         await delete_song(db, song_id)
     except SongNotFoundError as error:
         raise _not_found(error) from error
-    state = await _export_state(db)
+    state = await _audited_state(db, _user, "Delete song", before)
     return _mutation_response(state, state["songs"])
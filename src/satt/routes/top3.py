@@ -1,21 +1,29 @@
-"""Authenticated Top 3 routes with server-enforced viewer redaction."""
+"""Top 3 routes with server-enforced viewer redaction, plus the guest link."""
 
-from datetime import datetime
+import uuid
+from datetime import datetime, timedelta, timezone
 from typing import Literal
 
 from fastapi import APIRouter, Depends, Header, HTTPException
 from pydantic import BaseModel, ConfigDict, Field
+from sqlalchemy import select
 from sqlalchemy.ext.asyncio import AsyncSession
 
-from satt.auth import require_auth
+from satt.audit import record_change
+from satt.auth import create_top3_guest_token, require_top3_guest
+from satt.config import get_settings
 from satt.crud import get_data_revision
 from satt.database import get_db
+from satt.models import Top3Assignment
+from satt.permissions import require_permission
 from satt.routes.data import _guard_revision
 from satt.top3_contract import (
     Top3ContractError,
     validate_account_submission,
     validate_concept,
     validate_external_submission,
+    validate_guest_link,
+    validate_guest_submission,
 )
 from satt.top3_crud import (
     Top3ConflictError,
@@ -26,12 +34,14 @@ from satt.top3_crud import (
     delete_concept,
     delete_current_submission,
     delete_external_submission,
+    get_guest_view,
     get_viewer_assignment,
     get_spotify_results,
     list_concepts,
     remove_assignment,
     reveal_submission,
     save_current_submission,
+    save_guest_submission,
     update_concept,
     update_external_submission,
 )
@@ -75,6 +85,16 @@ class ExternalSubmissionBody(StrictBody):
     privateDiscussionNotes: str = ""
 
 
+class GuestLinkBody(StrictBody):
+    displayName: str
+    expiresHours: int = 72
+
+
+class GuestSubmissionBody(StrictBody):
+    picks: list[str]
+    privateDiscussionNotes: str = ""
+
+
 class SpotifyResultsBody(StrictBody):
     purpose: Literal["spotify-overview"]
 
@@ -86,6 +106,37 @@ def _user_id(user: dict) -> int:
     return value
 
 
+async def _concept_record(db: AsyncSession, concept_id: str) -> dict | None:
+    concepts = await list_concepts(db)
+    return next((concept for concept in concepts if concept["id"] == concept_id), None)
+
+
+async def _assigned_concept(db: AsyncSession, idea_id: str) -> dict | None:
+    concept_id = (
+        await db.execute(
+            select(Top3Assignment.concept_id).where(Top3Assignment.idea_id == idea_id)
+        )
+    ).scalar_one_or_none()
+    return {"conceptId": concept_id} if concept_id else None
+
+
+async def _audit_submission(
+    db: AsyncSession, user: dict, action: str, idea_id: str, record_id: str
+) -> None:
+    # Picks and notes stay private; the log keeps only who acted and when.
+    await record_change(
+        db,
+        user,
+        action=action,
+        kind="top3Submissions",
+        record_id=record_id,
+        before=None,
+        after=None,
+        idea_id=idea_id,
+        redacted=True,
+    )
+
+
 def _translate(error: Exception) -> HTTPException:
     if isinstance(error, Top3NotFoundError):
         return HTTPException(status_code=404, detail=str(error))
@@ -96,7 +147,7 @@ def _translate(error: Exception) -> HTTPException:
 
 @router.get("/top3/concepts")
 async def get_concepts(
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     return {
@@ -109,7 +160,7 @@ async def get_concepts(
 async def post_concept(
     body: ConceptBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -118,6 +169,15 @@ async def post_concept(
         saved = await create_concept(db, concept, _user_id(user))
     except (Top3ContractError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        user,
+        action="Create Top 3 concept",
+        kind="top3Concepts",
+        record_id=saved["id"],
+        before=None,
+        after=saved,
+    )
     return {"revision": await get_data_revision(db), "concept": saved}
 
 
@@ -126,15 +186,25 @@ async def put_concept(
     concept_id: str,
     body: ConceptBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _concept_record(db, concept_id)
     try:
         concept = validate_concept(body.model_dump(), concept_id=concept_id)
         saved = await update_concept(db, concept)
     except (Top3ContractError, Top3NotFoundError) as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        _user,
+        action="Update Top 3 concept",
+        kind="top3Concepts",
+        record_id=concept_id,
+        before=before,
+        after=saved,
+    )
     return {"revision": await get_data_revision(db), "concept": saved}
 
 
@@ -142,21 +212,31 @@ async def put_concept(
 async def remove_concept(
     concept_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _concept_record(db, concept_id)
     try:
         await delete_concept(db, concept_id)
     except (Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        _user,
+        action="Delete Top 3 concept",
+        kind="top3Concepts",
+        record_id=concept_id,
+        before=before,
+        after=None,
+    )
     return {"revision": await get_data_revision(db), "deleted": True}
 
 
 @router.get("/top3/episodes/{idea_id}")
 async def get_episode_top3(
     idea_id: str,
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     return await get_viewer_assignment(
@@ -168,7 +248,7 @@ async def get_episode_top3(
 async def post_spotify_results(
     idea_id: str,
     _body: SpotifyResultsBody,
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     return {
@@ -183,13 +263,14 @@ async def put_episode_assignment(
     idea_id: str,
     body: AssignmentBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
     concept_id = body.conceptId.strip()
     if not concept_id:
         raise HTTPException(status_code=422, detail="conceptId must not be empty")
+    before = await _assigned_concept(db, idea_id)
     try:
         await assign_concept(
             db,
@@ -199,6 +280,16 @@ async def put_episode_assignment(
         )
     except (Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        user,
+        action="Assign Top 3 concept",
+        kind="top3Assignments",
+        record_id=idea_id,
+        before=before,
+        after=await _assigned_concept(db, idea_id),
+        idea_id=idea_id,
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -208,14 +299,25 @@ async def put_episode_assignment(
 async def delete_episode_assignment(
     idea_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
+    before = await _assigned_concept(db, idea_id)
     try:
         await remove_assignment(db, idea_id)
     except Top3NotFoundError as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        user,
+        action="Remove Top 3 concept",
+        kind="top3Assignments",
+        record_id=idea_id,
+        before=before,
+        after=None,
+        idea_id=idea_id,
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -226,7 +328,7 @@ async def put_current_submission(
     idea_id: str,
     body: SubmissionBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -240,6 +342,9 @@ async def put_current_submission(
         )
     except (Top3ContractError, Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await _audit_submission(
+        db, user, "Save Top 3 picks", idea_id, f"{idea_id}:{_user_id(user)}"
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -249,7 +354,7 @@ async def put_current_submission(
 async def remove_current_submission(
     idea_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -259,6 +364,9 @@ async def remove_current_submission(
         )
     except Top3NotFoundError as error:
         raise _translate(error) from error
+    await _audit_submission(
+        db, user, "Delete Top 3 picks", idea_id, f"{idea_id}:{_user_id(user)}"
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -269,7 +377,7 @@ async def post_viewer_reveal(
     idea_id: str,
     submission_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -282,6 +390,17 @@ async def post_viewer_reveal(
         )
     except (Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await record_change(
+        db,
+        user,
+        action="Reveal Top 3 picks",
+        kind="top3Reveals",
+        record_id=submission_id,
+        before=None,
+        after=None,
+        idea_id=idea_id,
+        redacted=True,
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -294,7 +413,7 @@ async def post_external_submission(
     idea_id: str,
     body: ExternalSubmissionBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -308,6 +427,9 @@ async def post_external_submission(
         )
     except (Top3ContractError, Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await _audit_submission(
+        db, user, "Add external Top 3 picks", idea_id, submission["id"]
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -321,7 +443,7 @@ async def put_external_submission(
     submission_id: str,
     body: ExternalSubmissionBody,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -332,6 +454,9 @@ async def put_external_submission(
         await update_external_submission(db, idea_id=idea_id, submission=submission)
     except (Top3ContractError, Top3NotFoundError, Top3ConflictError) as error:
         raise _translate(error) from error
+    await _audit_submission(
+        db, user, "Update external Top 3 picks", idea_id, submission_id
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
@@ -344,7 +469,7 @@ async def remove_external_submission(
     idea_id: str,
     submission_id: str,
     if_match: str | None = Header(default=None, alias="If-Match"),
-    user: dict = Depends(require_auth),
+    user: dict = Depends(require_permission("top3.use")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
     await _guard_revision(db, if_match)
@@ -354,6 +479,79 @@ async def remove_external_submission(
         )
     except Top3NotFoundError as error:
         raise _translate(error) from error
+    await _audit_submission(
+        db, user, "Delete external Top 3 picks", idea_id, submission_id
+    )
     return await get_viewer_assignment(
         db, idea_id=idea_id, viewer_user_id=_user_id(user)
     )
+
+
+@router.post("/top3/episodes/{idea_id}/guest-links", status_code=201)
+async def post_guest_link(
+    idea_id: str,
+    body: GuestLinkBody,
+    user: dict = Depends(require_permission("top3.use")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    try:
+        link = validate_guest_link(body.model_dump())
+    except Top3ContractError as error:
+        raise _translate(error) from error
+    assigned = await _assigned_concept(db, idea_id)
+    if assigned is None:
+        raise HTTPException(status_code=404, detail="Top 3 assignment not found")
+    submission_id = f"top3-guest-{uuid.uuid4()}"
+    expires_at = datetime.now(timezone.utc) + timedelta(hours=link["expiresHours"])
+    token = create_top3_guest_token(
+        idea_id=idea_id,
+        concept_id=assigned["conceptId"],
+        submission_id=submission_id,
+        display_name=link["displayName"],
+        entered_by_user_id=_user_id(user),
+        expires_at=expires_at,
+    )
+    await _audit_submission(db, user, "Create Top 3 guest link", idea_id, submission_id)
+    # The token rides in the fragment, which browsers never send to the server,
+    # so it stays out of access logs.
+    site_url = get_settings().site_url.rstrip("/")
+    return {
+        "url": f"{site_url}/top3-guest.html#{token}",
+        "submissionId": submission_id,
+        "displayName": link["displayName"],
+        "expiresAt": expires_at.isoformat(),
+    }
+
+
+@router.get("/top3/guest")
+async def get_guest_top3(
+    guest: dict = Depends(require_top3_guest),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    try:
+        return await get_guest_view(db, guest)
+    except (Top3NotFoundError, Top3ConflictError) as error:
+        raise _translate(error) from error
+
+
+@router.put("/top3/guest/submission")
+async def put_guest_submission(
+    body: GuestSubmissionBody,
+    guest: dict = Depends(require_top3_guest),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    # No If-Match: the guest never sees the data revision, and the link's
+    # submission id keeps every save on the same row.
+    try:
+        submission = validate_guest_submission(body.model_dump())
+        await save_guest_submission(db, guest, submission)
+    except (Top3ContractError, Top3NotFoundError, Top3ConflictError) as error:
+        raise _translate(error) from error
+    await _audit_submission(
+        db,
+        {"username": f"{guest['display_name']} (guest link)"},
+        "Save guest Top 3 picks",
+        guest["idea_id"],
+        guest["submission_id"],
+    )
+    return await get_guest_view(db, guest)
@@ -0,0 +1,74 @@
+"""Trash: deleted ideas, jokes, songs, and guests, and one-click restore."""
+
+from __future__ import annotations
+
+from fastapi import APIRouter, Depends, Header, HTTPException
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.crud import DataNotFoundError
+from satt.database import get_db
+from satt.guest_crud import GuestLifecycleError, GuestNotFoundError
+from satt.permissions import require_permission
+from satt.routes.data import (
+    _audited_state,
+    _export_state,
+    _guard_revision,
+    _mutation_response,
+)
+from satt.serializers import serialize_trash_entry
+from satt.song_crud import SongLifecycleError, SongNotFoundError
+from satt.trash import TrashRestoreError, list_trash, restore_trash_entry, retention_days
+
+router = APIRouter()
+
+_RESTORE_LABELS = {
+    "ideas": "Restore idea",
+    "jokes": "Restore joke",
+    "songs": "Restore song",
+    "guests": "Restore guest",
+}
+
+
+# ---------------------------------------------------------------------------
+# GET /api/trash
+# ---------------------------------------------------------------------------
+
+
+@router.get("/trash")
+async def get_trash(
+    _user: dict = Depends(require_permission("planning.view")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    days = retention_days()
+    entries = await list_trash(db)
+    return {
+        "retentionDays": days,
+        "entries": [serialize_trash_entry(entry, retention_days=days) for entry in entries],
+    }
+
+
+# ---------------------------------------------------------------------------
+# POST /api/trash/{entry_id}/restore
+# ---------------------------------------------------------------------------
+
+
+@router.post("/trash/{entry_id}/restore")
+async def post_trash_restore(
+    entry_id: int,
+    if_match: str | None = Header(default=None, alias="If-Match"),
+    _user: dict = Depends(require_permission("history.revert")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    await _guard_revision(db, if_match)
+    before = await _export_state(db)
+    try:
+        report = await restore_trash_entry(db, entry_id)
+    except (DataNotFoundError, GuestNotFoundError, SongNotFoundError) as error:
+        raise HTTPException(status_code=404, detail=str(error)) from error
+    except (TrashRestoreError, GuestLifecycleError, SongLifecycleError) as error:
+        raise HTTPException(status_code=409, detail=str(error)) from error
+    except ValueError as error:
+        # Joke, song, and guest contract errors, e.g. a duplicate joke text.
+        raise HTTPException(status_code=422, detail=str(error)) from error
+    state = await _audited_state(db, _user, _RESTORE_LABELS[report["kind"]], before)
+    return {**_mutation_response(state), "restored": report}
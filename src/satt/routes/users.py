@@ -7,9 +7,10 @@ from pydantic import BaseModel
 from sqlalchemy import select, update
 from sqlalchemy.ext.asyncio import AsyncSession
 
-from satt.auth import require_auth
+from satt.auth import end_all_refresh_sessions, require_auth, start_refresh_session
 from satt.database import get_db
 from satt.models import User
+from satt.permissions import Role, require_permission, user_role
 from sv_common.auth.passwords import hash_password, verify_password
 
 router = APIRouter()
@@ -22,12 +23,9 @@ router = APIRouter()
 
 @router.get("/users")
 async def list_users(
-    _user: dict = Depends(require_auth),
+    _user: dict = Depends(require_permission("users.manage")),
     db: AsyncSession = Depends(get_db),
 ) -> list[dict]:
-    if not _user.get("is_admin"):
-        raise HTTPException(status_code=403, detail="Admin access required")
-
     result = await db.execute(select(User).order_by(User.created_at))
     users = result.scalars().all()
     return [
@@ -35,6 +33,7 @@ async def list_users(
             "id": u.id,
             "username": u.username,
             "isAdmin": u.is_admin,
+            "role": user_role(u),
             "isActive": u.is_active,
             "createdAt": u.created_at.isoformat(),
         }
@@ -79,7 +78,10 @@ async def change_password(
         .values(password_hash=hash_password(body.newPassword))
     )
     await db.flush()
-    return {"ok": True}
+    await db.refresh(user)
+    # The new password ends every other session; this one carries on.
+    await end_all_refresh_sessions(db, user.id)
+    return {"ok": True, "refreshToken": await start_refresh_session(db, user)}
 
 
 # ---------------------------------------------------------------------------
@@ -95,12 +97,9 @@ class ResetPasswordRequest(BaseModel):
 async def reset_user_password(
     user_id: int,
     body: ResetPasswordRequest,
-    current_user: dict = Depends(require_auth),
+    current_user: dict = Depends(require_permission("users.manage")),
     db: AsyncSession = Depends(get_db),
 ) -> dict:
-    if not current_user.get("is_admin"):
-        raise HTTPException(status_code=403, detail="Admin access required")
-
     if len(body.newPassword) < 8:
         raise HTTPException(status_code=422, detail="New password must be at least 8 characters")
 
@@ -114,5 +113,39 @@ async def reset_user_password(
         .where(User.id == user_id)
         .values(password_hash=hash_password(body.newPassword))
     )
-    await db.flush()
+    await end_all_refresh_sessions(db, user_id)
     return {"ok": True}
+
+
+# ---------------------------------------------------------------------------
+# PUT /api/users/{user_id}/role  (admin only)
+# ---------------------------------------------------------------------------
+
+
+class RoleRequest(BaseModel):
+    role: Role
+
+
+@router.put("/users/{user_id}/role")
+async def set_user_role(
+    user_id: int,
+    body: RoleRequest,
+    current_user: dict = Depends(require_permission("users.manage")),
+    db: AsyncSession = Depends(get_db),
+) -> dict:
+    """Change a user's role. It reaches their session at the next token renewal."""
+    if user_id == current_user.get("user_id") and body.role != "admin":
+        raise HTTPException(status_code=422, detail="You cannot remove your own admin role")
+
+    result = await db.execute(select(User).where(User.id == user_id))
+    user = result.scalar_one_or_none()
+    if user is None:
+        raise HTTPException(status_code=404, detail="User not found")
+
+    await db.execute(
+        update(User)
+        .where(User.id == user_id)
+        .values(role=body.role, is_admin=body.role == "admin")
+    )
+    await db.flush()
+    return {"ok": True, "role": body.role}
@@ -0,0 +1,108 @@
+"""Recorded segment timings from the recording-day run sheet.
+
+The show display's run sheet times each outline section while the hosts
+record and saves what happened on the idea as ``runSheet``:
+
+    {
+      "startedAt": "2026-10-18T19:02:11Z",
+      "finishedAt": "2026-10-18T20:14:40Z",
+      "segments": [
+        {"segmentId": "opening", "segmentName": "Opening Hook / Intro",
+         "targetSeconds": 300, "startSeconds": 0, "elapsedSeconds": 342,
+         "coveredPoints": [0, 2]}
+      ]
+    }
+
+``startSeconds`` is the offset from the start of the recording, in the order
+the sections were recorded, so it doubles as the chapter start time.
+``coveredPoints`` indexes the section's talking points in the outline.
+"""
+
+from __future__ import annotations
+
+from datetime import datetime
+from typing import Any
+
+# A run sheet longer than this is a timer left running, not a recording.
+MAX_RECORDING_SECONDS = 12 * 60 * 60
+
+
+class RunSheetError(ValueError):
+    """Raised when saved run-sheet timings are malformed."""
+
+
+def _timestamp(value: Any, what: str) -> str:
+    if not isinstance(value, str):
+        raise RunSheetError(f"runSheet {what} must be an ISO timestamp")
+    try:
+        datetime.fromisoformat(value.replace("Z", "+00:00"))
+    except ValueError as error:
+        raise RunSheetError(f"runSheet {what} must be an ISO timestamp") from error
+    return value
+
+
+def _seconds(value: Any, what: str, *, optional: bool = False) -> int | None:
+    if value is None and optional:
+        return None
+    if isinstance(value, bool) or not isinstance(value, int) or value < 0:
+        raise RunSheetError(f"{what} must be a whole number of seconds")
+    if value > MAX_RECORDING_SECONDS:
+        raise RunSheetError(f"{what} is longer than a recording can be")
+    return value
+
+
+def _segment(segment: Any, index: int) -> dict:
+    if not isinstance(segment, dict):
+        raise RunSheetError(f"runSheet segment {index + 1} must be an object")
+    segment_id = segment.get("segmentId")
+    if not isinstance(segment_id, str) or not segment_id.strip():
+        raise RunSheetError(f"runSheet segment {index + 1} needs segmentId")
+    name = segment.get("segmentName") or ""
+    if not isinstance(name, str):
+        raise RunSheetError(f"runSheet segment {segment_id!r} name must be text")
+    covered = segment.get("coveredPoints") or []
+    if not isinstance(covered, list) or any(
+        isinstance(point, bool) or not isinstance(point, int) or point < 0 for point in covered
+    ):
+        raise RunSheetError(
+            f"runSheet segment {segment_id!r} coveredPoints must list talking point indexes"
+        )
+    what = f"runSheet segment {segment_id!r}"
+    return {
+        "segmentId": segment_id.strip(),
+        "segmentName": name.strip(),
+        "targetSeconds": _seconds(
+            segment.get("targetSeconds"), f"{what} targetSeconds", optional=True
+        ),
+        "startSeconds": _seconds(segment.get("startSeconds"), f"{what} startSeconds"),
+        "elapsedSeconds": _seconds(segment.get("elapsedSeconds"), f"{what} elapsedSeconds"),
+        "coveredPoints": sorted(set(covered)),
+    }
+
+
+def normalize_run_sheet(value: Any) -> dict | None:
+    """Validate a saved run sheet; None clears it."""
+    if value is None:
+        return None
+    if not isinstance(value, dict):
+        raise RunSheetError("runSheet must be an object")
+    segments = value.get("segments")
+    if not isinstance(segments, list):
+        raise RunSheetError("runSheet segments must be an array")
+    normalized = [_segment(segment, index) for index, segment in enumerate(segments)]
+    seen: set[str] = set()
+    previous_end = 0
+    for segment in normalized:
+        if segment["segmentId"] in seen:
+            raise RunSheetError(f"duplicate runSheet segment: {segment['segmentId']!r}")
+        seen.add(segment["segmentId"])
+        if segment["startSeconds"] < previous_end:
+            raise RunSheetError(
+                f"runSheet segment {segment['segmentId']!r} overlaps the segment before it"
+            )
+        previous_end = segment["startSeconds"] + segment["elapsedSeconds"]
+    return {
+        "startedAt": _timestamp(value.get("startedAt"), "startedAt"),
+        "finishedAt": _timestamp(value.get("finishedAt"), "finishedAt"),
+        "segments": normalized,
+    }
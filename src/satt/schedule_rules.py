@@ -0,0 +1,115 @@
+"""Canonical validation for the recording schedule rules kept in config.
+
+ShowEngine lays slots out from these rules in the browser; the server only
+makes sure what it stores is well formed, so every page reads the same rules.
+Dates are recording Tuesdays as ``YYYY-MM-DD``.
+"""
+
+from __future__ import annotations
+
+from datetime import date
+from typing import Any
+
+MAX_CADENCE_WEEKS = 4
+MAX_BONUS_EPISODES = 3
+_MAX_LABEL = 80
+
+
+class ScheduleRulesError(ValueError):
+    """Raised when configured schedule rules are invalid."""
+
+
+def _date(value: Any, what: str) -> str:
+    if not isinstance(value, str):
+        raise ScheduleRulesError(f"{what} must be a YYYY-MM-DD date")
+    try:
+        return date.fromisoformat(value.strip()).isoformat()
+    except ValueError as error:
+        raise ScheduleRulesError(f"{what} must be a YYYY-MM-DD date") from error
+
+
+def _label(value: Any, what: str) -> str:
+    if value is None:
+        return ""
+    if not isinstance(value, str):
+        raise ScheduleRulesError(f"{what} label must be text")
+    label = value.strip()
+    if len(label) > _MAX_LABEL:
+        raise ScheduleRulesError(f"{what} label must be at most {_MAX_LABEL} characters")
+    return label
+
+
+def _list(rules: dict, key: str) -> list:
+    value = rules.get(key) or []
+    if not isinstance(value, list):
+        raise ScheduleRulesError(f"{key} must be an array")
+    return value
+
+
+def normalize_schedule_rules(rules: Any) -> dict:
+    if not isinstance(rules, dict):
+        raise ScheduleRulesError("schedule rules must be an object")
+
+    cadence = rules.get("cadenceWeeks", 1)
+    if (
+        isinstance(cadence, bool)
+        or not isinstance(cadence, int)
+        or not 1 <= cadence <= MAX_CADENCE_WEEKS
+    ):
+        raise ScheduleRulesError(
+            f"cadenceWeeks must be a whole number from 1 to {MAX_CADENCE_WEEKS}"
+        )
+
+    skip_weeks = sorted(
+        {
+            _date(value, f"skipped week {index + 1}")
+            for index, value in enumerate(_list(rules, "skipWeeks"))
+        }
+    )
+
+    hiatuses: list[dict] = []
+    for index, hiatus in enumerate(_list(rules, "hiatuses")):
+        what = f"hiatus {index + 1}"
+        if not isinstance(hiatus, dict):
+            raise ScheduleRulesError(f"{what} must be an object")
+        start = _date(hiatus.get("start"), f"{what} start")
+        end = _date(hiatus.get("end"), f"{what} end")
+        if end < start:
+            raise ScheduleRulesError(f"{what} ends before it starts")
+        hiatuses.append({"start": start, "end": end, "label": _label(hiatus.get("label"), what)})
+    hiatuses.sort(key=lambda hiatus: hiatus["start"])
+
+    bonus_weeks: list[dict] = []
+    seen: set[str] = set()
+    for index, bonus in enumerate(_list(rules, "bonusWeeks")):
+        what = f"bonus week {index + 1}"
+        if not isinstance(bonus, dict):
+            raise ScheduleRulesError(f"{what} must be an object")
+        record_date = _date(bonus.get("recordDate"), f"{what} recordDate")
+        if record_date in seen:
+            raise ScheduleRulesError(f"duplicate bonus week: {record_date}")
+        seen.add(record_date)
+        extra = bonus.get("extraEpisodes", 1)
+        if (
+            isinstance(extra, bool)
+            or not isinstance(extra, int)
+            or not 1 <= extra <= MAX_BONUS_EPISODES
+        ):
+            raise ScheduleRulesError(
+                f"{what} extraEpisodes must be from 1 to {MAX_BONUS_EPISODES}"
+            )
+        bonus_weeks.append(
+            {
+                "recordDate": record_date,
+                "extraEpisodes": extra,
+                "label": _label(bonus.get("label"), what),
+            }
+        )
+    bonus_weeks.sort(key=lambda bonus: bonus["recordDate"])
+
+    return {
+        "cadenceWeeks": cadence,
+        "skipWeeks": skip_weeks,
+        "hiatuses": hiatuses,
+        "bonusWeeks": bonus_weeks,
+    }
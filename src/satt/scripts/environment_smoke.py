@@ -1059,6 +1059,8 @@ async def run_smoke(
                 "/songs.html",
                 "/guests.html",
                 "/top3.html",
+                "/top3-guest.html",
+                "/trash.html",
                 "/js/show-song.js",
                 "/js/show-guests.js",
                 "/js/episode-overview.js",
@@ -1066,6 +1068,8 @@ async def run_smoke(
                 "/js/guests.js",
                 "/js/top3-bank.js",
                 "/js/top3-episode.js",
+                "/js/top3-guest.js",
+                "/js/trash.js",
                 "/public/homepage",
             ):
                 response = await client.get(path)
@@ -1090,6 +1094,11 @@ async def run_smoke(
                         and "Top3EpisodePlanning.summaryMarkup" in response.text,
                         "deployed Show Management planning controls are incomplete",
                     )
+                elif path == "/top3-guest.html":
+                    _require(
+                        "js/top3-guest.js" in response.text,
+                        "deployed Top 3 guest page is incomplete",
+                    )
                 elif path == "/top3.html":
                     _require(
                         "Top 3 Bank" in response.text
@@ -0,0 +1,32 @@
+"""Print the authenticated ``/api/export`` snapshot as JSON.
+
+The nightly backup stores this next to the ``pg_dump`` archive so
+``scripts/backup_diff.js`` can compare it with another snapshot and build a
+selective ``/api/import`` payload without restoring the whole database.
+"""
+
+from __future__ import annotations
+
+import asyncio
+import json
+
+from satt.database import get_engine, get_session_factory
+from satt.database_url import configure_database_url
+from satt.routes.data import _export_state
+
+
+async def export_snapshot() -> dict:
+    async with get_session_factory()() as db:
+        state = await _export_state(db)
+    await get_engine().dispose()
+    return state
+
+
+def main() -> int:
+    configure_database_url(require_private=True)
+    print(json.dumps(asyncio.run(export_snapshot()), indent=2, sort_keys=True))
+    return 0
+
+
+if __name__ == "__main__":
+    raise SystemExit(main())
@@ -0,0 +1,248 @@
+"""Archive-wide search behind the Ctrl+K palette.
+
+One query looks through ideas and their outlines, transcripts, jokes, songs,
+guests, and Top 3 concepts, so a host can answer "did we already talk about
+this?" without opening every page. Each kind needs the permission of the page
+it links to, and a caller only gets the kinds their role can open.
+
+Matching is a case-insensitive substring match, like the filters on each page.
+The banks are small enough to match in Python; transcripts are narrowed in SQL
+first because each one holds a whole episode.
+"""
+
+from __future__ import annotations
+
+import re
+
+from sqlalchemy import Text, cast, or_, select
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.crud import get_assignments, get_ideas, get_jokes, get_show_slots
+from satt.guest_crud import get_guests
+from satt.models import Assignment, Idea, ShowSlot
+from satt.permissions import can
+from satt.song_crud import get_songs
+from satt.top3_crud import list_concepts
+from satt.transcripts import is_current_whisperx_cache
+
+MIN_QUERY_LENGTH = 2
+MAX_QUERY_LENGTH = 200
+MAX_RESULTS_PER_KIND = 10
+SNIPPET_RADIUS = 60
+
+# The order results are listed in, and the permission each kind needs.
+KIND_PERMISSIONS = {
+    "idea": "planning.view",
+    "outline": "planning.view",
+    "transcript": "postproduction.view",
+    "joke": "planning.view",
+    "song": "planning.view",
+    "guest": "planning.view",
+    "top3": "top3.use",
+}
+
+
+class SearchError(ValueError):
+    """Raised when a search query is too short or too long."""
+
+
+def normalize_query(value: str) -> str:
+    query = " ".join(str(value or "").split())
+    if len(query) < MIN_QUERY_LENGTH:
+        raise SearchError(f"Search for at least {MIN_QUERY_LENGTH} characters")
+    if len(query) > MAX_QUERY_LENGTH:
+        raise SearchError(f"Search for at most {MAX_QUERY_LENGTH} characters")
+    return query
+
+
+def snippet(text: str | None, query: str) -> str | None:
+    """The text around the first match, or None when it does not match."""
+    text = " ".join(str(text or "").split())
+    at = text.lower().find(query.lower())
+    if at == -1:
+        return None
+    start = max(0, at - SNIPPET_RADIUS)
+    end = min(len(text), at + len(query) + SNIPPET_RADIUS)
+    return ("…" if start else "") + text[start:end] + ("…" if end < len(text) else "")
+
+
+def _first_snippet(query: str, *texts) -> str | None:
+    for text in texts:
+        found = snippet(text, query)
+        if found:
+            return found
+    return None
+
+
+def _clock(seconds: float) -> str:
+    whole = int(seconds)
+    hours, rest = divmod(whole, 3600)
+    minutes, secs = divmod(rest, 60)
+    return f"{hours}:{minutes:02d}:{secs:02d}" if hours else f"{minutes}:{secs:02d}"
+
+
+def _idea_title(idea: dict) -> str:
+    titles = [title for title in idea.get("titles") or [] if isinstance(title, str)]
+    return idea.get("selectedTitle") or (titles[0] if titles else "Untitled idea")
+
+
+def _result(kind: str, record_id: str, title: str, text: str, url: str, **extra) -> dict:
+    return {"kind": kind, "id": record_id, "title": title, "snippet": text, "url": url, **extra}
+
+
+async def _ideas_and_outlines(db: AsyncSession, query: str) -> dict[str, list[dict]]:
+    slots = {slot["id"]: slot for slot in await get_show_slots(db)}
+    assignments = await get_assignments(db)
+    slot_by_idea = {idea_id: slots.get(slot_id) for slot_id, idea_id in assignments.items()}
+    ideas: list[dict] = []
+    outlines: list[dict] = []
+    for idea in reversed(await get_ideas(db)):
+        slot = slot_by_idea.get(idea["id"])
+        # A scheduled idea opens in its show display; others in the workshop.
+        url = f"show_management.html#show/{slot['id']}" if slot else (
+            f"show_management.html#idea/{idea['id']}"
+        )
+        title = _idea_title(idea)
+        detail = slot["episodeNumber"] if slot else idea.get("status")
+        found = _first_snippet(
+            query, idea.get("selectedTitle"), *(idea.get("titles") or []),
+            idea.get("summary"), idea.get("rawNotes"),
+        )
+        if found:
+            ideas.append(_result("idea", idea["id"], title, found, url, detail=detail))
+        for section in idea.get("outline") or []:
+            found = _first_snippet(
+                query, section.get("segmentName"), *(section.get("talkingPoints") or [])
+            )
+            if found:
+                outlines.append(_result(
+                    "outline", idea["id"], title, found, url,
+                    detail=section.get("segmentName") or section.get("segmentId"),
+                ))
+    return {"idea": ideas, "outline": outlines}
+
+
+def _contains(column, query: str):
+    escaped = re.sub(r"([\\%_])", r"\\\1", query)
+    return cast(column, Text).ilike(f"%{escaped}%", escape="\\")
+
+
+async def _transcripts(db: AsyncSession, query: str) -> list[dict]:
+    """One result per matching paragraph, newest episode first.
+
+    A corrected transcript is searched instead of the WhisperX one. The
+    WhisperX copy only counts while it is of the file the last scan found.
+    """
+    rows = await db.execute(
+        select(ShowSlot, Idea)
+        .outerjoin(Assignment, Assignment.slot_id == ShowSlot.id)
+        .outerjoin(Idea, Idea.id == Assignment.idea_id)
+        .where(or_(
+            _contains(ShowSlot.corrected_transcript, query),
+            _contains(ShowSlot.whisperx_transcript, query),
+        ))
+        .order_by(ShowSlot.record_date.desc())
+    )
+    results: list[dict] = []
+    for slot, idea in rows.all():
+        transcript = slot.corrected_transcript
+        if not transcript and is_current_whisperx_cache(
+            slot.whisperx_transcript, slot.asset_inventory or {}
+        ):
+            transcript = slot.whisperx_transcript
+        if not transcript:
+            continue
+        title = slot.episode_number
+        if idea and idea.selected_title:
+            title += f" — {idea.selected_title}"
+        speakers = transcript.get("speakers") or {}
+        for paragraph in transcript.get("paragraphs") or []:
+            found = snippet(paragraph.get("text"), query)
+            if not found:
+                continue
+            start = paragraph.get("start") or 0
+            speaker = speakers.get(paragraph.get("speaker"), paragraph.get("speaker"))
+            results.append(_result(
+                "transcript", slot.id, title, found,
+                f"postproduction.html#transcript/{slot.id}/{start:g}",
+                detail=f"{speaker} at {_clock(start)}", seconds=start,
+            ))
+    return results
+
+
+async def _jokes(db: AsyncSession, query: str) -> list[dict]:
+    return [
+        _result(
+            "joke", joke["id"], found, found, f"jokes.html#record/{joke['id']}",
+            detail=joke["status"],
+        )
+        for joke in reversed(await get_jokes(db))
+        if (found := snippet(joke["text"], query))
+    ]
+
+
+async def _songs(db: AsyncSession, query: str) -> list[dict]:
+    return [
+        _result(
+            "song", song["id"], f"{song['artist']} — {song['title']}", found,
+            f"songs.html#record/{song['id']}", detail=song["status"],
+        )
+        for song in reversed(await get_songs(db))
+        if (found := _first_snippet(query, song["artist"], song["title"], song["privateNotes"]))
+    ]
+
+
+async def _guests(db: AsyncSession, query: str) -> list[dict]:
+    return [
+        _result(
+            "guest", guest["id"], guest["displayName"], found,
+            f"guests.html#record/{guest['id']}", detail=guest["status"],
+        )
+        for guest in reversed(await get_guests(db))
+        if (found := _first_snippet(query, guest["displayName"], guest["privateNotes"]))
+    ]
+
+
+async def _top3(db: AsyncSession, query: str) -> list[dict]:
+    return [
+        _result(
+            "top3", concept["id"], concept["name"], found,
+            f"top3.html#record/{concept['id']}", detail=concept["status"],
+        )
+        for concept in reversed(await list_concepts(db))
+        if (found := _first_snippet(
+            query, concept["name"], concept["description"], concept["rules"],
+            concept["hostNotes"], *(concept.get("aiExample") or []),
+        ))
+    ]
+
+
+_FINDERS = {
+    "transcript": _transcripts,
+    "joke": _jokes,
+    "song": _songs,
+    "guest": _guests,
+    "top3": _top3,
+}
+
+
+async def search_archive(db: AsyncSession, query: str, session: dict) -> dict:
+    """Up to ``MAX_RESULTS_PER_KIND`` results of each kind the caller may see.
+
+    ``truncated`` lists the kinds that had more.
+    """
+    allowed = [kind for kind, action in KIND_PERMISSIONS.items() if can(session, action)]
+    found: dict[str, list[dict]] = {}
+    if "idea" in allowed:
+        found.update(await _ideas_and_outlines(db, query))
+    for kind, finder in _FINDERS.items():
+        if kind in allowed:
+            found[kind] = await finder(db, query)
+    results: list[dict] = []
+    truncated: list[str] = []
+    for kind in allowed:
+        matches = found.get(kind, [])
+        results.extend(matches[:MAX_RESULTS_PER_KIND])
+        if len(matches) > MAX_RESULTS_PER_KIND:
+            truncated.append(kind)
+    return {"query": query, "results": results, "truncated": truncated}
@@ -2,7 +2,7 @@
 
 from __future__ import annotations
 
-from datetime import date, datetime
+from datetime import date, datetime, timedelta
 from typing import Any
 
 
@@ -24,6 +24,10 @@ def serialize_idea(row: Any) -> dict:
         "rawNotes": row.raw_notes,
         "aiProvider": row.ai_provider,
         "aiModelId": row.ai_model_id,
+        "episodeType": row.episode_type,
+        "runSheet": row.run_sheet,
+        "showNotes": row.show_notes,
+        "version": row.version,
         "createdAt": _iso(row.created_at),
         "updatedAt": _iso(row.updated_at),
     }
@@ -36,6 +40,7 @@ def serialize_joke(row: Any) -> dict:
         "status": row.status,
         "source": row.source,
         "usedByIdeaId": row.used_by_idea_id,
+        "version": row.version,
         "createdAt": _iso(row.created_at),
     }
 
@@ -84,6 +89,16 @@ def serialize_guest_assignment(row: Any) -> dict:
     }
 
 
+def serialize_passkey(row: Any) -> dict:
+    return {
+        "id": row.id,
+        "name": row.name,
+        "transports": list(row.transports or []),
+        "createdAt": _iso(row.created_at),
+        "lastUsedAt": _iso(row.last_used_at),
+    }
+
+
 def serialize_top3_concept(row: Any) -> dict:
     return {
         "id": row.id,
@@ -113,8 +128,10 @@ def serialize_top3_submission(
     is_current_user = (
         row.participant_type == "account" and row.account_user_id == current_user_id
     )
+    guest_submitted = row.participant_type == "external" and row.submitted_by_guest
+    shared = row.participant_type == "external" and not guest_submitted
     revealed = revealed_at is not None
-    can_read_private = row.participant_type == "external" or is_current_user or revealed
+    can_read_private = shared or is_current_user or revealed
     result = {
         "submissionId": row.id,
         "contributorType": row.participant_type,
@@ -133,9 +150,41 @@ def serialize_top3_submission(
         result["revealedAt"] = _iso(revealed_at)
     if row.participant_type == "external":
         result["enteredByUserId"] = row.entered_by_user_id
+        result["guestSubmitted"] = guest_submitted
     return result
 
 
+def serialize_audit_entry(row: Any, *, revertible: bool = False) -> dict:
+    return {
+        "id": row.id,
+        "occurredAt": _iso(row.occurred_at),
+        "actor": row.actor,
+        "action": row.action,
+        "kind": row.record_kind,
+        "recordId": row.record_id,
+        "ideaId": row.idea_id,
+        "changes": row.changes,
+        "before": row.before,
+        "after": row.after,
+        "revision": row.revision,
+        "revertible": revertible,
+    }
+
+
+def serialize_trash_entry(row: Any, *, retention_days: int) -> dict:
+    return {
+        "id": row.id,
+        "kind": row.record_kind,
+        "recordId": row.record_id,
+        "title": row.title,
+        "record": row.record,
+        "links": row.links,
+        "deletedBy": row.deleted_by,
+        "deletedAt": _iso(row.deleted_at),
+        "expiresAt": _iso(row.deleted_at + timedelta(days=retention_days)),
+    }
+
+
 def serialize_show_slot(row: Any) -> dict:
     return {
         "id": row.id,
@@ -145,6 +194,8 @@ def serialize_show_slot(row: Any) -> dict:
         "releaseDate": _iso(row.release_date),
         "isRollout": row.is_rollout,
         "releaseDateOverride": _iso(row.release_date_override),
+        "episodeType": row.episode_type,
+        "version": row.version,
     }
 
 
@@ -185,5 +236,6 @@ def serialize_postprod_row(slot: Any, idea: Any) -> dict:
         "imageFileId": idea.image_file_id if idea else None,
         "assetInventory": slot.asset_inventory,
         "transcriptionJob": slot.transcription_job,
+        "transcriptCorrectedAt": (slot.corrected_transcript or {}).get("savedAt"),
         "nextStep": _compute_next_step(slot),
     }
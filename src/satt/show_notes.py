@@ -0,0 +1,139 @@
+"""Show notes drafted from an episode's transcript after recording.
+
+Post-Production asks the AI to read the transcript and propose a revised
+summary, key moments, notable quotes, and the guests mentioned. Nothing is
+saved until a host accepts items; accepted ones are kept on the idea as
+``showNotes`` and the accepted summary replaces ``summary``. ``mentions`` are
+names as said on the show, not Guest Bank records:
+
+    {
+      "keyMoments": [{"seconds": 754, "title": "Sunwell trash packs"}],
+      "quotes": [{"seconds": 1203, "speaker": "Trog", "text": "Salt is a lifestyle."}],
+      "mentions": ["Soggy the Mage"]
+    }
+
+``seconds`` is the offset into the recording, as in the transcript.
+"""
+
+from __future__ import annotations
+
+import json
+from typing import Any
+
+from satt.run_sheet import MAX_RECORDING_SECONDS
+
+MAX_SUMMARY_LENGTH = 2000
+MAX_KEY_MOMENTS = 15
+MAX_QUOTES = 10
+MAX_MENTIONS = 20
+MAX_ITEM_LENGTH = 300
+
+
+class ShowNotesError(ValueError):
+    """Raised when show notes, generated or accepted, are malformed."""
+
+
+def _text(value: Any, what: str, maximum: int = MAX_ITEM_LENGTH) -> str:
+    if not isinstance(value, str) or not value.strip():
+        raise ShowNotesError(f"{what} needs text")
+    text = " ".join(value.split())
+    if len(text) > maximum:
+        raise ShowNotesError(f"{what} must be at most {maximum} characters")
+    return text
+
+
+def _seconds(value: Any, what: str, limit: float) -> int:
+    if isinstance(value, bool) or not isinstance(value, (int, float)) or value < 0:
+        raise ShowNotesError(f"{what} needs a time in seconds")
+    if value > limit:
+        raise ShowNotesError(f"{what} is after the end of the recording")
+    return int(value)
+
+
+def _items(value: Any, what: str, maximum: int) -> list:
+    if value is None:
+        return []
+    if not isinstance(value, list):
+        raise ShowNotesError(f"showNotes {what} must be an array")
+    if len(value) > maximum:
+        raise ShowNotesError(f"showNotes has more than {maximum} {what}")
+    return value
+
+
+def normalize_show_notes(value: Any, *, limit: float = MAX_RECORDING_SECONDS) -> dict | None:
+    """Validate show notes, sorting key moments and quotes by time.
+
+    ``limit`` is the length of the recording in seconds.
+    """
+    if value is None:
+        return None
+    if not isinstance(value, dict):
+        raise ShowNotesError("showNotes must be an object")
+
+    moments = []
+    for index, moment in enumerate(_items(value.get("keyMoments"), "keyMoments", MAX_KEY_MOMENTS)):
+        what = f"key moment {index + 1}"
+        if not isinstance(moment, dict):
+            raise ShowNotesError(f"{what} must be an object")
+        moments.append({
+            "seconds": _seconds(moment.get("seconds"), what, limit),
+            "title": _text(moment.get("title"), what),
+        })
+
+    quotes = []
+    for index, quote in enumerate(_items(value.get("quotes"), "quotes", MAX_QUOTES)):
+        what = f"quote {index + 1}"
+        if not isinstance(quote, dict):
+            raise ShowNotesError(f"{what} must be an object")
+        quotes.append({
+            "seconds": _seconds(quote.get("seconds"), what, limit),
+            "speaker": _text(quote.get("speaker"), f"{what} speaker"),
+            "text": _text(quote.get("text"), what),
+        })
+
+    names: list[str] = []
+    for index, name in enumerate(_items(value.get("mentions"), "mentions", MAX_MENTIONS)):
+        name = _text(name, f"mention {index + 1}")
+        if name.lower() not in {existing.lower() for existing in names}:
+            names.append(name)
+
+    return {
+        "keyMoments": sorted(moments, key=lambda moment: moment["seconds"]),
+        "quotes": sorted(quotes, key=lambda quote: quote["seconds"]),
+        "mentions": names,
+    }
+
+
+def transcript_text(transcript: dict) -> str:
+    """The transcript as one ``[seconds] Speaker: text`` line per paragraph."""
+    speakers = transcript.get("speakers") or {}
+    return "\n".join(
+        f"[{int(paragraph['start'])}] "
+        f"{speakers.get(paragraph['speaker'], paragraph['speaker'])}: {paragraph['text']}"
+        for paragraph in transcript.get("paragraphs") or []
+    )
+
+
+def recording_length(transcript: dict) -> float:
+    """Where the last paragraph ends, in seconds."""
+    return max((paragraph["end"] for paragraph in transcript.get("paragraphs") or []), default=0)
+
+
+def parse_generated_show_notes(text: str, *, limit: float) -> dict:
+    """Parse one AI response into ``{summary, keyMoments, quotes, mentions}``."""
+    cleaned = text.strip()
+    if cleaned.startswith("```json"):
+        cleaned = cleaned[7:]
+    elif cleaned.startswith("```"):
+        cleaned = cleaned[3:]
+    if cleaned.endswith("```"):
+        cleaned = cleaned[:-3]
+    try:
+        parsed = json.loads(cleaned.strip())
+    except json.JSONDecodeError as error:
+        raise ShowNotesError(f"response is not valid JSON: {error}") from error
+    if not isinstance(parsed, dict):
+        raise ShowNotesError("response must be a JSON object")
+    # Round up so a moment in the last second still fits.
+    notes = normalize_show_notes(parsed, limit=int(limit) + 1)
+    return {"summary": _text(parsed.get("summary"), "summary", MAX_SUMMARY_LENGTH), **notes}
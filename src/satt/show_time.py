@@ -0,0 +1,82 @@
+"""The show's clock: one timezone and one release time for every date.
+
+Slot dates are calendar dates in the show timezone (config ``showTimezone``).
+An episode goes live at ``releaseTime`` on its release date in that zone, so
+the public feed, the post-production queue, and every browser agree on the
+same instant whatever the server's or viewer's own timezone.
+"""
+
+from __future__ import annotations
+
+import re
+from datetime import date, datetime, time, timedelta, timezone
+from typing import Any
+
+import pytz
+
+DEFAULT_TIMEZONE = "America/Los_Angeles"
+DEFAULT_RELEASE_TIME = "00:00"
+_RELEASE_TIME = re.compile(r"^([01]\d|2[0-3]):([0-5]\d)$")
+
+
+class ShowTimeError(ValueError):
+    """Raised when the configured show timezone or release time is invalid."""
+
+
+def normalize_show_timezone(value: Any) -> str:
+    if not isinstance(value, str) or not value.strip():
+        raise ShowTimeError(
+            "showTimezone must be an IANA timezone such as America/Los_Angeles"
+        )
+    try:
+        return pytz.timezone(value.strip()).zone
+    except pytz.UnknownTimeZoneError as error:
+        raise ShowTimeError(f"unknown showTimezone: {value.strip()!r}") from error
+
+
+def normalize_release_time(value: Any) -> str:
+    if not isinstance(value, str) or not _RELEASE_TIME.match(value.strip()):
+        raise ShowTimeError("releaseTime must be a 24-hour HH:MM time")
+    return value.strip()
+
+
+def _now() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+def show_timezone(config: dict) -> pytz.BaseTzInfo:
+    try:
+        name = normalize_show_timezone(config.get("showTimezone", DEFAULT_TIMEZONE))
+    except ShowTimeError:
+        name = DEFAULT_TIMEZONE
+    return pytz.timezone(name)
+
+
+def release_time(config: dict) -> time:
+    try:
+        value = normalize_release_time(config.get("releaseTime", DEFAULT_RELEASE_TIME))
+    except ShowTimeError:
+        value = DEFAULT_RELEASE_TIME
+    hours, minutes = value.split(":")
+    return time(int(hours), int(minutes))
+
+
+def release_instant(release_date: date, config: dict) -> datetime:
+    """The UTC instant an episode releasing on ``release_date`` goes live."""
+    zone = show_timezone(config)
+    # A release time skipped by a spring-forward change lands an hour later.
+    local = zone.normalize(zone.localize(datetime.combine(release_date, release_time(config))))
+    return local.astimezone(timezone.utc)
+
+
+def show_today(config: dict, now: datetime | None = None) -> date:
+    return (now or _now()).astimezone(show_timezone(config)).date()
+
+
+def latest_released_date(config: dict, now: datetime | None = None) -> date:
+    """The newest release date whose episodes are already live."""
+    now = now or _now()
+    today = show_today(config, now)
+    if release_instant(today, config) <= now:
+        return today
+    return today - timedelta(days=1)
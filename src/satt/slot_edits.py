@@ -0,0 +1,330 @@
+"""Plan schedule-board slot edits: insert, remove, renumber, or retype slots.
+
+Slot ids never change. Everything keyed by a slot id (its assigned idea, the
+post-production file key, the Drive scan, transcription jobs, calendar feed
+events) stays with the episode however it is renumbered, and everything keyed
+by an idea (art, Top 3 links, guests) follows the assignment. Only the art log
+in config records episode numbers as text, so the plan rewrites those.
+
+Each episode type numbers in its own series (see satt.episode_types): an
+edit only moves the numbers of episodes in the series it touches.
+
+``plan_slot_edit`` writes nothing. The preview route returns its summary as
+the dry-run diff; the apply route saves exactly the plan it previewed.
+"""
+
+from __future__ import annotations
+
+from datetime import date, timedelta
+from typing import Any
+
+from satt.episode_types import (
+    DEFAULT_EPISODE_TYPE,
+    EpisodeTypeError,
+    format_episode_number,
+    is_public,
+    normalize_episode_type,
+    parse_episode_number,
+    type_label,
+)
+
+SLOT_EDIT_ACTIONS = ("insert", "remove", "renumber", "retype")
+
+
+class SlotEditError(ValueError):
+    """Raised when a slot edit is invalid for the current schedule."""
+
+
+def _date(value: Any, what: str) -> str:
+    if not isinstance(value, str):
+        raise SlotEditError(f"{what} must be a YYYY-MM-DD date")
+    try:
+        return date.fromisoformat(value.strip()).isoformat()
+    except ValueError as error:
+        raise SlotEditError(f"{what} must be a YYYY-MM-DD date") from error
+
+
+def _episode_type(value: Any) -> str:
+    try:
+        return normalize_episode_type(value)
+    except EpisodeTypeError as error:
+        raise SlotEditError(str(error)) from error
+
+
+def _type(slot: dict) -> str:
+    return slot.get("episodeType") or DEFAULT_EPISODE_TYPE
+
+
+def _order(slot: dict) -> tuple:
+    return (slot["recordDate"], slot.get("episodeNum") or 0, slot["id"])
+
+
+def _new_slot_id(num: int, episode_type: str, taken: set[str]) -> str:
+    """``slot_<num>`` (``slot_bonus_<num>`` for other types), suffixed when
+    taken; matches ShowEngine._slotId."""
+    base = f"slot_{num}" if episode_type == DEFAULT_EPISODE_TYPE else f"slot_{episode_type}_{num}"
+    slot_id, suffix = base, 2
+    while slot_id in taken:
+        slot_id, suffix = f"{base}_{suffix}", suffix + 1
+    return slot_id
+
+
+def _renumbered(slot: dict, num: int, episode_type: str | None = None) -> dict:
+    episode_type = episode_type or _type(slot)
+    return {
+        **slot,
+        "episodeType": episode_type,
+        "episodeNum": num,
+        "episodeNumber": format_episode_number(num, episode_type),
+    }
+
+
+def _summary(slot: dict) -> dict:
+    return {
+        "episodeNumber": slot["episodeNumber"],
+        "episodeType": _type(slot),
+        "recordDate": slot["recordDate"],
+        "releaseDate": slot.get("releaseDateOverride") or slot["releaseDate"],
+    }
+
+
+def _title(idea: dict | None) -> str | None:
+    if not idea:
+        return None
+    return idea.get("selectedTitle") or (idea.get("titles") or [None])[0]
+
+
+def _leave_series(slots: list[dict], left: dict) -> list[dict]:
+    """Move the episodes after ``left`` in its series down one."""
+    return [
+        _renumbered(slot, slot["episodeNum"] - 1)
+        if _type(slot) == _type(left) and _order(slot) > _order(left)
+        else slot
+        for slot in slots
+    ]
+
+
+def _join_series(slots: list[dict], episode_type: str, record_date: str) -> tuple[list[dict], int]:
+    """Make room in a series for an episode recorded on ``record_date``.
+
+    It goes after every episode of that type already recorded that day, so
+    later episodes in the series move up one. Returns the slots and its number.
+    """
+    series = [slot for slot in slots if _type(slot) == episode_type]
+    before = [slot for slot in series if slot["recordDate"] <= record_date]
+    num = max((slot["episodeNum"] for slot in before), default=0) + 1
+    return [
+        _renumbered(slot, slot["episodeNum"] + 1)
+        if _type(slot) == episode_type and slot["recordDate"] > record_date
+        else slot
+        for slot in slots
+    ], num
+
+
+def _find(ordered: list[dict], slot_id: Any) -> dict:
+    slot = next((slot for slot in ordered if slot["id"] == slot_id), None)
+    if slot is None:
+        raise SlotEditError(f"Show slot not found: {slot_id!r}")
+    return slot
+
+
+def _numbers(ordered: list[dict], edit: dict) -> tuple[list[dict], dict | None, str | None]:
+    """Apply the edit to the ordered slots; return (slots, inserted, removed id)."""
+    action = edit.get("action")
+    if action == "renumber":
+        start = edit.get("startAt", 1)
+        if isinstance(start, bool) or not isinstance(start, int) or start < 1:
+            raise SlotEditError("startAt must be a whole number from 1")
+        # startAt applies to regular episodes; every other series starts at 1.
+        counters = {DEFAULT_EPISODE_TYPE: start}
+        planned = []
+        for slot in ordered:
+            num = counters.setdefault(_type(slot), 1)
+            counters[_type(slot)] = num + 1
+            planned.append(_renumbered(slot, num))
+        return planned, None, None
+
+    if action == "remove":
+        removed = _find(ordered, edit.get("slotId"))
+        rest = [slot for slot in ordered if slot is not removed]
+        return _leave_series(rest, removed), None, removed["id"]
+
+    if action == "retype":
+        slot = _find(ordered, edit.get("slotId"))
+        episode_type = _episode_type(edit.get("episodeType"))
+        if episode_type == _type(slot):
+            raise SlotEditError(f"{slot['episodeNumber']} is already a {type_label(episode_type)}")
+        rest = _leave_series([other for other in ordered if other is not slot], slot)
+        rest, num = _join_series(rest, episode_type, slot["recordDate"])
+        return sorted(rest + [_renumbered(slot, num, episode_type)], key=_order), None, None
+
+    if action == "insert":
+        record_date = _date(edit.get("recordDate"), "recordDate")
+        episode_type = _episode_type(edit.get("episodeType"))
+        release_value = edit.get("releaseDate")
+        release_date = (
+            _date(release_value, "releaseDate")
+            if release_value
+            else (date.fromisoformat(record_date) + timedelta(days=7)).isoformat()
+        )
+        if release_date < record_date:
+            raise SlotEditError("releaseDate must not be before recordDate")
+        planned, num = _join_series(ordered, episode_type, record_date)
+        inserted = _renumbered(
+            {
+                "id": _new_slot_id(num, episode_type, {slot["id"] for slot in ordered}),
+                "recordDate": record_date,
+                "releaseDate": release_date,
+                "isRollout": False,
+                "releaseDateOverride": None,
+            },
+            num,
+            episode_type,
+        )
+        return sorted(planned + [inserted], key=_order), inserted, None
+
+    raise SlotEditError(f"action must be one of: {', '.join(SLOT_EDIT_ACTIONS)}")
+
+
+def plan_slot_edit(
+    slots: list[dict],
+    assignments: dict,
+    ideas: list[dict],
+    config: dict,
+    edit: Any,
+    *,
+    released_through: date,
+    post_production: dict[str, dict] | None = None,
+) -> dict:
+    """Plan ``edit`` against the current schedule without writing anything.
+
+    ``post_production`` maps slot id to its ``productionFileKey`` and whether
+    it has a Drive scan, for the warnings. Returns the new ``slots``, the new
+    ``artLog`` (or None when unchanged), ``removedSlotIds``, and the diff:
+    ``changes`` per affected slot and ``warnings`` worth reading first.
+    """
+    if not isinstance(edit, dict):
+        raise SlotEditError("slot edit must be an object")
+    post_production = post_production or {}
+    ideas_by_id = {idea["id"]: idea for idea in ideas}
+    ordered = sorted(slots, key=_order)
+    planned, inserted, removed_id = _numbers(ordered, edit)
+    before = {slot["id"]: slot for slot in ordered}
+
+    changes: list[dict] = []
+    warnings: list[str] = []
+    renumbered: dict[str, str] = {}
+    for slot in planned:
+        old = before.get(slot["id"])
+        if old is not None and old["episodeNumber"] == slot["episodeNumber"]:
+            continue
+        idea_id = assignments.get(slot["id"])
+        if old is None:
+            change = "insert"
+        else:
+            change = "renumber" if _type(old) == _type(slot) else "retype"
+        changes.append(
+            {
+                "slotId": slot["id"],
+                "change": change,
+                "from": _summary(old) if old else None,
+                "to": _summary(slot),
+                "ideaId": idea_id,
+                "title": _title(ideas_by_id.get(idea_id)),
+            }
+        )
+        if old is None:
+            continue
+        renumbered[old["episodeNumber"]] = slot["episodeNumber"]
+        released = date.fromisoformat(_summary(old)["releaseDate"]) <= released_through
+        was_public, now_public = is_public(_type(old)), is_public(_type(slot))
+        if released and was_public and now_public:
+            warnings.append(
+                f"{old['episodeNumber']} is already public; listeners will see it as "
+                f"{slot['episodeNumber']}."
+            )
+        elif released and was_public:
+            warnings.append(
+                f"{old['episodeNumber']} is already public; as a {type_label(_type(slot))} "
+                "it leaves the public episode list."
+            )
+        elif released and now_public:
+            warnings.append(
+                f"{old['episodeNumber']} has already released to patrons; as "
+                f"{slot['episodeNumber']} it joins the public episode list."
+            )
+        file_key = post_production.get(slot["id"], {}).get("productionFileKey")
+        if file_key:
+            warnings.append(
+                f"{slot['episodeNumber']} keeps its file key {file_key}; "
+                "the Drive folder is not renamed."
+            )
+
+    if removed_id is not None:
+        removed = before[removed_id]
+        idea_id = assignments.get(removed_id)
+        title = _title(ideas_by_id.get(idea_id))
+        changes.insert(
+            0,
+            {
+                "slotId": removed_id,
+                "change": "remove",
+                "from": _summary(removed),
+                "to": None,
+                "ideaId": idea_id,
+                "title": title,
+            },
+        )
+        if (
+            date.fromisoformat(_summary(removed)["releaseDate"]) <= released_through
+            and is_public(_type(removed))
+        ):
+            warnings.append(
+                f"{removed['episodeNumber']} is already public; it leaves the public episode list."
+            )
+        if idea_id:
+            warnings.append(
+                f"“{title or idea_id}” returns to the idea bank with its art and Top 3 picks."
+            )
+        details = post_production.get(removed_id, {})
+        if details.get("productionFileKey") or details.get("scanned"):
+            warnings.append(
+                f"{removed['episodeNumber']}'s post-production file key and Drive scan are "
+                "dropped; the files in Drive are not touched."
+            )
+
+    art_log = config.get("artLog") or []
+    removed_number = before[removed_id]["episodeNumber"] if removed_id else None
+    new_art_log = []
+    for entry in art_log:
+        number = entry.get("episodeNumber")
+        if number and number == removed_number:
+            continue
+        if number in renumbered:
+            entry = {
+                **entry,
+                "episodeNumber": renumbered[number],
+                "episodeNum": parse_episode_number(renumbered[number]),
+            }
+        new_art_log.append(entry)
+
+    return {
+        "action": edit["action"],
+        "slots": planned,
+        "removedSlotIds": [removed_id] if removed_id else [],
+        "insertedSlotId": inserted["id"] if inserted else None,
+        "artLog": new_art_log if new_art_log != art_log else None,
+        "changes": changes,
+        "warnings": warnings,
+    }
+
+
+def preview(plan: dict) -> dict:
+    """The dry-run diff: what ``plan`` changes, without the full slot list."""
+    return {
+        "action": plan["action"],
+        "changes": plan["changes"],
+        "warnings": plan["warnings"],
+        "insertedSlotId": plan["insertedSlotId"],
+        "artLogChanged": plan["artLog"] is not None,
+    }
@@ -146,6 +146,8 @@ class VersionedAsyncClient(AsyncClient):
         "/api/top3/",
         "/api/ideas/",
         "/api/schedule/",
+        "/api/history/",
+        "/api/trash/",
     )
 
     async def request(self, method, url, **kwargs):
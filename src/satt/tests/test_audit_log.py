@@ -0,0 +1,185 @@
+"""Audit log of shared-state changes, per-record history, and single-record revert."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.audit import diff_fields, records_by_id
+from satt.config import get_settings
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+def _headers(username: str = "rocket") -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": username,
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _idea(idea_id: str, summary: str = "Original summary") -> dict:
+    return {
+        "id": idea_id,
+        "titles": [idea_id],
+        "selectedTitle": idea_id,
+        "summary": summary,
+        "outline": [],
+        "status": "processed",
+        "createdAt": "2026-10-01T00:00:00Z",
+    }
+
+
+def test_audit_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0011")
+    assert revision is not None
+    assert revision.down_revision == "0010"
+    assert revision.module.downgrade is not None
+
+
+def test_diff_ignores_version_bookkeeping():
+    before = {"id": "i", "summary": "Old", "version": 1}
+    after = {"id": "i", "summary": "New", "version": 2}
+    assert diff_fields(before, after) == {"summary": {"from": "Old", "to": "New"}}
+    assert diff_fields(before, {**before, "version": 5}) == {}
+    assert records_by_id("assignments", {"slot-1": "idea-1"}) == {
+        "slot-1": {"slotId": "slot-1", "ideaId": "idea-1"}
+    }
+    assert list(records_by_id("guestAssignments", [{"guestId": "g", "ideaId": "i"}])) == [
+        "g:i"
+    ]
+
+
+@pytest.mark.asyncio
+async def test_mutations_are_logged_with_actor_diff_and_revision(db_client: AsyncClient):
+    saved = await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=_headers()
+    )
+    assert saved.status_code == 200
+    patched = await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 1, "changes": {"summary": "Trog's rewrite"}},
+        headers=_headers("trog"),
+    )
+    assert patched.status_code == 200
+
+    history = await db_client.get("/api/history/ideas/idea-a", headers=_headers())
+    assert history.status_code == 200
+    entries = history.json()["entries"]
+    assert [entry["action"] for entry in entries] == ["Update idea", "Save ideas"]
+    latest, created = entries
+    assert latest["actor"] == "trog"
+    assert latest["changes"] == {"summary": {"from": "Original summary", "to": "Trog's rewrite"}}
+    assert latest["revision"] == patched.json()["revision"]
+    assert latest["revertible"] is True
+    assert created["before"] is None
+    assert created["revertible"] is False
+
+    # idea-b was saved in the same request but never edited afterwards.
+    other = await db_client.get("/api/history/ideas/idea-b", headers=_headers())
+    assert [entry["action"] for entry in other.json()["entries"]] == ["Save ideas"]
+
+    unknown = await db_client.get("/api/history/secrets/idea-a", headers=_headers())
+    assert unknown.status_code == 400
+
+
+@pytest.mark.asyncio
+async def test_schedule_changes_appear_in_the_idea_history(db_client: AsyncClient):
+    await db_client.put("/api/data/ideas", json=[_idea("idea-a")], headers=_headers())
+    await db_client.put(
+        "/api/data/showSlots",
+        json=[
+            {
+                "id": "slot-1",
+                "episodeNumber": "EP1",
+                "episodeNum": 1,
+                "recordDate": "2026-10-20",
+                "releaseDate": "2026-10-27",
+                "isRollout": False,
+                "releaseDateOverride": None,
+            }
+        ],
+        headers=_headers(),
+    )
+    scheduled = await db_client.put(
+        "/api/schedule/slot-1/assignment", json={"ideaId": "idea-a"}, headers=_headers()
+    )
+    assert scheduled.status_code == 200
+
+    entries = (await db_client.get("/api/history/ideas/idea-a", headers=_headers())).json()[
+        "entries"
+    ]
+    slot_entries = [entry for entry in entries if entry["kind"] == "assignments"]
+    assert len(slot_entries) == 1
+    assert slot_entries[0]["action"] == "Schedule idea"
+    assert slot_entries[0]["after"] == {"slotId": "slot-1", "ideaId": "idea-a"}
+    assert slot_entries[0]["revertible"] is True
+
+    reverted = await db_client.post(
+        f"/api/history/{slot_entries[0]['id']}/revert", headers=_headers()
+    )
+    assert reverted.status_code == 200
+    assert reverted.json()["state"]["assignments"] == {}
+
+
+@pytest.mark.asyncio
+async def test_revert_restores_one_record_and_is_itself_logged(db_client: AsyncClient):
+    await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=_headers()
+    )
+    await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 1, "changes": {"summary": "Bad edit"}},
+        headers=_headers(),
+    )
+    await db_client.patch(
+        "/api/ideas/idea-b",
+        json={"version": 1, "changes": {"summary": "Keep me"}},
+        headers=_headers(),
+    )
+    entries = (await db_client.get("/api/history/ideas/idea-a", headers=_headers())).json()[
+        "entries"
+    ]
+    bad_edit = entries[0]
+
+    stale = await db_client.post(
+        f"/api/history/{bad_edit['id']}/revert", headers={**_headers(), "If-Match": "1"}
+    )
+    assert stale.status_code == 409
+
+    reverted = await db_client.post(f"/api/history/{bad_edit['id']}/revert", headers=_headers())
+    assert reverted.status_code == 200
+    ideas = {idea["id"]: idea for idea in reverted.json()["state"]["ideas"]}
+    assert ideas["idea-a"]["summary"] == "Original summary"
+    assert ideas["idea-b"]["summary"] == "Keep me"
+
+    entries = (await db_client.get("/api/history/ideas/idea-a", headers=_headers())).json()[
+        "entries"
+    ]
+    assert entries[0]["action"] == "Revert “Update idea”"
+
+    creation = entries[-1]
+    not_revertible = await db_client.post(
+        f"/api/history/{creation['id']}/revert", headers=_headers()
+    )
+    assert not_revertible.status_code == 422
+    missing = await db_client.post("/api/history/999999/revert", headers=_headers())
+    assert missing.status_code == 404
@@ -0,0 +1,171 @@
+"""Calendar feed: a private .ics URL per user that follows the schedule board."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import create_calendar_feed_token
+from satt.calendar_feed import build_calendar
+from satt.config import get_settings
+from satt.models import User
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+SLOTS = [
+    {
+        "id": "slot_2",
+        "episodeNumber": "EP002",
+        "episodeNum": 2,
+        "recordDate": "2026-11-10",
+        "releaseDate": "2026-11-17",
+        "isRollout": False,
+        "releaseDateOverride": "2026-11-19",
+    },
+    {
+        "id": "slot_1",
+        "episodeNumber": "EP001",
+        "episodeNum": 1,
+        "recordDate": "2026-11-03",
+        "releaseDate": "2026-11-10",
+        "isRollout": False,
+        "releaseDateOverride": None,
+    },
+]
+IDEA = {
+    "id": "idea_1",
+    "titles": ["Loot, Council; and You"],
+    "selectedTitle": "Loot, Council; and You",
+    "summary": "",
+    "outline": [],
+    "status": "draft",
+    "imageFileId": None,
+    "rawNotes": None,
+}
+
+
+def _headers(user_id: int, username: str, role: str = "editor") -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": user_id,
+            "username": username,
+            "is_admin": False,
+            "role": role,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _path(feed: dict) -> str:
+    return feed["url"].split(get_settings().site_url.rstrip("/"), 1)[1]
+
+
+def test_calendar_feed_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0016")
+    assert revision is not None
+    assert revision.down_revision == "0015"
+    assert revision.module.downgrade is not None
+
+
+def test_calendar_lists_recording_and_release_events_per_slot():
+    body = build_calendar(
+        SLOTS,
+        {"slot_1": "idea_1"},
+        [IDEA],
+        {"showTimezone": "America/Los_Angeles", "releaseTime": "06:00"},
+        now=datetime(2026, 10, 18, 12, tzinfo=timezone.utc),
+    )
+    assert body.startswith("BEGIN:VCALENDAR\r\n")
+    assert body.endswith("END:VCALENDAR\r\n")
+    assert all(len(line.encode()) <= 75 for line in body.split("\r\n"))
+    unfolded = body.replace("\r\n ", "")
+    lines = unfolded.split("\r\n")
+
+    assert "SUMMARY:Record EP001: Loot\\, Council\\; and You" in lines
+    assert "SUMMARY:Release EP001: Loot\\, Council\\; and You" in lines
+    assert "SUMMARY:Record EP002" in lines
+    uids = [line for line in lines if line.startswith("UID:")]
+    assert uids == [
+        "UID:record-slot_1@saltallthethings",
+        "UID:release-slot_1@saltallthethings",
+        "UID:record-slot_2@saltallthethings",
+        "UID:release-slot_2@saltallthethings",
+    ]
+    # The release event follows a hand-set release date.
+    release_2 = unfolded.split("UID:release-slot_2@saltallthethings", 1)[1]
+    assert "DTSTART;VALUE=DATE:20261119" in release_2.split("END:VEVENT")[0]
+    assert "goes public at 06:00 America/Los_Angeles" in unfolded
+    assert "DTSTAMP:20261018T120000Z" in lines
+
+
+@pytest.mark.asyncio
+async def test_feed_url_serves_the_schedule_until_it_is_reset_or_turned_off(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    db_session.add(User(id=201, username="cutter", password_hash="unused", role="editor"))
+    await db_session.flush()
+    cutter = _headers(201, "cutter")
+    host = _headers(1, "rocket", role="host")
+    await db_client.put("/api/data/ideas", json=[IDEA], headers=host)
+    await db_client.put("/api/data/showSlots", json=SLOTS, headers=host)
+    await db_client.put("/api/data/assignments", json={"slot_1": "idea_1"}, headers=host)
+
+    assert (await db_client.get("/api/calendar/feed", headers=cutter)).json() == {"url": None}
+    assert (await db_client.get("/api/calendar/feed")).status_code == 401
+    feed = (await db_client.post("/api/calendar/feed", headers=cutter)).json()
+    assert feed["url"].endswith(".ics")
+    assert (await db_client.get("/api/calendar/feed", headers=cutter)).json() == feed
+
+    served = await db_client.get(_path(feed))
+    assert served.status_code == 200
+    assert served.headers["content-type"].startswith("text/calendar")
+    assert "Record EP001: Loot" in served.text.replace("\r\n ", "")
+
+    # A schedule change reaches the next poll.
+    moved = [{**SLOTS[1], "recordDate": "2026-11-04"}, SLOTS[0]]
+    await db_client.put("/api/data/showSlots", json=moved, headers=host)
+    assert "DTSTART;VALUE=DATE:20261104" in (await db_client.get(_path(feed))).text
+
+    reset = (await db_client.post("/api/calendar/feed", headers=cutter)).json()
+    assert reset["url"] != feed["url"]
+    assert (await db_client.get(_path(feed))).status_code == 404
+    assert (await db_client.get(_path(reset))).status_code == 200
+
+    turned_off = await db_client.delete("/api/calendar/feed", headers=cutter)
+    assert turned_off.json() == {"url": None}
+    assert (await db_client.get(_path(reset))).status_code == 404
+
+
+@pytest.mark.asyncio
+async def test_feed_refuses_deactivated_accounts_and_other_tokens(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    db_session.add(User(id=202, username="trog", password_hash="unused"))
+    await db_session.flush()
+    feed = (await db_client.post("/api/calendar/feed", headers=_headers(202, "trog"))).json()
+    assert (await db_client.get(_path(feed))).status_code == 200
+
+    session_token = _headers(202, "trog")["Authorization"][7:]
+    assert (await db_client.get(f"/public/calendar/{session_token}.ics")).status_code == 404
+    forged = create_calendar_feed_token(202, "guessed-key")
+    assert (await db_client.get(f"/public/calendar/{forged}.ics")).status_code == 404
+
+    user = await db_session.get(User, 202)
+    user.is_active = False
+    await db_session.flush()
+    assert (await db_client.get(_path(feed))).status_code == 404
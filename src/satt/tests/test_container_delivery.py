@@ -55,6 +55,8 @@ def test_production_nightly_backup_is_private_verified_and_bounded():
         'test -z "${DATABASE_URL:-}"',
         "--env-file",
         "compose.production.yaml",
+        "exec -T app python -m satt.scripts.export_snapshot",
+        "satt-production-*.json",
     ):
         assert required in source
 
@@ -215,10 +217,10 @@ def test_pull_request_workflow_has_minimal_permissions_and_pinned_actions():
     assert "python scripts/validate_release.py" in source
     assert "Validate current release contract without publishing" in source
     assert "Exercise isolated migration rollback and recovery" in source
-    assert "app alembic downgrade 0008" in source
-    assert 'test "$revision" = "0008"' in source
+    assert "app alembic downgrade 0023" in source
+    assert 'test "$revision" = "0023"' in source
     assert "app alembic upgrade head" in source
-    assert 'test "$revision" = "0009"' in source
+    assert 'test "$revision" = "0024"' in source
     assert "docker compose -f compose.ci.yaml up -d --wait app" in source
     assert "Exercise isolated production backup restore" in source
     assert "pg_dump --format=custom --schema=satt" in source
@@ -349,6 +351,7 @@ def test_production_deploy_is_tag_only_immutable_and_recoverable():
     assert "songs.html" in deploy_script
     assert "guests.html" in deploy_script
     assert "top3.html" in deploy_script
+    assert "trash.html" in deploy_script
     workflow = yaml.safe_load(source)
 
     assert workflow["on"] == {"push": {"tags": ["prod-v*"]}}
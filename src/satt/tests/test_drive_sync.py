@@ -0,0 +1,200 @@
+"""Drive changes-feed sync, run against a fake Drive instead of the Google API."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+from unittest.mock import AsyncMock, MagicMock, patch
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import get_drive_sync, get_postproduction_queue, set_production_file_key
+from satt.drive_sync import affected_slots, same_assets, sync_drive_changes
+from satt.gdrive import PageTokenExpiredError, list_changes
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+ROOT = "root-folder"
+KEY = "EP022_Sync"
+START = datetime(2026, 10, 18, 19, 0, tzinfo=timezone.utc)
+
+SLOT = {
+    "id": "slot_sync",
+    "episodeNumber": "EP022",
+    "episodeNum": 22,
+    "recordDate": "2026-03-21",
+    "releaseDate": "2026-03-28",
+    "isRollout": False,
+    "releaseDateOverride": None,
+}
+
+
+class FakeDrive:
+    """The GoogleDrive methods over an in-memory folder tree and changes feed."""
+
+    def __init__(self) -> None:
+        self.files: dict[str, dict] = {}
+        self.changes: list[dict] = []
+        self.expired: set[str] = set()
+
+    def put(self, file_id: str, name: str, parent: str, folder: bool = False) -> None:
+        file = {
+            "id": file_id,
+            "name": name,
+            "parents": [parent],
+            "mimeType": "application/vnd.google-apps.folder" if folder else "audio/wav",
+            "modifiedTime": f"2026-03-21T20:{len(self.changes):02d}:00Z",
+        }
+        self.files[file_id] = file
+        self.changes.append({"fileId": file_id, "removed": False, "file": file})
+
+    def remove(self, file_id: str) -> None:
+        del self.files[file_id]
+        self.changes.append({"fileId": file_id, "removed": True})
+
+    async def get_start_page_token(self) -> str:
+        return str(len(self.changes))
+
+    async def list_changes(self, page_token: str) -> dict:
+        if page_token in self.expired:
+            raise PageTokenExpiredError("expired")
+        start = int(page_token)
+        if len(self.changes) - start > 1:
+            # One change per page, so paging is exercised too.
+            return {"changes": self.changes[start:start + 1], "nextPageToken": str(start + 1)}
+        return {"changes": self.changes[start:], "newStartPageToken": str(len(self.changes))}
+
+    async def find_episode_folder(self, root_folder_id: str, key: str) -> str | None:
+        for file in self.files.values():
+            if file["name"] == key and root_folder_id in file["parents"]:
+                return file["id"]
+        return None
+
+    async def list_folder_files(self, folder_id: str) -> list[dict]:
+        return [file for file in self.files.values() if folder_id in file["parents"]]
+
+    async def fetch_file_content(self, file_id: str) -> str:
+        return '{"segments": []}'
+
+
+def _headers(role: str = "editor") -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": 1,
+        "username": role,
+        "is_admin": False,
+        "role": role,
+        "iat": now,
+        "exp": now + timedelta(hours=1),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def test_drive_sync_migration_is_the_single_reversible_head():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    assert scripts.get_heads() == ["0024"]
+    revision = scripts.get_revision("0022")
+    assert revision is not None
+    assert revision.down_revision == "0021"
+    assert revision.module.downgrade is not None
+
+
+def test_changes_pick_out_the_slots_whose_folder_they_touch():
+    slots = [
+        {
+            "slot_id": "scanned",
+            "production_file_key": "EP001_A",
+            "asset_inventory": {
+                "episode_folder_id": "folder-a",
+                "raw_audio": {"present": True, "drive_file_id": "raw-a"},
+            },
+        },
+        {"slot_id": "unscanned", "production_file_key": "EP002_B", "asset_inventory": None},
+    ]
+
+    def touched(*changes):
+        return [slot["slot_id"] for slot in affected_slots(list(changes), slots, ROOT)]
+
+    assert touched({"fileId": "raw-a", "removed": True}) == ["scanned"]
+    added = {"fileId": "new", "file": {"name": "Trog_EP001_A.wav", "parents": ["folder-a"]}}
+    assert touched(added) == ["scanned"]
+    named = {"fileId": "folder-b", "file": {"name": "ep002_b", "parents": [ROOT]}}
+    assert touched(named) == ["unscanned"]
+    assert touched({"fileId": "elsewhere", "file": {"name": "EP002_B", "parents": ["other"]}}) == []
+    assert touched({"fileId": "notes", "file": {"name": "notes.txt", "parents": [ROOT]}}) == []
+
+
+def test_only_a_different_set_of_files_counts_as_a_change():
+    stored = {"scanned_at": "2026-03-21T20:00:00+00:00", "raw_audio": {"present": False}}
+    assert same_assets({**stored, "scanned_at": "2026-03-22T08:00:00+00:00"}, stored)
+    assert not same_assets({**stored, "raw_audio": {"present": True}}, stored)
+    assert not same_assets(stored, None)
+
+
+@pytest.mark.asyncio
+async def test_an_unrecognised_page_token_is_reported_as_expired():
+    mock_client = AsyncMock()
+    mock_client.get = AsyncMock(return_value=MagicMock(status_code=404))
+    mock_client.__aenter__ = AsyncMock(return_value=mock_client)
+    mock_client.__aexit__ = AsyncMock(return_value=False)
+
+    with patch("satt.gdrive.httpx.AsyncClient", return_value=mock_client):
+        with pytest.raises(PageTokenExpiredError):
+            await list_changes("token", "stale-page-token")
+
+
+@pytest.mark.asyncio
+async def test_drive_changes_keep_the_inventory_current(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await db_client.put("/api/data/showSlots", json=[SLOT], headers=_headers("host"))
+    await set_production_file_key(db_session, SLOT["id"], KEY)
+    drive = FakeDrive()
+
+    async def inventory() -> dict:
+        [row] = [r for r in await get_postproduction_queue(db_session) if r["slotId"] == SLOT["id"]]
+        return row["assetInventory"]
+
+    first = await sync_drive_changes(db_session, drive, ROOT, START)
+    assert first == {"scanned": 1, "changed": 1}
+    assert (await inventory())["episode_folder_id"] is None
+    assert (await get_drive_sync(db_session))["page_token"] == "0"
+
+    idle = await sync_drive_changes(db_session, drive, ROOT, START + timedelta(minutes=1))
+    assert idle == {"scanned": 0, "changed": 0}
+
+    drive.put("folder", KEY, ROOT, folder=True)
+    drive.put("raw", f"Raw_Dog_{KEY}.wav", "folder")
+    drive.put("unrelated", "Budget.xlsx", "another-folder")
+    created = await sync_drive_changes(db_session, drive, ROOT, START + timedelta(minutes=2))
+    assert created == {"scanned": 1, "changed": 1}
+    assert (await inventory())["raw_audio"]["drive_file_id"] == "raw"
+
+    drive.remove("raw")
+    removed = await sync_drive_changes(db_session, drive, ROOT, START + timedelta(minutes=3))
+    assert removed == {"scanned": 1, "changed": 1}
+    assert (await inventory())["raw_audio"] == {"present": False}
+
+    drive.put("rocket", f"Rocket_{KEY}.wav", "folder")
+    drive.expired.add(str(len(drive.changes) - 1))
+    resumed = await sync_drive_changes(db_session, drive, ROOT, START + timedelta(minutes=4))
+    assert resumed == {"scanned": 1, "changed": 1}
+    assert (await inventory())["raw_rocket"]["drive_file_id"] == "rocket"
+
+    status = (await db_client.get("/api/postproduction/sync-status", headers=_headers())).json()
+    assert status["lastSyncedAt"] == (START + timedelta(minutes=4)).isoformat()
+    assert status["lastChangeAt"] == (START + timedelta(minutes=4)).isoformat()
+    assert status["error"] is None
+
+    refused = await db_client.get(
+        "/api/postproduction/sync-status", headers=_headers("contributor")
+    )
+    assert refused.status_code == 403
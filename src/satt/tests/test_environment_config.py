@@ -17,6 +17,8 @@ ENVIRONMENT_SENSITIVE_BROWSER_FILES = (
     "register.html",
     "songs.html",
     "top3.html",
+    "top3-guest.html",
+    "trash.html",
     "js/ai-service.js",
     "js/guests.js",
     "js/postproduction.js",
@@ -26,6 +28,8 @@ ENVIRONMENT_SENSITIVE_BROWSER_FILES = (
     "js/songs.js",
     "js/top3-bank.js",
     "js/top3-episode.js",
+    "js/top3-guest.js",
+    "js/trash.js",
     "js/storage.js",
 )
 PRODUCTION_API_MARKERS = (
@@ -63,6 +67,9 @@ def test_browser_api_calls_use_same_origin_paths():
     assert "root.fetch('/api' + path" in (
         REPOSITORY_ROOT / "js/top3-episode.js"
     ).read_text(encoding="utf-8")
+    assert "root.fetch('/api' + path" in (
+        REPOSITORY_ROOT / "js/top3-guest.js"
+    ).read_text(encoding="utf-8")
     assert "publicApiUrl: window.location.origin" in (
         REPOSITORY_ROOT / "js/site-config.js"
     ).read_text(encoding="utf-8")
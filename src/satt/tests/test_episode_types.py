@@ -0,0 +1,202 @@
+"""Episode types: per-type numbering series and patron-only episodes."""
+
+from __future__ import annotations
+
+from datetime import date, datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.episode_types import (
+    EpisodeTypeError,
+    format_episode_number,
+    normalize_episode_type,
+    parse_episode_number,
+)
+from satt.slot_edits import SlotEditError, plan_slot_edit
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+RELEASED_THROUGH = date(2026, 10, 1)
+
+
+def _slot(slot_id: str, num: int, record_date: str, episode_type: str = "regular") -> dict:
+    return {
+        "id": slot_id,
+        "episodeNumber": format_episode_number(num, episode_type),
+        "episodeNum": num,
+        "episodeType": episode_type,
+        "recordDate": record_date,
+        "releaseDate": (date.fromisoformat(record_date) + timedelta(days=7)).isoformat(),
+        "isRollout": False,
+        "releaseDateOverride": None,
+    }
+
+
+SLOTS = [
+    _slot("slot_1", 1, "2026-09-01"),
+    _slot("slot_bonus_1", 1, "2026-09-03", "bonus"),
+    _slot("slot_2", 2, "2026-09-08"),
+    _slot("slot_3", 3, "2026-09-15"),
+    _slot("slot_bonus_2", 2, "2026-09-17", "bonus"),
+]
+
+
+def _plan(edit: dict, slots: list[dict] | None = None) -> dict:
+    return plan_slot_edit(
+        slots or SLOTS, {}, [], {}, edit, released_through=RELEASED_THROUGH
+    )
+
+
+def _numbers(plan: dict) -> list[tuple[str, str]]:
+    return [(slot["id"], slot["episodeNumber"]) for slot in plan["slots"]]
+
+
+def _headers() -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "role": "host",
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def test_each_type_formats_and_parses_its_own_series():
+    assert format_episode_number(7) == "EP007"
+    assert format_episode_number(3, "bonus") == "BONUS03"
+    assert format_episode_number(1, "patron") == "PATRON01"
+    assert parse_episode_number("GUEST04") == 4
+    assert parse_episode_number("Episode 4") is None
+    assert normalize_episode_type(None) == "regular"
+    with pytest.raises(EpisodeTypeError):
+        normalize_episode_type("special")
+
+
+def test_inserting_a_bonus_episode_leaves_regular_numbers_alone():
+    plan = _plan({"action": "insert", "recordDate": "2026-09-10", "episodeType": "bonus"})
+    assert _numbers(plan) == [
+        ("slot_1", "EP001"),
+        ("slot_bonus_1", "BONUS01"),
+        ("slot_2", "EP002"),
+        ("slot_bonus_2_2", "BONUS02"),
+        ("slot_3", "EP003"),
+        ("slot_bonus_2", "BONUS03"),
+    ]
+    assert [change["change"] for change in plan["changes"]] == ["insert", "renumber"]
+
+
+def test_retyping_moves_an_episode_between_series():
+    plan = _plan({"action": "retype", "slotId": "slot_2", "episodeType": "guest"})
+    assert _numbers(plan) == [
+        ("slot_1", "EP001"),
+        ("slot_bonus_1", "BONUS01"),
+        ("slot_2", "GUEST01"),
+        ("slot_3", "EP002"),
+        ("slot_bonus_2", "BONUS02"),
+    ]
+    assert plan["slots"][2]["episodeType"] == "guest"
+    assert [change["change"] for change in plan["changes"]] == ["retype", "renumber"]
+    assert plan["changes"][0]["to"]["episodeType"] == "guest"
+
+
+def test_retyping_a_released_episode_as_patron_only_warns_it_goes_private():
+    plan = _plan({"action": "retype", "slotId": "slot_1", "episodeType": "patron"})
+    warnings = " ".join(plan["warnings"])
+    assert "EP001 is already public" in warnings
+    assert "Patron-Only Episode it leaves the public episode list" in warnings
+
+
+def test_renumber_numbers_each_series_separately():
+    gappy = [
+        _slot("slot_1", 4, "2026-09-01"),
+        _slot("slot_bonus_1", 5, "2026-09-03", "bonus"),
+        _slot("slot_2", 9, "2026-09-08"),
+    ]
+    plan = _plan({"action": "renumber", "startAt": 10}, gappy)
+    assert _numbers(plan) == [
+        ("slot_1", "EP010"),
+        ("slot_bonus_1", "BONUS01"),
+        ("slot_2", "EP011"),
+    ]
+
+
+@pytest.mark.parametrize(
+    "edit",
+    [
+        {"action": "insert", "recordDate": "2026-09-10", "episodeType": "special"},
+        {"action": "retype", "slotId": "slot_2", "episodeType": "regular"},
+        {"action": "retype", "slotId": "slot_9", "episodeType": "bonus"},
+    ],
+)
+def test_invalid_type_edits_are_refused(edit):
+    with pytest.raises(SlotEditError):
+        _plan(edit)
+
+
+def test_episode_types_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0017")
+    assert revision is not None
+    assert revision.down_revision == "0016"
+    assert revision.module.downgrade is not None
+
+
+@pytest.mark.asyncio
+async def test_patron_episodes_stay_off_the_public_list(db_client: AsyncClient):
+    headers = _headers()
+    slots = [
+        _slot("slot_1", 1, "2026-01-01"),
+        _slot("slot_bonus_1", 1, "2026-01-03", "bonus"),
+        _slot("slot_patron_1", 1, "2026-01-05", "patron"),
+    ]
+    ideas = [
+        {
+            "id": f"idea_{slot['id']}",
+            "titles": [slot["episodeNumber"]],
+            "selectedTitle": slot["episodeNumber"],
+            "summary": "",
+            "outline": [],
+            "status": "published",
+            "episodeType": slot["episodeType"],
+        }
+        for slot in slots
+    ]
+    await db_client.put("/api/data/ideas", json=ideas, headers=headers)
+    await db_client.put("/api/data/showSlots", json=slots, headers=headers)
+    await db_client.put(
+        "/api/data/assignments",
+        json={slot["id"]: f"idea_{slot['id']}" for slot in slots},
+        headers=headers,
+    )
+
+    stored = (await db_client.get("/api/data/showSlots", headers=headers)).json()
+    assert {slot["id"]: slot["episodeType"] for slot in stored} == {
+        "slot_1": "regular",
+        "slot_bonus_1": "bonus",
+        "slot_patron_1": "patron",
+    }
+    episodes = (await db_client.get("/public/episodes")).json()["episodes"]
+    listed = {ep["episodeNumber"]: ep["typeLabel"] for ep in episodes}
+    assert listed == {"EP001": "Episode", "BONUS01": "Bonus Episode"}
+
+
+@pytest.mark.asyncio
+async def test_unknown_episode_types_are_refused(db_client: AsyncClient):
+    slot = {**_slot("slot_1", 1, "2026-09-01"), "episodeType": "special"}
+    response = await db_client.put("/api/data/showSlots", json=[slot], headers=_headers())
+    assert response.status_code == 422
+    assert "episodeType must be one of" in response.json()["detail"]
@@ -116,3 +116,85 @@ async def test_import_round_trip(db_client: AsyncClient):
 async def test_import_returns_401_without_auth(client: AsyncClient):
     response = await client.put("/api/import", json=IMPORT_PAYLOAD)
     assert response.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_import_preview_counts_records_and_writes_nothing(db_client: AsyncClient):
+    await db_client.put("/api/import", json=IMPORT_PAYLOAD, headers=_headers())
+    revision = (await db_client.get("/api/export", headers=_headers())).json()["revision"]
+    changed_idea = {**IMPORT_PAYLOAD["ideas"][0], "summary": "Changed in the file."}
+    new_idea = {**IMPORT_PAYLOAD["ideas"][0], "id": "import_idea_2"}
+
+    response = await db_client.post(
+        "/api/import/preview",
+        json={"ideas": [changed_idea, new_idea], "assignments": {}},
+        headers=_headers(),
+    )
+    assert response.status_code == 200
+    preview = response.json()
+    assert preview["keys"]["ideas"] == {
+        "incoming": 2,
+        "new": 1,
+        "overwritten": 1,
+        "unchanged": 0,
+        "removedOnReplace": 0,
+    }
+    assert preview["keys"]["assignments"]["removedOnReplace"] == 1
+    assert preview["modes"]["merge"] == {"ok": True, "problems": []}
+    assert preview["modes"]["replace"] == {"ok": True, "problems": []}
+    assert (await db_client.get("/api/export", headers=_headers())).json()["revision"] == revision
+
+
+@pytest.mark.asyncio
+async def test_import_preview_reports_contract_errors_and_dangling_references(
+    db_client: AsyncClient,
+):
+    invalid = await db_client.post(
+        "/api/import/preview",
+        json={"songs": [{"id": "song", "artist": "A", "title": "T", "youtubeUrl": "nope"}]},
+        headers=_headers(),
+    )
+    assert invalid.json()["modes"]["replace"]["ok"] is False
+    assert invalid.json()["modes"]["replace"]["problems"][0].startswith("songs: ")
+
+    dangling = await db_client.post(
+        "/api/import/preview",
+        json={"showSlots": IMPORT_PAYLOAD["showSlots"], "assignments": {"import_slot_1": "ghost"}},
+        headers=_headers(),
+    )
+    assert dangling.json()["modes"]["merge"]["problems"] == [
+        "Schedule slot import_slot_1 is assigned missing idea ghost"
+    ]
+
+    unknown = await db_client.post("/api/import/preview", json={"secrets": []}, headers=_headers())
+    assert unknown.json()["modes"]["merge"]["problems"] == ["Unknown import keys: secrets"]
+
+    rejected = await db_client.put(
+        "/api/import",
+        json={"showSlots": IMPORT_PAYLOAD["showSlots"], "assignments": {"import_slot_1": "ghost"}},
+        headers=_headers(),
+    )
+    assert rejected.status_code == 422
+    assert "dangling references" in rejected.json()["detail"]
+
+
+@pytest.mark.asyncio
+async def test_merge_import_keeps_records_the_file_lacks(db_client: AsyncClient):
+    await db_client.put("/api/import", json=IMPORT_PAYLOAD, headers=_headers())
+    new_idea = {**IMPORT_PAYLOAD["ideas"][0], "id": "import_idea_2", "titles": ["Second"]}
+
+    merged = await db_client.put(
+        "/api/import?mode=merge", json={"ideas": [new_idea]}, headers=_headers()
+    )
+    assert merged.status_code == 200
+    state = merged.json()["state"]
+    assert sorted(idea["id"] for idea in state["ideas"]) == ["import_idea_1", "import_idea_2"]
+    assert state["assignments"] == {"import_slot_1": "import_idea_1"}
+
+    replaced = await db_client.put("/api/import", json={"ideas": [new_idea]}, headers=_headers())
+    assert [idea["id"] for idea in replaced.json()["state"]["ideas"]] == ["import_idea_2"]
+
+    bad_mode = await db_client.put(
+        "/api/import?mode=append", json={"ideas": []}, headers=_headers()
+    )
+    assert bad_mode.status_code == 422
@@ -0,0 +1,194 @@
+"""Live sync: presence registry, revision event stream, and stream tickets."""
+
+from __future__ import annotations
+
+import json
+from datetime import datetime, timedelta, timezone
+
+import jwt
+import pytest
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.live import (
+    PresenceError,
+    PresenceRegistry,
+    RevisionDigests,
+    event_stream,
+    presence,
+)
+
+
+def _token(username: str = "trog") -> str:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    return jwt.encode(
+        {
+            "user_id": 2,
+            "username": username,
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+
+
+def _parse(frame: str) -> tuple[str, dict]:
+    lines = frame.strip().splitlines()
+    return lines[0].removeprefix("event: "), json.loads(lines[1].removeprefix("data: "))
+
+
+def test_presence_expires_and_rejects_unknown_kinds():
+    now = [100.0]
+    registry = PresenceRegistry(ttl_seconds=30, clock=lambda: now[0])
+    registry.update(2, "tab-1", "trog", [{"kind": "idea", "id": "idea-1"}])
+    registry.update(3, "tab-2", "rocket", [{"kind": "idea", "id": "idea-1"}])
+    assert registry.snapshot() == [
+        {"username": "rocket", "kind": "idea", "recordId": "idea-1"},
+        {"username": "trog", "kind": "idea", "recordId": "idea-1"},
+    ]
+    registry.update(3, "tab-2", "rocket", [])
+    now[0] += 31
+    assert registry.snapshot() == []
+    with pytest.raises(PresenceError):
+        registry.update(2, "tab-1", "trog", [{"kind": "config", "id": "x"}])
+
+
+def test_presence_tab_ids_do_not_reach_other_users_entries():
+    registry = PresenceRegistry()
+    registry.update(2, "tab-1", "trog", [{"kind": "idea", "id": "idea-1"}])
+
+    # Another user sending the same tab id gets an entry of their own.
+    registry.update(3, "tab-1", "rocket", [{"kind": "joke", "id": "joke-1"}])
+    registry.update(3, "tab-1", "rocket", [])
+    registry.clear(3, "tab-1")
+    assert registry.snapshot() == [
+        {"username": "trog", "kind": "idea", "recordId": "idea-1"}
+    ]
+
+
+@pytest.mark.asyncio
+async def test_event_stream_reports_changed_keys_and_presence():
+    states = [
+        {"ideas": [], "jokes": [], "revision": 4},
+        {"ideas": [{"id": "new"}], "jokes": [], "revision": 6},
+    ]
+    revisions = iter([4, 4, 6])
+    polls = iter([False, False, True])
+    registry = PresenceRegistry()
+
+    async def load_state() -> dict:
+        return states.pop(0)
+
+    async def load_revision() -> int:
+        revision = next(revisions)
+        if revision == 6:
+            registry.update(2, "tab-1", "trog", [{"kind": "idea", "id": "new"}])
+        return revision
+
+    async def is_disconnected() -> bool:
+        return next(polls)
+
+    frames = [
+        frame
+        async for frame in event_stream(
+            load_revision=load_revision,
+            load_state=load_state,
+            is_disconnected=is_disconnected,
+            registry=registry,
+            digests=RevisionDigests(),
+            poll_seconds=0,
+        )
+    ]
+    assert [_parse(frame) for frame in frames] == [
+        ("hello", {"revision": 4, "presence": []}),
+        ("revision", {"revision": 6, "since": 4, "keys": ["ideas"]}),
+        (
+            "presence",
+            {"presence": [{"username": "trog", "kind": "idea", "recordId": "new"}]},
+        ),
+    ]
+
+
+@pytest.mark.asyncio
+async def test_streams_share_one_export_per_revision_and_end_after_their_lifetime():
+    exports = []
+    revision = [4]
+    now = [0.0]
+    digests = RevisionDigests()
+
+    async def load_state() -> dict:
+        exports.append(revision[0])
+        return {"ideas": [{"id": str(revision[0])}], "revision": revision[0]}
+
+    async def load_revision() -> int:
+        return revision[0]
+
+    async def connected() -> bool:
+        return False
+
+    def stream():
+        return event_stream(
+            load_revision=load_revision,
+            load_state=load_state,
+            is_disconnected=connected,
+            registry=PresenceRegistry(),
+            digests=digests,
+            poll_seconds=0,
+            lifetime_seconds=60,
+            clock=lambda: now[0],
+        )
+
+    first, second = stream(), stream()
+    await anext(first)
+    await anext(second)
+    revision[0] = 5
+    assert _parse(await anext(first))[1]["keys"] == ["ideas"]
+    assert _parse(await anext(second))[1]["keys"] == ["ideas"]
+    assert exports == [4, 5]
+
+    now[0] += 60
+    assert [frame async for frame in first] == []
+
+
+@pytest.mark.asyncio
+async def test_stream_ticket_is_not_a_session_token(client: AsyncClient):
+    response = await client.post(
+        "/api/events/ticket", headers={"Authorization": f"Bearer {_token()}"}
+    )
+    assert response.status_code == 200
+    ticket = response.json()["ticket"]
+
+    misuse = await client.get(
+        "/api/export", headers={"Authorization": f"Bearer {ticket}"}
+    )
+    assert misuse.status_code == 401
+
+    session_as_ticket = await client.get("/api/events", params={"ticket": _token()})
+    assert session_as_ticket.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_presence_route_records_the_editor(client: AsyncClient):
+    headers = {"Authorization": f"Bearer {_token('trog')}"}
+    try:
+        response = await client.put(
+            "/api/presence",
+            json={"clientId": "tab-live-test", "records": [{"kind": "idea", "id": "i-1"}]},
+            headers=headers,
+        )
+        assert response.status_code == 200
+        assert {"username": "trog", "kind": "idea", "recordId": "i-1"} in response.json()[
+            "presence"
+        ]
+
+        invalid = await client.put(
+            "/api/presence",
+            json={"clientId": "tab-live-test", "records": [{"kind": "secret", "id": "x"}]},
+            headers=headers,
+        )
+        assert invalid.status_code == 422
+    finally:
+        presence.clear(2, "tab-live-test")
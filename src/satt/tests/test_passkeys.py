@@ -0,0 +1,226 @@
+"""Passkeys: register your own, sign in without a password, no replays."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+from types import SimpleNamespace
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import decode_access_token
+from satt.config import get_settings
+from satt.models import Passkey, User
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+CREDENTIAL_ID = "Y3JlZC0x"  # base64url of b"cred-1"
+
+
+def _headers(user_id: int, username: str) -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": user_id,
+            "username": username,
+            "is_admin": False,
+            "role": "host",
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+@pytest.fixture
+def authenticator(monkeypatch):
+    """Stand in for the browser's authenticator; py_webauthn's checks are its own."""
+    monkeypatch.setattr(
+        "satt.passkeys.verify_registration_response",
+        lambda **_kwargs: SimpleNamespace(
+            credential_id=b"cred-1", credential_public_key=b"public-key", sign_count=0
+        ),
+    )
+    monkeypatch.setattr(
+        "satt.passkeys.verify_authentication_response",
+        lambda **kwargs: SimpleNamespace(
+            new_sign_count=kwargs["credential_current_sign_count"] + 1
+        ),
+    )
+
+
+def _credential() -> dict:
+    return {"id": CREDENTIAL_ID, "rawId": CREDENTIAL_ID, "type": "public-key", "response": {}}
+
+
+async def _register(db_client: AsyncClient, db_session: AsyncSession) -> dict:
+    db_session.add_all(
+        [
+            User(id=101, username="rocket", password_hash="unused"),
+            User(id=102, username="trog", password_hash="unused"),
+        ]
+    )
+    await db_session.flush()
+    rocket = _headers(101, "rocket")
+    started = await db_client.post("/api/auth/passkeys/register/options", headers=rocket)
+    assert started.status_code == 200
+    assert started.json()["options"]["user"]["name"] == "rocket"
+    created = await db_client.post(
+        "/api/auth/passkeys",
+        json={
+            "ticket": started.json()["ticket"],
+            "credential": {**_credential(), "response": {"transports": ["usb", 7]}},
+            "name": "Stream PC key",
+        },
+        headers=rocket,
+    )
+    assert created.status_code == 201
+    return created.json()
+
+
+async def _login(db_client: AsyncClient, ticket: str | None = None):
+    if ticket is None:
+        started = await db_client.post("/api/auth/passkeys/login/options")
+        assert started.status_code == 200
+        ticket = started.json()["ticket"]
+    return await db_client.post(
+        "/api/auth/passkeys/login", json={"ticket": ticket, "credential": _credential()}
+    )
+
+
+def test_passkey_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0015")
+    assert revision is not None
+    assert revision.down_revision == "0014"
+    assert revision.module.downgrade is not None
+
+
+def test_login_ticket_migration_is_the_single_reversible_head():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    assert scripts.get_heads() == ["0024"]
+    revision = scripts.get_revision("0024")
+    assert revision is not None
+    assert revision.down_revision == "0023"
+    assert revision.module.downgrade is not None
+
+
+@pytest.mark.asyncio
+async def test_passkeys_are_listed_and_removed_only_by_their_owner(
+    db_client: AsyncClient, db_session: AsyncSession, authenticator
+):
+    passkey = await _register(db_client, db_session)
+    assert passkey["name"] == "Stream PC key"
+    assert passkey["transports"] == ["usb"]
+    assert passkey["lastUsedAt"] is None
+    assert "publicKey" not in passkey
+
+    rocket, trog = _headers(101, "rocket"), _headers(102, "trog")
+    listed = (await db_client.get("/api/auth/passkeys", headers=rocket)).json()
+    assert [item["id"] for item in listed] == [passkey["id"]]
+    assert (await db_client.get("/api/auth/passkeys", headers=trog)).json() == []
+    assert (await db_client.get("/api/auth/passkeys")).status_code == 401
+
+    # The same authenticator cannot be registered twice.
+    started = await db_client.post("/api/auth/passkeys/register/options", headers=trog)
+    duplicate = await db_client.post(
+        "/api/auth/passkeys",
+        json={"ticket": started.json()["ticket"], "credential": _credential()},
+        headers=trog,
+    )
+    assert duplicate.status_code == 409
+
+    # A registration ticket only works for the account that asked for it.
+    stolen = await db_client.post(
+        "/api/auth/passkeys",
+        json={"ticket": started.json()["ticket"], "credential": _credential()},
+        headers=rocket,
+    )
+    assert stolen.status_code == 400
+
+    path = f"/api/auth/passkeys/{passkey['id']}"
+    assert (await db_client.delete(path, headers=trog)).status_code == 404
+    assert (await db_client.delete(path, headers=rocket)).status_code == 200
+    assert (await db_client.get("/api/auth/passkeys", headers=rocket)).json() == []
+
+
+@pytest.mark.asyncio
+async def test_passkey_login_returns_a_session_and_refuses_replays(
+    db_client: AsyncClient, db_session: AsyncSession, authenticator
+):
+    await _register(db_client, db_session)
+    started = await db_client.post("/api/auth/passkeys/login/options")
+    ticket = started.json()["ticket"]
+
+    signed_in = await _login(db_client, ticket)
+    assert signed_in.status_code == 200
+    session = signed_in.json()
+    assert session["username"] == "rocket"
+    assert session["role"] == "host"
+    assert decode_access_token(session["token"])["user_id"] == 101
+    assert decode_access_token(session["refreshToken"])["purpose"] == "refresh"
+    listed = await db_client.get("/api/auth/passkeys", headers=_headers(101, "rocket"))
+    assert listed.json()[0]["lastUsedAt"] is not None
+
+    replayed = await _login(db_client, ticket)
+    assert replayed.status_code == 401
+    assert (await _login(db_client)).status_code == 200
+
+    # A login ticket is not a session, and a session is not a login ticket.
+    assert (
+        await db_client.get("/api/export", headers={"Authorization": f"Bearer {ticket}"})
+    ).status_code == 401
+    wrong = await db_client.post(
+        "/api/auth/passkeys/login",
+        json={"ticket": _headers(101, "rocket")["Authorization"][7:], "credential": _credential()},
+    )
+    assert wrong.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_a_login_ticket_signs_in_only_once_across_passkeys(
+    db_client: AsyncClient, db_session: AsyncSession, authenticator
+):
+    await _register(db_client, db_session)
+    db_session.add(
+        Passkey(user_id=102, credential_id="Y3JlZC0y", public_key=b"key-2", name="Laptop")
+    )
+    await db_session.flush()
+    ticket = (await db_client.post("/api/auth/passkeys/login/options")).json()["ticket"]
+
+    assert (await _login(db_client, ticket)).status_code == 200
+    # The other passkey was never used, so only the spent ticket stops this.
+    reused = await db_client.post(
+        "/api/auth/passkeys/login",
+        json={"ticket": ticket, "credential": {**_credential(), "id": "Y3JlZC0y"}},
+    )
+    assert reused.status_code == 401
+    assert reused.json()["detail"] == "This passkey request was already used; try again"
+
+
+@pytest.mark.asyncio
+async def test_passkeys_cannot_sign_in_unknown_or_deactivated_accounts(
+    db_client: AsyncClient, db_session: AsyncSession, authenticator
+):
+    await _register(db_client, db_session)
+    started = await db_client.post("/api/auth/passkeys/login/options")
+    unknown = await db_client.post(
+        "/api/auth/passkeys/login",
+        json={"ticket": started.json()["ticket"], "credential": {**_credential(), "id": "bm9wZQ"}},
+    )
+    assert unknown.status_code == 401
+    assert unknown.json()["detail"] == "This passkey is not registered"
+
+    user = await db_session.get(User, 101)
+    user.is_active = False
+    await db_session.flush()
+    assert (await _login(db_client)).status_code == 401
@@ -0,0 +1,208 @@
+"""Roles limit what each account may do, in the API and in the session it gets."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.models import User
+from satt.permissions import ROLE_PERMISSIONS, permissions_for
+from sv_common.auth.passwords import hash_password
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+def _headers(role: str | None, user_id: int = 1) -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": user_id,
+        "username": "rocket",
+        "is_admin": role == "admin",
+        "iat": now,
+        "exp": now + timedelta(hours=1),
+    }
+    if role is not None:
+        payload["role"] = role
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _idea(idea_id: str) -> dict:
+    return {
+        "id": idea_id,
+        "titles": [f"Title {idea_id}"],
+        "selectedTitle": f"Title {idea_id}",
+        "summary": "Summary",
+        "outline": [],
+        "status": "processed",
+        "createdAt": "2026-10-01T00:00:00Z",
+    }
+
+
+def test_role_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0013")
+    assert revision is not None
+    assert revision.down_revision == "0012"
+    assert revision.module.downgrade is not None
+
+
+def test_roles_only_narrow_from_host_downwards():
+    assert ROLE_PERMISSIONS["admin"] > ROLE_PERMISSIONS["host"]
+    assert ROLE_PERMISSIONS["contributor"] < ROLE_PERMISSIONS["host"]
+    assert ROLE_PERMISSIONS["editor"] < ROLE_PERMISSIONS["host"]
+    assert "postproduction.view" not in ROLE_PERMISSIONS["contributor"]
+    assert "planning.view" not in ROLE_PERMISSIONS["editor"]
+
+
+@pytest.mark.asyncio
+async def test_contributor_edits_planning_but_cannot_delete_or_schedule(
+    db_client: AsyncClient,
+):
+    contributor = _headers("contributor")
+    saved = await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=contributor
+    )
+    assert saved.status_code == 200
+
+    dropped = await db_client.put("/api/data/ideas", json=[_idea("idea-a")], headers=contributor)
+    assert dropped.status_code == 403
+    assert dropped.json()["detail"] == (
+        "The contributor role cannot delete ideas, jokes, songs, and guests"
+    )
+    deleted = await db_client.delete("/api/ideas/idea-b", headers=contributor)
+    assert deleted.status_code == 403
+
+    for method, url, body in (
+        ("put", "/api/data/showSlots", []),
+        ("put", "/api/data/config", {"showName": "Salt"}),
+        ("put", "/api/import", {"ideas": []}),
+        ("get", "/api/postproduction", None),
+        ("get", "/api/users", None),
+    ):
+        kwargs = {"headers": contributor} if body is None else {"headers": contributor, "json": body}
+        response = await getattr(db_client, method)(url, **kwargs)
+        assert response.status_code == 403, url
+
+    # A host may do all of it.
+    assert (await db_client.delete("/api/ideas/idea-b", headers=_headers("host"))).status_code == 200
+
+
+@pytest.mark.asyncio
+async def test_editor_reaches_postproduction_only(db_client: AsyncClient):
+    editor = _headers("editor")
+    assert (await db_client.get("/api/postproduction", headers=editor)).status_code == 200
+    refused = await db_client.put("/api/data/ideas", json=[_idea("idea-a")], headers=editor)
+    assert refused.status_code == 403
+    assert (await db_client.get("/api/top3/concepts", headers=editor)).status_code == 403
+
+
+@pytest.mark.asyncio
+async def test_editor_reads_config_but_not_planning_data(db_client: AsyncClient):
+    await db_client.put("/api/data/ideas", json=[_idea("idea-a")], headers=_headers("host"))
+    editor = _headers("editor")
+    for url in (
+        "/api/export",
+        "/api/export?keys=config,ideas",
+        "/api/data/ideas",
+        "/api/data/showSlots",
+    ):
+        response = await db_client.get(url, headers=editor)
+        assert response.status_code == 403, url
+        assert response.json()["detail"] == "The editor role cannot open the planning pages"
+
+    config = await db_client.get("/api/export?keys=config", headers=editor)
+    assert config.status_code == 200
+    assert set(config.json()) == {"config", "revision"}
+    assert (await db_client.get("/api/data/config", headers=editor)).status_code == 200
+
+    contributor = await db_client.get("/api/data/ideas", headers=_headers("contributor"))
+    assert [idea["id"] for idea in contributor.json()] == ["idea-a"]
+
+
+@pytest.mark.asyncio
+async def test_history_and_trash_need_the_role_that_reads_the_records(
+    db_client: AsyncClient,
+):
+    urls = ("/api/history/ideas/idea-a", "/api/history/top3Concepts/concept-a", "/api/trash")
+    for url in urls:
+        refused = await db_client.get(url, headers=_headers("editor"))
+        assert refused.status_code == 403, url
+    for url in urls:
+        allowed = await db_client.get(url, headers=_headers("contributor"))
+        assert allowed.status_code == 200, url
+
+@pytest.mark.asyncio
+async def test_tokens_from_before_roles_keep_full_access(db_client: AsyncClient):
+    legacy = _headers(None)
+    assert (await db_client.put("/api/data/ideas", json=[], headers=legacy)).status_code == 200
+    assert (await db_client.get("/api/users", headers=legacy)).status_code == 403
+
+
+@pytest.mark.asyncio
+async def test_admin_sets_roles_that_reach_the_session(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    db_session.add_all([
+        User(id=301, username="boss", password_hash=hash_password("correct horse"), is_admin=True, role="admin"),
+        User(id=302, username="cutter", password_hash=hash_password("correct horse")),
+    ])
+    await db_session.flush()
+    admin = _headers("admin", user_id=301)
+
+    login = await db_client.post(
+        "/api/auth/login", json={"username": "cutter", "password": "correct horse"}
+    )
+    assert login.json()["role"] == "host"
+
+    changed = await db_client.put("/api/users/302/role", json={"role": "editor"}, headers=admin)
+    assert changed.status_code == 200
+    renewed = await db_client.post(
+        "/api/auth/refresh", json={"refreshToken": login.json()["refreshToken"]}
+    )
+    assert renewed.json()["role"] == "editor"
+    assert renewed.json()["permissions"] == permissions_for("editor")
+    listed = await db_client.get("/api/users", headers=admin)
+    assert {user["username"]: user["role"] for user in listed.json()}["cutter"] == "editor"
+
+    assert (
+        await db_client.put("/api/users/302/role", json={"role": "owner"}, headers=admin)
+    ).status_code == 422
+    assert (
+        await db_client.put("/api/users/301/role", json={"role": "host"}, headers=admin)
+    ).status_code == 422
+    assert (
+        await db_client.put("/api/users/302/role", json={"role": "admin"}, headers=_headers("host"))
+    ).status_code == 403
+
+
+@pytest.mark.asyncio
+async def test_invites_carry_the_role_of_the_new_account(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    db_session.add(User(id=301, username="boss", password_hash="unused", is_admin=True, role="admin"))
+    await db_session.flush()
+    invite = await db_client.post(
+        "/api/auth/invite", json={"role": "contributor"}, headers=_headers("admin", user_id=301)
+    )
+    assert invite.status_code == 200
+    assert invite.json()["role"] == "contributor"
+    code = invite.json()["invite_url"].rsplit("=", 1)[1]
+
+    registered = await db_client.post(
+        "/api/auth/register",
+        json={"username": "newbie", "password": "correct horse", "inviteCode": code},
+    )
+    assert registered.status_code == 201
+    assert registered.json()["role"] == "contributor"
+    assert "planning.delete" not in registered.json()["permissions"]
@@ -1,4 +1,4 @@
-"""Tests for GET /public/episodes — release gating, pagination, PST timezone."""
+"""Tests for GET /public/episodes — release gating, pagination, show timezone."""
 
 from __future__ import annotations
 
@@ -0,0 +1,198 @@
+"""Per-record PATCH routes guarded by record versions instead of the global revision."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.config import get_settings
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+def _headers() -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "patch-test",
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _idea(idea_id: str) -> dict:
+    return {
+        "id": idea_id,
+        "titles": [idea_id],
+        "selectedTitle": idea_id,
+        "summary": "Original summary",
+        "outline": [],
+        "status": "processed",
+        "createdAt": "2026-10-01T00:00:00Z",
+    }
+
+
+def test_record_version_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0010")
+    assert revision is not None
+    assert revision.down_revision == "0009"
+    assert revision.module.downgrade is not None
+
+
+@pytest.mark.asyncio
+async def test_unrelated_record_patches_do_not_collide(db_client: AsyncClient):
+    saved = await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=_headers()
+    )
+    assert saved.status_code == 200
+    versions = {idea["id"]: idea["version"] for idea in saved.json()["data"]}
+    assert versions == {"idea-a": 1, "idea-b": 1}
+    revision = saved.json()["revision"]
+
+    # Both edits start from the same page load; neither sends If-Match.
+    first = await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 1, "changes": {"summary": "Rocket's edit"}},
+        headers=_headers(),
+    )
+    second = await db_client.patch(
+        "/api/ideas/idea-b",
+        json={"version": 1, "changes": {"selectedTitle": "Trog's title"}},
+        headers=_headers(),
+    )
+    assert first.status_code == 200
+    assert second.status_code == 200
+    assert first.json()["key"] == "ideas"
+    assert first.json()["data"]["summary"] == "Rocket's edit"
+    assert first.json()["data"]["version"] == 2
+    assert first.json()["revision"] == revision + 1
+    assert second.json()["revision"] == revision + 2
+
+    stale = await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 1, "changes": {"summary": "Stale edit"}},
+        headers=_headers(),
+    )
+    assert stale.status_code == 409
+    detail = stale.json()["detail"]
+    assert detail["currentVersion"] == 2
+    assert detail["record"]["summary"] == "Rocket's edit"
+
+    unknown = await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 2, "changes": {"createdAt": "2020-01-01"}},
+        headers=_headers(),
+    )
+    assert unknown.status_code == 422
+
+    missing = await db_client.patch(
+        "/api/ideas/nope", json={"version": 1, "changes": {}}, headers=_headers()
+    )
+    assert missing.status_code == 404
+
+
+@pytest.mark.asyncio
+async def test_full_array_save_only_bumps_changed_records(db_client: AsyncClient):
+    await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=_headers()
+    )
+    edited = _idea("idea-b")
+    edited["summary"] = "Edited in a full-array save"
+    saved = await db_client.put(
+        "/api/data/ideas", json=[_idea("idea-a"), edited], headers=_headers()
+    )
+    versions = {idea["id"]: idea["version"] for idea in saved.json()["data"]}
+    assert versions == {"idea-a": 1, "idea-b": 2}
+
+    # A patch made against idea-a before that save still applies.
+    patched = await db_client.patch(
+        "/api/ideas/idea-a",
+        json={"version": 1, "changes": {"summary": "Still valid"}},
+        headers=_headers(),
+    )
+    assert patched.status_code == 200
+
+
+@pytest.mark.asyncio
+async def test_joke_and_slot_patches(db_client: AsyncClient):
+    await db_client.put(
+        "/api/data/jokes",
+        json=[
+            {"id": "joke-1", "text": "Salt one", "status": "unused"},
+            {"id": "joke-2", "text": "Salt two", "status": "unused"},
+        ],
+        headers=_headers(),
+    )
+    edited = await db_client.patch(
+        "/api/jokes/joke-1",
+        json={"version": 1, "changes": {"text": "Saltier one"}},
+        headers=_headers(),
+    )
+    assert edited.status_code == 200
+    assert edited.json()["data"]["text"] == "Saltier one"
+
+    duplicate = await db_client.patch(
+        "/api/jokes/joke-2",
+        json={"version": 1, "changes": {"text": "saltier ONE"}},
+        headers=_headers(),
+    )
+    assert duplicate.status_code == 422
+
+    used = await db_client.patch(
+        "/api/jokes/joke-2",
+        json={"version": 1, "changes": {"status": "used"}},
+        headers=_headers(),
+    )
+    assert used.status_code == 422
+
+    await db_client.put(
+        "/api/data/showSlots",
+        json=[
+            {
+                "id": "slot-1",
+                "episodeNumber": "EP1",
+                "episodeNum": 1,
+                "recordDate": "2026-10-20",
+                "releaseDate": "2026-10-27",
+                "isRollout": False,
+                "releaseDateOverride": None,
+            }
+        ],
+        headers=_headers(),
+    )
+    moved = await db_client.patch(
+        "/api/show-slots/slot-1",
+        json={"version": 1, "changes": {"releaseDateOverride": "2026-10-29"}},
+        headers=_headers(),
+    )
+    assert moved.status_code == 200
+    assert moved.json()["data"]["releaseDateOverride"] == "2026-10-29"
+    reset = await db_client.patch(
+        "/api/show-slots/slot-1",
+        json={"version": 2, "changes": {"releaseDateOverride": None}},
+        headers=_headers(),
+    )
+    assert reset.json()["data"]["releaseDateOverride"] is None
+    assert reset.json()["data"]["version"] == 3
+
+    invalid = await db_client.patch(
+        "/api/show-slots/slot-1",
+        json={"version": 3, "changes": {"recordDate": "next tuesday"}},
+        headers=_headers(),
+    )
+    assert invalid.status_code == 422
@@ -0,0 +1,161 @@
+"""Recording-day run sheet: segment timings saved on the idea."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.outline_contract import OutlineContractError, normalize_configured_segments
+from satt.run_sheet import RunSheetError, normalize_run_sheet
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+RUN_SHEET = {
+    "startedAt": "2026-10-18T19:00:00.000Z",
+    "finishedAt": "2026-10-18T19:25:00.000Z",
+    "segments": [
+        {
+            "segmentId": "opening",
+            "segmentName": "Opening",
+            "targetSeconds": 300,
+            "startSeconds": 0,
+            "elapsedSeconds": 342,
+            "coveredPoints": [1, 0, 1],
+        },
+        {
+            "segmentId": "main",
+            "segmentName": "Main Topic",
+            "targetSeconds": None,
+            "startSeconds": 342,
+            "elapsedSeconds": 1158,
+            "coveredPoints": [],
+        },
+    ],
+}
+
+
+def _headers() -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "role": "host",
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _with_segment(**changes) -> dict:
+    return {**RUN_SHEET, "segments": [{**RUN_SHEET["segments"][0], **changes}]}
+
+
+def test_run_sheet_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0018")
+    assert revision is not None
+    assert revision.down_revision == "0017"
+    assert revision.module.downgrade is not None
+
+
+def test_run_sheet_is_normalized():
+    normalized = normalize_run_sheet(RUN_SHEET)
+    assert normalized["segments"][0]["coveredPoints"] == [0, 1]
+    assert normalized["segments"][1]["startSeconds"] == 342
+    assert normalize_run_sheet(None) is None
+
+
+@pytest.mark.parametrize(
+    ("run_sheet", "message"),
+    [
+        ([], "must be an object"),
+        ({**RUN_SHEET, "segments": None}, "segments must be an array"),
+        ({**RUN_SHEET, "startedAt": "yesterday"}, "startedAt must be an ISO timestamp"),
+        (_with_segment(segmentId=""), "needs segmentId"),
+        (_with_segment(elapsedSeconds=-1), "whole number of seconds"),
+        (_with_segment(startSeconds=1.5), "whole number of seconds"),
+        (_with_segment(elapsedSeconds=13 * 60 * 60), "longer than a recording"),
+        (_with_segment(coveredPoints=["first"]), "talking point indexes"),
+        (
+            {**RUN_SHEET, "segments": [RUN_SHEET["segments"][0]] * 2},
+            "duplicate runSheet segment",
+        ),
+        (
+            {
+                **RUN_SHEET,
+                "segments": [
+                    RUN_SHEET["segments"][0],
+                    {**RUN_SHEET["segments"][1], "startSeconds": 300},
+                ],
+            },
+            "overlaps the segment before it",
+        ),
+    ],
+)
+def test_malformed_run_sheets_are_refused(run_sheet, message):
+    with pytest.raises(RunSheetError, match=message):
+        normalize_run_sheet(run_sheet)
+
+
+def test_show_sections_keep_an_optional_target():
+    segments = normalize_configured_segments(
+        [
+            {"id": "opening", "name": "Opening", "targetMinutes": 5},
+            {"id": "main", "name": "Main Topic", "targetMinutes": None},
+        ]
+    )
+    assert segments[0]["targetMinutes"] == 5
+    assert "targetMinutes" not in segments[1]
+    with pytest.raises(OutlineContractError, match="1-180 minutes"):
+        normalize_configured_segments([{"id": "main", "name": "Main", "targetMinutes": 0}])
+
+
+@pytest.mark.asyncio
+async def test_run_sheet_timings_are_saved_on_the_idea(db_client: AsyncClient):
+    idea = {
+        "id": "idea-live",
+        "titles": ["Live"],
+        "selectedTitle": "Live",
+        "summary": "",
+        "outline": [],
+        "status": "scheduled",
+    }
+    saved = await db_client.put("/api/data/ideas", json=[idea], headers=_headers())
+    assert saved.json()["data"][0]["runSheet"] is None
+
+    patched = await db_client.patch(
+        "/api/ideas/idea-live",
+        json={"version": 1, "changes": {"runSheet": RUN_SHEET}},
+        headers=_headers(),
+    )
+    assert patched.status_code == 200
+    assert patched.json()["data"]["runSheet"]["segments"][0]["coveredPoints"] == [0, 1]
+
+    refused = await db_client.patch(
+        "/api/ideas/idea-live",
+        json={"version": 2, "changes": {"runSheet": _with_segment(elapsedSeconds=-5)}},
+        headers=_headers(),
+    )
+    assert refused.status_code == 422
+
+    bulk = await db_client.put(
+        "/api/data/ideas",
+        json=[{**idea, "runSheet": {"segments": "soon"}}],
+        headers=_headers(),
+    )
+    assert bulk.status_code == 422
+    assert "runSheet segments must be an array" in bulk.json()["detail"]
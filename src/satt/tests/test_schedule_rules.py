@@ -0,0 +1,106 @@
+"""Schedule rules are validated and normalized before config stores them."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+
+import jwt
+import pytest
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.schedule_rules import ScheduleRulesError, normalize_schedule_rules
+
+
+def _headers() -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def test_rules_are_sorted_deduplicated_and_defaulted():
+    normalized = normalize_schedule_rules(
+        {
+            "skipWeeks": ["2026-12-29", "2026-11-24", "2026-12-29"],
+            "hiatuses": [
+                {"start": "2027-01-05", "end": "2027-01-19", "label": " Holidays "},
+                {"start": "2026-08-04", "end": "2026-08-04"},
+            ],
+            "bonusWeeks": [{"recordDate": "2026-11-17", "label": "Patch day"}],
+        }
+    )
+    assert normalized == {
+        "cadenceWeeks": 1,
+        "skipWeeks": ["2026-11-24", "2026-12-29"],
+        "hiatuses": [
+            {"start": "2026-08-04", "end": "2026-08-04", "label": ""},
+            {"start": "2027-01-05", "end": "2027-01-19", "label": "Holidays"},
+        ],
+        "bonusWeeks": [{"recordDate": "2026-11-17", "extraEpisodes": 1, "label": "Patch day"}],
+    }
+
+
+@pytest.mark.parametrize(
+    ("rules", "message"),
+    [
+        ([], "must be an object"),
+        ({"cadenceWeeks": 0}, "cadenceWeeks"),
+        ({"cadenceWeeks": True}, "cadenceWeeks"),
+        ({"skipWeeks": ["next tuesday"]}, "skipped week 1"),
+        ({"skipWeeks": "2026-11-24"}, "skipWeeks must be an array"),
+        ({"hiatuses": [{"start": "2026-12-29", "end": "2026-12-22"}]}, "ends before it starts"),
+        ({"hiatuses": [{"start": "2026-12-22"}]}, "hiatus 1 end"),
+        ({"bonusWeeks": [{"recordDate": "2026-11-17", "extraEpisodes": 4}]}, "extraEpisodes"),
+        (
+            {"bonusWeeks": [{"recordDate": "2026-11-17"}, {"recordDate": "2026-11-17"}]},
+            "duplicate bonus week",
+        ),
+        ({"bonusWeeks": [{"recordDate": "2026-11-17", "label": "x" * 81}]}, "at most 80"),
+    ],
+)
+def test_invalid_rules_are_rejected(rules, message):
+    with pytest.raises(ScheduleRulesError, match=message):
+        normalize_schedule_rules(rules)
+
+
+@pytest.mark.asyncio
+async def test_config_saves_normalized_rules_and_rejects_invalid_ones(
+    db_client: AsyncClient,
+):
+    saved = await db_client.put(
+        "/api/data/config",
+        json={
+            "aiModel": "claude",
+            "scheduleRules": {"cadenceWeeks": 2, "skipWeeks": ["2026-11-24"]},
+        },
+        headers=_headers(),
+    )
+    assert saved.status_code == 200
+    config = (await db_client.get("/api/data/config", headers=_headers())).json()
+    assert config["scheduleRules"] == {
+        "cadenceWeeks": 2,
+        "skipWeeks": ["2026-11-24"],
+        "hiatuses": [],
+        "bonusWeeks": [],
+    }
+
+    rejected = await db_client.put(
+        "/api/data/config",
+        json={"aiModel": "claude", "scheduleRules": {"cadenceWeeks": 9}},
+        headers=_headers(),
+    )
+    assert rejected.status_code == 422
+    assert rejected.json()["detail"].startswith("Invalid schedule rules:")
+    config = (await db_client.get("/api/data/config", headers=_headers())).json()
+    assert config["scheduleRules"]["cadenceWeeks"] == 2
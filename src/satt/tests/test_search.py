@@ -0,0 +1,164 @@
+"""Archive-wide search behind the Ctrl+K palette."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import set_asset_inventory, set_whisperx_transcript
+from satt.search import SearchError, normalize_query, snippet
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+SLOT = {
+    "id": "slot_search",
+    "episodeNumber": "EP021",
+    "episodeNum": 21,
+    "recordDate": "2026-03-14",
+    "releaseDate": "2026-03-21",
+    "isRollout": False,
+    "releaseDateOverride": None,
+}
+
+IDEA = {
+    "id": "idea_sunwell",
+    "titles": ["Back to the Sunwell"],
+    "selectedTitle": "Back to the Sunwell",
+    "summary": "Raid nostalgia.",
+    "outline": [
+        {
+            "segmentId": "opening",
+            "segmentName": "Opening",
+            "talkingPoints": ["Who still has Sunwell loot?", "Raid night stories"],
+        },
+    ],
+    "status": "draft",
+}
+
+JOKE = {
+    "id": "joke_sunwell",
+    "text": "The Sunwell was 90% salt.",
+    "status": "unused",
+    "source": "manual",
+    "usedByIdeaId": None,
+}
+
+INVENTORY = {
+    "transcript_json": {"present": True, "drive_file_id": "drive-json-9", "modified": "2026-03-15"},
+}
+
+WHISPERX_CACHE = {
+    "driveFileId": "drive-json-9",
+    "modified": "2026-03-15",
+    "speakers": {"SPEAKER_00": "Rocket"},
+    "paragraphs": [
+        {
+            "speaker": "SPEAKER_00",
+            "start": 12.5,
+            "end": 20.0,
+            "text": "Nobody misses Sunwell trash packs.",
+        },
+        {"speaker": "SPEAKER_00", "start": 3725.0, "end": 3730.0, "text": "Salt all the things."},
+    ],
+}
+
+
+def _headers(role: str) -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": 1,
+        "username": role,
+        "is_admin": False,
+        "role": role,
+        "iat": now,
+        "exp": now + timedelta(hours=1),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def test_whisperx_transcript_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0020")
+    assert revision is not None
+    assert revision.down_revision == "0019"
+    assert revision.module.downgrade is not None
+
+
+def test_queries_are_collapsed_and_bounded():
+    assert normalize_query("  sun \n well ") == "sun well"
+    with pytest.raises(SearchError, match="at least 2"):
+        normalize_query(" s ")
+    with pytest.raises(SearchError, match="at most 200"):
+        normalize_query("s" * 201)
+
+
+def test_snippets_keep_the_text_around_the_first_match():
+    assert snippet("We went back to the SUNWELL.", "sunwell") == "We went back to the SUNWELL."
+    assert snippet(None, "sunwell") is None
+    assert snippet("No raids here.", "sunwell") is None
+    long = snippet("a " * 100 + "Sunwell" + " b" * 100, "sunwell")
+    assert long.startswith("…") and long.endswith("…")
+    assert "Sunwell" in long
+
+
+@pytest.mark.asyncio
+async def test_search_finds_records_the_role_may_open(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    host = _headers("host")
+    await db_client.put("/api/data/ideas", json=[IDEA], headers=host)
+    await db_client.put("/api/data/jokes", json=[JOKE], headers=host)
+    await db_client.put("/api/data/showSlots", json=[SLOT], headers=host)
+    await set_asset_inventory(db_session, SLOT["id"], INVENTORY)
+    await set_whisperx_transcript(db_session, SLOT["id"], WHISPERX_CACHE)
+
+    found = await db_client.get("/api/search", params={"q": "sunwell"}, headers=host)
+    assert found.status_code == 200
+    results = {(result["kind"], result["id"]): result for result in found.json()["results"]}
+    assert set(results) == {
+        ("idea", "idea_sunwell"),
+        ("outline", "idea_sunwell"),
+        ("transcript", "slot_search"),
+        ("joke", "joke_sunwell"),
+    }
+    assert results[("idea", "idea_sunwell")]["url"] == "show_management.html#idea/idea_sunwell"
+    assert results[("outline", "idea_sunwell")]["detail"] == "Opening"
+    assert results[("joke", "joke_sunwell")]["url"] == "jokes.html#record/joke_sunwell"
+    transcript = results[("transcript", "slot_search")]
+    assert transcript["url"] == "postproduction.html#transcript/slot_search/12.5"
+    assert transcript["detail"] == "Rocket at 0:12"
+    assert transcript["seconds"] == 12.5
+
+    # LIKE wildcards in the query are matched literally.
+    percent = await db_client.get("/api/search", params={"q": "90%"}, headers=host)
+    assert [result["kind"] for result in percent.json()["results"]] == ["joke"]
+
+    contributor = await db_client.get(
+        "/api/search", params={"q": "sunwell"}, headers=_headers("contributor")
+    )
+    assert "transcript" not in {result["kind"] for result in contributor.json()["results"]}
+    editor = await db_client.get("/api/search", params={"q": "sunwell"}, headers=_headers("editor"))
+    assert {result["kind"] for result in editor.json()["results"]} == {"transcript"}
+
+    # A rescan that found a newer file leaves the cached copy out until it is refreshed.
+    await set_asset_inventory(
+        db_session,
+        SLOT["id"],
+        {"transcript_json": {**INVENTORY["transcript_json"], "modified": "2026-03-16"}},
+    )
+    stale = await db_client.get("/api/search", params={"q": "sunwell"}, headers=_headers("editor"))
+    assert stale.json()["results"] == []
+
+    short = await db_client.get("/api/search", params={"q": "s"}, headers=host)
+    assert short.status_code == 422
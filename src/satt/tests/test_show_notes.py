@@ -0,0 +1,232 @@
+"""Show notes drafted from the transcript and accepted into the idea."""
+
+from __future__ import annotations
+
+import json
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+from unittest.mock import AsyncMock, MagicMock, patch
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.database import get_db
+from satt.main import app
+from satt.show_notes import (
+    ShowNotesError,
+    normalize_show_notes,
+    parse_generated_show_notes,
+    recording_length,
+    transcript_text,
+)
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+SHOW_NOTES = {
+    "keyMoments": [
+        {"seconds": 3725, "title": "Salt all the things"},
+        {"seconds": 83.9, "title": "  Sunwell   trash packs "},
+    ],
+    "quotes": [{"seconds": 1203, "speaker": "Trog", "text": "Salt is a lifestyle."}],
+    "mentions": ["Soggy the Mage", "soggy the mage", "Rocket"],
+}
+
+TRANSCRIPT = {
+    "source": "corrected",
+    "speakers": {"SPEAKER_00": "Rocket", "SPEAKER_01": "Trog"},
+    "paragraphs": [
+        {"speaker": "SPEAKER_00", "start": 12.5, "end": 20.0, "text": "Back to the Sunwell."},
+        {"speaker": "SPEAKER_01", "start": 1203.4, "end": 1210.0, "text": "Salt is a lifestyle."},
+    ],
+}
+
+GENERATED = {
+    "summary": "Rocket and Trog go back to the Sunwell.",
+    "keyMoments": [{"seconds": 12, "title": "Back to the Sunwell"}],
+    "quotes": [{"seconds": 1203, "speaker": "Trog", "text": "Salt is a lifestyle."}],
+    "mentions": [],
+}
+
+QUEUE_ROW = {"slotId": "slot-9", "ideaId": "idea-9", "assetInventory": {}}
+
+
+def _headers(role: str = "host") -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": 1,
+        "username": role,
+        "is_admin": False,
+        "role": role,
+        "iat": now,
+        "exp": now + timedelta(hours=1),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+async def _override_get_db():
+    yield AsyncMock()
+
+
+def test_show_notes_migration_is_the_single_reversible_head():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    assert scripts.get_heads() == ["0024"]
+    revision = scripts.get_revision("0021")
+    assert revision is not None
+    assert revision.down_revision == "0020"
+    assert revision.module.downgrade is not None
+
+
+def test_show_notes_are_sorted_and_deduplicated():
+    notes = normalize_show_notes(SHOW_NOTES, limit=3730)
+    assert notes == {
+        "keyMoments": [
+            {"seconds": 83, "title": "Sunwell trash packs"},
+            {"seconds": 3725, "title": "Salt all the things"},
+        ],
+        "quotes": [{"seconds": 1203, "speaker": "Trog", "text": "Salt is a lifestyle."}],
+        "mentions": ["Soggy the Mage", "Rocket"],
+    }
+    assert normalize_show_notes(None) is None
+    assert normalize_show_notes({}) == {"keyMoments": [], "quotes": [], "mentions": []}
+
+
+@pytest.mark.parametrize(
+    ("value", "message"),
+    [
+        ([], "must be an object"),
+        ({"keyMoments": "soon"}, "keyMoments must be an array"),
+        ({"keyMoments": [{"seconds": 10, "title": " "}]}, "key moment 1 needs text"),
+        ({"keyMoments": [{"seconds": True, "title": "Open"}]}, "needs a time in seconds"),
+        ({"keyMoments": [{"seconds": 4000, "title": "Late"}]}, "after the end of the recording"),
+        ({"quotes": [{"seconds": 1, "text": "Hi"}]}, "quote 1 speaker needs text"),
+        ({"mentions": ["x" * 301]}, "at most 300 characters"),
+        ({"keyMoments": [{"seconds": 1, "title": "a"}] * 16}, "more than 15 keyMoments"),
+    ],
+)
+def test_malformed_show_notes_are_refused(value, message):
+    with pytest.raises(ShowNotesError, match=message):
+        normalize_show_notes(value, limit=3730)
+
+
+def test_transcript_is_given_to_the_ai_with_times_and_names():
+    assert transcript_text(TRANSCRIPT) == (
+        "[12] Rocket: Back to the Sunwell.\n[1203] Trog: Salt is a lifestyle."
+    )
+    assert recording_length(TRANSCRIPT) == 1210.0
+    assert recording_length({"paragraphs": []}) == 0
+
+
+def test_generated_show_notes_are_parsed_from_fenced_json():
+    fenced = "```json\n" + json.dumps(GENERATED) + "\n```"
+    assert parse_generated_show_notes(fenced, limit=1210.0) == GENERATED
+    with pytest.raises(ShowNotesError, match="not valid JSON"):
+        parse_generated_show_notes("Here are your notes!", limit=1210.0)
+    with pytest.raises(ShowNotesError, match="summary needs text"):
+        parse_generated_show_notes(json.dumps({**GENERATED, "summary": ""}), limit=1210.0)
+
+
+def _patched_route(call_ai):
+    idea = MagicMock(selected_title="Back to the Sunwell", summary="Raid nostalgia.")
+    slot = MagicMock(episode_number="EP009")
+    return [
+        patch("satt.routes.ai.get_config", new=AsyncMock(return_value={
+            "aiModel": "claude", "claudeApiKey": "sk-ant-test",
+        })),
+        patch("satt.routes.ai._queue_row", new=AsyncMock(return_value=QUEUE_ROW)),
+        patch("satt.routes.ai._load_transcript", new=AsyncMock(return_value=TRANSCRIPT)),
+        patch("satt.routes.ai.get_idea_and_slot", new=AsyncMock(return_value=(idea, slot))),
+        patch("satt.routes.ai.call_ai", new=call_ai),
+    ]
+
+
+async def _post(client: AsyncClient, call_ai, role: str = "editor"):
+    app.dependency_overrides[get_db] = _override_get_db
+    patches = _patched_route(call_ai)
+    for patcher in patches:
+        patcher.start()
+    try:
+        return await client.post(
+            "/api/ai/show-notes", json={"slotId": "slot-9"}, headers=_headers(role)
+        )
+    finally:
+        for patcher in patches:
+            patcher.stop()
+        app.dependency_overrides.clear()
+
+
+@pytest.mark.asyncio
+async def test_show_notes_are_drafted_from_the_transcript(client: AsyncClient):
+    call_ai = AsyncMock(return_value=json.dumps(GENERATED))
+    resp = await _post(client, call_ai)
+    assert resp.status_code == 200
+    assert resp.json() == {
+        "slotId": "slot-9", "ideaId": "idea-9", "source": "corrected", **GENERATED,
+    }
+    _system, user_prompt, _config = call_ai.await_args.args
+    assert "[1203] Trog: Salt is a lifestyle." in user_prompt
+    assert "EP009" in user_prompt
+
+
+@pytest.mark.asyncio
+async def test_invalid_show_notes_get_one_repair_attempt(client: AsyncClient):
+    late = {**GENERATED, "keyMoments": [{"seconds": 5000, "title": "Too late"}]}
+    call_ai = AsyncMock(side_effect=[json.dumps(late), json.dumps(GENERATED)])
+    repaired = await _post(client, call_ai)
+    assert repaired.status_code == 200
+    assert "after the end of the recording" in call_ai.await_args_list[1].args[1]
+
+    call_ai = AsyncMock(return_value="not json")
+    failed = await _post(client, call_ai)
+    assert failed.status_code == 502
+    assert "after one repair attempt" in failed.json()["error"]
+    assert call_ai.await_count == 2
+
+
+@pytest.mark.asyncio
+async def test_only_post_production_may_draft_show_notes(client: AsyncClient):
+    refused = await _post(client, AsyncMock(), role="contributor")
+    assert refused.status_code == 403
+
+
+@pytest.mark.asyncio
+async def test_accepted_show_notes_are_saved_on_the_idea(db_client: AsyncClient):
+    idea = {
+        "id": "idea-notes",
+        "titles": ["Back to the Sunwell"],
+        "selectedTitle": "Back to the Sunwell",
+        "summary": "",
+        "outline": [],
+        "status": "scheduled",
+    }
+    saved = await db_client.put("/api/data/ideas", json=[idea], headers=_headers())
+    assert saved.json()["data"][0]["showNotes"] is None
+
+    patched = await db_client.patch(
+        "/api/ideas/idea-notes",
+        json={"version": 1, "changes": {"summary": GENERATED["summary"], "showNotes": SHOW_NOTES}},
+        headers=_headers(),
+    )
+    assert patched.status_code == 200
+    assert patched.json()["data"]["showNotes"]["mentions"] == ["Soggy the Mage", "Rocket"]
+
+    refused = await db_client.patch(
+        "/api/ideas/idea-notes",
+        json={"version": 2, "changes": {"showNotes": {"quotes": [{"seconds": -1}]}}},
+        headers=_headers(),
+    )
+    assert refused.status_code == 422
+
+    bulk = await db_client.put(
+        "/api/data/ideas",
+        json=[{**idea, "showNotes": {"mentions": "Soggy"}}],
+        headers=_headers(),
+    )
+    assert bulk.status_code == 422
+    assert "mentions must be an array" in bulk.json()["detail"]
@@ -0,0 +1,132 @@
+"""One show timezone and release time decide when every episode goes live."""
+
+from __future__ import annotations
+
+from datetime import date, datetime, timedelta, timezone
+
+import jwt
+import pytest
+from httpx import AsyncClient
+
+from satt.config import get_settings
+from satt.show_time import (
+    ShowTimeError,
+    latest_released_date,
+    normalize_release_time,
+    normalize_show_timezone,
+    release_instant,
+    show_today,
+)
+
+LOS_ANGELES = {"showTimezone": "America/Los_Angeles", "releaseTime": "06:00"}
+
+
+def _headers() -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _utc(value: str) -> datetime:
+    return datetime.fromisoformat(value).replace(tzinfo=timezone.utc)
+
+
+def test_release_instants_follow_the_show_timezone_across_dst():
+    assert release_instant(date(2026, 3, 7), LOS_ANGELES) == _utc("2026-03-07T14:00")
+    assert release_instant(date(2026, 3, 10), LOS_ANGELES) == _utc("2026-03-10T13:00")
+    assert release_instant(date(2026, 11, 3), LOS_ANGELES) == _utc("2026-11-03T14:00")
+    # 02:30 does not exist on spring-forward day; it lands an hour later.
+    skipped = {**LOS_ANGELES, "releaseTime": "02:30"}
+    assert release_instant(date(2026, 3, 8), skipped) == _utc("2026-03-08T10:30")
+    london = {"showTimezone": "Europe/London"}
+    assert release_instant(date(2026, 7, 7), london) == _utc("2026-07-06T23:00")
+
+
+def test_today_and_cutoff_use_the_show_clock():
+    monday_night = _utc("2026-11-10T05:30")
+    assert show_today({}, monday_night) == date(2026, 11, 9)
+    assert show_today({"showTimezone": "Europe/London"}, monday_night) == date(2026, 11, 10)
+
+    assert latest_released_date(LOS_ANGELES, _utc("2026-11-10T13:59")) == date(2026, 11, 9)
+    assert latest_released_date(LOS_ANGELES, _utc("2026-11-10T14:00")) == date(2026, 11, 10)
+    # A bad stored value falls back to the defaults rather than failing reads.
+    assert show_today({"showTimezone": "Not/AZone"}, monday_night) == date(2026, 11, 9)
+
+
+@pytest.mark.parametrize(
+    ("normalize", "value", "message"),
+    [
+        (normalize_show_timezone, "Pacific", "unknown showTimezone"),
+        (normalize_show_timezone, "", "IANA timezone"),
+        (normalize_release_time, "6am", "HH:MM"),
+        (normalize_release_time, "24:00", "HH:MM"),
+    ],
+)
+def test_invalid_release_timing_is_rejected(normalize, value, message):
+    with pytest.raises(ShowTimeError, match=message):
+        normalize(value)
+
+
+@pytest.mark.asyncio
+async def test_public_episodes_release_at_the_configured_time(
+    db_client: AsyncClient, monkeypatch
+):
+    saved = await db_client.put(
+        "/api/data/config",
+        json={"aiModel": "claude", **LOS_ANGELES},
+        headers=_headers(),
+    )
+    assert saved.status_code == 200
+    idea = {
+        "id": "timed_idea",
+        "titles": ["Timed Episode"],
+        "selectedTitle": "Timed Episode",
+        "summary": "",
+        "outline": [],
+        "status": "published",
+        "imageFileId": None,
+        "rawNotes": None,
+    }
+    slot = {
+        "id": "timed_slot",
+        "episodeNumber": "EP042",
+        "episodeNum": 42,
+        "recordDate": "2026-11-03",
+        "releaseDate": "2026-11-10",
+        "isRollout": False,
+    }
+    await db_client.put("/api/data/ideas", json=[idea], headers=_headers())
+    await db_client.put("/api/data/showSlots", json=[slot], headers=_headers())
+    await db_client.put(
+        "/api/data/assignments", json={"timed_slot": "timed_idea"}, headers=_headers()
+    )
+
+    monkeypatch.setattr("satt.show_time._now", lambda: _utc("2026-11-10T13:59"))
+    assert (await db_client.get("/public/episodes")).json()["episodes"] == []
+
+    monkeypatch.setattr("satt.show_time._now", lambda: _utc("2026-11-10T14:00"))
+    episodes = (await db_client.get("/public/episodes")).json()["episodes"]
+    assert [episode["episodeNumber"] for episode in episodes] == ["EP042"]
+    assert episodes[0]["releaseAt"] == "2026-11-10T14:00:00+00:00"
+
+
+@pytest.mark.asyncio
+async def test_config_rejects_unknown_timezones(db_client: AsyncClient):
+    rejected = await db_client.put(
+        "/api/data/config",
+        json={"aiModel": "claude", "showTimezone": "Mars/Olympus"},
+        headers=_headers(),
+    )
+    assert rejected.status_code == 422
+    assert rejected.json()["detail"].startswith("Invalid release timing:")
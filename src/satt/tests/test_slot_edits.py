@@ -0,0 +1,227 @@
+"""Slot tools: insert, remove, or renumber slots with a dry-run diff first."""
+
+from __future__ import annotations
+
+from datetime import date, datetime, timedelta, timezone
+
+import jwt
+import pytest
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import get_slot_post_production, set_production_file_key
+from satt.slot_edits import SlotEditError, plan_slot_edit, preview
+
+
+def _slot(num: int, record_date: str, release_date: str, slot_id: str | None = None) -> dict:
+    return {
+        "id": slot_id or f"slot_{num}",
+        "episodeNumber": f"EP{num:03d}",
+        "episodeNum": num,
+        "recordDate": record_date,
+        "releaseDate": release_date,
+        "isRollout": False,
+        "releaseDateOverride": None,
+    }
+
+
+SLOTS = [
+    _slot(1, "2026-09-01", "2026-09-08"),
+    _slot(2, "2026-09-08", "2026-09-15"),
+    _slot(3, "2026-09-15", "2026-10-20"),
+    _slot(4, "2026-09-22", "2026-10-27"),
+]
+
+
+def _idea(idea_id: str, title: str) -> dict:
+    return {
+        "id": idea_id,
+        "titles": [title],
+        "selectedTitle": title,
+        "summary": "",
+        "outline": [],
+        "status": "scheduled",
+        "imageFileId": None,
+        "rawNotes": None,
+    }
+
+
+IDEAS = [_idea("idea_2", "Raid Night"), _idea("idea_3", "Loot Council")]
+ASSIGNMENTS = {"slot_2": "idea_2", "slot_3": "idea_3"}
+RELEASED_THROUGH = date(2026, 10, 1)
+
+
+def _plan(edit: dict, config: dict | None = None, **kwargs) -> dict:
+    return plan_slot_edit(
+        SLOTS,
+        ASSIGNMENTS,
+        IDEAS,
+        config or {},
+        edit,
+        released_through=RELEASED_THROUGH,
+        **kwargs,
+    )
+
+
+def _numbers(plan: dict) -> list[tuple[str, str]]:
+    return [(slot["id"], slot["episodeNumber"]) for slot in plan["slots"]]
+
+
+def _headers() -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "role": "host",
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def test_insert_takes_the_next_number_and_shifts_later_episodes():
+    plan = _plan({"action": "insert", "recordDate": "2026-09-10"})
+    assert _numbers(plan) == [
+        ("slot_1", "EP001"),
+        ("slot_2", "EP002"),
+        ("slot_3_2", "EP003"),
+        ("slot_3", "EP004"),
+        ("slot_4", "EP005"),
+    ]
+    inserted = plan["slots"][2]
+    assert plan["insertedSlotId"] == "slot_3_2"
+    assert inserted["releaseDate"] == "2026-09-17"
+    assert [change["change"] for change in plan["changes"]] == ["insert", "renumber", "renumber"]
+    assert plan["changes"][1]["title"] == "Loot Council"
+    assert plan["warnings"] == []
+    assert plan["removedSlotIds"] == []
+
+
+def test_insert_on_a_recording_day_goes_after_that_days_episode():
+    plan = _plan(
+        {"action": "insert", "recordDate": "2026-09-22", "releaseDate": "2026-10-30"}
+    )
+    assert _numbers(plan)[-1] == ("slot_5", "EP005")
+    assert plan["slots"][-1]["releaseDate"] == "2026-10-30"
+    assert [change["change"] for change in plan["changes"]] == ["insert"]
+
+
+def test_remove_shifts_later_episodes_down_and_warns_about_what_goes():
+    plan = _plan(
+        {"action": "remove", "slotId": "slot_2"},
+        post_production={"slot_2": {"productionFileKey": "EP002_Raid", "scanned": True}},
+    )
+    assert _numbers(plan) == [("slot_1", "EP001"), ("slot_3", "EP002"), ("slot_4", "EP003")]
+    assert plan["removedSlotIds"] == ["slot_2"]
+    assert plan["changes"][0]["change"] == "remove"
+    assert plan["changes"][0]["ideaId"] == "idea_2"
+    warnings = " ".join(plan["warnings"])
+    assert "EP002 is already public" in warnings
+    assert "Raid Night" in warnings and "idea bank" in warnings
+    assert "file key and Drive scan are dropped" in warnings
+
+
+def test_renumber_closes_gaps_and_rewrites_the_art_log():
+    gappy = [_slot(1, "2026-09-01", "2026-09-08"), _slot(5, "2026-09-08", "2026-09-15", "slot_2")]
+    config = {
+        "artLog": [
+            {"episodeNumber": "EP005", "episodeNum": 5, "fileId": "art-5"},
+            {"episodeNumber": "EP001", "episodeNum": 1, "fileId": "art-1"},
+        ]
+    }
+    plan = plan_slot_edit(
+        gappy,
+        {},
+        [],
+        config,
+        {"action": "renumber", "startAt": 1},
+        released_through=RELEASED_THROUGH,
+        post_production={"slot_2": {"productionFileKey": "EP005_Title", "scanned": False}},
+    )
+    assert _numbers(plan) == [("slot_1", "EP001"), ("slot_2", "EP002")]
+    assert plan["artLog"] == [
+        {"episodeNumber": "EP002", "episodeNum": 2, "fileId": "art-5"},
+        {"episodeNumber": "EP001", "episodeNum": 1, "fileId": "art-1"},
+    ]
+    assert any("keeps its file key EP005_Title" in warning for warning in plan["warnings"])
+    assert preview(plan)["artLogChanged"] is True
+    assert "slots" not in preview(plan)
+
+
+def test_renumbering_in_place_changes_nothing():
+    plan = _plan({"action": "renumber", "startAt": 1})
+    assert plan["changes"] == [] and plan["artLog"] is None
+
+
+@pytest.mark.parametrize(
+    "edit",
+    [
+        None,
+        {"action": "shuffle"},
+        {"action": "remove", "slotId": "slot_9"},
+        {"action": "renumber", "startAt": 0},
+        {"action": "renumber", "startAt": True},
+        {"action": "insert", "recordDate": "next week"},
+        {"action": "insert", "recordDate": "2026-09-10", "releaseDate": "2026-09-01"},
+    ],
+)
+def test_invalid_edits_are_refused(edit):
+    with pytest.raises(SlotEditError):
+        _plan(edit)
+
+
+@pytest.mark.asyncio
+async def test_preview_writes_nothing_and_apply_keeps_slot_records_together(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    headers = _headers()
+    await db_client.put("/api/data/ideas", json=IDEAS, headers=headers)
+    await db_client.put("/api/data/showSlots", json=SLOTS, headers=headers)
+    await db_client.put("/api/data/assignments", json=ASSIGNMENTS, headers=headers)
+    await set_production_file_key(db_session, "slot_3", "EP003_Loot-Council")
+    await db_session.flush()
+    revision = (await db_client.get("/api/export", headers=headers)).json()["revision"]
+
+    edit = {"action": "insert", "recordDate": "2026-09-03"}
+    dry_run = await db_client.post(
+        "/api/schedule/slot-edits/preview", json=edit, headers=headers
+    )
+    assert dry_run.status_code == 200
+    assert dry_run.json()["insertedSlotId"] == "slot_2_2"
+    assert (await db_client.get("/api/export", headers=headers)).json()["revision"] == revision
+
+    applied = await db_client.post("/api/schedule/slot-edits", json=edit, headers=headers)
+    assert applied.status_code == 200
+    assert applied.json()["preview"] == dry_run.json()
+    state = applied.json()["state"]
+    numbers = {slot["id"]: slot["episodeNumber"] for slot in state["showSlots"]}
+    assert numbers == {
+        "slot_1": "EP001",
+        "slot_2_2": "EP002",
+        "slot_2": "EP003",
+        "slot_3": "EP004",
+        "slot_4": "EP005",
+    }
+    assert state["assignments"] == ASSIGNMENTS
+    production = await get_slot_post_production(db_session)
+    assert production["slot_3"]["productionFileKey"] == "EP003_Loot-Council"
+
+    removed = await db_client.post(
+        "/api/schedule/slot-edits", json={"action": "remove", "slotId": "slot_3"}, headers=headers
+    )
+    assert removed.status_code == 200
+    assert "slot_3" not in removed.json()["state"]["assignments"]
+    assert "slot_3" not in await get_slot_post_production(db_session)
+
+    refused = await db_client.post(
+        "/api/schedule/slot-edits", json={"action": "remove", "slotId": "slot_3"}, headers=headers
+    )
+    assert refused.status_code == 422
+    assert refused.json()["detail"].startswith("Invalid slot edit:")
@@ -0,0 +1,198 @@
+"""Refresh tokens renew access tokens up to a fixed end of session, rotate on
+every renewal, and stop working once the session signs out."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import decode_access_token, start_refresh_session
+from satt.config import get_settings
+from satt.models import RefreshSession, User
+from sv_common.auth.passwords import hash_password
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+async def _user(db_session: AsyncSession, **overrides) -> User:
+    user = User(
+        id=201,
+        username="rocket",
+        password_hash=hash_password("correct horse"),
+        is_admin=False,
+        is_active=True,
+        **overrides,
+    )
+    db_session.add(user)
+    await db_session.flush()
+    return user
+
+
+async def _refresh_token(db_session: AsyncSession, user: User, **claims) -> str:
+    token = await start_refresh_session(db_session, user)
+    if not claims:
+        return token
+    settings = get_settings()
+    return jwt.encode(
+        {**decode_access_token(token), **claims},
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+
+
+def test_refresh_session_migration_is_the_single_reversible_head():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    assert scripts.get_heads() == ["0024"]
+    revision = scripts.get_revision("0023")
+    assert revision is not None
+    assert revision.down_revision == "0022"
+    assert revision.module.downgrade is not None
+
+
+@pytest.mark.asyncio
+async def test_login_returns_a_refresh_token_that_renews_access(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await _user(db_session)
+    login = await db_client.post(
+        "/api/auth/login", json={"username": "rocket", "password": "correct horse"}
+    )
+    assert login.status_code == 200
+    session = login.json()
+    refresh_token = session["refreshToken"]
+    assert decode_access_token(refresh_token)["purpose"] == "refresh"
+
+    # A refresh token is not an access token.
+    rejected = await db_client.get(
+        "/api/export", headers={"Authorization": f"Bearer {refresh_token}"}
+    )
+    assert rejected.status_code == 401
+
+    renewed = await db_client.post("/api/auth/refresh", json={"refreshToken": refresh_token})
+    assert renewed.status_code == 200
+    body = renewed.json()
+    assert body["refreshToken"] != refresh_token
+    assert decode_access_token(body["refreshToken"])["exp"] == decode_access_token(
+        refresh_token
+    )["exp"]
+    assert body["username"] == "rocket"
+    exported = await db_client.get(
+        "/api/export", headers={"Authorization": f"Bearer {body['token']}"}
+    )
+    assert exported.status_code == 200
+
+    access = await db_client.post("/api/auth/refresh", json={"refreshToken": session["token"]})
+    assert access.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_renewed_access_never_outlives_the_session(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    user = await _user(db_session)
+    now = datetime.now(timezone.utc)
+    ending = await _refresh_token(db_session, user, exp=now + timedelta(minutes=5))
+    renewed = await db_client.post("/api/auth/refresh", json={"refreshToken": ending})
+    assert renewed.status_code == 200
+    expires = decode_access_token(renewed.json()["token"])["exp"]
+    assert expires <= (now + timedelta(minutes=5)).timestamp() + 1
+
+    expired = await _refresh_token(db_session, user, exp=now - timedelta(minutes=1))
+    response = await db_client.post("/api/auth/refresh", json={"refreshToken": expired})
+    assert response.status_code == 401
+    assert response.json()["detail"] == "Session expired"
+
+
+@pytest.mark.asyncio
+async def test_password_change_or_deactivation_ends_the_session(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    user = await _user(db_session)
+    refresh_token = await _refresh_token(db_session, user)
+
+    user.password_hash = hash_password("new password")
+    await db_session.flush()
+    changed = await db_client.post("/api/auth/refresh", json={"refreshToken": refresh_token})
+    assert changed.status_code == 401
+
+    refresh_token = await _refresh_token(db_session, user)
+    user.is_active = False
+    await db_session.flush()
+    inactive = await db_client.post("/api/auth/refresh", json={"refreshToken": refresh_token})
+    assert inactive.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_changing_your_own_password_keeps_the_current_session(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await _user(db_session)
+    login = await db_client.post(
+        "/api/auth/login", json={"username": "rocket", "password": "correct horse"}
+    )
+    session = login.json()
+    changed = await db_client.put(
+        "/api/users/me/password",
+        json={"currentPassword": "correct horse", "newPassword": "battery staple"},
+        headers={"Authorization": f"Bearer {session['token']}"},
+    )
+    assert changed.status_code == 200
+
+    old = await db_client.post("/api/auth/refresh", json={"refreshToken": session["refreshToken"]})
+    assert old.status_code == 401
+    new = await db_client.post(
+        "/api/auth/refresh", json={"refreshToken": changed.json()["refreshToken"]}
+    )
+    assert new.status_code == 200
+
+
+@pytest.mark.asyncio
+async def test_a_replaced_refresh_token_ends_the_session(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    user = await _user(db_session)
+    first = await _refresh_token(db_session, user)
+    renewed = await db_client.post("/api/auth/refresh", json={"refreshToken": first})
+    second = renewed.json()["refreshToken"]
+
+    # Another tab renewing with the token just replaced gets the current one.
+    racing = await db_client.post("/api/auth/refresh", json={"refreshToken": first})
+    assert racing.status_code == 200
+    current = decode_access_token(racing.json()["refreshToken"])["jti"]
+    assert current == decode_access_token(second)["jti"]
+
+    # Later, the old token can only be a copy: the session ends for everyone.
+    session = await db_session.get(RefreshSession, decode_access_token(first)["sid"])
+    session.rotated_at -= timedelta(minutes=5)
+    await db_session.flush()
+    copied = await db_client.post("/api/auth/refresh", json={"refreshToken": first})
+    assert copied.status_code == 401
+    ended = await db_client.post("/api/auth/refresh", json={"refreshToken": second})
+    assert ended.status_code == 401
+
+
+@pytest.mark.asyncio
+async def test_logout_revokes_the_refresh_token(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    user = await _user(db_session)
+    leaving = await _refresh_token(db_session, user)
+    staying = await _refresh_token(db_session, user)
+
+    logged_out = await db_client.post("/api/auth/logout", json={"refreshToken": leaving})
+    assert logged_out.status_code == 200
+    refused = await db_client.post("/api/auth/refresh", json={"refreshToken": leaving})
+    assert refused.status_code == 401
+    other = await db_client.post("/api/auth/refresh", json={"refreshToken": staying})
+    assert other.status_code == 200
+
+    garbage = await db_client.post("/api/auth/logout", json={"refreshToken": "not-a-token"})
+    assert garbage.status_code == 200
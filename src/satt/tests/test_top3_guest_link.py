@@ -0,0 +1,241 @@
+"""Guest magic links: one episode, expiring, and hidden until revealed."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.auth import decode_top3_guest_token
+from satt.config import get_settings
+from satt.models import User
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+def _headers(user_id: int, username: str, role: str = "host") -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": user_id,
+            "username": username,
+            "is_admin": False,
+            "role": role,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _guest(token: str) -> dict[str, str]:
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _concept(concept_id: str) -> dict:
+    return {
+        "id": concept_id,
+        "name": "Best tavern songs",
+        "description": "Rank songs for a long night.",
+        "rules": "No instrumentals.",
+        "hostNotes": "host-only-notes",
+        "aiExample": ["Song A", "Song B", "Song C"],
+        "status": "active",
+        "source": "manual",
+    }
+
+
+async def _assigned(db_client: AsyncClient, db_session: AsyncSession) -> None:
+    db_session.add_all(
+        [
+            User(id=101, username="rocket", password_hash="unused"),
+            User(id=102, username="trog", password_hash="unused"),
+        ]
+    )
+    await db_session.flush()
+    host = _headers(101, "rocket")
+    idea = {
+        "id": "guest-idea",
+        "titles": ["Guest episode"],
+        "selectedTitle": "Guest episode",
+        "summary": "Guest Top 3",
+        "outline": [],
+        "status": "processed",
+    }
+    assert (await db_client.put("/api/data/ideas", json=[idea], headers=host)).status_code == 200
+    for concept_id in ("tavern", "dungeon"):
+        created = await db_client.post(
+            "/api/top3/concepts", json=_concept(concept_id), headers=host
+        )
+        assert created.status_code == 201
+    assigned = await db_client.put(
+        "/api/top3/episodes/guest-idea/assignment",
+        json={"conceptId": "tavern"},
+        headers=host,
+    )
+    assert assigned.status_code == 200
+
+
+async def _link(db_client: AsyncClient, **body) -> dict:
+    response = await db_client.post(
+        "/api/top3/episodes/guest-idea/guest-links",
+        json={"displayName": "Bard", **body},
+        headers=_headers(101, "rocket"),
+    )
+    assert response.status_code == 201
+    return response.json()
+
+
+def _token(link: dict) -> str:
+    return link["url"].split("#", 1)[1]
+
+
+def test_guest_submission_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0014")
+    assert revision is not None
+    assert revision.down_revision == "0013"
+    assert revision.module.downgrade is not None
+
+
+@pytest.mark.asyncio
+async def test_guest_picks_stay_hidden_until_each_viewer_reveals_them(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await _assigned(db_client, db_session)
+    link = await _link(db_client)
+    assert "/top3-guest.html#" in link["url"]
+    token = _token(link)
+    assert decode_top3_guest_token(token)["idea_id"] == "guest-idea"
+
+    opened = await db_client.get("/api/top3/guest", headers=_guest(token))
+    assert opened.status_code == 200
+    assert opened.json()["displayName"] == "Bard"
+    assert opened.json()["concept"]["name"] == "Best tavern songs"
+    assert "host-only-notes" not in opened.text
+    assert opened.json()["submission"] is None
+
+    saved = await db_client.put(
+        "/api/top3/guest/submission",
+        json={"picks": ["guest-secret", "Two", "Three"], "privateDiscussionNotes": "why"},
+        headers=_guest(token),
+    )
+    assert saved.status_code == 200
+    assert saved.json()["submission"]["picks"][0] == "guest-secret"
+
+    rocket, trog = _headers(101, "rocket"), _headers(102, "trog")
+    hidden = await db_client.get("/api/top3/episodes/guest-idea", headers=rocket)
+    guest = next(
+        item
+        for item in hidden.json()["assignment"]["contributors"]
+        if item["submissionId"] == link["submissionId"]
+    )
+    assert guest["guestSubmitted"] is True
+    assert guest["externalType"] == "guest"
+    assert "picks" not in guest
+    assert "guest-secret" not in hidden.text
+    spotify = await db_client.post(
+        "/api/top3/episodes/guest-idea/spotify-results",
+        json={"purpose": "spotify-overview"},
+        headers=rocket,
+    )
+    assert "guest-secret" not in spotify.text
+
+    # Hosts cannot overwrite the guest's picks through the shared-result route.
+    revision = hidden.json()["revision"]
+    overwritten = await db_client.put(
+        f"/api/top3/episodes/guest-idea/external-submissions/{link['submissionId']}",
+        json={"displayName": "Bard", "externalType": "guest", "picks": ["A", "B", "C"]},
+        headers={**rocket, "If-Match": str(revision)},
+    )
+    assert overwritten.status_code == 409
+
+    revealed = await db_client.post(
+        f"/api/top3/episodes/guest-idea/reveals/{link['submissionId']}",
+        headers={**rocket, "If-Match": str(revision)},
+    )
+    assert revealed.status_code == 200
+    assert "guest-secret" in revealed.text
+    assert "guest-secret" not in (
+        await db_client.get("/api/top3/episodes/guest-idea", headers=trog)
+    ).text
+
+
+@pytest.mark.asyncio
+async def test_guest_links_open_one_episode_until_they_expire(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await _assigned(db_client, db_session)
+    token = _token(await _link(db_client))
+
+    # A guest link is not a session, and a session is not a guest link.
+    assert (await db_client.get("/api/export", headers=_guest(token))).status_code == 401
+    assert (
+        await db_client.get("/api/top3/episodes/guest-idea", headers=_guest(token))
+    ).status_code == 401
+    assert (
+        await db_client.get("/api/top3/guest", headers=_headers(101, "rocket"))
+    ).status_code == 401
+    assert (await db_client.get("/api/top3/guest")).status_code == 401
+
+    settings = get_settings()
+    ended = datetime.now(timezone.utc) - timedelta(minutes=1)
+    expired = jwt.encode(
+        {**decode_top3_guest_token(token), "exp": ended},
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    response = await db_client.get("/api/top3/guest", headers=_guest(expired))
+    assert response.status_code == 401
+    assert response.json()["detail"] == "This guest link has expired"
+
+    host = _headers(101, "rocket")
+    revision = (await db_client.get("/api/top3/concepts", headers=host)).json()["revision"]
+    replaced = await db_client.put(
+        "/api/top3/episodes/guest-idea/assignment",
+        json={"conceptId": "dungeon"},
+        headers={**host, "If-Match": str(revision)},
+    )
+    assert replaced.status_code == 200
+    retired = await db_client.put(
+        "/api/top3/guest/submission",
+        json={"picks": ["One", "Two", "Three"]},
+        headers=_guest(token),
+    )
+    assert retired.status_code == 404
+
+
+@pytest.mark.asyncio
+async def test_only_top3_roles_issue_guest_links_for_assigned_episodes(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await _assigned(db_client, db_session)
+    editor = await db_client.post(
+        "/api/top3/episodes/guest-idea/guest-links",
+        json={"displayName": "Bard"},
+        headers=_headers(102, "trog", role="editor"),
+    )
+    assert editor.status_code == 403
+    missing = await db_client.post(
+        "/api/top3/episodes/no-such-idea/guest-links",
+        json={"displayName": "Bard"},
+        headers=_headers(101, "rocket"),
+    )
+    assert missing.status_code == 404
+    for body in ({"displayName": "  "}, {"displayName": "Bard", "expiresHours": 0}):
+        invalid = await db_client.post(
+            "/api/top3/episodes/guest-idea/guest-links",
+            json=body,
+            headers=_headers(101, "rocket"),
+        )
+        assert invalid.status_code == 422
@@ -12,7 +12,7 @@ REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
 def test_top3_migration_is_the_single_reversible_head():
     config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
     scripts = ScriptDirectory.from_config(config)
-    assert scripts.get_heads() == ["0009"]
+    assert scripts.get_heads() == ["0024"]
     revision = scripts.get_revision("0008")
     assert revision is not None
     assert revision.down_revision == "0007"
@@ -0,0 +1,111 @@
+"""Transcript utterance starts, which align run-sheet chapters to the recording."""
+
+from __future__ import annotations
+
+import json
+from datetime import datetime, timedelta, timezone
+from unittest.mock import AsyncMock, MagicMock, patch
+
+import jwt
+import pytest
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import set_asset_inventory, set_production_file_key
+from satt.transcripts import TranscriptError, parse_transcript, utterance_starts
+
+SLOT = {
+    "id": "slot_chapters",
+    "episodeNumber": "EP012",
+    "episodeNum": 12,
+    "recordDate": "2026-01-10",
+    "releaseDate": "2026-01-17",
+    "isRollout": False,
+    "releaseDateOverride": None,
+}
+
+WHISPERX = {
+    "segments": [
+        {"start": 0.031, "end": 4.2, "text": " Welcome back.", "speaker": "SPEAKER_00"},
+        {"start": 341.8004, "end": 350.0, "text": " Main topic.", "speaker": "SPEAKER_01"},
+        {"end": 351.0, "text": " unaligned"},
+        {"start": 4.5, "end": 9.0, "text": " Salt.", "speaker": "SPEAKER_00"},
+        {"start": 4.5, "end": 9.0, "text": " Salt again.", "speaker": "SPEAKER_01"},
+    ],
+    "word_segments": [],
+}
+
+
+def _headers() -> dict:
+    settings = get_settings()
+    payload = {
+        "user_id": 1,
+        "username": "testuser",
+        "is_admin": False,
+        "exp": datetime.now(timezone.utc) + timedelta(hours=1),
+        "iat": datetime.now(timezone.utc),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _patch_drive(content: str):
+    settings = MagicMock()
+    settings.google_oauth_client_id = "fake-client-id"
+    settings.google_oauth_client_secret = "fake-client-secret"
+    settings.google_oauth_refresh_token = "fake-refresh-token"
+    return (
+        patch("satt.routes.postproduction.get_settings", return_value=settings),
+        patch(
+            "satt.routes.postproduction.get_drive_access_token",
+            new=AsyncMock(return_value="fake-token"),
+        ),
+        patch(
+            "satt.routes.postproduction.fetch_file_content",
+            new=AsyncMock(return_value=content),
+        ),
+    )
+
+
+def test_utterance_starts_are_sorted_unique_and_skip_unaligned_segments():
+    assert utterance_starts(WHISPERX) == [0.031, 4.5, 341.8]
+
+
+@pytest.mark.parametrize(
+    ("content", "message"),
+    [("not json", "not valid JSON"), ("[]", "no segments"), ('{"text": "hi"}', "no segments")],
+)
+def test_other_files_are_not_transcripts(content, message):
+    with pytest.raises(TranscriptError, match=message):
+        parse_transcript(content)
+
+
+@pytest.mark.asyncio
+async def test_boundaries_come_from_the_scanned_transcript_json(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await db_client.put("/api/data/showSlots", json=[SLOT], headers=_headers())
+    await set_production_file_key(db_session, SLOT["id"], "EP012_Chapters")
+    path = f"/api/postproduction/{SLOT['id']}/transcript-boundaries"
+
+    missing = await db_client.get(path, headers=_headers())
+    assert missing.status_code == 404
+    assert missing.json()["detail"] == "No transcript JSON found for this slot"
+
+    await set_asset_inventory(
+        db_session,
+        SLOT["id"],
+        {"transcript_json": {"present": True, "drive_file_id": "drive-json-1"}},
+    )
+    settings_patch, token_patch, fetch_patch = _patch_drive(json.dumps(WHISPERX))
+    with settings_patch, token_patch, fetch_patch as fetch:
+        found = await db_client.get(path, headers=_headers())
+    assert found.status_code == 200
+    assert found.json() == {"boundaries": [0.031, 4.5, 341.8]}
+    fetch.assert_awaited_once_with("fake-token", "drive-json-1")
+
+    settings_patch, token_patch, fetch_patch = _patch_drive("<html>")
+    with settings_patch, token_patch, fetch_patch:
+        garbled = await db_client.get(path, headers=_headers())
+    assert garbled.status_code == 422
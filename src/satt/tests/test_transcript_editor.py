@@ -0,0 +1,189 @@
+"""Transcript corrections saved from the Post-Production transcript panel."""
+
+from __future__ import annotations
+
+import json
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+from unittest.mock import AsyncMock, MagicMock, patch
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.config import get_settings
+from satt.crud import set_asset_inventory, set_production_file_key
+from satt.transcripts import (
+    TranscriptError,
+    normalize_corrected_transcript,
+    transcript_paragraphs,
+)
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+SLOT = {
+    "id": "slot_transcript",
+    "episodeNumber": "EP013",
+    "episodeNum": 13,
+    "recordDate": "2026-01-17",
+    "releaseDate": "2026-01-24",
+    "isRollout": False,
+    "releaseDateOverride": None,
+}
+
+WHISPERX = {
+    "segments": [
+        {"start": 0.5, "end": 2.0, "text": " Welcome back.", "speaker": "SPEAKER_01"},
+        {"start": 2.1, "end": 4.0, "text": " It's salt day.", "speaker": "SPEAKER_01"},
+        {"start": 4.2, "end": 6.0, "text": " Indeed.", "speaker": "SPEAKER_00"},
+        {"end": 7.0, "text": " Unaligned aside.", "speaker": "SPEAKER_02"},
+        {"start": 8.0, "end": 9.5, "text": "   ", "speaker": "SPEAKER_00"},
+        {"start": 9.6, "end": 11.0, "text": " No speaker here."},
+    ],
+}
+
+CORRECTED = {
+    "speakers": {"SPEAKER_01": "Rocket", "SPEAKER_00": "Trog", "SPEAKER_02": "Guest"},
+    "paragraphs": [
+        {"speaker": "SPEAKER_01", "start": 0.5, "end": 4.0, "text": "Welcome back. It's salt day."},
+        {"speaker": "SPEAKER_00", "start": 4.2, "end": 6.0, "text": " Indeed. "},
+    ],
+}
+
+
+def _headers() -> dict:
+    settings = get_settings()
+    payload = {
+        "user_id": 1,
+        "username": "testuser",
+        "is_admin": False,
+        "exp": datetime.now(timezone.utc) + timedelta(hours=1),
+        "iat": datetime.now(timezone.utc),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _patch_drive(content: str):
+    settings = MagicMock()
+    settings.google_oauth_client_id = "fake-client-id"
+    settings.google_oauth_client_secret = "fake-client-secret"
+    settings.google_oauth_refresh_token = "fake-refresh-token"
+    return (
+        patch("satt.routes.postproduction.get_settings", return_value=settings),
+        patch(
+            "satt.routes.postproduction.get_drive_access_token",
+            new=AsyncMock(return_value="fake-token"),
+        ),
+        patch(
+            "satt.routes.postproduction.fetch_file_content",
+            new=AsyncMock(return_value=content),
+        ),
+    )
+
+
+def test_corrected_transcript_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0019")
+    assert revision is not None
+    assert revision.down_revision == "0018"
+    assert revision.module.downgrade is not None
+
+
+def test_whisperx_utterances_become_speaker_paragraphs():
+    transcript = transcript_paragraphs(WHISPERX)
+    assert transcript["speakers"] == {
+        "SPEAKER_01": "Rocket",
+        "SPEAKER_00": "Trog",
+        "SPEAKER_02": "SPEAKER_02",
+        "UNKNOWN": "UNKNOWN",
+    }
+    assert transcript["paragraphs"] == [
+        {"speaker": "SPEAKER_01", "start": 0.5, "end": 4.0, "text": "Welcome back. It's salt day."},
+        {"speaker": "SPEAKER_00", "start": 4.2, "end": 6.0, "text": "Indeed."},
+        {"speaker": "SPEAKER_02", "start": 4.2, "end": 7.0, "text": "Unaligned aside."},
+        {"speaker": "UNKNOWN", "start": 9.6, "end": 11.0, "text": "No speaker here."},
+    ]
+
+
+def test_corrections_are_trimmed_and_unused_speakers_dropped():
+    transcript = normalize_corrected_transcript(CORRECTED)
+    assert transcript["speakers"] == {"SPEAKER_01": "Rocket", "SPEAKER_00": "Trog"}
+    assert transcript["paragraphs"][1]["text"] == "Indeed."
+
+
+def _with_paragraph(**changes) -> dict:
+    return {**CORRECTED, "paragraphs": [{**CORRECTED["paragraphs"][0], **changes}]}
+
+
+@pytest.mark.parametrize(
+    ("transcript", "message"),
+    [
+        ([], "must be an object"),
+        ({**CORRECTED, "speakers": {"SPEAKER_01": " "}}, "needs a name"),
+        ({**CORRECTED, "paragraphs": []}, "at least one paragraph"),
+        (_with_paragraph(speaker="SPEAKER_09"), "unknown speaker"),
+        (_with_paragraph(text=""), "has no text"),
+        (_with_paragraph(end=0.1), "start and end"),
+        (
+            {**CORRECTED, "paragraphs": list(reversed(CORRECTED["paragraphs"]))},
+            "starts before the paragraph above it",
+        ),
+    ],
+)
+def test_malformed_corrections_are_refused(transcript, message):
+    with pytest.raises(TranscriptError, match=message):
+        normalize_corrected_transcript(transcript)
+
+
+@pytest.mark.asyncio
+async def test_corrections_replace_the_whisperx_transcript(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await db_client.put("/api/data/showSlots", json=[SLOT], headers=_headers())
+    await set_production_file_key(db_session, SLOT["id"], "EP013_Transcript")
+    await set_asset_inventory(
+        db_session,
+        SLOT["id"],
+        {"transcript_json": {"present": True, "drive_file_id": "drive-json-2"}},
+    )
+    path = f"/api/postproduction/{SLOT['id']}/transcript"
+
+    settings_patch, token_patch, fetch_patch = _patch_drive(json.dumps(WHISPERX))
+    with settings_patch, token_patch, fetch_patch:
+        original = await db_client.get(path, headers=_headers())
+    assert original.status_code == 200
+    assert original.json()["source"] == "whisperx"
+    assert original.json()["speakers"]["SPEAKER_01"] == "Rocket"
+
+    refused = await db_client.put(path, json=_with_paragraph(text=" "), headers=_headers())
+    assert refused.status_code == 422
+
+    saved = await db_client.put(path, json=CORRECTED, headers=_headers())
+    assert saved.status_code == 200
+    assert saved.json()["source"] == "corrected"
+    assert saved.json()["savedBy"] == "testuser"
+
+    # Drive is not needed once there is a corrected version.
+    corrected = await db_client.get(path, headers=_headers())
+    assert corrected.json()["paragraphs"][1]["text"] == "Indeed."
+    boundaries = await db_client.get(
+        f"/api/postproduction/{SLOT['id']}/transcript-boundaries", headers=_headers()
+    )
+    assert boundaries.json() == {"boundaries": [0.5, 4.2]}
+    queue = await db_client.get("/api/postproduction", headers=_headers())
+    row = next(r for r in queue.json() if r["slotId"] == SLOT["id"])
+    assert row["transcriptCorrectedAt"] == saved.json()["savedAt"]
+
+    discarded = await db_client.delete(path, headers=_headers())
+    assert discarded.status_code == 200
+    assert discarded.json()["transcriptCorrectedAt"] is None
+
+    missing = await db_client.put(
+        "/api/postproduction/no-such-slot/transcript", json=CORRECTED, headers=_headers()
+    )
+    assert missing.status_code == 404
@@ -0,0 +1,267 @@
+"""Transcription jobs: retries, heartbeats, cancel and requeue, locking, and watcher health."""
+
+from __future__ import annotations
+
+import asyncio
+from datetime import date, datetime, timedelta, timezone
+
+import jwt
+import pytest
+from fastapi import HTTPException
+from httpx import AsyncClient
+from sqlalchemy import delete, select
+from sqlalchemy.ext.asyncio import AsyncSession, async_sessionmaker
+
+from satt.config import get_settings
+from satt.crud import set_production_file_key
+from satt.models import ShowSlot
+from satt.routes.postproduction import (
+    TranscriptionStatusRequest,
+    cancel_transcription,
+    update_transcription_status,
+)
+from satt.transcription_jobs import (
+    HEARTBEAT_TIMEOUT_SECONDS,
+    MAX_LOG_LINES,
+    WORKER_STALE_SECONDS,
+    TranscriptionJobError,
+    WorkerRegistry,
+    cancel,
+    duration_seconds,
+    expire_orphan,
+    finish,
+    is_due,
+    is_orphaned,
+    log_tail,
+    new_job,
+    report_progress,
+)
+
+START = datetime(2026, 10, 18, 19, 0, tzinfo=timezone.utc)
+
+SLOT = {
+    "id": "slot_jobs",
+    "episodeNumber": "EP021",
+    "episodeNum": 21,
+    "recordDate": "2026-03-14",
+    "releaseDate": "2026-03-21",
+    "isRollout": False,
+    "releaseDateOverride": None,
+}
+
+
+def _headers(role: str = "editor") -> dict:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    payload = {
+        "user_id": 1,
+        "username": role,
+        "is_admin": False,
+        "role": role,
+        "iat": now,
+        "exp": now + timedelta(hours=1),
+    }
+    token = jwt.encode(payload, settings.secret_key, algorithm=settings.jwt_algorithm)
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _at(seconds: float) -> datetime:
+    return START + timedelta(seconds=seconds)
+
+
+def test_failed_attempts_retry_with_backoff_until_the_last():
+    job = report_progress(new_job(START, "rocket"), "STUDIO-PC", START)
+    assert (job["status"], job["worker"], job["attempt"]) == ("in_progress", "STUDIO-PC", 1)
+
+    job = finish(job, "failed", _at(10), error="exit 1")
+    assert (job["status"], job["attempt"], job["error"]) == ("pending", 2, "exit 1")
+    assert not is_due(job, _at(69))
+    assert is_due(job, _at(70))
+    with pytest.raises(TranscriptionJobError, match="waiting to retry"):
+        report_progress(job, "STUDIO-PC", _at(30))
+
+    job = finish(report_progress(job, "STUDIO-PC", _at(70)), "failed", _at(80))
+    assert job["attempt"] == 3
+    assert job["nextAttemptAt"] == _at(80 + 300).isoformat()
+
+    job = finish(report_progress(job, "STUDIO-PC", _at(400)), "failed", _at(460), error="exit 2")
+    assert (job["status"], job["attempt"], job["error"]) == ("failed", 3, "exit 2")
+    assert duration_seconds(job, _at(999)) == 60
+
+
+def test_heartbeats_keep_a_job_alive_and_carry_the_log_tail():
+    job = report_progress(new_job(START, "rocket"), "STUDIO-PC", START)
+    job = report_progress(job, "STUDIO-PC", _at(150), ["loading model", "", "aligning"])
+    assert job["logTail"] == ["loading model", "aligning"]
+    assert duration_seconds(job, _at(200)) == 200
+    assert not is_orphaned(job, _at(150 + HEARTBEAT_TIMEOUT_SECONDS))
+    assert is_orphaned(job, _at(151 + HEARTBEAT_TIMEOUT_SECONDS))
+
+    with pytest.raises(TranscriptionJobError, match="running on STUDIO-PC"):
+        report_progress(job, "LAPTOP", _at(160))
+
+    expired = expire_orphan(job, _at(400))
+    assert (expired["status"], expired["attempt"]) == ("pending", 2)
+    assert expired["error"] == "STUDIO-PC stopped reporting while transcribing"
+
+    lines = [f"line {index}" for index in range(100)] + ["x" * 900]
+    assert len(log_tail(lines)) == MAX_LOG_LINES
+    assert log_tail(lines)[-1] == "x" * 500
+
+
+def test_only_queued_or_running_jobs_can_be_cancelled():
+    job = cancel(new_job(START, "rocket"), _at(5), "trog")
+    assert (job["status"], job["cancelledBy"]) == ("cancelled", "trog")
+    with pytest.raises(TranscriptionJobError, match="is cancelled"):
+        report_progress(job, "STUDIO-PC", _at(10))
+    with pytest.raises(TranscriptionJobError, match="can be cancelled"):
+        cancel(job, _at(10), "trog")
+    with pytest.raises(TranscriptionJobError, match="can be cancelled"):
+        cancel(None, _at(10), "trog")
+
+
+def test_stale_watcher_alert():
+    now = [0.0]
+    registry = WorkerRegistry(clock=lambda: now[0])
+    assert registry.snapshot()["alert"] is None
+
+    now[0] = WORKER_STALE_SECONDS + 1
+    assert "No transcription watcher has checked in" in registry.snapshot()["alert"]
+
+    registry.check_in("STUDIO-PC")
+    snapshot = registry.snapshot()
+    assert snapshot["alert"] is None
+    assert snapshot["workers"][0]["name"] == "STUDIO-PC"
+    assert snapshot["workers"][0]["stale"] is False
+
+    now[0] += 12 * 60
+    snapshot = registry.snapshot()
+    assert snapshot["workers"][0]["stale"] is True
+    assert snapshot["alert"].startswith(
+        "The transcription watcher on STUDIO-PC last checked in 12 minutes ago."
+    )
+
+
+@pytest.mark.asyncio
+async def test_watcher_claims_reports_and_is_stopped_by_cancel(
+    db_client: AsyncClient, db_session: AsyncSession
+):
+    await db_client.put("/api/data/showSlots", json=[SLOT], headers=_headers("host"))
+    await set_production_file_key(db_session, SLOT["id"], "EP021_Test")
+    editor = _headers()
+    status_url = f"/api/postproduction/{SLOT['id']}/transcribe-status"
+
+    queued = await db_client.post(f"/api/postproduction/{SLOT['id']}/transcribe", headers=editor)
+    assert queued.json()["transcriptionJob"]["requestedBy"] == "editor"
+
+    polled = await db_client.get(
+        "/api/postproduction/transcription-jobs", params={"worker": "STUDIO-PC"}, headers=editor
+    )
+    [job] = polled.json()
+    assert job["attempt"] == 1
+
+    claimed = await db_client.put(
+        status_url,
+        json={"status": "in_progress", "jobId": job["jobId"], "worker": "STUDIO-PC"},
+        headers=editor,
+    )
+    assert claimed.json()["status"] == "in_progress"
+    await db_client.put(
+        status_url,
+        json={
+            "status": "in_progress", "jobId": job["jobId"], "worker": "STUDIO-PC",
+            "logTail": ["Transcribing Raw_Dog_EP021_Test.wav"],
+        },
+        headers=editor,
+    )
+
+    dashboard = (await db_client.get(
+        "/api/postproduction/transcription-queue", headers=editor
+    )).json()
+    [entry] = dashboard["jobs"]
+    assert entry["job"]["worker"] == "STUDIO-PC"
+    assert entry["job"]["logTail"] == ["Transcribing Raw_Dog_EP021_Test.wav"]
+    assert entry["durationSeconds"] is not None
+    assert "STUDIO-PC" in {worker["name"] for worker in dashboard["workers"]}
+
+    busy = await db_client.post(f"/api/postproduction/{SLOT['id']}/transcribe", headers=editor)
+    assert busy.status_code == 409
+
+    cancelled = await db_client.post(
+        f"/api/postproduction/{SLOT['id']}/transcribe/cancel", headers=editor
+    )
+    assert cancelled.json()["transcriptionJob"]["status"] == "cancelled"
+    stopped = await db_client.put(
+        status_url,
+        json={"status": "in_progress", "jobId": job["jobId"], "worker": "STUDIO-PC"},
+        headers=editor,
+    )
+    assert stopped.status_code == 409
+
+    requeued = await db_client.post(f"/api/postproduction/{SLOT['id']}/transcribe", headers=editor)
+    assert requeued.json()["transcriptionJob"]["id"] != job["jobId"]
+    replaced = await db_client.put(
+        status_url, json={"status": "failed", "jobId": job["jobId"]}, headers=editor
+    )
+    assert replaced.status_code == 409
+    assert replaced.json()["detail"] == "This transcription job was replaced"
+
+    contributor = await db_client.post(
+        f"/api/postproduction/{SLOT['id']}/transcribe/cancel", headers=_headers("contributor")
+    )
+    assert contributor.status_code == 403
+
+
+@pytest.mark.asyncio
+async def test_concurrent_watchers_and_cancels_take_turns_on_the_job(db_session: AsyncSession):
+    slot_id = "slot_jobs_locking"
+    db_session.add(
+        ShowSlot(
+            id=slot_id,
+            episode_number="EP022",
+            episode_num=22,
+            record_date=date(2026, 3, 21),
+            release_date=date(2026, 3, 28),
+            production_file_key="EP022_Test",
+            transcription_job=new_job(datetime.now(timezone.utc), "editor"),
+        )
+    )
+    await db_session.commit()
+    factory = async_sessionmaker(db_session.bind, expire_on_commit=False)
+    editor = {"user_id": 1, "username": "editor", "role": "editor"}
+
+    async def report(worker: str) -> dict:
+        async with factory() as session:
+            job = await update_transcription_status(
+                slot_id,
+                TranscriptionStatusRequest(status="in_progress", worker=worker),
+                editor,
+                session,
+            )
+            await session.commit()
+            return job
+
+    async def stop() -> None:
+        async with factory() as session:
+            await cancel_transcription(slot_id, editor, session)
+            await session.commit()
+
+    try:
+        claims = await asyncio.gather(
+            report("STUDIO-PC"), report("EDIT-BAY"), return_exceptions=True
+        )
+        [winner] = [claim for claim in claims if isinstance(claim, dict)]
+        [loser] = [claim for claim in claims if isinstance(claim, HTTPException)]
+        assert loser.status_code == 409
+
+        # A heartbeat racing a cancel never puts the job back in progress.
+        await asyncio.gather(report(winner["worker"]), stop(), return_exceptions=True)
+        async with factory() as verify:
+            job = await verify.scalar(
+                select(ShowSlot.transcription_job).where(ShowSlot.id == slot_id)
+            )
+        assert job["status"] == "cancelled"
+    finally:
+        async with factory() as cleanup:
+            await cleanup.execute(delete(ShowSlot).where(ShowSlot.id == slot_id))
+            await cleanup.commit()
@@ -0,0 +1,173 @@
+"""Soft-delete trash: deletes keep the record and restore reattaches what is free."""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+
+import jwt
+import pytest
+from alembic.config import Config
+from alembic.script import ScriptDirectory
+from httpx import AsyncClient
+
+from satt.config import get_settings
+
+REPOSITORY_ROOT = Path(__file__).resolve().parents[3]
+
+
+def _headers() -> dict[str, str]:
+    settings = get_settings()
+    now = datetime.now(timezone.utc)
+    token = jwt.encode(
+        {
+            "user_id": 1,
+            "username": "rocket",
+            "is_admin": False,
+            "iat": now,
+            "exp": now + timedelta(hours=1),
+        },
+        settings.secret_key,
+        algorithm=settings.jwt_algorithm,
+    )
+    return {"Authorization": f"Bearer {token}"}
+
+
+def _idea(idea_id: str) -> dict:
+    return {
+        "id": idea_id,
+        "titles": [f"Title {idea_id}"],
+        "selectedTitle": f"Title {idea_id}",
+        "summary": "Summary",
+        "outline": [],
+        "status": "processed",
+        "createdAt": "2026-10-01T00:00:00Z",
+    }
+
+
+def _song(song_id: str) -> dict:
+    return {
+        "id": song_id,
+        "artist": "Test Artist",
+        "title": "Song",
+        "youtubeUrl": "https://youtu.be/abcdefghijk",
+        "privateNotes": "",
+        "status": "unused",
+        "assignedIdeaId": None,
+        "createdAt": "2026-07-31T00:00:00Z",
+        "updatedAt": "2026-07-31T00:00:00Z",
+    }
+
+
+def _slot(slot_id: str) -> dict:
+    return {
+        "id": slot_id,
+        "episodeNumber": "EP1",
+        "episodeNum": 1,
+        "recordDate": "2026-10-20",
+        "releaseDate": "2026-10-27",
+        "isRollout": False,
+        "releaseDateOverride": None,
+    }
+
+
+def test_trash_migration_is_reversible():
+    config = Config(str(REPOSITORY_ROOT / "alembic.ini"))
+    scripts = ScriptDirectory.from_config(config)
+    revision = scripts.get_revision("0012")
+    assert revision is not None
+    assert revision.down_revision == "0011"
+    assert revision.module.downgrade is not None
+
+
+async def _trash(db_client: AsyncClient) -> dict:
+    response = await db_client.get("/api/trash", headers=_headers())
+    assert response.status_code == 200
+    return response.json()
+
+
+@pytest.mark.asyncio
+async def test_deleted_idea_is_restored_with_its_free_assignments(db_client: AsyncClient):
+    await db_client.put("/api/data/ideas", json=[_idea("idea-a"), _idea("idea-b")], headers=_headers())
+    await db_client.put(
+        "/api/data/jokes", json=[{"id": "joke-1", "text": "Salt", "status": "unused"}], headers=_headers()
+    )
+    await db_client.put("/api/data/songs", json=[_song("song-1")], headers=_headers())
+    await db_client.put("/api/data/showSlots", json=[_slot("slot-1")], headers=_headers())
+    await db_client.put("/api/jokes/joke-1/assignment", json={"ideaId": "idea-a"}, headers=_headers())
+    await db_client.put("/api/songs/song-1/assignment", json={"ideaId": "idea-a"}, headers=_headers())
+    await db_client.put("/api/schedule/slot-1/assignment", json={"ideaId": "idea-a"}, headers=_headers())
+
+    deleted = await db_client.delete("/api/ideas/idea-a", headers=_headers())
+    assert deleted.status_code == 200
+    trash = await _trash(db_client)
+    assert trash["retentionDays"] == get_settings().trash_retention_days
+    [entry] = trash["entries"]
+    assert entry["kind"] == "ideas"
+    assert entry["title"] == "Title idea-a"
+    assert entry["deletedBy"] == "rocket"
+    assert entry["links"] == {
+        "jokeId": "joke-1",
+        "songId": "song-1",
+        "guestIds": [],
+        "slotId": "slot-1",
+    }
+
+    # The slot is taken while idea-a is in the trash; the joke and song are free.
+    await db_client.put("/api/schedule/slot-1/assignment", json={"ideaId": "idea-b"}, headers=_headers())
+    restored = await db_client.post(f"/api/trash/{entry['id']}/restore", headers=_headers())
+    assert restored.status_code == 200
+    body = restored.json()
+    assert body["restored"]["restored"] == ["joke", "song"]
+    assert body["restored"]["skipped"] == ["schedule slot"]
+    state = body["state"]
+    idea = next(idea for idea in state["ideas"] if idea["id"] == "idea-a")
+    assert idea["status"] == "processed"
+    assert state["jokes"][0]["usedByIdeaId"] == "idea-a"
+    assert state["songs"][0]["assignedIdeaId"] == "idea-a"
+    assert state["assignments"] == {"slot-1": "idea-b"}
+    assert (await _trash(db_client))["entries"] == []
+
+    missing = await db_client.post(f"/api/trash/{entry['id']}/restore", headers=_headers())
+    assert missing.status_code == 404
+
+
+@pytest.mark.asyncio
+async def test_full_array_deletes_are_trashed_and_undo_clears_them(db_client: AsyncClient):
+    await db_client.put(
+        "/api/data/jokes",
+        json=[
+            {"id": "joke-1", "text": "Salt one", "status": "unused"},
+            {"id": "joke-2", "text": "Salt two", "status": "unused"},
+        ],
+        headers=_headers(),
+    )
+    await db_client.put(
+        "/api/data/jokes", json=[{"id": "joke-2", "text": "Salt two", "status": "unused"}], headers=_headers()
+    )
+    [entry] = (await _trash(db_client))["entries"]
+    assert entry["kind"] == "jokes"
+    assert entry["title"] == "Salt one"
+
+    # Re-adding the joke, as undo does, takes it back out of the trash.
+    await db_client.put(
+        "/api/data/jokes",
+        json=[
+            {"id": "joke-1", "text": "Salt one", "status": "unused"},
+            {"id": "joke-2", "text": "Salt two", "status": "unused"},
+        ],
+        headers=_headers(),
+    )
+    assert (await _trash(db_client))["entries"] == []
+
+
+@pytest.mark.asyncio
+async def test_deleted_song_is_restored_to_the_bank(db_client: AsyncClient):
+    await db_client.put("/api/data/songs", json=[_song("song-1")], headers=_headers())
+    await db_client.delete("/api/songs/song-1", headers=_headers())
+    [entry] = (await _trash(db_client))["entries"]
+    assert entry["kind"] == "songs"
+
+    restored = await db_client.post(f"/api/trash/{entry['id']}/restore", headers=_headers())
+    assert restored.status_code == 200
+    assert [song["id"] for song in restored.json()["state"]["songs"]] == ["song-1"]
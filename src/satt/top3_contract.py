@@ -160,3 +160,38 @@ def validate_external_submission(
             required=False,
         ),
     }
+
+
+GUEST_LINK_MAX_HOURS = 14 * 24
+
+
+def validate_guest_link(value: Any) -> dict:
+    if not isinstance(value, dict):
+        raise Top3ContractError("guest link must be an object")
+    hours = value.get("expiresHours", 72)
+    if isinstance(hours, bool) or not isinstance(hours, int):
+        raise Top3ContractError("expiresHours must be a whole number of hours")
+    if not 1 <= hours <= GUEST_LINK_MAX_HOURS:
+        raise Top3ContractError(
+            f"expiresHours must be between 1 and {GUEST_LINK_MAX_HOURS}"
+        )
+    return {
+        "displayName": _text(
+            value.get("displayName"), label="displayName", maximum=200
+        ),
+        "expiresHours": hours,
+    }
+
+
+def validate_guest_submission(value: Any) -> dict:
+    if not isinstance(value, dict):
+        raise Top3ContractError("submission must be an object")
+    return {
+        "picks": validate_picks(value.get("picks")),
+        "privateDiscussionNotes": _text(
+            value.get("privateDiscussionNotes", ""),
+            label="privateDiscussionNotes",
+            maximum=8000,
+            required=False,
+        ),
+    }
@@ -306,7 +306,7 @@ async def reveal_submission(
     )
     if submission is None:
         raise Top3NotFoundError("Top 3 submission not found for this episode")
-    if submission.participant_type != "account":
+    if submission.participant_type != "account" and not submission.submitted_by_guest:
         raise Top3ConflictError("External Top 3 results are already shared")
     if submission.account_user_id == viewer_user_id:
         raise Top3ConflictError("A user cannot reveal their own Top 3 submission")
@@ -371,6 +371,8 @@ async def update_external_submission(
     )
     if row is None:
         raise Top3NotFoundError("External Top 3 submission not found")
+    if row.submitted_by_guest:
+        raise Top3ConflictError("Only the guest's own link can change their Top 3 picks")
     row.external_display_name = submission["displayName"]
     row.external_type = submission["externalType"]
     row.pick_1, row.pick_2, row.pick_3 = submission["picks"]
@@ -400,6 +402,86 @@ async def delete_external_submission(
     await bump_data_revision(db)
 
 
+async def _guest_assignment(db: AsyncSession, guest: dict) -> Top3Concept:
+    """The concept a guest link was issued for, while it is still assigned."""
+    concept = (
+        await db.execute(
+            select(Top3Concept)
+            .join(Top3Assignment, Top3Assignment.concept_id == Top3Concept.id)
+            .where(Top3Assignment.idea_id == guest["idea_id"])
+        )
+    ).scalar_one_or_none()
+    if concept is None or concept.id != guest["concept_id"]:
+        raise Top3NotFoundError("This episode's Top 3 has changed; ask the hosts for a new link")
+    return concept
+
+
+async def _guest_submission(db: AsyncSession, guest: dict, *, lock: bool = False):
+    query = select(Top3Submission).where(Top3Submission.id == guest["submission_id"])
+    if lock:
+        query = query.with_for_update()
+    row = await db.scalar(query)
+    if row is not None and (
+        row.assignment_idea_id != guest["idea_id"] or not row.submitted_by_guest
+    ):
+        raise Top3ConflictError("Top 3 submission id already exists")
+    return row
+
+
+async def get_guest_view(db: AsyncSession, guest: dict) -> dict:
+    """What a guest link may read: the shared concept and the guest's own picks."""
+    concept = await _guest_assignment(db, guest)
+    row = await _guest_submission(db, guest)
+    return {
+        "displayName": guest["display_name"],
+        "expiresAt": datetime.fromtimestamp(guest["exp"], timezone.utc).isoformat(),
+        "concept": {
+            "name": concept.name,
+            "description": concept.description,
+            "rules": concept.rules,
+            "aiExample": list(concept.ai_example or []),
+        },
+        "submission": None
+        if row is None
+        else {
+            "picks": [row.pick_1, row.pick_2, row.pick_3],
+            "privateDiscussionNotes": row.private_discussion_notes,
+            "updatedAt": row.updated_at.isoformat(),
+        },
+    }
+
+
+async def save_guest_submission(db: AsyncSession, guest: dict, submission: dict) -> None:
+    await _lock_top3_lifecycle(db)
+    await _guest_assignment(db, guest)
+    row = await _guest_submission(db, guest, lock=True)
+    now = datetime.now(timezone.utc)
+    if row is None:
+        db.add(
+            Top3Submission(
+                id=guest["submission_id"],
+                assignment_idea_id=guest["idea_id"],
+                participant_type="external",
+                external_display_name=guest["display_name"],
+                external_type="guest",
+                entered_by_user_id=guest["entered_by_user_id"],
+                submitted_by_guest=True,
+                pick_1=submission["picks"][0],
+                pick_2=submission["picks"][1],
+                pick_3=submission["picks"][2],
+                private_discussion_notes=submission["privateDiscussionNotes"],
+                created_at=now,
+                updated_at=now,
+            )
+        )
+    else:
+        row.pick_1, row.pick_2, row.pick_3 = submission["picks"]
+        row.private_discussion_notes = submission["privateDiscussionNotes"]
+        row.updated_at = now
+    await db.flush()
+    await bump_data_revision(db)
+
+
 async def get_viewer_assignment(
     db: AsyncSession, *, idea_id: str, viewer_user_id: int
 ) -> dict:
@@ -496,7 +578,7 @@ async def get_viewer_assignment(
                 submission,
                 display_name=submission.external_display_name or "External contributor",
                 current_user_id=viewer_user_id,
-                revealed_at=None,
+                revealed_at=revealed_at_by_id.get(submission.id),
             )
         )
 
@@ -550,8 +632,9 @@ async def get_spotify_results(
     )
     ordered_contributors = []
     for submission, username in rows:
+        private = submission.participant_type == "account" or submission.submitted_by_guest
         if (
-            submission.participant_type == "account"
+            private
             and submission.account_user_id != viewer_user_id
             and submission.id not in revealed_submission_ids
         ):
@@ -0,0 +1,259 @@
+"""Transcription jobs run by the watcher on the recording PC.
+
+Post-Production queues a job on the slot (``show_slots.transcription_job``).
+scripts/watch.py polls for jobs that are due, claims one, and reports a
+heartbeat with the tail of its log while it runs. A failed attempt is retried
+automatically after a backoff until ``MAX_ATTEMPTS``. A job whose worker stops
+reporting counts as a failed attempt:
+
+    {
+      "id": "5f0c...",
+      "status": "in_progress",
+      "attempt": 2,
+      "maxAttempts": 3,
+      "requestedAt": "...", "requestedBy": "rocket",
+      "worker": "STUDIO-PC", "startedAt": "...", "heartbeatAt": "...",
+      "finishedAt": null, "nextAttemptAt": null,
+      "error": "transcribe-auto.py exited with code 1",
+      "logTail": ["...last lines of output..."],
+      "updatedAt": "..."
+    }
+
+``status`` is ``pending``, ``in_progress``, ``done``, ``failed`` or
+``cancelled``. ``error`` keeps the last failure while a retry waits. Every
+report from the watcher names the job ``id`` it claimed, so a worker whose job
+was cancelled and queued again cannot overwrite the new one.
+
+The API runs as a single uvicorn worker, so watcher check-ins are kept in
+process memory like editing presence (see satt.live).
+"""
+
+from __future__ import annotations
+
+import time
+import uuid
+from collections.abc import Callable
+from datetime import datetime, timedelta, timezone
+
+MAX_ATTEMPTS = 3
+RETRY_BASE_SECONDS = 60
+RETRY_BACKOFF_FACTOR = 5
+# watch.py polls every 30 seconds and reports a heartbeat as often while a job runs.
+HEARTBEAT_TIMEOUT_SECONDS = 180
+WORKER_STALE_SECONDS = 120
+MAX_LOG_LINES = 40
+MAX_LOG_LINE_LENGTH = 500
+MAX_WORKER_NAME_LENGTH = 100
+DEFAULT_WORKER = "watcher"
+ACTIVE_STATUSES = {"pending", "in_progress"}
+
+
+class TranscriptionJobError(ValueError):
+    """Raised when a job cannot move to the requested state."""
+
+
+def _iso(moment: datetime) -> str:
+    return moment.isoformat()
+
+
+def _parse(value: str | None) -> datetime | None:
+    if not value:
+        return None
+    try:
+        return datetime.fromisoformat(value)
+    except ValueError:
+        return None
+
+
+def worker_name(value: str | None) -> str:
+    name = " ".join(str(value or "").split())[:MAX_WORKER_NAME_LENGTH]
+    return name or DEFAULT_WORKER
+
+
+def log_tail(lines: list[str] | None) -> list[str]:
+    """The last ``MAX_LOG_LINES`` non-blank lines, each cut to a readable length."""
+    kept = [str(line).rstrip()[:MAX_LOG_LINE_LENGTH] for line in lines or []]
+    return [line for line in kept if line.strip()][-MAX_LOG_LINES:]
+
+
+def retry_delay(attempt: int) -> int:
+    """Seconds to wait after attempt ``attempt`` fails: 1 minute, then 5."""
+    return RETRY_BASE_SECONDS * RETRY_BACKOFF_FACTOR ** (attempt - 1)
+
+
+def new_job(now: datetime, requested_by: str | None) -> dict:
+    return {
+        "id": uuid.uuid4().hex,
+        "status": "pending",
+        "attempt": 1,
+        "maxAttempts": MAX_ATTEMPTS,
+        "requestedAt": _iso(now),
+        "requestedBy": requested_by,
+        "updatedAt": _iso(now),
+    }
+
+
+def is_due(job: dict | None, now: datetime) -> bool:
+    if not job or job.get("status") != "pending":
+        return False
+    next_attempt = _parse(job.get("nextAttemptAt"))
+    return next_attempt is None or next_attempt <= now
+
+
+def is_orphaned(job: dict | None, now: datetime) -> bool:
+    """A running job whose worker has not reported for ``HEARTBEAT_TIMEOUT_SECONDS``."""
+    if not job or job.get("status") != "in_progress":
+        return False
+    last = _parse(job.get("heartbeatAt")) or _parse(job.get("startedAt")) or _parse(
+        job.get("updatedAt")
+    )
+    return last is None or now - last > timedelta(seconds=HEARTBEAT_TIMEOUT_SECONDS)
+
+
+def _fail_attempt(job: dict, error: str, now: datetime) -> dict:
+    attempt = job.get("attempt", 1)
+    failed = {**job, "error": error, "finishedAt": _iso(now), "updatedAt": _iso(now)}
+    if attempt < job.get("maxAttempts", MAX_ATTEMPTS):
+        return {
+            **failed,
+            "status": "pending",
+            "attempt": attempt + 1,
+            "nextAttemptAt": _iso(now + timedelta(seconds=retry_delay(attempt))),
+        }
+    return {**failed, "status": "failed", "nextAttemptAt": None}
+
+
+def report_progress(
+    job: dict, worker: str, now: datetime, lines: list[str] | None = None
+) -> dict:
+    """Claim a due job, or record a heartbeat on the job this worker is running."""
+    status = job.get("status")
+    if status == "pending":
+        if not is_due(job, now):
+            raise TranscriptionJobError("This transcription job is waiting to retry")
+        return {
+            **job,
+            "status": "in_progress",
+            "worker": worker,
+            "startedAt": _iso(now),
+            "heartbeatAt": _iso(now),
+            "finishedAt": None,
+            "nextAttemptAt": None,
+            "logTail": log_tail(lines),
+            "updatedAt": _iso(now),
+        }
+    if status != "in_progress":
+        raise TranscriptionJobError(f"This transcription job is {status}")
+    if job.get("worker") not in (None, worker):
+        raise TranscriptionJobError(f"This transcription job is running on {job['worker']}")
+    updated = {**job, "heartbeatAt": _iso(now), "updatedAt": _iso(now)}
+    if lines is not None:
+        updated["logTail"] = log_tail(lines)
+    return updated
+
+
+def finish(
+    job: dict,
+    status: str,
+    now: datetime,
+    *,
+    error: str | None = None,
+    lines: list[str] | None = None,
+) -> dict:
+    """Record how the running attempt ended. A failure retries while attempts remain."""
+    if job.get("status") != "in_progress":
+        raise TranscriptionJobError(f"This transcription job is {job.get('status')}")
+    if lines is not None:
+        job = {**job, "logTail": log_tail(lines)}
+    if status == "done":
+        return {
+            **job,
+            "status": "done",
+            "error": None,
+            "finishedAt": _iso(now),
+            "updatedAt": _iso(now),
+        }
+    return _fail_attempt(job, error or "Transcription failed", now)
+
+
+def expire_orphan(job: dict, now: datetime) -> dict:
+    worker = job.get("worker") or DEFAULT_WORKER
+    return _fail_attempt(job, f"{worker} stopped reporting while transcribing", now)
+
+
+def cancel(job: dict | None, now: datetime, cancelled_by: str | None) -> dict:
+    if not job or job.get("status") not in ACTIVE_STATUSES:
+        raise TranscriptionJobError("Only queued or running transcription jobs can be cancelled")
+    return {
+        **job,
+        "status": "cancelled",
+        "cancelledBy": cancelled_by,
+        "nextAttemptAt": None,
+        "finishedAt": _iso(now),
+        "updatedAt": _iso(now),
+    }
+
+
+def duration_seconds(job: dict, now: datetime) -> int | None:
+    """How long the current or last attempt ran, up to now while it is running."""
+    started = _parse(job.get("startedAt"))
+    if started is None:
+        return None
+    ended = now if job.get("status") == "in_progress" else _parse(job.get("finishedAt"))
+    return max(0, int(((ended or now) - started).total_seconds()))
+
+
+def _ago(seconds: float) -> str:
+    minutes = int(seconds // 60)
+    if minutes < 1:
+        return "less than a minute ago"
+    if minutes < 120:
+        return f"{minutes} minute{'s' if minutes != 1 else ''} ago"
+    return f"{minutes // 60} hours ago"
+
+
+class WorkerRegistry:
+    """When each watcher last checked in, by worker name."""
+
+    def __init__(self, clock: Callable[[], float] = time.time) -> None:
+        self._clock = clock
+        self._started_at = clock()
+        self._last_seen: dict[str, float] = {}
+
+    def check_in(self, worker: str) -> None:
+        self._last_seen[worker] = self._clock()
+
+    def snapshot(self) -> dict:
+        """Each worker's last check-in, and an alert when none has checked in lately.
+
+        Until a watcher has had time to check in after a restart, there is no alert.
+        """
+        now = self._clock()
+        workers = [
+            {
+                "name": name,
+                "lastSeenAt": datetime.fromtimestamp(seen, timezone.utc).isoformat(),
+                "secondsSinceCheckIn": int(now - seen),
+                "stale": now - seen > WORKER_STALE_SECONDS,
+            }
+            for name, seen in sorted(self._last_seen.items())
+        ]
+        alert = None
+        if not workers:
+            if now - self._started_at > WORKER_STALE_SECONDS:
+                alert = (
+                    "No transcription watcher has checked in since the server started "
+                    f"{_ago(now - self._started_at)}. Queued jobs will not run until "
+                    "scripts/watch.py is running."
+                )
+        elif all(worker["stale"] for worker in workers):
+            latest = min(workers, key=lambda worker: worker["secondsSinceCheckIn"])
+            alert = (
+                f"The transcription watcher on {latest['name']} last checked in "
+                f"{_ago(latest['secondsSinceCheckIn'])}. Queued jobs will not run until "
+                "scripts/watch.py is running again."
+            )
+        return {"workers": workers, "alert": alert, "staleAfterSeconds": WORKER_STALE_SECONDS}
+
+
+workers = WorkerRegistry()
@@ -0,0 +1,174 @@
+"""Read the WhisperX transcripts the local transcriber uploads to Drive.
+
+``Transcript_<key>.json`` is WhisperX's own output: ``segments`` is a list of
+utterances with ``start`` and ``end`` in seconds, ``text``, and a diarized
+``speaker`` label. See scripts/transcribe-auto.py.
+
+Hosts can correct it in Post-Production. The corrected transcript is stored on
+the slot as speaker names plus paragraphs, and replaces the WhisperX file as
+the source for chapters.
+"""
+
+from __future__ import annotations
+
+import json
+import math
+from typing import Any
+
+# Matches scripts/transcribe-auto.py: label-speakers --auto names diarized
+# speakers in order of first appearance.
+DEFAULT_HOSTS = ("Rocket", "Trog")
+UNKNOWN_SPEAKER = "UNKNOWN"
+MAX_SPEAKER_NAME_LENGTH = 80
+
+
+class TranscriptError(ValueError):
+    """Raised when a transcript file is not WhisperX JSON."""
+
+
+def parse_transcript(content: str) -> dict:
+    try:
+        data = json.loads(content)
+    except json.JSONDecodeError as error:
+        raise TranscriptError(f"Transcript file is not valid JSON: {error}") from error
+    if not isinstance(data, dict) or not isinstance(data.get("segments"), list):
+        raise TranscriptError("Transcript file has no segments list")
+    return data
+
+
+def _seconds(value: Any) -> float | None:
+    if isinstance(value, bool) or not isinstance(value, (int, float)) or value < 0:
+        return None
+    if not math.isfinite(value):
+        return None
+    return float(value)
+
+
+def utterance_starts(data: dict) -> list[float]:
+    """Where each utterance starts, in order, rounded to milliseconds.
+
+    Chapters snap to these so a chapter never starts mid-sentence. Segments
+    without a usable ``start`` (WhisperX leaves some unaligned) are skipped.
+    """
+    starts = {
+        round(start, 3)
+        for segment in data["segments"]
+        if isinstance(segment, dict)
+        and (start := _seconds(segment.get("start"))) is not None
+    }
+    return sorted(starts)
+
+
+def transcript_paragraphs(data: dict, hosts: tuple[str, ...] = DEFAULT_HOSTS) -> dict:
+    """The WhisperX transcript as speaker names plus paragraphs.
+
+    Consecutive utterances from one speaker become one paragraph, as
+    label-speakers.py writes them. Speakers are named after ``hosts`` in order
+    of first appearance; any beyond that keep their diarized ID until renamed.
+    """
+    speakers: dict[str, str] = {}
+    paragraphs: list[dict] = []
+    for segment in data["segments"]:
+        if not isinstance(segment, dict):
+            continue
+        text = segment.get("text")
+        if not isinstance(text, str) or not text.strip():
+            continue
+        speaker = segment.get("speaker")
+        if not isinstance(speaker, str) or not speaker:
+            speaker = UNKNOWN_SPEAKER
+        if speaker not in speakers:
+            index = len(speakers)
+            speakers[speaker] = hosts[index] if index < len(hosts) else speaker
+        start = _seconds(segment.get("start"))
+        end = _seconds(segment.get("end"))
+        current = paragraphs[-1] if paragraphs else None
+        if current is not None and current["speaker"] == speaker:
+            current["text"] += " " + text.strip()
+            if current["start"] is None:
+                current["start"] = start
+            if end is not None:
+                current["end"] = max(end, current["end"] or 0)
+            continue
+        paragraphs.append(
+            {"speaker": speaker, "start": start, "end": end, "text": text.strip()}
+        )
+    # Keep paragraphs in order. One WhisperX left unaligned starts where the
+    # paragraph before it did.
+    previous = 0.0
+    for paragraph in paragraphs:
+        paragraph["start"] = round(max(previous, paragraph["start"] or 0), 3)
+        paragraph["end"] = round(max(paragraph["end"] or 0, paragraph["start"]), 3)
+        previous = paragraph["start"]
+    return {"speakers": speakers, "paragraphs": paragraphs}
+
+
+def normalize_corrected_transcript(value: Any) -> dict:
+    """Validate a corrected transcript from the editor.
+
+    Every paragraph needs a named speaker, text, and a start no earlier than
+    the paragraph before it. Speakers no paragraph uses are dropped.
+    """
+    if not isinstance(value, dict):
+        raise TranscriptError("Transcript must be an object")
+    speakers = value.get("speakers")
+    if not isinstance(speakers, dict):
+        raise TranscriptError("Transcript speakers must be an object")
+    names: dict[str, str] = {}
+    for speaker, name in speakers.items():
+        if not isinstance(name, str) or not name.strip():
+            raise TranscriptError(f"Speaker {speaker} needs a name")
+        if len(name.strip()) > MAX_SPEAKER_NAME_LENGTH:
+            raise TranscriptError(
+                f"Speaker names must be at most {MAX_SPEAKER_NAME_LENGTH} characters"
+            )
+        names[speaker] = name.strip()
+
+    paragraphs = value.get("paragraphs")
+    if not isinstance(paragraphs, list) or not paragraphs:
+        raise TranscriptError("Transcript needs at least one paragraph")
+    normalized: list[dict] = []
+    previous = 0.0
+    for number, paragraph in enumerate(paragraphs, start=1):
+        if not isinstance(paragraph, dict):
+            raise TranscriptError(f"Paragraph {number} must be an object")
+        speaker = paragraph.get("speaker")
+        if speaker not in names:
+            raise TranscriptError(f"Paragraph {number} has an unknown speaker")
+        text = paragraph.get("text")
+        if not isinstance(text, str) or not text.strip():
+            raise TranscriptError(f"Paragraph {number} has no text")
+        start = _seconds(paragraph.get("start"))
+        end = _seconds(paragraph.get("end"))
+        if start is None or end is None or end < start:
+            raise TranscriptError(f"Paragraph {number} needs a start and end in seconds")
+        if start < previous:
+            raise TranscriptError(f"Paragraph {number} starts before the paragraph above it")
+        previous = start
+        normalized.append({
+            "speaker": speaker,
+            "start": round(start, 3),
+            "end": round(end, 3),
+            "text": text.strip(),
+        })
+    used = {paragraph["speaker"] for paragraph in normalized}
+    return {
+        "speakers": {speaker: name for speaker, name in names.items() if speaker in used},
+        "paragraphs": normalized,
+    }
+
+
+def paragraph_starts(transcript: dict) -> list[float]:
+    """Where each paragraph of a corrected transcript starts, for chapters."""
+    return sorted({paragraph["start"] for paragraph in transcript["paragraphs"]})
+
+
+def is_current_whisperx_cache(cached: dict | None, inventory: dict) -> bool:
+    """Whether a cached WhisperX transcript is of the file the last scan found."""
+    entry = inventory.get("transcript_json") or {}
+    return bool(
+        cached
+        and entry.get("drive_file_id")
+        and cached.get("driveFileId") == entry["drive_file_id"]
+        and cached.get("modified") == entry.get("modified")
+    )
@@ -0,0 +1,242 @@
+"""Soft-delete trash: deleted ideas, jokes, songs, and guests, and restore.
+
+Like the audit log, the trash is filled by comparing the state exported before
+a mutation with the state after it, so the dedicated delete routes, full-array
+saves, and imports all keep what they remove. A record that reappears, for
+example through undo or a history revert, leaves the trash again.
+"""
+
+from __future__ import annotations
+
+from datetime import datetime, timedelta, timezone
+
+from sqlalchemy import delete, select
+from sqlalchemy.ext.asyncio import AsyncSession
+
+from satt.audit import records_by_id
+from satt.config import get_settings
+from satt.crud import (
+    DataNotFoundError,
+    assign_idea_to_slot,
+    assign_joke_to_idea,
+    get_assignments,
+    get_ideas,
+    get_jokes,
+    get_show_slots,
+    replace_ideas,
+    replace_jokes,
+)
+from satt.guest_crud import assign_guest_to_idea, get_guests, replace_guests
+from satt.models import TrashEntry
+from satt.song_crud import assign_song_to_idea, get_songs, replace_songs
+
+TRASHED_KINDS = ("ideas", "jokes", "songs", "guests")
+
+_LOADERS = {
+    "ideas": (get_ideas, replace_ideas),
+    "jokes": (get_jokes, replace_jokes),
+    "songs": (get_songs, replace_songs),
+    "guests": (get_guests, replace_guests),
+}
+
+
+class TrashRestoreError(RuntimeError):
+    """Raised when a trashed record cannot come back, e.g. its id is taken."""
+
+
+def retention_days() -> int:
+    return get_settings().trash_retention_days
+
+
+def _title(kind: str, record: dict) -> str:
+    if kind == "ideas":
+        titles = record.get("titles") or []
+        return record.get("selectedTitle") or (titles[0] if titles else "Untitled idea")
+    if kind == "jokes":
+        return record.get("text") or "Joke"
+    if kind == "songs":
+        return f"{record.get('artist', '')} — {record.get('title', '')}"
+    return record.get("displayName") or "Guest"
+
+
+def _links(kind: str, record: dict, state: dict) -> dict:
+    """The assignments a record had in ``state``, for a later restore."""
+    record_id = record["id"]
+    if kind == "ideas":
+        joke = next(
+            (j for j in state.get("jokes", []) if j.get("usedByIdeaId") == record_id),
+            None,
+        )
+        song = next(
+            (s for s in state.get("songs", []) if s.get("assignedIdeaId") == record_id),
+            None,
+        )
+        slot = next(
+            (
+                slot_id
+                for slot_id, idea_id in (state.get("assignments") or {}).items()
+                if idea_id == record_id
+            ),
+            None,
+        )
+        return {
+            "jokeId": joke["id"] if joke else None,
+            "songId": song["id"] if song else None,
+            "guestIds": [
+                item["guestId"]
+                for item in state.get("guestAssignments", [])
+                if item["ideaId"] == record_id
+            ],
+            "slotId": slot,
+        }
+    if kind == "jokes":
+        return {"ideaId": record.get("usedByIdeaId")}
+    if kind == "songs":
+        return {"ideaId": record.get("assignedIdeaId")}
+    return {
+        "ideaIds": [
+            item["ideaId"]
+            for item in state.get("guestAssignments", [])
+            if item["guestId"] == record_id
+        ]
+    }
+
+
+async def purge_expired(db: AsyncSession) -> None:
+    cutoff = datetime.now(timezone.utc) - timedelta(days=retention_days())
+    await db.execute(delete(TrashEntry).where(TrashEntry.deleted_at < cutoff))
+
+
+async def trash_removed_records(
+    db: AsyncSession, user: dict, *, before: dict, after: dict
+) -> None:
+    """Keep every idea, joke, song, or guest that ``after`` no longer has, and
+    drop trash entries for records that came back."""
+    for kind in TRASHED_KINDS:
+        if kind not in before or kind not in after:
+            continue
+        old = records_by_id(kind, before[kind])
+        new = records_by_id(kind, after[kind])
+        returned = set(new) - set(old)
+        if returned:
+            await db.execute(
+                delete(TrashEntry).where(
+                    TrashEntry.record_kind == kind, TrashEntry.record_id.in_(returned)
+                )
+            )
+        for record_id in sorted(set(old) - set(new)):
+            record = old[record_id]
+            db.add(
+                TrashEntry(
+                    record_kind=kind,
+                    record_id=record_id,
+                    title=_title(kind, record),
+                    record=record,
+                    links=_links(kind, record, before),
+                    deleted_by=user.get("username") or "someone",
+                )
+            )
+    await purge_expired(db)
+    await db.flush()
+
+
+async def list_trash(db: AsyncSession) -> list[TrashEntry]:
+    """Newest first, after dropping entries past the retention window."""
+    await purge_expired(db)
+    result = await db.execute(
+        select(TrashEntry).order_by(TrashEntry.deleted_at.desc(), TrashEntry.id.desc())
+    )
+    return list(result.scalars())
+
+
+def _free_of(records: list[dict], field: str, idea_id: str) -> bool:
+    return not any(record.get(field) == idea_id for record in records)
+
+
+async def restore_trash_entry(db: AsyncSession, entry_id: int) -> dict:
+    """Put a trashed record back, then reattach each assignment it had that
+    is still free. Returns which links were restored and which were skipped.
+
+    Everything goes through the ordinary crud functions, so the joke, song,
+    and guest lifecycle rules apply exactly as for a browser save.
+    """
+    entry = await db.get(TrashEntry, entry_id)
+    if entry is None:
+        raise DataNotFoundError("Trash entry not found")
+    kind, record, links = entry.record_kind, dict(entry.record), entry.links or {}
+    load, replace = _LOADERS[kind]
+    records = await load(db)
+    if any(existing["id"] == entry.record_id for existing in records):
+        raise TrashRestoreError("A record with this id already exists")
+
+    restored: list[str] = []
+    skipped: list[str] = []
+
+    def note(ok: bool, label: str) -> None:
+        (restored if ok else skipped).append(label)
+
+    # Assignments are reattached below through their own routes, so the record
+    # comes back unassigned first.
+    if kind == "ideas" and record.get("status") == "scheduled":
+        record["status"] = "processed"
+    if kind == "jokes" and record.get("status") == "used":
+        record.update(status="unused", usedByIdeaId=None)
+    if kind == "songs" and record.get("status") == "used":
+        record.update(status="unused", assignedIdeaId=None)
+    await replace(db, records + [record])
+
+    ideas = {idea["id"] for idea in await get_ideas(db)}
+    if kind == "ideas":
+        if links.get("jokeId"):
+            jokes = {joke["id"]: joke for joke in await get_jokes(db)}
+            joke = jokes.get(links["jokeId"])
+            free = joke is not None and joke.get("status") == "unused"
+            if free:
+                await assign_joke_to_idea(db, joke["id"], entry.record_id)
+            note(free, "joke")
+        if links.get("songId"):
+            songs = {song["id"]: song for song in await get_songs(db)}
+            song = songs.get(links["songId"])
+            free = song is not None and song.get("status") == "unused"
+            if free:
+                await assign_song_to_idea(db, song["id"], entry.record_id)
+            note(free, "song")
+        guests = {guest["id"]: guest for guest in await get_guests(db)}
+        for guest_id in links.get("guestIds") or []:
+            guest = guests.get(guest_id)
+            free = guest is not None and guest.get("status") == "active"
+            if free:
+                await assign_guest_to_idea(db, guest_id, entry.record_id)
+            note(free, f"guest {guest['displayName'] if guest else guest_id}")
+        if links.get("slotId"):
+            slots = {slot["id"] for slot in await get_show_slots(db)}
+            free = links["slotId"] in slots and links["slotId"] not in await get_assignments(db)
+            if free:
+                await assign_idea_to_slot(db, entry.record_id, links["slotId"])
+            note(free, "schedule slot")
+    elif kind == "jokes" and links.get("ideaId"):
+        free = links["ideaId"] in ideas and _free_of(
+            await get_jokes(db), "usedByIdeaId", links["ideaId"]
+        )
+        if free:
+            await assign_joke_to_idea(db, entry.record_id, links["ideaId"])
+        note(free, "episode")
+    elif kind == "songs" and links.get("ideaId"):
+        free = (
+            record.get("status") != "retired"
+            and links["ideaId"] in ideas
+            and _free_of(await get_songs(db), "assignedIdeaId", links["ideaId"])
+        )
+        if free:
+            await assign_song_to_idea(db, entry.record_id, links["ideaId"])
+        note(free, "episode")
+    elif kind == "guests":
+        for idea_id in links.get("ideaIds") or []:
+            free = idea_id in ideas and record.get("status") == "active"
+            if free:
+                await assign_guest_to_idea(db, entry.record_id, idea_id)
+            note(free, "episode")
+
+    await db.delete(entry)
+    await db.flush()
+    return {"kind": kind, "recordId": entry.record_id, "restored": restored, "skipped": skipped}